@@ -1,6 +1,30 @@
 import { BleManager, Device, State } from 'react-native-ble-plx';
 import { OBDData } from '../context/AppContext';
 
+export type DTCType = 'stored' | 'pending' | 'permanent';
+
+// Codes from one read, by the mode they were read with; the shape the
+// server's /api/obd/vehicles/:vehicleId/dtcs endpoint accepts
+export interface DiagnosticTroubleCodes {
+  stored: string[]; // Mode 03
+  pending: string[]; // Mode 07
+  permanent: string[]; // Mode 0A
+}
+
+export interface DTCClearResult {
+  success: boolean;
+  response: string;
+  clearedAt: Date;
+}
+
+const DTC_MODES: Record<DTCType, { request: string; response: string }> = {
+  stored: { request: '03', response: '43' },
+  pending: { request: '07', response: '47' },
+  permanent: { request: '0A', response: '4A' },
+};
+
+const DTC_LETTERS = ['P', 'C', 'B', 'U'];
+
 class OBDService {
   private bleManager: BleManager;
   private connectedDevice: Device | null = null;
@@ -135,10 +159,14 @@ class OBDService {
   }
 
   private async readPID(pid: string): Promise<string> {
+    return this.sendCommand(`01${pid}`);
+  }
+
+  private async sendCommand(command: string): Promise<string> {
     if (!this.connectedDevice) throw new Error('No device connected');
 
     // ELM327 command format
-    const command = `01${pid}\r`;
+    const request = `${command}\r`;
     
     // This is a simplified implementation
     // In a real app, you'd need to find the correct service and characteristic
@@ -147,6 +175,94 @@ class OBDService {
     return '00'; // Placeholder
   }
 
+  // Read stored (Mode 03), pending (Mode 07) and permanent (Mode 0A) codes.
+  // ECUs that don't support a mode answer NO DATA, which reads as no codes.
+  async readDiagnosticCodes(): Promise<DiagnosticTroubleCodes> {
+    const codes: DiagnosticTroubleCodes = { stored: [], pending: [], permanent: [] };
+
+    for (const type of Object.keys(DTC_MODES) as DTCType[]) {
+      try {
+        const response = await this.sendCommand(DTC_MODES[type].request);
+        codes[type] = this.parseDiagnosticCodes(response, DTC_MODES[type].response);
+      } catch (error) {
+        console.error(`Failed to read ${type} diagnostic codes:`, error);
+      }
+    }
+
+    return codes;
+  }
+
+  // Mode 04: clear stored and pending codes and turn off the MIL. The ECU
+  // answers 44 when it accepted the clear.
+  async clearDiagnosticCodes(): Promise<DTCClearResult> {
+    const response = await this.sendCommand('04');
+    return {
+      success: response.replace(/\s/g, '').includes('44'),
+      response: response.trim(),
+      clearedAt: new Date(),
+    };
+  }
+
+  private parseDiagnosticCodes(response: string, marker: string): string[] {
+    const codes = new Set<string>();
+
+    const lines = response
+      .split(/[\r\n]+/)
+      .filter(line => line.trim() && !/NO ?DATA|SEARCHING/i.test(line));
+
+    // Multi-frame CAN responses are one message split over lines prefixed
+    // with their frame index ("0:", "1:") after a byte-count header line.
+    // Otherwise every line is a message of its own: one per legacy frame or
+    // per responding ECU.
+    const multiFrame = lines.some(line => /^\s*[0-9A-F]:/i.test(line));
+    const messages = multiFrame ? [this.joinFrames(lines)] : lines;
+
+    for (const message of messages) {
+      const hex = message.replace(/\s/g, '').toUpperCase();
+      if (!/^[0-9A-F]+$/.test(hex) || !hex.startsWith(marker)) continue;
+
+      let payload = hex.slice(marker.length);
+
+      // CAN puts the number of codes after the mode byte; legacy protocols
+      // send fixed three-code frames padded with 0000
+      if (payload.length % 4 === 2) {
+        const count = parseInt(payload.slice(0, 2), 16);
+        payload = payload.slice(2, 2 + count * 4);
+      }
+
+      for (let i = 0; i + 4 <= payload.length; i += 4) {
+        const code = this.decodeDiagnosticCode(payload.slice(i, i + 4));
+        if (code) codes.add(code);
+      }
+    }
+
+    return [...codes];
+  }
+
+  // The header line holds the message length in bytes; the last frame is
+  // padded past it
+  private joinFrames(lines: string[]): string {
+    const header = lines.find(line => /^\s*[0-9A-F]{3}\s*$/i.test(line));
+    const hex = lines
+      .filter(line => /^\s*[0-9A-F]:/i.test(line))
+      .map(line => line.replace(/^\s*[0-9A-F]:/i, '').replace(/\s/g, ''))
+      .join('');
+
+    return header ? hex.slice(0, parseInt(header.trim(), 16) * 2) : hex;
+  }
+
+  private decodeDiagnosticCode(bytes: string): string | null {
+    if (bytes === '0000') return null;
+
+    // First two bits of A are the letter, the next two the first digit; the
+    // remaining three digits are the rest of the hex
+    const a = parseInt(bytes.slice(0, 2), 16);
+    const letter = DTC_LETTERS[a >> 6];
+    const digit = (a >> 4) & 0x3;
+
+    return `${letter}${digit}${bytes.slice(1).toUpperCase()}`;
+  }
+
   private parseEngineRPM(data: string): number {
     // Parse engine RPM from OBD response
     // Format: A B C D where RPM = ((A * 256) + B) / 4
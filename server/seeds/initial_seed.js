@@ -407,7 +407,32 @@ async function seedDatabase() {
       }
     ];
     
-    const aiModelIds = await knex('ai_models').insert(aiModels);
+    // One insert per model: a multi-row insert only returns the last id on
+    // SQLite and MySQL. Each model is the first version of its own family.
+    const aiModelIds = [];
+    for (const model of aiModels) {
+      const familyId = await DatabaseService.insertAndGetId('model_families', {
+        userId: model.userId,
+        name: model.name,
+        type: model.type,
+        description: model.description,
+        createdAt: model.createdAt,
+        updatedAt: new Date()
+      });
+      const isActive = model.status === 'deployed';
+      const modelId = await DatabaseService.insertAndGetId('ai_models', {
+        ...model,
+        familyId,
+        versionNumber: 1,
+        isActive
+      });
+      if (isActive) {
+        await knex('model_families')
+          .where('id', familyId)
+          .update({ activeModelId: modelId });
+      }
+      aiModelIds.push(modelId);
+    }
     
     console.log('Seeding model predictions...');
     
@@ -417,10 +442,10 @@ async function seedDatabase() {
       const predictions = generateModelPredictions(model.type, model.accuracy);
       predictions.forEach(prediction => {
         modelPredictions.push({
+          userId: demoUserId,
           modelId: aiModelIds[index],
           inputData: JSON.stringify(prediction.input),
           prediction: JSON.stringify(prediction.output),
-          accuracy: prediction.accuracy,
           confidence: prediction.confidence,
           timestamp: new Date(Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000),
           createdAt: new Date()
@@ -598,7 +623,6 @@ function generateModelPredictions(modelType, accuracy) {
     predictions.push({
       input,
       output,
-      accuracy: accuracy * (0.8 + Math.random() * 0.4), // ±20% variation
       confidence: 0.6 + Math.random() * 0.4 // 0.6-1.0
     });
   }
@@ -25,6 +25,9 @@ const tripRoutes = require('./routes/trips');
 const obdRoutes = require('./routes/obd');
 const analyticsRoutes = require('./routes/analytics');
 const aiRoutes = require('./routes/ai');
+const coachingRoutes = require('./routes/coaching');
+const maintenanceRoutes = require('./routes/maintenance');
+const recurringRouteRoutes = require('./routes/recurringRoutes');
 
 // Import middleware
 const { authenticateToken } = require('./middleware/auth');
@@ -33,6 +36,8 @@ const { errorHandler } = require('./middleware/errorHandler');
 // Import services
 const DatabaseService = require('./services/DatabaseService');
 const SocketService = require('./services/SocketService');
+const OBDBufferService = require('./services/OBDBufferService');
+const TrainingService = require('./services/TrainingService');
 
 // Environment variables
 const PORT = process.env.PORT || 3001;
@@ -84,33 +89,9 @@ app.use('/api/trips', authenticateToken, tripRoutes);
 app.use('/api/obd', authenticateToken, obdRoutes);
 app.use('/api/analytics', authenticateToken, analyticsRoutes);
 app.use('/api/ai', authenticateToken, aiRoutes);
-
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
-  
-  // Join user to their personal room
-  socket.on('join-user', (userId) => {
-    socket.join(`user-${userId}`);
-    console.log(`User ${userId} joined their room`);
-  });
-  
-  // Handle OBD data updates
-  socket.on('obd-data', (data) => {
-    // Broadcast to all clients (in a real app, you'd filter by user)
-    io.emit('obd-update', data);
-  });
-  
-  // Handle trip updates
-  socket.on('trip-update', (data) => {
-    io.emit('trip-update', data);
-  });
-  
-  // Handle disconnection
-  socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
-  });
-});
+app.use('/api/coaching', authenticateToken, coachingRoutes);
+app.use('/api/maintenance', authenticateToken, maintenanceRoutes);
+app.use('/api/routes', authenticateToken, recurringRouteRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -130,6 +111,12 @@ async function initializeServices() {
     await DatabaseService.initialize();
     console.log('Database initialized successfully');
     
+    // Start batched OBD writer
+    OBDBufferService.start();
+    
+    // Clear out training jobs left over from a previous run
+    await TrainingService.initialize();
+    
     // Initialize socket service
     SocketService.initialize(io);
     console.log('Socket service initialized successfully');
@@ -165,18 +152,20 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
-  server.close(() => {
+  server.close(async () => {
     console.log('Server closed');
-    DatabaseService.close();
+    await OBDBufferService.stop();
+    await DatabaseService.close();
     process.exit(0);
   });
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
-  server.close(() => {
+  server.close(async () => {
     console.log('Server closed');
-    DatabaseService.close();
+    await OBDBufferService.stop();
+    await DatabaseService.close();
     process.exit(0);
   });
 });
@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const TokenService = require('../services/TokenService');
 
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -11,18 +12,10 @@ const authenticateToken = (req, res, next) => {
     });
   }
 
+  let decoded;
   try {
     const secret = process.env.JWT_SECRET || 'your-secret-key';
-    const decoded = jwt.verify(token, secret);
-    
-    // Add user info to request
-    req.user = {
-      id: decoded.userId,
-      email: decoded.email,
-      role: decoded.role || 'user'
-    };
-    
-    next();
+    decoded = jwt.verify(token, secret);
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({
@@ -41,6 +34,35 @@ const authenticateToken = (req, res, next) => {
       });
     }
   }
+  
+  // Access tokens are bound to a server-side session that logout can revoke
+  if (!decoded.sid) {
+    return res.status(401).json({
+      error: 'Invalid token',
+      message: 'The provided authentication token has no session. Please log in again.'
+    });
+  }
+  
+  TokenService.isSessionActive(decoded.sid)
+    .then((isActive) => {
+      if (!isActive) {
+        return res.status(401).json({
+          error: 'Token revoked',
+          message: 'This session has been logged out. Please log in again.'
+        });
+      }
+      
+      // Add user info to request
+      req.user = {
+        id: decoded.userId,
+        email: decoded.email,
+        role: decoded.role || 'user',
+        sessionId: decoded.sid
+      };
+      
+      next();
+    })
+    .catch(next);
 };
 
 const authenticateAdmin = (req, res, next) => {
@@ -98,12 +120,12 @@ const optionalAuth = (req, res, next) => {
   next();
 };
 
-const generateToken = (userId, email, role = 'user') => {
+const generateToken = (userId, email, role = 'user', sessionId = null) => {
   const secret = process.env.JWT_SECRET || 'your-secret-key';
-  const expiresIn = process.env.JWT_EXPIRES_IN || '7d';
+  const expiresIn = process.env.JWT_EXPIRES_IN || '15m';
   
   return jwt.sign(
-    { userId, email, role },
+    { userId, email, role, ...(sessionId && { sid: sessionId }) },
     secret,
     { expiresIn }
   );
@@ -0,0 +1,46 @@
+exports.up = function(knex) {
+  return knex.schema
+    .createTable('user_sessions', (table) => {
+      table.string('id', 36).primary(); // UUID, embedded in access tokens as "sid"
+      table.integer('userId').unsigned().notNullable();
+      table.string('userAgent', 255);
+      table.string('ipAddress', 45);
+      table.timestamp('createdAt').defaultTo(knex.fn.now());
+      table.timestamp('lastUsedAt').defaultTo(knex.fn.now());
+      table.timestamp('revokedAt');
+      table.string('revokedReason', 50); // logout, logout_all, token_reuse
+
+      // Foreign keys
+      table.foreign('userId').references('id').inTable('users').onDelete('CASCADE');
+
+      // Indexes
+      table.index('userId');
+      table.index('revokedAt');
+    })
+
+    .createTable('refresh_tokens', (table) => {
+      table.increments('id').primary();
+      table.string('sessionId', 36).notNullable();
+      table.integer('userId').unsigned().notNullable();
+      table.string('tokenHash', 64).notNullable().unique(); // SHA-256 of the token
+      table.timestamp('expiresAt').notNullable();
+      table.timestamp('usedAt'); // Set when rotated; a second use is a replay
+      table.timestamp('revokedAt');
+      table.timestamp('createdAt').defaultTo(knex.fn.now());
+
+      // Foreign keys
+      table.foreign('sessionId').references('id').inTable('user_sessions').onDelete('CASCADE');
+      table.foreign('userId').references('id').inTable('users').onDelete('CASCADE');
+
+      // Indexes
+      table.index('sessionId');
+      table.index('userId');
+      table.index('expiresAt');
+    });
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .dropTableIfExists('refresh_tokens')
+    .dropTableIfExists('user_sessions');
+};
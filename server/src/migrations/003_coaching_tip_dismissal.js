@@ -0,0 +1,17 @@
+exports.up = function(knex) {
+  return knex.schema.alterTable('coaching_tips', (table) => {
+    table.timestamp('dismissedAt'); // Hidden from the tip list once set
+
+    // Indexes
+    table.index('dismissedAt');
+    table.index(['userId', 'isRead']);
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('coaching_tips', (table) => {
+    table.dropIndex(['userId', 'isRead']);
+    table.dropIndex('dismissedAt');
+    table.dropColumn('dismissedAt');
+  });
+};
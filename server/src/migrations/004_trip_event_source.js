@@ -0,0 +1,16 @@
+exports.up = function(knex) {
+  return knex.schema.alterTable('trip_events', (table) => {
+    // client: sent with the trip, detected: produced by server-side detection
+    table.string('source', 20).notNullable().defaultTo('client');
+
+    // Indexes
+    table.index(['tripId', 'source']);
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('trip_events', (table) => {
+    table.dropIndex(['tripId', 'source']);
+    table.dropColumn('source');
+  });
+};
@@ -0,0 +1,17 @@
+exports.up = function(knex) {
+  return knex.schema.alterTable('trips', (table) => {
+    table.integer('ecoScoreVersion'); // Null when the score came from the client
+    table.json('ecoScoreBreakdown'); // Per-component scores and weights
+
+    // Indexes
+    table.index('ecoScoreVersion');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('trips', (table) => {
+    table.dropIndex('ecoScoreVersion');
+    table.dropColumn('ecoScoreBreakdown');
+    table.dropColumn('ecoScoreVersion');
+  });
+};
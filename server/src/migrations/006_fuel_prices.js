@@ -0,0 +1,41 @@
+exports.up = function(knex) {
+  return knex.schema
+    .createTable('fuel_prices', (table) => {
+      table.increments('id').primary();
+      table.integer('userId').unsigned(); // Null for regional or global prices
+      table.string('region', 50); // Null for prices that apply everywhere
+      table.string('fuelType', 20).notNullable(); // gasoline, diesel, electric, ...
+      table.decimal('price', 10, 4).notNullable();
+      table.string('currency', 3).notNullable().defaultTo('USD');
+      table.string('unit', 10).notNullable().defaultTo('liter'); // liter, gallon, kWh
+      table.timestamp('effectiveFrom').notNullable();
+      table.timestamp('createdAt').defaultTo(knex.fn.now());
+
+      // Foreign keys
+      table.foreign('userId').references('id').inTable('users').onDelete('CASCADE');
+
+      // Indexes
+      table.index(['userId', 'fuelType', 'effectiveFrom']);
+      table.index(['region', 'fuelType', 'effectiveFrom']);
+    })
+
+    .alterTable('user_preferences', (table) => {
+      table.string('region', 50);
+      table.string('currency', 3);
+      table.string('baselineMode', 20).defaultTo('vehicle'); // vehicle, trips, fixed
+      table.integer('baselineTripCount').defaultTo(10);
+      table.decimal('baselineEfficiency', 8, 2); // L/100km (kWh/100km for EVs) when fixed
+    });
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('user_preferences', (table) => {
+      table.dropColumn('baselineEfficiency');
+      table.dropColumn('baselineTripCount');
+      table.dropColumn('baselineMode');
+      table.dropColumn('currency');
+      table.dropColumn('region');
+    })
+    .dropTableIfExists('fuel_prices');
+};
@@ -0,0 +1,35 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('training_jobs', (table) => {
+    table.increments('id').primary();
+    table.integer('userId').unsigned().notNullable();
+    table.integer('modelId').unsigned().notNullable();
+    table.string('modelType', 50).notNullable();
+    table.string('status', 20).notNullable().defaultTo('queued'); // queued, running, stopping, completed, stopped, failed
+    table.json('hyperparameters');
+    table.integer('epochs').notNullable();
+    table.integer('currentEpoch').notNullable().defaultTo(0);
+    table.decimal('loss', 14, 6);
+    table.decimal('valLoss', 14, 6);
+    table.json('history'); // Per-epoch loss and metrics
+    table.json('metrics'); // Final evaluation on the validation split
+    table.integer('datasetSize');
+    table.text('error');
+    table.timestamp('startedAt');
+    table.timestamp('finishedAt');
+    table.timestamp('createdAt').defaultTo(knex.fn.now());
+    table.timestamp('updatedAt').defaultTo(knex.fn.now());
+
+    // Foreign keys
+    table.foreign('userId').references('id').inTable('users').onDelete('CASCADE');
+    table.foreign('modelId').references('id').inTable('ai_models').onDelete('CASCADE');
+
+    // Indexes
+    table.index(['userId', 'createdAt']);
+    table.index(['modelId', 'status']);
+    table.index('status');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTableIfExists('training_jobs');
+};
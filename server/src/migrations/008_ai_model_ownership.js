@@ -0,0 +1,69 @@
+exports.up = async function(knex) {
+  await knex.schema.alterTable('ai_models', (table) => {
+    table.integer('userId').unsigned(); // Null for global models shared with every user
+    table.string('status', 20).notNullable().defaultTo('created'); // created, training, trained, deployed, archived
+    table.json('hyperparameters');
+    table.decimal('accuracy', 5, 4); // Validation accuracy from the last training run (0-1)
+    table.integer('trainingDataSize').defaultTo(0);
+    table.timestamp('trainingStartedAt');
+    table.timestamp('trainingStoppedAt');
+    table.timestamp('trainedAt');
+
+    // Foreign keys
+    table.foreign('userId').references('id').inTable('users').onDelete('CASCADE');
+
+    // Indexes
+    table.index(['userId', 'name']);
+    table.index(['userId', 'status']);
+  });
+
+  await knex.schema.alterTable('model_predictions', (table) => {
+    table.renameColumn('outputData', 'prediction');
+  });
+
+  await knex.schema.alterTable('model_predictions', (table) => {
+    table.decimal('accuracy', 5, 4); // Accuracy of this prediction (0-1), when known
+    table.json('metadata');
+    table.timestamp('createdAt'); // SQLite can't add a column defaulting to now
+  });
+
+  await knex('model_predictions').update({ createdAt: knex.ref('timestamp') });
+
+  // Models that predate ownership are the global seeded ones; carry their
+  // active flag over into the lifecycle status
+  await knex('ai_models')
+    .whereNull('userId')
+    .where('isActive', true)
+    .update({ status: 'deployed' });
+
+  await knex('ai_models')
+    .whereNull('userId')
+    .where('isActive', false)
+    .update({ status: 'archived' });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('model_predictions', (table) => {
+    table.dropColumn('createdAt');
+    table.dropColumn('metadata');
+    table.dropColumn('accuracy');
+  });
+
+  await knex.schema.alterTable('model_predictions', (table) => {
+    table.renameColumn('prediction', 'outputData');
+  });
+
+  await knex.schema.alterTable('ai_models', (table) => {
+    table.dropForeign('userId');
+    table.dropIndex(['userId', 'status']);
+    table.dropIndex(['userId', 'name']);
+    table.dropColumn('trainedAt');
+    table.dropColumn('trainingStoppedAt');
+    table.dropColumn('trainingStartedAt');
+    table.dropColumn('trainingDataSize');
+    table.dropColumn('accuracy');
+    table.dropColumn('hyperparameters');
+    table.dropColumn('status');
+    table.dropColumn('userId');
+  });
+};
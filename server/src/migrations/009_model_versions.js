@@ -0,0 +1,123 @@
+exports.up = async function(knex) {
+  await knex.schema.createTable('model_families', (table) => {
+    table.increments('id').primary();
+    table.integer('userId').unsigned(); // Null for global families
+    table.string('name', 100).notNullable();
+    table.string('type', 50).notNullable();
+    table.text('description');
+    table.integer('activeModelId').unsigned(); // Version used for predictions
+    table.timestamp('createdAt').defaultTo(knex.fn.now());
+    table.timestamp('updatedAt').defaultTo(knex.fn.now());
+
+    // Foreign keys
+    table.foreign('userId').references('id').inTable('users').onDelete('CASCADE');
+
+    // Indexes
+    table.index(['userId', 'name']);
+  });
+
+  await knex.schema.alterTable('ai_models', (table) => {
+    table.integer('familyId').unsigned();
+    table.integer('versionNumber'); // 1, 2, 3... within the family
+    table.integer('parentVersionId').unsigned(); // Version this one was derived from
+    table.timestamp('trainingDataFrom');
+    table.timestamp('trainingDataTo');
+    table.json('metrics'); // Validation metrics from training
+
+    // Foreign keys
+    table.foreign('familyId').references('id').inTable('model_families').onDelete('CASCADE');
+
+    // Indexes
+    table.index(['familyId', 'versionNumber']);
+  });
+
+  await knex.schema.createTable('model_activations', (table) => {
+    table.increments('id').primary();
+    table.integer('familyId').unsigned().notNullable();
+    table.integer('modelId').unsigned().notNullable(); // Version activated
+    table.integer('previousModelId').unsigned(); // Version it replaced
+    table.integer('userId').unsigned(); // Who made the change; null for migrations
+    table.string('action', 20).notNullable(); // activate, rollback
+    table.string('reason', 255);
+    table.timestamp('createdAt').defaultTo(knex.fn.now());
+
+    // Foreign keys
+    table.foreign('familyId').references('id').inTable('model_families').onDelete('CASCADE');
+
+    // Indexes
+    table.index(['familyId', 'createdAt']);
+  });
+
+  // Models sharing an owner and name become versions of one family, numbered
+  // by creation. The deployed version, or else the newest trained one, becomes
+  // active; families with nothing trained yet have no active version.
+  const models = await knex('ai_models')
+    .orderBy('createdAt', 'asc')
+    .orderBy('id', 'asc')
+    .select('id', 'userId', 'name', 'type', 'description', 'status', 'filePath', 'createdAt');
+
+  const groups = new Map();
+  models.forEach(model => {
+    const key = `${model.userId || ''}:${model.name}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(model);
+  });
+
+  for (const versions of groups.values()) {
+    const latest = versions[versions.length - 1];
+    const newestFirst = [...versions].reverse();
+    const active = newestFirst.find(version => version.status === 'deployed') ||
+      newestFirst.find(version => version.filePath) ||
+      null;
+
+    const [inserted] = await knex('model_families')
+      .insert({
+        userId: latest.userId,
+        name: latest.name,
+        type: latest.type,
+        description: latest.description,
+        activeModelId: active ? active.id : null,
+        createdAt: versions[0].createdAt,
+        updatedAt: new Date()
+      })
+      .returning('id');
+    const familyId = inserted !== null && typeof inserted === 'object' ? inserted.id : inserted;
+
+    for (const [index, version] of versions.entries()) {
+      await knex('ai_models')
+        .where('id', version.id)
+        .update({
+          familyId,
+          versionNumber: index + 1,
+          isActive: Boolean(active) && version.id === active.id
+        });
+    }
+
+    if (!active) continue;
+
+    await knex('model_activations').insert({
+      familyId,
+      modelId: active.id,
+      action: 'activate',
+      reason: 'Migrated to model versions',
+      createdAt: new Date()
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('model_activations');
+
+  await knex.schema.alterTable('ai_models', (table) => {
+    table.dropForeign('familyId');
+    table.dropIndex(['familyId', 'versionNumber']);
+    table.dropColumn('metrics');
+    table.dropColumn('trainingDataTo');
+    table.dropColumn('trainingDataFrom');
+    table.dropColumn('parentVersionId');
+    table.dropColumn('versionNumber');
+    table.dropColumn('familyId');
+  });
+
+  await knex.schema.dropTableIfExists('model_families');
+};
@@ -0,0 +1,29 @@
+exports.up = async function(knex) {
+  await knex.schema.alterTable('model_predictions', (table) => {
+    table.decimal('actualValue', 12, 4); // Observed value; 1/0 for maintenance needed or not
+    table.json('outcome'); // What was observed and where it came from
+    table.string('outcomeSource', 20); // trip, maintenance, manual
+    table.decimal('absoluteError', 12, 4); // Regression models only
+    table.boolean('isCorrect');
+    table.timestamp('resolvedAt');
+
+    // Indexes
+    table.index(['modelId', 'resolvedAt']);
+  });
+
+  // Accuracy used to be whatever the client posted. From here on it is only
+  // set when a prediction is resolved against an observed outcome.
+  await knex('model_predictions').update({ accuracy: null });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('model_predictions', (table) => {
+    table.dropIndex(['modelId', 'resolvedAt']);
+    table.dropColumn('resolvedAt');
+    table.dropColumn('isCorrect');
+    table.dropColumn('absoluteError');
+    table.dropColumn('outcomeSource');
+    table.dropColumn('outcome');
+    table.dropColumn('actualValue');
+  });
+};
@@ -0,0 +1,31 @@
+exports.up = async function(knex) {
+  await knex.schema.createTable('maintenance_alerts', (table) => {
+    table.increments('id').primary();
+    table.integer('userId').unsigned().notNullable();
+    table.integer('vehicleId').unsigned(); // Null for trips without a vehicle
+    table.string('type', 50).notNullable(); // weak_battery, charging_system, cooling_system, efficiency_decay
+    table.string('severity', 20).notNullable(); // low, medium, high
+    table.string('status', 20).notNullable().defaultTo('active'); // active, acknowledged, resolved, dismissed
+    table.string('title', 255).notNullable();
+    table.text('message');
+    table.json('evidence'); // Readings and trips behind the alert
+    table.timestamp('firstDetectedAt').notNullable();
+    table.timestamp('lastDetectedAt').notNullable();
+    table.timestamp('acknowledgedAt');
+    table.timestamp('resolvedAt');
+    table.timestamp('createdAt').defaultTo(knex.fn.now());
+    table.timestamp('updatedAt').defaultTo(knex.fn.now());
+
+    // Foreign keys
+    table.foreign('userId').references('id').inTable('users').onDelete('CASCADE');
+    table.foreign('vehicleId').references('id').inTable('vehicles').onDelete('CASCADE');
+
+    // Indexes
+    table.index(['userId', 'status']);
+    table.index(['vehicleId', 'type']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('maintenance_alerts');
+};
@@ -0,0 +1,50 @@
+exports.up = async function(knex) {
+  await knex.schema.createTable('vehicle_dtcs', (table) => {
+    table.increments('id').primary();
+    table.integer('userId').unsigned().notNullable();
+    table.integer('vehicleId').unsigned().notNullable();
+    table.string('code', 5).notNullable(); // e.g. P0301
+    table.string('type', 20).notNullable(); // stored (Mode 03), pending (Mode 07), permanent (Mode 0A)
+    table.string('status', 20).notNullable().defaultTo('active'); // active, cleared, resolved
+    table.integer('occurrences').notNullable().defaultTo(1); // Times it was reported again after going away
+    table.timestamp('firstSeenAt').notNullable();
+    table.timestamp('lastSeenAt').notNullable();
+    table.timestamp('clearedAt'); // Last Mode 04 clear
+    table.integer('clearedBy').unsigned();
+    table.timestamp('resolvedAt'); // Last time it stopped being reported without a clear
+    table.timestamp('createdAt').defaultTo(knex.fn.now());
+    table.timestamp('updatedAt').defaultTo(knex.fn.now());
+
+    // Foreign keys
+    table.foreign('userId').references('id').inTable('users').onDelete('CASCADE');
+    table.foreign('vehicleId').references('id').inTable('vehicles').onDelete('CASCADE');
+    table.foreign('clearedBy').references('id').inTable('users').onDelete('SET NULL');
+
+    // Indexes
+    table.unique(['vehicleId', 'code', 'type']);
+    table.index(['vehicleId', 'status']);
+  });
+
+  await knex.schema.createTable('dtc_clears', (table) => {
+    table.increments('id').primary();
+    table.integer('userId').unsigned().notNullable(); // Who cleared the codes
+    table.integer('vehicleId').unsigned().notNullable();
+    table.json('codes'); // [{ code, type }] active when the clear was sent
+    table.boolean('success').notNullable().defaultTo(true); // Whether the ECU acknowledged it
+    table.string('response', 255); // Raw adapter response
+    table.timestamp('clearedAt').notNullable();
+    table.timestamp('createdAt').defaultTo(knex.fn.now());
+
+    // Foreign keys
+    table.foreign('userId').references('id').inTable('users').onDelete('CASCADE');
+    table.foreign('vehicleId').references('id').inTable('vehicles').onDelete('CASCADE');
+
+    // Indexes
+    table.index(['vehicleId', 'clearedAt']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('dtc_clears');
+  await knex.schema.dropTableIfExists('vehicle_dtcs');
+};
@@ -0,0 +1,33 @@
+// First-class columns for the PIDs in utils/pidRegistry.js that used to end
+// up in rawData
+const COLUMNS = [
+  ['shortTermFuelTrim1', 6, 2], // %
+  ['longTermFuelTrim1', 6, 2],
+  ['shortTermFuelTrim2', 6, 2],
+  ['longTermFuelTrim2', 6, 2],
+  ['mafRate', 7, 2], // g/s
+  ['intakeAirTemp', 5, 2], // Celsius
+  ['intakeManifoldPressure', 5, 1], // kPa
+  ['barometricPressure', 5, 1], // kPa
+  ['o2Sensor1Voltage', 5, 3], // Volts
+  ['o2Sensor2Voltage', 5, 3],
+  ['ambientAirTemp', 5, 2], // Celsius
+  ['odometer', 11, 1], // km
+  ['stateOfCharge', 5, 2], // percentage
+  ['packVoltage', 6, 2], // Volts
+  ['packCurrent', 7, 2] // Amps, negative while charging/regenerating
+];
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable('obd_data', (table) => {
+    COLUMNS.forEach(([column, precision, scale]) => {
+      table.decimal(column, precision, scale);
+    });
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('obd_data', (table) => {
+    table.dropColumns(...COLUMNS.map(([column]) => column));
+  });
+};
@@ -0,0 +1,26 @@
+exports.up = async function(knex) {
+  await knex.schema.alterTable('obd_data', (table) => {
+    table.decimal('fuelRate', 8, 3); // L/h, reported (PID 5E) or derived
+    table.string('fuelConsumptionSource', 20); // fuel_rate, reported, maf, speed_density
+  });
+
+  await knex.schema.alterTable('vehicles', (table) => {
+    table.decimal('engineDisplacement', 4, 2); // Liters, for speed-density fuel estimates
+  });
+
+  // Whatever was already there came from the client
+  await knex('obd_data')
+    .whereNotNull('fuelConsumption')
+    .update({ fuelConsumptionSource: 'reported' });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('vehicles', (table) => {
+    table.dropColumn('engineDisplacement');
+  });
+
+  await knex.schema.alterTable('obd_data', (table) => {
+    table.dropColumn('fuelConsumptionSource');
+    table.dropColumn('fuelRate');
+  });
+};
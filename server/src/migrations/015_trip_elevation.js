@@ -0,0 +1,17 @@
+exports.up = function(knex) {
+  return knex.schema.alterTable('trips', (table) => {
+    table.decimal('elevationGain', 8, 1); // Meters climbed
+    table.decimal('elevationLoss', 8, 1); // Meters descended
+    table.decimal('normalizedEfficiency', 6, 2); // L/100km with elevation change taken out
+    table.json('gradeEfficiency'); // Distance, fuel and L/100km uphill, flat and downhill
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('trips', (table) => {
+    table.dropColumn('gradeEfficiency');
+    table.dropColumn('normalizedEfficiency');
+    table.dropColumn('elevationLoss');
+    table.dropColumn('elevationGain');
+  });
+};
@@ -0,0 +1,37 @@
+exports.up = async function(knex) {
+  await knex.schema.createTable('recurring_routes', (table) => {
+    table.increments('id').primary();
+    table.integer('userId').unsigned().notNullable();
+    table.string('name', 255).notNullable();
+    table.decimal('startLat', 10, 8).notNullable();
+    table.decimal('startLng', 11, 8).notNullable();
+    table.decimal('endLat', 10, 8).notNullable();
+    table.decimal('endLng', 11, 8).notNullable();
+    table.decimal('distance', 10, 3); // Mean distance of its trips, km
+    table.json('path'); // Mean of its trips' resampled paths
+    table.timestamp('createdAt').defaultTo(knex.fn.now());
+    table.timestamp('updatedAt').defaultTo(knex.fn.now());
+
+    // Foreign keys
+    table.foreign('userId').references('id').inTable('users').onDelete('CASCADE');
+
+    // Indexes
+    table.index('userId');
+  });
+
+  await knex.schema.alterTable('trips', (table) => {
+    table.integer('recurringRouteId').unsigned(); // Null for one-off trips
+    table.foreign('recurringRouteId').references('id').inTable('recurring_routes').onDelete('SET NULL');
+    table.index('recurringRouteId');
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('trips', (table) => {
+    table.dropForeign('recurringRouteId');
+    table.dropIndex('recurringRouteId');
+    table.dropColumn('recurringRouteId');
+  });
+
+  await knex.schema.dropTableIfExists('recurring_routes');
+};
@@ -0,0 +1,54 @@
+const ACTIVE_STATUSES = ['queued', 'running', 'stopping'];
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable('training_jobs', (table) => {
+    table.integer('familyId').unsigned(); // Family of the model being trained
+  });
+
+  await knex('training_jobs').update({
+    familyId: knex('ai_models').select('familyId').where('ai_models.id', knex.ref('training_jobs.modelId'))
+  });
+
+  // Two starts that raced before this index may have left a family with more
+  // than one active job; keep the oldest
+  const active = await knex('training_jobs')
+    .whereIn('status', ACTIVE_STATUSES)
+    .whereNotNull('familyId')
+    .orderBy('id', 'asc')
+    .select('id', 'familyId');
+
+  const seen = new Set();
+  const duplicates = active.filter(job => {
+    if (seen.has(job.familyId)) return true;
+    seen.add(job.familyId);
+    return false;
+  });
+
+  if (duplicates.length > 0) {
+    await knex('training_jobs')
+      .whereIn('id', duplicates.map(job => job.id))
+      .update({
+        status: 'failed',
+        error: 'Another job was already training this model',
+        finishedAt: new Date(),
+        updatedAt: new Date()
+      });
+  }
+
+  // At most one queued, running or stopping job per family. The statuses
+  // are written out since SQLite takes no parameters in an index predicate.
+  const statuses = ACTIVE_STATUSES.map(status => `'${status}'`).join(', ');
+  await knex.schema.alterTable('training_jobs', (table) => {
+    table.unique(['familyId'], {
+      indexName: 'training_jobs_active_family_unique',
+      predicate: knex.whereRaw(`?? in (${statuses})`, ['status'])
+    });
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('training_jobs', (table) => {
+    table.dropUnique(['familyId'], 'training_jobs_active_family_unique');
+    table.dropColumn('familyId');
+  });
+};
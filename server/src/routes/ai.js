@@ -1,7 +1,12 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { asyncHandler, sendSuccessResponse, sendErrorResponse } = require('../middleware/errorHandler');
 const DatabaseService = require('../services/DatabaseService');
+const TrainingService = require('../services/TrainingService');
+const InferenceService = require('../services/InferenceService');
+const ModelRegistryService = require('../services/ModelRegistryService');
+const PredictionOutcomeService = require('../services/PredictionOutcomeService');
+const { summarizeOutcomes } = require('../utils/predictionMetrics');
 const path = require('path');
 const fs = require('fs').promises;
 
@@ -14,28 +19,26 @@ router.get('/models', asyncHandler(async (req, res) => {
   try {
     const knex = DatabaseService.getKnex();
     
-    // Get user's AI models
-    const models = await knex('ai_models')
-      .where('userId', userId)
+    // Get user's AI models and the global ones
+    const models = await visibleModels(knex, userId)
       .orderBy('createdAt', 'desc')
       .select('*');
     
-    // Get model performance statistics
+    // Get model performance statistics for this user's predictions
     const modelStats = await knex('model_predictions')
+      .where('userId', userId)
       .whereIn('modelId', models.map(m => m.id))
-      .select(
-        'modelId',
-        knex.raw('COUNT(*) as totalPredictions'),
-        knex.raw('AVG(accuracy) as avgAccuracy'),
-        knex.raw('AVG(confidence) as avgConfidence')
-      )
+      .select('modelId')
+      .count('* as totalPredictions')
+      .avg('accuracy as avgAccuracy')
+      .avg('confidence as avgConfidence')
       .groupBy('modelId');
     
     // Merge model data with stats
     const modelsWithStats = models.map(model => {
-      const stats = modelStats.find(s => s.modelId === model.id);
+      const stats = modelStats.find(s => String(s.modelId) === String(model.id));
       return {
-        ...model,
+        ...parseModel(model),
         stats: stats ? {
           totalPredictions: parseInt(stats.totalPredictions) || 0,
           avgAccuracy: parseFloat(stats.avgAccuracy) || 0,
@@ -68,38 +71,32 @@ router.get('/models/:modelId', asyncHandler(async (req, res) => {
     const knex = DatabaseService.getKnex();
     
     // Get model details
-    const model = await knex('ai_models')
+    const model = await visibleModels(knex, userId)
       .where('id', modelId)
-      .where('userId', userId)
       .first();
     
     if (!model) {
       return sendErrorResponse(res, { message: 'Model not found' }, 404);
     }
     
-    // Get model predictions
+    // Get this user's predictions from the model
     const predictions = await knex('model_predictions')
       .where('modelId', modelId)
+      .where('userId', userId)
       .orderBy('timestamp', 'desc')
       .limit(100)
       .select('*');
     
     // Get model performance over time
-    const performanceData = await knex('model_predictions')
+    const performanceRows = await knex('model_predictions')
       .where('modelId', modelId)
-      .select(
-        knex.raw('DATE(timestamp) as date'),
-        knex.raw('AVG(accuracy) as avgAccuracy'),
-        knex.raw('AVG(confidence) as avgConfidence'),
-        knex.raw('COUNT(*) as predictionsCount')
-      )
-      .groupBy(knex.raw('DATE(timestamp)'))
-      .orderBy('date', 'asc');
+      .where('userId', userId)
+      .select('timestamp', 'accuracy', 'confidence');
     
     sendSuccessResponse(res, {
-      model,
-      predictions,
-      performance: performanceData,
+      model: parseModel(model),
+      predictions: predictions.map(parsePrediction),
+      performance: dailyPerformance(performanceRows, 'predictionsCount'),
       totalPredictions: predictions.length
     }, 'Model details retrieved successfully');
     
@@ -115,56 +112,44 @@ router.post('/models', [
   body('type').isIn(['eco_score', 'fuel_efficiency', 'driving_behavior', 'maintenance_prediction']),
   body('description').optional().isString().trim().isLength({ max: 500 }),
   body('hyperparameters').optional().isObject(),
-  body('trainingDataSize').optional().isInt({ min: 0 })
+  body('trainingDataSize').optional().isInt({ min: 0 }),
+  body('version').optional().isString().trim().isLength({ min: 1, max: 20 }),
+  body('baseVersionId').optional().isInt({ min: 1 })
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
-    return sendErrorResponse(res, { errors: errors.array() }, 400);
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
   }
   
   const userId = req.user.id;
-  const { name, type, description, hyperparameters, trainingDataSize } = req.body;
+  const { name, type, description, hyperparameters, trainingDataSize, version, baseVersionId } = req.body;
   
   try {
-    const knex = DatabaseService.getKnex();
-    
-    // Check if model with same name exists
-    const existingModel = await knex('ai_models')
-      .where('userId', userId)
-      .where('name', name)
-      .first();
-    
-    if (existingModel) {
-      return sendErrorResponse(res, { message: 'Model with this name already exists' }, 409);
-    }
-    
-    // Create model record
-    const [modelId] = await knex('ai_models').insert({
-      userId,
+    // A name that already exists adds a new version to that model family
+    const newModel = await ModelRegistryService.createModel(userId, {
       name,
       type,
-      description: description || '',
-      hyperparameters: hyperparameters ? JSON.stringify(hyperparameters) : null,
-      trainingDataSize: trainingDataSize || 0,
-      status: 'created',
-      version: '1.0.0',
-      createdAt: new Date(),
-      updatedAt: new Date()
+      description,
+      hyperparameters,
+      trainingDataSize,
+      version,
+      baseVersionId
     });
-    
-    // Get created model
-    const newModel = await knex('ai_models')
-      .where('id', modelId)
-      .first();
+    const message = newModel.versionNumber > 1
+      ? `Version ${newModel.version} of ${newModel.name} created successfully`
+      : 'AI model created successfully';
     
     sendSuccessResponse(res, {
-      model: newModel,
-      message: 'AI model created successfully'
-    }, 'AI model created successfully', 201);
+      model: parseModel(newModel),
+      message
+    }, message, 201);
     
   } catch (error) {
     console.error('Error creating AI model:', error);
-    sendErrorResponse(res, error, 500);
+    sendErrorResponse(res, error, error.statusCode || 500);
   }
 }));
 
@@ -172,12 +157,15 @@ router.post('/models', [
 router.put('/models/:modelId', [
   body('name').optional().isString().trim().isLength({ min: 1, max: 100 }),
   body('description').optional().isString().trim().isLength({ max: 500 }),
-  body('status').optional().isIn(['created', 'training', 'trained', 'deployed', 'archived']),
+  body('status').optional().isIn(['created', 'trained', 'archived']), // training and deployed come from jobs and activation
   body('hyperparameters').optional().isObject()
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
-    return sendErrorResponse(res, { errors: errors.array() }, 400);
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
   }
   
   const userId = req.user.id;
@@ -197,12 +185,38 @@ router.put('/models/:modelId', [
       return sendErrorResponse(res, { message: 'Model not found' }, 404);
     }
     
+    // The active version is only replaced through activation or rollback
+    if (status && existingModel.isActive && status !== existingModel.status) {
+      return sendErrorResponse(res, { message: 'Activate another version before changing the status of the active one' }, 409);
+    }
+    
+    // Versions share their family's name, so a rename applies to all of them
+    if (name && name !== existingModel.name) {
+      const conflict = await knex('model_families')
+        .where('userId', userId)
+        .where('name', name)
+        .whereNot('id', existingModel.familyId)
+        .first();
+      
+      if (conflict) {
+        return sendErrorResponse(res, { message: 'Model with this name already exists' }, 409);
+      }
+      
+      await knex.transaction(async (trx) => {
+        await trx('model_families')
+          .where('id', existingModel.familyId)
+          .update({ name, updatedAt: new Date() });
+        await trx('ai_models')
+          .where('familyId', existingModel.familyId)
+          .update({ name, updatedAt: new Date() });
+      });
+    }
+    
     // Prepare update data
     const updateData = {
       updatedAt: new Date()
     };
     
-    if (name) updateData.name = name;
     if (description !== undefined) updateData.description = description;
     if (status) updateData.status = status;
     if (hyperparameters) updateData.hyperparameters = JSON.stringify(hyperparameters);
@@ -218,7 +232,7 @@ router.put('/models/:modelId', [
       .first();
     
     sendSuccessResponse(res, {
-      model: updatedModel,
+      model: parseModel(updatedModel),
       message: 'Model updated successfully'
     }, 'Model updated successfully');
     
@@ -246,20 +260,16 @@ router.delete('/models/:modelId', asyncHandler(async (req, res) => {
       return sendErrorResponse(res, { message: 'Model not found' }, 404);
     }
     
-    // Delete related predictions first
-    await knex('model_predictions')
-      .where('modelId', modelId)
-      .del();
+    // Removes the version's predictions too, and the family with its last version
+    await ModelRegistryService.deleteVersion(model);
     
-    // Delete model
-    await knex('ai_models')
-      .where('id', modelId)
-      .del();
+    // A running job would otherwise save artifacts for a deleted model
+    await TrainingService.stopTraining(userId, modelId);
     
-    // Try to delete model file if it exists
-    if (model.modelPath) {
+    // Try to delete the saved model (model.json and weights) if it exists
+    if (model.filePath) {
       try {
-        await fs.unlink(model.modelPath);
+        await fs.rm(model.filePath, { recursive: true, force: true });
       } catch (fileError) {
         console.warn('Could not delete model file:', fileError);
       }
@@ -271,7 +281,7 @@ router.delete('/models/:modelId', asyncHandler(async (req, res) => {
     
   } catch (error) {
     console.error('Error deleting model:', error);
-    sendErrorResponse(res, error, 500);
+    sendErrorResponse(res, error, error.statusCode || 500);
   }
 }));
 
@@ -285,7 +295,7 @@ router.get('/predictions', asyncHandler(async (req, res) => {
     
     let query = knex('model_predictions as mp')
       .join('ai_models as am', 'mp.modelId', 'am.id')
-      .where('am.userId', userId)
+      .where('mp.userId', userId)
       .select(
         'mp.*',
         'am.name as modelName',
@@ -303,8 +313,7 @@ router.get('/predictions', asyncHandler(async (req, res) => {
     
     // Get total count for pagination
     let countQuery = knex('model_predictions as mp')
-      .join('ai_models as am', 'mp.modelId', 'am.id')
-      .where('am.userId', userId);
+      .where('mp.userId', userId);
     
     if (modelId) {
       countQuery = countQuery.where('mp.modelId', modelId);
@@ -313,7 +322,7 @@ router.get('/predictions', asyncHandler(async (req, res) => {
     const totalCount = await countQuery.count('* as count').first();
     
     sendSuccessResponse(res, {
-      predictions,
+      predictions: predictions.map(parsePrediction),
       pagination: {
         total: parseInt(totalCount.count),
         limit: parseInt(limit),
@@ -331,51 +340,71 @@ router.get('/predictions', asyncHandler(async (req, res) => {
 // Create new prediction
 router.post('/predictions', [
   body('modelId').isInt({ min: 1 }),
+  body('tripId').optional().isInt({ min: 1 }),
   body('inputData').isObject(),
   body('prediction').isObject(),
-  body('accuracy').optional().isFloat({ min: 0, max: 1 }),
   body('confidence').optional().isFloat({ min: 0, max: 1 }),
   body('metadata').optional().isObject()
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
-    return sendErrorResponse(res, { errors: errors.array() }, 400);
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
   }
   
   const userId = req.user.id;
-  const { modelId, inputData, prediction, accuracy, confidence, metadata } = req.body;
+  const { modelId, tripId, inputData, prediction, confidence, metadata } = req.body;
   
   try {
     const knex = DatabaseService.getKnex();
     
-    // Verify model belongs to user
-    const model = await knex('ai_models')
+    // Verify model belongs to user or is global
+    const model = await visibleModels(knex, userId)
       .where('id', modelId)
-      .where('userId', userId)
       .first();
     
     if (!model) {
       return sendErrorResponse(res, { message: 'Model not found' }, 404);
     }
     
+    if (tripId) {
+      const trip = await knex('trips')
+        .where('id', tripId)
+        .where('userId', userId)
+        .first();
+      
+      if (!trip) {
+        return sendErrorResponse(res, { message: 'Trip not found' }, 404);
+      }
+    }
+    
     // Create prediction record
-    const [predictionId] = await knex('model_predictions').insert({
+    const predictionId = await DatabaseService.insertAndGetId('model_predictions', {
+      userId,
       modelId,
+      tripId: tripId || null,
       inputData: JSON.stringify(inputData),
       prediction: JSON.stringify(prediction),
-      accuracy: accuracy || null,
-      confidence: confidence || null,
+      confidence: confidence !== undefined ? confidence : null,
       metadata: metadata ? JSON.stringify(metadata) : null,
-      timestamp: new Date()
+      timestamp: new Date(),
+      createdAt: new Date()
     });
     
+    // A prediction for a trip that already finished can be scored right away
+    if (tripId) {
+      await PredictionOutcomeService.resolveTrip(tripId);
+    }
+    
     // Get created prediction
     const newPrediction = await knex('model_predictions')
       .where('id', predictionId)
       .first();
     
     sendSuccessResponse(res, {
-      prediction: newPrediction,
+      prediction: parsePrediction(newPrediction),
       message: 'Prediction created successfully'
     }, 'Prediction created successfully', 201);
     
@@ -385,34 +414,331 @@ router.post('/predictions', [
   }
 }));
 
+// Record the observed outcome of a prediction so its accuracy can be measured
+router.post('/predictions/:predictionId/outcome', [
+  body('tripId').optional().isInt({ min: 1 }),
+  body('actualValue').optional().isFloat(),
+  body('actualStyle').optional().isString(),
+  body('maintenanceNeeded').optional().isBoolean({ strict: true }),
+  body('occurredAt').optional().isISO8601(),
+  body('notes').optional().isString().isLength({ max: 500 })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+
+  const userId = req.user.id;
+  const { predictionId } = req.params;
+  const { tripId, actualValue, actualStyle, maintenanceNeeded, occurredAt, notes } = req.body;
+
+  try {
+    const prediction = await PredictionOutcomeService.recordOutcome(userId, predictionId, {
+      tripId: tripId !== undefined ? parseInt(tripId) : undefined,
+      actualValue: actualValue !== undefined ? parseFloat(actualValue) : undefined,
+      actualStyle,
+      maintenanceNeeded,
+      occurredAt,
+      notes
+    });
+
+    // Trip outcomes stay pending until the trip completes
+    const message = prediction.resolvedAt
+      ? 'Prediction outcome recorded successfully'
+      : 'Prediction linked to trip; it will be scored when the trip completes';
+
+    sendSuccessResponse(res, {
+      prediction: parsePrediction(prediction),
+      message
+    }, message);
+
+  } catch (error) {
+    console.error('Error recording prediction outcome:', error);
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
+}));
+
+// Run a trained model on OBD features, raw frames or a stored trip
+router.post('/models/:modelId/predict', [
+  body('features').optional().isObject(),
+  body('frames').optional().isArray({ min: 1, max: 10000 }),
+  body('frames.*.timestamp').optional().isISO8601(),
+  body('tripId').optional().isInt({ min: 1 })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+
+  const userId = req.user.id;
+  const { modelId } = req.params;
+  const { features, frames, tripId } = req.body;
+
+  try {
+    const knex = DatabaseService.getKnex();
+
+    const model = await visibleModels(knex, userId)
+      .where('id', modelId)
+      .first();
+
+    if (!model) {
+      return sendErrorResponse(res, { message: 'Model not found' }, 404);
+    }
+
+    // Any version of a family predicts with the family's active version
+    const version = await ModelRegistryService.resolveActiveVersion(model);
+
+    const prediction = await InferenceService.predict(userId, version, {
+      features,
+      frames,
+      tripId: tripId !== undefined ? parseInt(tripId) : undefined
+    });
+
+    sendSuccessResponse(res, {
+      modelId: version.id,
+      familyId: version.familyId,
+      version: version.version,
+      modelType: version.type,
+      ...prediction
+    }, 'Prediction completed successfully', 201);
+
+  } catch (error) {
+    console.error('Error running prediction:', error);
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
+}));
+
+// Make a trained version the one its family predicts with
+router.post('/models/:modelId/activate', [
+  body('reason').optional().isString().isLength({ max: 255 })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+
+  const userId = req.user.id;
+  const { modelId } = req.params;
+
+  try {
+    const result = await ModelRegistryService.activate(userId, modelId, {
+      reason: req.body.reason || null
+    });
+
+    sendSuccessResponse(res, result, 'Model version activated successfully');
+
+  } catch (error) {
+    console.error('Error activating model version:', error);
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
+}));
+
+// Get model families with their active version
+router.get('/families', asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const families = await ModelRegistryService.listFamilies(userId);
+
+    sendSuccessResponse(res, {
+      families,
+      total: families.length
+    }, 'Model families retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching model families:', error);
+    sendErrorResponse(res, error, 500);
+  }
+}));
+
+// Get every version of a model family with its lineage
+router.get('/families/:familyId/versions', asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { familyId } = req.params;
+
+  try {
+    const result = await ModelRegistryService.listVersions(userId, familyId);
+
+    sendSuccessResponse(res, result, 'Model versions retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching model versions:', error);
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
+}));
+
+// Compare versions of a family (all of them unless ?versions=1,2 is given)
+router.get('/families/:familyId/compare', [
+  query('versions').optional().matches(/^\d+(,\d+)*$/)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+
+  const userId = req.user.id;
+  const { familyId } = req.params;
+  const versionIds = req.query.versions
+    ? [...new Set(req.query.versions.split(',').map(id => parseInt(id)))]
+    : [];
+
+  try {
+    const result = await ModelRegistryService.compare(userId, familyId, versionIds);
+
+    sendSuccessResponse(res, result, 'Model versions compared successfully');
+
+  } catch (error) {
+    console.error('Error comparing model versions:', error);
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
+}));
+
+// Get the activation and rollback history of a family
+router.get('/families/:familyId/activations', asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { familyId } = req.params;
+
+  try {
+    const activations = await ModelRegistryService.listActivations(userId, familyId);
+
+    sendSuccessResponse(res, {
+      activations,
+      total: activations.length
+    }, 'Model activations retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching model activations:', error);
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
+}));
+
+// Accuracy of a family's predictions against observed outcomes: MAE, RMSE,
+// hit rate and confidence calibration, overall and per version
+router.get('/families/:familyId/accuracy', [
+  query('timeRange').optional().isIn(['7d', '30d', '90d', 'all'])
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+
+  const userId = req.user.id;
+  const { familyId } = req.params;
+  const { timeRange = '30d' } = req.query;
+
+  try {
+    const family = await ModelRegistryService.getFamily(userId, familyId);
+    const accuracy = await PredictionOutcomeService.familyAccuracy(userId, family, {
+      since: timeRange === 'all' ? null : timeRangeStart(timeRange)
+    });
+
+    sendSuccessResponse(res, {
+      timeRange,
+      ...accuracy
+    }, 'Model accuracy retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching model accuracy:', error);
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
+}));
+
+// Roll a family back to the previously active version, or to a given one
+router.post('/families/:familyId/rollback', [
+  body('modelId').optional().isInt({ min: 1 }),
+  body('reason').optional().isString().isLength({ max: 255 })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+
+  const userId = req.user.id;
+  const { familyId } = req.params;
+  const { modelId, reason } = req.body;
+
+  try {
+    const result = await ModelRegistryService.rollback(userId, familyId, {
+      modelId: modelId !== undefined ? parseInt(modelId) : null,
+      reason: reason || null
+    });
+
+    sendSuccessResponse(res, result, 'Model family rolled back successfully');
+
+  } catch (error) {
+    console.error('Error rolling back model family:', error);
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
+}));
+
+// Training job hyperparameters; anything omitted comes from the model
+const trainingValidation = [
+  body('epochs').optional().isInt({ min: 1, max: 1000 }),
+  body('batchSize').optional().isInt({ min: 1, max: 4096 }),
+  body('learningRate').optional().isFloat({ gt: 0, max: 1 }),
+  body('validationSplit').optional().isFloat({ min: 0, max: 0.5 }),
+  body('hiddenUnits').optional().isArray({ min: 1, max: 5 }),
+  body('hiddenUnits.*').optional().isInt({ min: 1, max: 512 })
+];
+
 // Get AI model training status
-router.get('/training/status', asyncHandler(async (req, res) => {
+router.get('/training/status', [
+  query('modelId').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+
   const userId = req.user.id;
+  const { modelId, limit = 20 } = req.query;
   
   try {
-    const knex = DatabaseService.getKnex();
-    
-    // Get models in training
-    const trainingModels = await knex('ai_models')
-      .where('userId', userId)
-      .whereIn('status', ['training', 'created'])
-      .select('*');
-    
-    // Get training progress (mock data for now)
-    const trainingProgress = trainingModels.map(model => ({
-      modelId: model.id,
-      modelName: model.name,
-      status: model.status,
-      progress: model.status === 'training' ? Math.floor(Math.random() * 100) : 0,
-      estimatedCompletion: model.status === 'training' ? 
-        new Date(Date.now() + Math.random() * 3600000) : null,
-      currentEpoch: model.status === 'training' ? Math.floor(Math.random() * 100) : 0,
-      totalEpochs: 100
+    const jobs = await TrainingService.listJobs(userId, {
+      modelId,
+      limit: parseInt(limit)
+    });
+    const active = jobs.filter(job => ['queued', 'running', 'stopping'].includes(job.status));
+    
+    const trainingProgress = active.map(job => ({
+      jobId: job.id,
+      modelId: job.modelId,
+      modelName: job.modelName,
+      status: job.status,
+      progress: job.progress,
+      estimatedCompletion: job.estimatedCompletion,
+      currentEpoch: job.currentEpoch,
+      totalEpochs: job.epochs,
+      loss: job.loss,
+      valLoss: job.valLoss
     }));
     
     sendSuccessResponse(res, {
       trainingModels: trainingProgress,
-      totalTraining: trainingProgress.length
+      totalTraining: trainingProgress.length,
+      jobs
     }, 'Training status retrieved successfully');
     
   } catch (error) {
@@ -421,10 +747,39 @@ router.get('/training/status', asyncHandler(async (req, res) => {
   }
 }));
 
+// Get a training job with its per-epoch history
+router.get('/training/jobs/:jobId', asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { jobId } = req.params;
+
+  try {
+    const job = await TrainingService.getJob(userId, jobId);
+
+    if (!job) {
+      return sendErrorResponse(res, { message: 'Training job not found' }, 404);
+    }
+
+    sendSuccessResponse(res, { job }, 'Training job retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching training job:', error);
+    sendErrorResponse(res, error, 500);
+  }
+}));
+
 // Start model training
-router.post('/training/start/:modelId', asyncHandler(async (req, res) => {
+router.post('/training/start/:modelId', trainingValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+
   const userId = req.user.id;
   const { modelId } = req.params;
+  const { epochs, batchSize, learningRate, validationSplit, hiddenUnits } = req.body;
   
   try {
     const knex = DatabaseService.getKnex();
@@ -439,31 +794,23 @@ router.post('/training/start/:modelId', asyncHandler(async (req, res) => {
       return sendErrorResponse(res, { message: 'Model not found' }, 404);
     }
     
-    if (model.status === 'training') {
-      return sendErrorResponse(res, { message: 'Model is already training' }, 400);
-    }
-    
-    // Update model status to training
-    await knex('ai_models')
-      .where('id', modelId)
-      .update({
-        status: 'training',
-        trainingStartedAt: new Date(),
-        updatedAt: new Date()
-      });
-    
-    // In a real implementation, this would start an actual training process
-    // For now, we'll simulate it
+    // Only hyperparameters present in the request override the model's
+    const overrides = Object.entries({ epochs, batchSize, learningRate, validationSplit, hiddenUnits })
+      .filter(([, value]) => value !== undefined)
+      .reduce((result, [key, value]) => ({ ...result, [key]: value }), {});
+
+    const job = await TrainingService.startTraining(userId, model, overrides);
     
     sendSuccessResponse(res, {
       message: 'Model training started successfully',
-      modelId,
-      status: 'training'
-    }, 'Model training started successfully');
+      modelId: model.id,
+      status: job.status,
+      job
+    }, 'Model training started successfully', 202);
     
   } catch (error) {
     console.error('Error starting training:', error);
-    sendErrorResponse(res, error, 500);
+    sendErrorResponse(res, error, error.statusCode || 500);
   }
 }));
 
@@ -473,35 +820,17 @@ router.post('/training/stop/:modelId', asyncHandler(async (req, res) => {
   const { modelId } = req.params;
   
   try {
-    const knex = DatabaseService.getKnex();
-    
-    // Check if model exists and belongs to user
-    const model = await knex('ai_models')
-      .where('id', modelId)
-      .where('userId', userId)
-      .first();
-    
-    if (!model) {
-      return sendErrorResponse(res, { message: 'Model not found' }, 404);
-    }
+    const job = await TrainingService.stopTraining(userId, modelId);
     
-    if (model.status !== 'training') {
+    if (!job) {
       return sendErrorResponse(res, { message: 'Model is not currently training' }, 400);
     }
     
-    // Update model status
-    await knex('ai_models')
-      .where('id', modelId)
-      .update({
-        status: 'created',
-        trainingStoppedAt: new Date(),
-        updatedAt: new Date()
-      });
-    
     sendSuccessResponse(res, {
       message: 'Model training stopped successfully',
-      modelId,
-      status: 'created'
+      modelId: job.modelId,
+      status: job.status,
+      job
     }, 'Model training stopped successfully');
     
   } catch (error) {
@@ -518,73 +847,64 @@ router.get('/performance', asyncHandler(async (req, res) => {
   try {
     const knex = DatabaseService.getKnex();
     
-    let dateFilter;
-    const now = new Date();
-    
-    switch (timeRange) {
-      case '7d':
-        dateFilter = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case '30d':
-        dateFilter = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        break;
-      case '90d':
-        dateFilter = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-        break;
-      default:
-        dateFilter = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-    }
+    const dateFilter = timeRangeStart(timeRange);
     
     // Get overall performance metrics
     const performanceMetrics = await knex('model_predictions as mp')
-      .join('ai_models as am', 'mp.modelId', 'am.id')
-      .where('am.userId', userId)
+      .where('mp.userId', userId)
       .where('mp.timestamp', '>=', dateFilter)
-      .select(
-        knex.raw('COUNT(*) as totalPredictions'),
-        knex.raw('AVG(mp.accuracy) as avgAccuracy'),
-        knex.raw('AVG(mp.confidence) as avgConfidence'),
-        knex.raw('COUNT(DISTINCT mp.modelId) as activeModels')
-      )
+      .count('* as totalPredictions')
+      .avg('mp.confidence as avgConfidence')
+      .countDistinct('mp.modelId as activeModels')
       .first();
     
     // Get performance by model type
     const performanceByType = await knex('model_predictions as mp')
       .join('ai_models as am', 'mp.modelId', 'am.id')
-      .where('am.userId', userId)
+      .where('mp.userId', userId)
       .where('mp.timestamp', '>=', dateFilter)
-      .select(
-        'am.type',
-        knex.raw('COUNT(*) as predictions'),
-        knex.raw('AVG(mp.accuracy) as avgAccuracy'),
-        knex.raw('AVG(mp.confidence) as avgConfidence')
-      )
+      .select('am.type')
+      .count('* as predictions')
+      .avg('mp.confidence as avgConfidence')
       .groupBy('am.type');
     
-    // Get performance trends over time
-    const performanceTrends = await knex('model_predictions as mp')
+    // Get performance trends over time, bucketed by day here since each
+    // database stores and truncates timestamps differently
+    const trendRows = await knex('model_predictions as mp')
       .join('ai_models as am', 'mp.modelId', 'am.id')
-      .where('am.userId', userId)
+      .where('mp.userId', userId)
       .where('mp.timestamp', '>=', dateFilter)
-      .select(
-        knex.raw('DATE(mp.timestamp) as date'),
-        knex.raw('COUNT(*) as predictions'),
-        knex.raw('AVG(mp.accuracy) as avgAccuracy'),
-        knex.raw('AVG(mp.confidence) as avgConfidence')
-      )
-      .groupBy(knex.raw('DATE(mp.timestamp)'))
-      .orderBy('date', 'asc');
+      .select('mp.timestamp', 'mp.accuracy', 'mp.confidence', 'mp.absoluteError', 'mp.isCorrect', 'mp.resolvedAt', 'am.type');
+    const resolvedRows = trendRows.filter(row => row.resolvedAt);
+    
+    const overall = summarizeOutcomes(resolvedRows);
     
     sendSuccessResponse(res, {
       timeRange,
       overview: {
         totalPredictions: parseInt(performanceMetrics.totalPredictions) || 0,
-        avgAccuracy: parseFloat(performanceMetrics.avgAccuracy) || 0,
+        resolvedPredictions: overall.resolved,
+        avgAccuracy: overall.avgAccuracy || 0,
+        hitRate: overall.hitRate,
+        calibrationError: overall.calibrationError,
         avgConfidence: parseFloat(performanceMetrics.avgConfidence) || 0,
         activeModels: parseInt(performanceMetrics.activeModels) || 0
       },
-      byType: performanceByType,
-      trends: performanceTrends
+      byType: performanceByType.map(row => {
+        const outcomes = summarizeOutcomes(resolvedRows.filter(resolved => resolved.type === row.type));
+        return {
+          type: row.type,
+          predictions: parseInt(row.predictions) || 0,
+          resolvedPredictions: outcomes.resolved,
+          avgAccuracy: outcomes.avgAccuracy || 0,
+          mae: outcomes.mae,
+          rmse: outcomes.rmse,
+          hitRate: outcomes.hitRate,
+          calibrationError: outcomes.calibrationError,
+          avgConfidence: parseFloat(row.avgConfidence) || 0
+        };
+      }),
+      trends: dailyPerformance(trendRows)
     }, 'Performance metrics retrieved successfully');
     
   } catch (error) {
@@ -593,4 +913,67 @@ router.get('/performance', asyncHandler(async (req, res) => {
   }
 }));
 
+// Models a user can see: their own plus global models (no owner)
+function visibleModels(knex, userId) {
+  return knex('ai_models').where(builder => {
+    builder.where('userId', userId).orWhereNull('userId');
+  });
+}
+
+// Start of a 7d/30d/90d window ending now (30 days by default)
+function timeRangeStart(timeRange) {
+  const days = { '7d': 7, '30d': 30, '90d': 90 }[timeRange] || 30;
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+}
+
+// Per-day prediction counts and average accuracy/confidence, oldest first
+function dailyPerformance(rows, countKey = 'predictions') {
+  const days = new Map();
+
+  rows.forEach(row => {
+    const date = new Date(row.timestamp).toISOString().slice(0, 10);
+    if (!days.has(date)) {
+      days.set(date, { count: 0, accuracy: [], confidence: [] });
+    }
+    const day = days.get(date);
+    day.count++;
+    if (row.accuracy !== null && row.accuracy !== undefined) day.accuracy.push(parseFloat(row.accuracy));
+    if (row.confidence !== null && row.confidence !== undefined) day.confidence.push(parseFloat(row.confidence));
+  });
+
+  const average = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+  return [...days.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, day]) => ({
+      date,
+      [countKey]: day.count,
+      avgAccuracy: average(day.accuracy),
+      avgConfidence: average(day.confidence)
+    }));
+}
+
+function parseModel(model) {
+  return {
+    ...model,
+    scope: model.userId ? 'user' : 'global',
+    hyperparameters: parseJSONColumn(model.hyperparameters),
+    metadata: parseJSONColumn(model.metadata)
+  };
+}
+
+function parsePrediction(prediction) {
+  return {
+    ...prediction,
+    inputData: parseJSONColumn(prediction.inputData),
+    prediction: parseJSONColumn(prediction.prediction),
+    metadata: parseJSONColumn(prediction.metadata),
+    outcome: parseJSONColumn(prediction.outcome)
+  };
+}
+
+function parseJSONColumn(value) {
+  return value && typeof value === 'string' ? JSON.parse(value) : value;
+}
+
 module.exports = router;
@@ -1,12 +1,34 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const { asyncHandler, sendSuccessResponse, sendErrorResponse } = require('../middleware/errorHandler');
-const { generateToken } = require('../middleware/auth');
+const { generateToken, authenticateToken } = require('../middleware/auth');
 const DatabaseService = require('../services/DatabaseService');
+const TokenService = require('../services/TokenService');
+const SocketService = require('../services/SocketService');
 
 const router = express.Router();
 
+// Client details recorded against each session
+const sessionMeta = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ipAddress: req.ip
+});
+
+// Short-lived access token plus the session's current refresh token
+const buildTokenResponse = (user, session) => {
+  const token = generateToken(user.id, user.email, user.role, session.sessionId);
+  const { exp } = jwt.decode(token);
+  
+  return {
+    token,
+    tokenExpiresAt: new Date(exp * 1000).toISOString(),
+    refreshToken: session.refreshToken,
+    refreshTokenExpiresAt: session.refreshTokenExpiresAt
+  };
+};
+
 // Validation rules
 const registerValidation = [
   body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
@@ -70,8 +92,8 @@ router.post('/register', registerValidation, asyncHandler(async (req, res) => {
       units: 'metric'
     });
     
-    // Generate JWT token
-    const token = generateToken(userId, email, 'user');
+    // Start a session and issue tokens
+    const session = await TokenService.createSession(userId, sessionMeta(req));
     
     // Fetch created user (without password)
     const user = await knex('users')
@@ -81,7 +103,7 @@ router.post('/register', registerValidation, asyncHandler(async (req, res) => {
     
     sendSuccessResponse(res, {
       user,
-      token,
+      ...buildTokenResponse(user, session),
       message: 'User registered successfully'
     }, 'User registered successfully', 201);
     
@@ -132,8 +154,8 @@ router.post('/login', loginValidation, asyncHandler(async (req, res) => {
       }, 401);
     }
     
-    // Generate JWT token
-    const token = generateToken(user.id, user.email, user.role);
+    // Start a session and issue tokens
+    const session = await TokenService.createSession(user.id, sessionMeta(req));
     
     // Update last login time
     await knex('users')
@@ -145,7 +167,7 @@ router.post('/login', loginValidation, asyncHandler(async (req, res) => {
     
     sendSuccessResponse(res, {
       user: userWithoutPassword,
-      token,
+      ...buildTokenResponse(user, session),
       message: 'Login successful'
     }, 'Login successful');
     
@@ -303,20 +325,76 @@ router.put('/change-password', [
   }
 }));
 
-// Refresh token (optional - for token refresh logic)
-router.post('/refresh', asyncHandler(async (req, res) => {
-  // In a real app, you'd implement token refresh logic here
-  // For now, we'll just return an error
-  return sendErrorResponse(res, { 
-    message: 'Token refresh not implemented' 
-  }, 501);
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, { 
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+  
+  try {
+    const rotated = await TokenService.rotateRefreshToken(req.body.refreshToken);
+    
+    sendSuccessResponse(res, buildTokenResponse(rotated.user, rotated), 'Token refreshed successfully');
+    
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
 }));
 
-// Logout (optional - for server-side logout logic)
-router.post('/logout', asyncHandler(async (req, res) => {
-  // In a real app, you might implement token blacklisting here
-  // For now, we'll just return success
-  sendSuccessResponse(res, { message: 'Logged out successfully' });
+// Logout the current session
+router.post('/logout', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    await TokenService.revokeSession(req.user.sessionId, 'logout');
+    SocketService.disconnectSession(req.user.sessionId);
+    
+    sendSuccessResponse(res, { message: 'Logged out successfully' });
+    
+  } catch (error) {
+    console.error('Logout error:', error);
+    sendErrorResponse(res, error, 500);
+  }
+}));
+
+// Logout every session the user has, on all devices
+router.post('/logout-all', authenticateToken, asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  
+  try {
+    const revokedSessions = await TokenService.revokeAllSessions(userId, 'logout_all');
+    SocketService.disconnectUser(userId);
+    
+    sendSuccessResponse(res, { 
+      revokedSessions,
+      message: 'Logged out of all devices' 
+    }, 'Logged out of all devices');
+    
+  } catch (error) {
+    console.error('Logout all error:', error);
+    sendErrorResponse(res, error, 500);
+  }
+}));
+
+// List the user's active sessions
+router.get('/sessions', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const sessions = await TokenService.listSessions(req.user.id);
+    
+    sendSuccessResponse(res, sessions.map(session => ({
+      ...session,
+      isCurrent: session.id === req.user.sessionId
+    })), 'Sessions retrieved successfully');
+    
+  } catch (error) {
+    console.error('Session list error:', error);
+    sendErrorResponse(res, error, 500);
+  }
 }));
 
 module.exports = router;
@@ -0,0 +1,268 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { asyncHandler, sendSuccessResponse, sendErrorResponse } = require('../middleware/errorHandler');
+const DatabaseService = require('../services/DatabaseService');
+
+const router = express.Router();
+
+const TIP_TYPES = ['acceleration', 'braking', 'shifting', 'speed', 'idling', 'regeneration', 'general'];
+const PRIORITIES = ['low', 'medium', 'high'];
+const STATUSES = ['all', 'unread', 'read', 'applied', 'dismissed'];
+
+// Validation rules
+const listValidation = [
+  query('type').optional().isIn(TIP_TYPES).withMessage(`Type must be one of: ${TIP_TYPES.join(', ')}`),
+  query('priority').optional().isIn(PRIORITIES).withMessage(`Priority must be one of: ${PRIORITIES.join(', ')}`),
+  query('tripId').optional().isInt({ min: 1 }).withMessage('Trip ID must be a positive integer'),
+  query('status').optional().isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+const tipIdValidation = [
+  param('id').isInt({ min: 1 }).withMessage('Tip ID must be a positive integer')
+];
+
+// Get coaching tips with filtering and pagination
+router.get('/', listValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+
+  const userId = req.user.id;
+  const { type, priority, tripId, status = 'all' } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const offset = (page - 1) * limit;
+
+  try {
+    const knex = DatabaseService.getKnex();
+
+    let query = knex('coaching_tips').where('userId', userId);
+
+    if (type) query = query.where('type', type);
+    if (priority) query = query.where('priority', priority);
+    if (tripId) query = query.where('tripId', tripId);
+
+    // Dismissed tips only show up when explicitly asked for
+    switch (status) {
+      case 'unread':
+        query = query.whereNull('dismissedAt').where('isRead', false);
+        break;
+      case 'read':
+        query = query.whereNull('dismissedAt').where('isRead', true);
+        break;
+      case 'applied':
+        query = query.whereNull('dismissedAt').where('isApplied', true);
+        break;
+      case 'dismissed':
+        query = query.whereNotNull('dismissedAt');
+        break;
+      default:
+        query = query.whereNull('dismissedAt');
+    }
+
+    // Get total count
+    const [{ count }] = await query.clone().count('* as count');
+
+    // Get tips with pagination, highest priority first within each moment
+    const tips = await query
+      .orderBy('timestamp', 'desc')
+      .orderByRaw("CASE priority WHEN 'high' THEN 0 WHEN 'medium' THEN 1 ELSE 2 END")
+      .limit(limit)
+      .offset(offset)
+      .select('*');
+
+    const totalPages = Math.ceil(count / limit);
+
+    sendSuccessResponse(res, {
+      tips: tips.map(parseTip),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalTips: parseInt(count),
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    }, 'Coaching tips retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching coaching tips:', error);
+    sendErrorResponse(res, error, 500);
+  }
+}));
+
+// Get unread tip count
+router.get('/unread-count', asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const knex = DatabaseService.getKnex();
+
+    const counts = await knex('coaching_tips')
+      .where('userId', userId)
+      .where('isRead', false)
+      .whereNull('dismissedAt')
+      .select('priority')
+      .count('* as count')
+      .groupBy('priority');
+
+    const byPriority = { high: 0, medium: 0, low: 0 };
+    counts.forEach(row => {
+      byPriority[row.priority] = parseInt(row.count) || 0;
+    });
+
+    sendSuccessResponse(res, {
+      unread: Object.values(byPriority).reduce((sum, count) => sum + count, 0),
+      byPriority
+    }, 'Unread count retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching unread tip count:', error);
+    sendErrorResponse(res, error, 500);
+  }
+}));
+
+// Mark every unread tip as read
+router.put('/read-all', asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const knex = DatabaseService.getKnex();
+
+    const updatedCount = await knex('coaching_tips')
+      .where('userId', userId)
+      .where('isRead', false)
+      .whereNull('dismissedAt')
+      .update({ isRead: true, readAt: new Date() });
+
+    sendSuccessResponse(res, {
+      updatedCount,
+      message: 'All tips marked as read'
+    }, 'All tips marked as read');
+
+  } catch (error) {
+    console.error('Error marking tips as read:', error);
+    sendErrorResponse(res, error, 500);
+  }
+}));
+
+// Get a specific tip
+router.get('/:id', tipIdValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+
+  const userId = req.user.id;
+
+  try {
+    const knex = DatabaseService.getKnex();
+
+    const tip = await knex('coaching_tips')
+      .where({ id: req.params.id, userId })
+      .first();
+
+    if (!tip) {
+      return sendErrorResponse(res, { message: 'Coaching tip not found' }, 404);
+    }
+
+    sendSuccessResponse(res, parseTip(tip), 'Coaching tip retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching coaching tip:', error);
+    sendErrorResponse(res, error, 500);
+  }
+}));
+
+// Mark a tip as read
+router.put('/:id/read', tipIdValidation, asyncHandler(async (req, res) => {
+  await transitionTip(req, res, (tip) => {
+    if (tip.isRead) return null;
+    return { isRead: true, readAt: new Date() };
+  }, 'Tip marked as read');
+}));
+
+// Mark a tip as applied (applying a tip implies having read it)
+router.put('/:id/applied', tipIdValidation, asyncHandler(async (req, res) => {
+  await transitionTip(req, res, (tip) => {
+    if (tip.isApplied) return null;
+
+    const now = new Date();
+    return {
+      isApplied: true,
+      appliedAt: now,
+      ...(!tip.isRead && { isRead: true, readAt: now })
+    };
+  }, 'Tip marked as applied');
+}));
+
+// Dismiss a tip so it no longer shows in the list
+router.put('/:id/dismiss', tipIdValidation, asyncHandler(async (req, res) => {
+  await transitionTip(req, res, (tip) => {
+    if (tip.dismissedAt) return null;
+    return { dismissedAt: new Date() };
+  }, 'Tip dismissed');
+}));
+
+// Helper functions
+
+// Load the user's tip, apply the updates returned by buildUpdates (null means
+// the tip is already in that state) and respond with the resulting tip
+async function transitionTip(req, res, buildUpdates, successMessage) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+
+  const userId = req.user.id;
+  const tipId = req.params.id;
+
+  try {
+    const knex = DatabaseService.getKnex();
+
+    const tip = await knex('coaching_tips')
+      .where({ id: tipId, userId })
+      .first();
+
+    if (!tip) {
+      return sendErrorResponse(res, { message: 'Coaching tip not found' }, 404);
+    }
+
+    const updates = buildUpdates(tip);
+    if (updates) {
+      await knex('coaching_tips')
+        .where('id', tip.id)
+        .update(updates);
+    }
+
+    const updatedTip = await knex('coaching_tips')
+      .where('id', tip.id)
+      .first();
+
+    sendSuccessResponse(res, parseTip(updatedTip), successMessage);
+
+  } catch (error) {
+    console.error('Error updating coaching tip:', error);
+    sendErrorResponse(res, error, 500);
+  }
+}
+
+function parseTip(tip) {
+  return {
+    ...tip,
+    context: tip.context && typeof tip.context === 'string' ? JSON.parse(tip.context) : tip.context
+  };
+}
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { asyncHandler, sendSuccessResponse, sendErrorResponse } = require('../middleware/errorHandler');
+const MaintenanceService = require('../services/MaintenanceService');
+const { SEVERITIES, CHECKS } = require('../utils/maintenanceChecks');
+
+const router = express.Router();
+
+const ALERT_TYPES = Object.keys(CHECKS);
+const STATUSES = ['all', 'active', 'acknowledged', 'resolved', 'dismissed'];
+
+// Validation rules
+const listValidation = [
+  query('status').optional().isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+  query('severity').optional().isIn(SEVERITIES).withMessage(`Severity must be one of: ${SEVERITIES.join(', ')}`),
+  query('type').optional().isIn(ALERT_TYPES).withMessage(`Type must be one of: ${ALERT_TYPES.join(', ')}`),
+  query('vehicleId').optional().isInt({ min: 1 }).withMessage('Vehicle ID must be a positive integer')
+];
+
+const alertIdValidation = [
+  param('id').isInt({ min: 1 }).withMessage('Alert ID must be a positive integer')
+];
+
+// Get maintenance alerts, open ones by default, most severe first
+router.get('/alerts', listValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+
+  const userId = req.user.id;
+  const { status, severity, type, vehicleId } = req.query;
+
+  try {
+    const alerts = await MaintenanceService.listAlerts(userId, { status, severity, type, vehicleId });
+
+    sendSuccessResponse(res, {
+      alerts,
+      total: alerts.length
+    }, 'Maintenance alerts retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching maintenance alerts:', error);
+    sendErrorResponse(res, error, 500);
+  }
+}));
+
+// Get a specific alert with its evidence
+router.get('/alerts/:id', alertIdValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+
+  const userId = req.user.id;
+
+  try {
+    const alert = await MaintenanceService.getAlert(userId, req.params.id);
+
+    sendSuccessResponse(res, alert, 'Maintenance alert retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching maintenance alert:', error);
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
+}));
+
+// Run the maintenance checks now, for one vehicle or all of the user's
+router.post('/analyze', [
+  body('vehicleId').optional().isInt({ min: 1 }).withMessage('Vehicle ID must be a positive integer')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+
+  const userId = req.user.id;
+  const { vehicleId } = req.body;
+
+  try {
+    const vehicles = vehicleId
+      ? [await MaintenanceService.analyzeVehicle(userId, parseInt(vehicleId))]
+      : await MaintenanceService.analyzeUser(userId);
+
+    sendSuccessResponse(res, {
+      vehicles,
+      alerts: vehicles.reduce((all, vehicle) => all.concat(vehicle.alerts), [])
+    }, 'Maintenance analysis completed');
+
+  } catch (error) {
+    console.error('Error running maintenance analysis:', error);
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
+}));
+
+// Acknowledge an alert: seen, but the problem is still there
+router.put('/alerts/:id/acknowledge', alertIdValidation, asyncHandler(async (req, res) => {
+  await transitionAlert(req, res, 'acknowledged', 'Alert acknowledged');
+}));
+
+// Mark an alert as fixed
+router.put('/alerts/:id/resolve', alertIdValidation, asyncHandler(async (req, res) => {
+  await transitionAlert(req, res, 'resolved', 'Alert resolved');
+}));
+
+// Dismiss an alert; it only comes back if the problem gets worse
+router.put('/alerts/:id/dismiss', alertIdValidation, asyncHandler(async (req, res) => {
+  await transitionAlert(req, res, 'dismissed', 'Alert dismissed');
+}));
+
+// Helper functions
+
+async function transitionAlert(req, res, status, successMessage) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+
+  const userId = req.user.id;
+
+  try {
+    const alert = await MaintenanceService.updateStatus(userId, req.params.id, status);
+
+    sendSuccessResponse(res, alert, successMessage);
+
+  } catch (error) {
+    console.error('Error updating maintenance alert:', error);
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
+}
+
+module.exports = router;
@@ -1,24 +1,55 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { asyncHandler, sendSuccessResponse, sendErrorResponse } = require('../middleware/errorHandler');
 const DatabaseService = require('../services/DatabaseService');
+const DiagnosticCodeService = require('../services/DiagnosticCodeService');
+const FuelConsumptionService = require('../services/FuelConsumptionService');
+const OBDBatchService = require('../services/OBDBatchService');
+const { DTC_TYPES, isValidCode, lookupCode } = require('../utils/dtcLookup');
+const { parseNdjson } = require('../utils/obdFrames');
+const { PIDS, PID_COLUMNS, AGGREGATES, getPid, readValue, describeRange, aggregateAlias } = require('../utils/pidRegistry');
 
 const router = express.Router();
 
 // Validation rules
 const obdDataValidation = [
-  body('engineRPM').optional().isFloat({ min: 0 }).withMessage('Engine RPM must be positive'),
-  body('vehicleSpeed').optional().isFloat({ min: 0 }).withMessage('Vehicle speed must be positive'),
-  body('engineLoad').optional().isFloat({ min: 0, max: 100 }).withMessage('Engine load must be between 0 and 100'),
-  body('throttlePosition').optional().isFloat({ min: 0, max: 100 }).withMessage('Throttle position must be between 0 and 100'),
-  body('fuelLevel').optional().isFloat({ min: 0, max: 100 }).withMessage('Fuel level must be between 0 and 100'),
-  body('engineTemp').optional().isFloat({ min: -40, max: 150 }).withMessage('Engine temperature must be between -40 and 150'),
-  body('batteryVoltage').optional().isFloat({ min: 0, max: 20 }).withMessage('Battery voltage must be between 0 and 20'),
-  body('fuelConsumption').optional().isFloat({ min: 0 }).withMessage('Fuel consumption must be positive'),
+  ...PIDS.map(entry => body(entry.column)
+    .optional({ nullable: true })
+    .isFloat({ min: entry.min, ...(entry.max === null ? {} : { max: entry.max }) })
+    .withMessage(describeRange(entry))),
   body('tripId').optional().isInt({ min: 1 }).withMessage('Trip ID must be a positive integer'),
   body('rawData').optional().isObject().withMessage('Raw data must be an object')
 ];
 
+const vehicleIdValidation = [
+  param('vehicleId').isInt({ min: 1 }).withMessage('Vehicle ID must be a positive integer')
+];
+
+// Each mode is a list of codes like P0301; 0 codes means the mode came back clean
+const dtcReadingValidation = [
+  ...vehicleIdValidation,
+  ...DTC_TYPES.flatMap(type => [
+    body(type).optional().isArray({ max: 200 }).withMessage(`${type} must be an array of codes`),
+    body(`${type}.*`).custom(isValidCode).withMessage('Invalid diagnostic trouble code')
+  ]),
+  body().custom(value => DTC_TYPES.some(type => Array.isArray(value[type])))
+    .withMessage(`Provide at least one of: ${DTC_TYPES.join(', ')}`),
+  body('readAt').optional().isISO8601().withMessage('readAt must be an ISO 8601 date')
+];
+
+const dtcClearValidation = [
+  ...vehicleIdValidation,
+  body('clearedAt').optional().isISO8601().withMessage('clearedAt must be an ISO 8601 date'),
+  body('success').optional().isBoolean().withMessage('success must be a boolean'),
+  body('response').optional().isString().isLength({ max: 255 })
+];
+
+const dtcListValidation = [
+  ...vehicleIdValidation,
+  query('status').optional().isIn(['all', 'active', 'cleared', 'resolved']).withMessage('Invalid status'),
+  query('type').optional().isIn(DTC_TYPES).withMessage(`Type must be one of: ${DTC_TYPES.join(', ')}`)
+];
+
 // Store OBD data
 router.post('/data', obdDataValidation, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
@@ -35,21 +66,30 @@ router.post('/data', obdDataValidation, asyncHandler(async (req, res) => {
   try {
     const knex = DatabaseService.getKnex();
     
+    // Frames can only be attached to the user's own trips
+    if (obdData.tripId) {
+      const trip = await knex('trips')
+        .where({ id: obdData.tripId, userId })
+        .first();
+      
+      if (!trip) {
+        return sendErrorResponse(res, { message: 'Trip not found' }, 404);
+      }
+    }
+    
     // Insert OBD data
-    const [obdId] = await knex('obd_data').insert({
+    const row = {
       userId,
       tripId: obdData.tripId || null,
-      engineRPM: obdData.engineRPM || null,
-      vehicleSpeed: obdData.vehicleSpeed || null,
-      engineLoad: obdData.engineLoad || null,
-      throttlePosition: obdData.throttlePosition || null,
-      fuelLevel: obdData.fuelLevel || null,
-      engineTemp: obdData.engineTemp || null,
-      batteryVoltage: obdData.batteryVoltage || null,
-      fuelConsumption: obdData.fuelConsumption || null,
       rawData: obdData.rawData ? JSON.stringify(obdData.rawData) : null,
       timestamp: new Date()
+    };
+    PIDS.forEach(entry => {
+      row[entry.column] = readValue(entry, obdData[entry.column]);
     });
+    await FuelConsumptionService.applyToRows([row]);
+
+    const obdId = await DatabaseService.insertAndGetId('obd_data', row);
     
     sendSuccessResponse(res, { 
       obdId,
@@ -62,6 +102,60 @@ router.post('/data', obdDataValidation, asyncHandler(async (req, res) => {
   }
 }));
 
+// NDJSON bodies (one frame per line); JSON arrays go through express.json.
+// Both are inflated when sent with Content-Encoding: gzip.
+const ndjsonParser = express.text({
+  type: ['application/x-ndjson', 'application/ndjson'],
+  limit: process.env.OBD_BATCH_MAX_BODY || '10mb'
+});
+
+// Store many frames at once, e.g. a drive recorded while offline. Accepts a
+// JSON array, { tripId, frames: [...] } or NDJSON; each frame needs its
+// device timestamp. Invalid frames are reported by index, the rest stored.
+router.post('/data/batch', ndjsonParser, [
+  query('tripId').optional().isInt({ min: 1 }).withMessage('Trip ID must be a positive integer')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+
+  const userId = req.user.id;
+  let frames;
+  let tripId = req.query.tripId ? parseInt(req.query.tripId) : null;
+
+  if (typeof req.body === 'string') {
+    frames = parseNdjson(req.body);
+  } else if (Array.isArray(req.body)) {
+    frames = req.body;
+  } else if (req.body && Array.isArray(req.body.frames)) {
+    frames = req.body.frames;
+    tripId = parseInt(req.body.tripId) || tripId;
+  } else {
+    return sendErrorResponse(res, {
+      message: 'Expected a JSON array of frames, { frames: [...] } or NDJSON'
+    }, 400);
+  }
+
+  try {
+    const result = await OBDBatchService.ingest(userId, frames, { tripId });
+
+    sendSuccessResponse(
+      res,
+      result,
+      `Stored ${result.inserted} of ${result.received} OBD frames`,
+      result.inserted > 0 ? 201 : 200
+    );
+
+  } catch (error) {
+    console.error('Error storing OBD batch:', error);
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
+}));
+
 // Get OBD data for a user
 router.get('/data', asyncHandler(async (req, res) => {
   const userId = req.user.id;
@@ -170,6 +264,14 @@ router.get('/data/trip/:tripId', asyncHandler(async (req, res) => {
   }
 }));
 
+// List the PIDs stored as their own columns, with units and accepted ranges
+router.get('/pids', asyncHandler(async (req, res) => {
+  sendSuccessResponse(res, {
+    pids: PIDS,
+    total: PIDS.length
+  }, 'OBD PIDs retrieved successfully');
+}));
+
 // Get OBD data statistics
 router.get('/stats', asyncHandler(async (req, res) => {
   const userId = req.user.id;
@@ -198,67 +300,37 @@ router.get('/stats', asyncHandler(async (req, res) => {
         dateFilter = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
     }
     
+    // One COUNT per PID plus its aggregates from the registry
+    const aggregates = [knex.raw('COUNT(*) as ??', ['totalRecords'])];
+    PIDS.forEach(entry => {
+      aggregates.push(knex.raw('COUNT(??) as ??', [entry.column, `count_${entry.column}`]));
+      entry.stats.forEach(stat => {
+        aggregates.push(knex.raw(`${AGGREGATES[stat]}(??) as ??`, [entry.column, aggregateAlias(entry.column, stat)]));
+      });
+    });
+
     const stats = await knex('obd_data')
       .where('userId', userId)
       .where('timestamp', '>=', dateFilter)
-      .select(
-        knex.raw('COUNT(*) as totalRecords'),
-        knex.raw('AVG(engineRPM) as avgEngineRPM'),
-        knex.raw('MAX(engineRPM) as maxEngineRPM'),
-        knex.raw('AVG(vehicleSpeed) as avgVehicleSpeed'),
-        knex.raw('MAX(vehicleSpeed) as maxVehicleSpeed'),
-        knex.raw('AVG(engineLoad) as avgEngineLoad'),
-        knex.raw('MAX(engineLoad) as maxEngineLoad'),
-        knex.raw('AVG(throttlePosition) as avgThrottlePosition'),
-        knex.raw('MAX(throttlePosition) as maxThrottlePosition'),
-        knex.raw('AVG(fuelLevel) as avgFuelLevel'),
-        knex.raw('MIN(fuelLevel) as minFuelLevel'),
-        knex.raw('AVG(engineTemp) as avgEngineTemp'),
-        knex.raw('MAX(engineTemp) as maxEngineTemp'),
-        knex.raw('AVG(batteryVoltage) as avgBatteryVoltage'),
-        knex.raw('MIN(batteryVoltage) as minBatteryVoltage'),
-        knex.raw('AVG(fuelConsumption) as avgFuelConsumption'),
-        knex.raw('MIN(fuelConsumption) as minFuelConsumption')
-      )
+      .select(aggregates)
       .first();
     
+    const summary = {
+      totalRecords: parseInt(stats.totalRecords) || 0
+    };
+    PIDS.forEach(entry => {
+      summary[entry.column] = {
+        unit: entry.unit,
+        samples: parseInt(stats[`count_${entry.column}`]) || 0
+      };
+      entry.stats.forEach(stat => {
+        summary[entry.column][stat] = parseFloat(stats[aggregateAlias(entry.column, stat)]) || 0;
+      });
+    });
+
     const response = {
       timeRange,
-      summary: {
-        totalRecords: parseInt(stats.totalRecords) || 0,
-        engineRPM: {
-          average: parseFloat(stats.avgEngineRPM) || 0,
-          maximum: parseFloat(stats.maxEngineRPM) || 0
-        },
-        vehicleSpeed: {
-          average: parseFloat(stats.avgVehicleSpeed) || 0,
-          maximum: parseFloat(stats.maxVehicleSpeed) || 0
-        },
-        engineLoad: {
-          average: parseFloat(stats.avgEngineLoad) || 0,
-          maximum: parseFloat(stats.maxEngineLoad) || 0
-        },
-        throttlePosition: {
-          average: parseFloat(stats.avgThrottlePosition) || 0,
-          maximum: parseFloat(stats.maxThrottlePosition) || 0
-        },
-        fuelLevel: {
-          average: parseFloat(stats.avgFuelLevel) || 0,
-          minimum: parseFloat(stats.minFuelLevel) || 0
-        },
-        engineTemp: {
-          average: parseFloat(stats.avgEngineTemp) || 0,
-          maximum: parseFloat(stats.maxEngineTemp) || 0
-        },
-        batteryVoltage: {
-          average: parseFloat(stats.avgBatteryVoltage) || 0,
-          minimum: parseFloat(stats.minBatteryVoltage) || 0
-        },
-        fuelConsumption: {
-          average: parseFloat(stats.avgFuelConsumption) || 0,
-          minimum: parseFloat(stats.minFuelConsumption) || 0
-        }
-      }
+      summary
     };
     
     sendSuccessResponse(res, response, 'OBD statistics retrieved successfully');
@@ -302,7 +374,17 @@ router.get('/data/latest', asyncHandler(async (req, res) => {
 }));
 
 // Get OBD data trends over time
-router.get('/trends', asyncHandler(async (req, res) => {
+router.get('/trends', [
+  query('metric').optional().isIn(PID_COLUMNS).withMessage(`Metric must be one of: ${PID_COLUMNS.join(', ')}`)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+
   const userId = req.user.id;
   const { metric = 'engineRPM', timeRange = '24h', interval = '1h' } = req.query;
   
@@ -342,6 +424,7 @@ router.get('/trends', asyncHandler(async (req, res) => {
     
     sendSuccessResponse(res, {
       metric,
+      unit: getPid(metric).unit,
       timeRange,
       interval,
       data: groupedData
@@ -397,6 +480,127 @@ function groupDataByInterval(data, interval, metric) {
   }));
 }
 
+// Upload the codes read from a vehicle (Mode 03 stored, 07 pending, 0A permanent)
+router.post('/vehicles/:vehicleId/dtcs', dtcReadingValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+
+  const userId = req.user.id;
+  const { readAt, ...readings } = req.body;
+
+  try {
+    const result = await DiagnosticCodeService.recordReading(
+      userId,
+      parseInt(req.params.vehicleId),
+      readings,
+      readAt ? new Date(readAt) : new Date()
+    );
+
+    sendSuccessResponse(res, result, 'Diagnostic codes recorded successfully', 201);
+
+  } catch (error) {
+    console.error('Error recording diagnostic codes:', error);
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
+}));
+
+// Get a vehicle's codes with descriptions, active ones by default
+router.get('/vehicles/:vehicleId/dtcs', dtcListValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+
+  const userId = req.user.id;
+  const { status = 'active', type } = req.query;
+
+  try {
+    const codes = await DiagnosticCodeService.listCodes(userId, parseInt(req.params.vehicleId), { status, type });
+
+    sendSuccessResponse(res, {
+      codes,
+      total: codes.length
+    }, 'Diagnostic codes retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching diagnostic codes:', error);
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
+}));
+
+// Record a Mode 04 clear sent from the app, and who sent it
+router.post('/vehicles/:vehicleId/dtcs/clear', dtcClearValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+
+  const userId = req.user.id;
+  const { clearedAt, success, response } = req.body;
+
+  try {
+    const result = await DiagnosticCodeService.recordClear(userId, parseInt(req.params.vehicleId), {
+      clearedAt: clearedAt ? new Date(clearedAt) : new Date(),
+      success: success === undefined ? true : success === true || success === 'true',
+      response: response || null
+    });
+
+    sendSuccessResponse(res, result, 'Diagnostic code clear recorded successfully', 201);
+
+  } catch (error) {
+    console.error('Error recording diagnostic code clear:', error);
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
+}));
+
+// Get the clear history of a vehicle
+router.get('/vehicles/:vehicleId/dtcs/clears', vehicleIdValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+
+  const userId = req.user.id;
+
+  try {
+    const clears = await DiagnosticCodeService.listClears(userId, parseInt(req.params.vehicleId));
+
+    sendSuccessResponse(res, {
+      clears,
+      total: clears.length
+    }, 'Diagnostic code clears retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching diagnostic code clears:', error);
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
+}));
+
+// Describe a code from the bundled lookup table
+router.get('/dtc/:code', asyncHandler(async (req, res) => {
+  const result = lookupCode(req.params.code);
+
+  if (!result) {
+    return sendErrorResponse(res, { message: 'Invalid diagnostic trouble code' }, 400);
+  }
+
+  sendSuccessResponse(res, result, 'Diagnostic code retrieved successfully');
+}));
+
 // Delete OBD data (for cleanup purposes)
 router.delete('/data', asyncHandler(async (req, res) => {
   const userId = req.user.id;
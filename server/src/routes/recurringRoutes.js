@@ -0,0 +1,113 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { asyncHandler, sendSuccessResponse, sendErrorResponse } = require('../middleware/errorHandler');
+const RecurringRouteService = require('../services/RecurringRouteService');
+
+const router = express.Router();
+
+// Validation rules
+
+// Time-of-day figures are in the driver's local time: minutes ahead of UTC
+const utcOffsetValidation = [
+  query('utcOffset').optional().isInt({ min: -720, max: 840 }).withMessage('UTC offset must be between -720 and 840 minutes')
+];
+
+const routeIdValidation = [
+  param('id').isInt({ min: 1 }).withMessage('Route ID must be a positive integer')
+];
+
+const renameValidation = [
+  ...routeIdValidation,
+  body('name').isString().trim().isLength({ min: 1, max: 255 }).withMessage('Name must be 1 to 255 characters')
+];
+
+// Get the user's recurring routes with best/median/worst efficiency and eco score
+router.get('/', utcOffsetValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+
+  const userId = req.user.id;
+  const utcOffset = parseInt(req.query.utcOffset) || 0;
+
+  try {
+    const routes = await RecurringRouteService.listRoutes(userId, { utcOffset });
+
+    sendSuccessResponse(res, {
+      routes,
+      total: routes.length
+    }, 'Routes retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching routes:', error);
+    sendErrorResponse(res, error, 500);
+  }
+}));
+
+// Rebuild the user's routes from all their completed trips
+router.post('/recompute', asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const result = await RecurringRouteService.recluster(userId);
+
+    sendSuccessResponse(res, result, 'Routes recomputed');
+
+  } catch (error) {
+    console.error('Error recomputing routes:', error);
+    sendErrorResponse(res, error, 500);
+  }
+}));
+
+// Get a route with its benchmarks, time-of-day effects, trend and trips
+router.get('/:id', [...routeIdValidation, ...utcOffsetValidation], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+
+  const userId = req.user.id;
+  const utcOffset = parseInt(req.query.utcOffset) || 0;
+
+  try {
+    const route = await RecurringRouteService.getRoute(userId, req.params.id, { utcOffset });
+
+    sendSuccessResponse(res, route, 'Route retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching route:', error);
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
+}));
+
+// Rename a route
+router.put('/:id', renameValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+
+  const userId = req.user.id;
+
+  try {
+    const route = await RecurringRouteService.renameRoute(userId, req.params.id, req.body.name);
+
+    sendSuccessResponse(res, route, 'Route updated successfully');
+
+  } catch (error) {
+    console.error('Error updating route:', error);
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
+}));
+
+module.exports = router;
@@ -1,7 +1,28 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { asyncHandler, sendSuccessResponse, sendErrorResponse } = require('../middleware/errorHandler');
 const DatabaseService = require('../services/DatabaseService');
+const EcoScoreService = require('../services/EcoScoreService');
+const ElevationService = require('../services/ElevationService');
+const EventDetectionService = require('../services/EventDetectionService');
+const FuelConsumptionService = require('../services/FuelConsumptionService');
+const MapMatchingService = require('../services/MapMatchingService');
+const RecurringRouteService = require('../services/RecurringRouteService');
+const TripExportService = require('../services/TripExportService');
+const TripService = require('../services/TripService');
+const { CURRENT_ECO_SCORE_VERSION } = require('../utils/ecoScore');
+const { parseGpx } = require('../utils/gpx');
+const { toNumberOrNull } = require('../utils/numbers');
+const { decodePolyline } = require('../utils/polyline');
+const {
+  toRoutePoint,
+  validateRoutePoints,
+  describeRouteErrors,
+  interpolateTimestamps,
+  toRouteRow
+} = require('../utils/routePoints');
+const { rejectOutliers, simplifyToLimit } = require('../utils/routeSimplify');
+const { EXPORT_FORMATS } = require('../utils/tripExport');
 
 const router = express.Router();
 
@@ -10,13 +31,40 @@ const tripValidation = [
   body('startTime').isISO8601().withMessage('Start time must be a valid ISO date'),
   body('distance').isFloat({ min: 0 }).withMessage('Distance must be a positive number'),
   body('fuelConsumed').isFloat({ min: 0 }).withMessage('Fuel consumed must be a positive number'),
-  body('ecoScore').isInt({ min: 0, max: 100 }).withMessage('Eco score must be between 0 and 100'),
+  body('ecoScore').optional().isInt({ min: 0, max: 100 }).withMessage('Eco score must be between 0 and 100'),
   body('route').isArray().withMessage('Route must be an array'),
   body('route.*.lat').isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
   body('route.*.lng').isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
-  body('route.*.timestamp').isISO8601().withMessage('Route timestamp must be a valid ISO date')
+  body('route.*.timestamp').isISO8601().withMessage('Route timestamp must be a valid ISO date'),
+  body('route.*.altitude').optional({ nullable: true }).isFloat().withMessage('Altitude must be a number'),
+  body('route.*.speed').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Speed must be positive'),
+  body('route.*.heading').optional({ nullable: true }).isFloat({ min: 0, max: 360 }).withMessage('Heading must be between 0 and 360'),
+  body('route.*.accuracy').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Accuracy must be positive')
+];
+
+const polylineImportValidation = [
+  body('polyline').isString().notEmpty().withMessage('Polyline is required'),
+  body('precision').optional().isInt({ min: 5, max: 6 }).withMessage('Precision must be 5 or 6'),
+  body('timestamps').optional().isArray().withMessage('Timestamps must be an array'),
+  body('timestamps.*').isISO8601().withMessage('Timestamps must be valid ISO dates'),
+  body('startTime').optional().isISO8601().withMessage('Start time must be a valid ISO date'),
+  body('endTime').optional().isISO8601().withMessage('End time must be a valid ISO date'),
+  body('vehicleId').optional().isInt({ min: 1 }).withMessage('Vehicle ID must be a positive integer'),
+  body('name').optional().isString().isLength({ max: 255 })
+];
+
+const gpxImportValidation = [
+  query('startTime').optional().isISO8601().withMessage('Start time must be a valid ISO date'),
+  query('endTime').optional().isISO8601().withMessage('End time must be a valid ISO date'),
+  query('vehicleId').optional().isInt({ min: 1 }).withMessage('Vehicle ID must be a positive integer')
 ];
 
+// GPX uploads are sent as the raw document
+const gpxParser = express.text({
+  type: ['application/gpx+xml', 'application/xml', 'text/xml'],
+  limit: '10mb'
+});
+
 const tripUpdateValidation = [
   body('distance').optional().isFloat({ min: 0 }).withMessage('Distance must be a positive number'),
   body('fuelConsumed').optional().isFloat({ min: 0 }).withMessage('Fuel consumed must be a positive number'),
@@ -24,9 +72,50 @@ const tripUpdateValidation = [
   body('route').optional().isArray().withMessage('Route must be an array')
 ];
 
+const eventDetectionValidation = [
+  body('tripIds').optional().isArray({ min: 1, max: 100 }).withMessage('Trip IDs must be an array of 1 to 100 IDs'),
+  body('tripIds.*').isInt({ min: 1 }).withMessage('Trip IDs must be positive integers'),
+  body('since').optional().isISO8601().withMessage('Since must be a valid ISO date')
+];
+
+// Per-request control over the route returned with a trip
+const routeShapeValidation = [
+  query('simplify').optional().isFloat({ min: 0, max: 10000 }).withMessage('Simplify tolerance must be between 0 and 10000 meters'),
+  query('maxPoints').optional().isInt({ min: 2 }).withMessage('Max points must be an integer of at least 2'),
+  query('maxAccuracy').optional().isFloat({ min: 1 }).withMessage('Max accuracy must be at least 1 meter'),
+  query('snap').optional().isBoolean().withMessage('Snap must be a boolean')
+];
+
+const exportValidation = [
+  query('format').optional().isIn(Object.keys(EXPORT_FORMATS))
+    .withMessage(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`),
+  query('obd').optional().isBoolean().withMessage('OBD must be a boolean')
+];
+
+const archiveExportValidation = [
+  ...exportValidation,
+  query('ids').optional().matches(/^\d+(,\d+)*$/).withMessage('IDs must be a comma-separated list of trip IDs'),
+  query('since').optional().isISO8601().withMessage('Since must be a valid ISO date'),
+  query('until').optional().isISO8601().withMessage('Until must be a valid ISO date')
+];
+
+const ecoScoreRecomputeValidation = [
+  ...eventDetectionValidation,
+  body('force').optional().isBoolean().withMessage('Force must be a boolean')
+];
+
 // Get all trips for a user
-router.get('/', asyncHandler(async (req, res) => {
+router.get('/', routeShapeValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+  
   const userId = req.user.id;
+  const routeOptions = parseRouteOptions(req.query);
   const { page = 1, limit = 20, sortBy = 'startTime', sortOrder = 'desc' } = req.query;
   
   const offset = (page - 1) * limit;
@@ -49,19 +138,16 @@ router.get('/', asyncHandler(async (req, res) => {
     // Get route data for each trip
     const tripsWithRoutes = await Promise.all(
       trips.map(async (trip) => {
-        const route = await knex('trip_routes')
-          .where('tripId', trip.id)
-          .orderBy('sequence')
-          .select('lat', 'lng', 'timestamp');
+        const route = await loadRoute(knex, trip.id, routeOptions);
         
         const events = await knex('trip_events')
           .where('tripId', trip.id)
           .orderBy('timestamp')
-          .select('type', 'severity', 'timestamp', 'lat', 'lng');
+          .select('type', 'severity', 'timestamp', 'lat', 'lng', 'source');
         
         return {
-          ...trip,
-          route,
+          ...parseTrip(trip),
+          ...route,
           events
         };
       })
@@ -82,12 +168,66 @@ router.get('/', asyncHandler(async (req, res) => {
     
   } catch (error) {
     console.error('Error fetching trips:', error);
-    sendErrorResponse(res, error, 500);
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
+}));
+
+// Export several trips as a zip archive with one file per trip: the trips
+// listed in `ids`, or every completed trip between `since` and `until`
+router.get('/export', archiveExportValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+  
+  const userId = req.user.id;
+  const { format = 'gpx', ids, since, until, obd } = req.query;
+  
+  let trips;
+  try {
+    trips = await TripExportService.findTrips(userId, {
+      tripIds: ids ? ids.split(',').map(id => parseInt(id)) : null,
+      since,
+      until
+    });
+  } catch (error) {
+    console.error('Error selecting trips to export:', error);
+    return sendErrorResponse(res, error, error.statusCode || 500);
+  }
+  
+  if (trips.length === 0) {
+    return sendErrorResponse(res, { message: 'No trips to export' }, 404);
+  }
+  
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="trips-${format}.zip"`
+  });
+  
+  try {
+    await TripExportService.streamArchive(res, trips, format, { includeObd: obd === 'true' });
+  } catch (error) {
+    // Headers and part of the archive are already out; all we can do is cut
+    // the connection so the client sees a truncated download
+    console.error('Error streaming trip export:', error);
+    res.destroy(error);
   }
 }));
 
-// Get a specific trip by ID
-router.get('/:id', asyncHandler(async (req, res) => {
+// Get a specific trip by ID. The route can be thinned with outlier
+// rejection, snapping to roads and Douglas-Peucker simplification.
+router.get('/:id', routeShapeValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+  
   const userId = req.user.id;
   const tripId = req.params.id;
   
@@ -103,28 +243,28 @@ router.get('/:id', asyncHandler(async (req, res) => {
     }
     
     // Get route data
-    const route = await knex('trip_routes')
-      .where('tripId', tripId)
-      .orderBy('sequence')
-      .select('lat', 'lng', 'timestamp');
+    const route = await loadRoute(knex, tripId, parseRouteOptions(req.query));
     
     // Get events
     const events = await knex('trip_events')
       .where('tripId', tripId)
       .orderBy('timestamp')
-      .select('type', 'severity', 'timestamp', 'lat', 'lng');
+      .select('type', 'severity', 'timestamp', 'lat', 'lng', 'source', 'data');
     
     const tripWithDetails = {
-      ...trip,
-      route,
-      events
+      ...parseTrip(trip),
+      ...route,
+      events: events.map(event => ({
+        ...event,
+        data: event.data && typeof event.data === 'string' ? JSON.parse(event.data) : event.data
+      }))
     };
     
     sendSuccessResponse(res, tripWithDetails, 'Trip retrieved successfully');
     
   } catch (error) {
     console.error('Error fetching trip:', error);
-    sendErrorResponse(res, error, 500);
+    sendErrorResponse(res, error, error.statusCode || 500);
   }
 }));
 
@@ -141,6 +281,16 @@ router.post('/', tripValidation, asyncHandler(async (req, res) => {
   const userId = req.user.id;
   const tripData = req.body;
   
+  // Points must be timestamped and in order; telemetry is kept as sent
+  const route = (tripData.route || []).map(toRoutePoint);
+  const routeErrors = validateRoutePoints(route);
+  if (routeErrors.length > 0) {
+    return sendErrorResponse(res, {
+      message: describeRouteErrors(routeErrors),
+      details: routeErrors
+    }, 400);
+  }
+  
   try {
     const knex = DatabaseService.getKnex();
     
@@ -154,21 +304,15 @@ router.post('/', tripValidation, asyncHandler(async (req, res) => {
         distance: tripData.distance,
         fuelConsumed: tripData.fuelConsumed,
         efficiency: tripData.efficiency || 0,
-        ecoScore: tripData.ecoScore,
+        ecoScore: tripData.ecoScore !== undefined ? tripData.ecoScore : null,
         status: tripData.endTime ? 'completed' : 'active'
       });
       
       // Insert route points
-      if (tripData.route && tripData.route.length > 0) {
-        const routeData = tripData.route.map((point, index) => ({
-          tripId,
-          sequence: index,
-          lat: point.lat,
-          lng: point.lng,
-          timestamp: point.timestamp
-        }));
+      if (route.length > 0) {
+        const routeData = route.map((point, index) => toRouteRow(tripId, index, point));
         
-        await trx('trip_routes').insert(routeData);
+        await knex.batchInsert('trip_routes', routeData, 200).transacting(trx);
       }
       
       // Insert events
@@ -188,12 +332,16 @@ router.post('/', tripValidation, asyncHandler(async (req, res) => {
       return tripId;
     });
     
+    // Derived figures come from the server; the server score replaces the
+    // client's whenever there is data to score
+    await TripService.finalizeTrip(result, { changed: [tripData.endTime ? 'completed' : 'totals'] });
+    
     // Fetch the created trip with all details
     const createdTrip = await knex('trips')
       .where('id', result)
       .first();
     
-    sendSuccessResponse(res, { tripId: result, trip: createdTrip }, 'Trip created successfully', 201);
+    sendSuccessResponse(res, { tripId: result, trip: parseTrip(createdTrip) }, 'Trip created successfully', 201);
     
   } catch (error) {
     console.error('Error creating trip:', error);
@@ -215,6 +363,15 @@ router.put('/:id', tripUpdateValidation, asyncHandler(async (req, res) => {
   const tripId = req.params.id;
   const updateData = req.body;
   
+  const route = (updateData.route || []).map(toRoutePoint);
+  const routeErrors = validateRoutePoints(route);
+  if (routeErrors.length > 0) {
+    return sendErrorResponse(res, {
+      message: describeRouteErrors(routeErrors),
+      details: routeErrors
+    }, 400);
+  }
+  
   try {
     const knex = DatabaseService.getKnex();
     
@@ -235,7 +392,12 @@ router.put('/:id', tripUpdateValidation, asyncHandler(async (req, res) => {
       if (updateData.distance !== undefined) tripUpdates.distance = updateData.distance;
       if (updateData.fuelConsumed !== undefined) tripUpdates.fuelConsumed = updateData.fuelConsumed;
       if (updateData.efficiency !== undefined) tripUpdates.efficiency = updateData.efficiency;
-      if (updateData.ecoScore !== undefined) tripUpdates.ecoScore = updateData.ecoScore;
+      if (updateData.ecoScore !== undefined) {
+        // A client-supplied score has no server breakdown behind it
+        tripUpdates.ecoScore = updateData.ecoScore;
+        tripUpdates.ecoScoreVersion = null;
+        tripUpdates.ecoScoreBreakdown = null;
+      }
       if (updateData.endTime) tripUpdates.status = 'completed';
       
       if (Object.keys(tripUpdates).length > 0) {
@@ -245,25 +407,32 @@ router.put('/:id', tripUpdateValidation, asyncHandler(async (req, res) => {
       }
       
       // Update route if provided
-      if (updateData.route && updateData.route.length > 0) {
+      if (route.length > 0) {
         // Delete existing route
         await trx('trip_routes')
           .where('tripId', tripId)
           .del();
         
         // Insert new route
-        const routeData = updateData.route.map((point, index) => ({
-          tripId,
-          sequence: index,
-          lat: point.lat,
-          lng: point.lng,
-          timestamp: point.timestamp
-        }));
+        const routeData = route.map((point, index) => toRouteRow(tripId, index, point));
         
-        await trx('trip_routes').insert(routeData);
+        await knex.batchInsert('trip_routes', routeData, 200).transacting(trx);
       }
     });
     
+    // A finished trip's fuel comes from its OBD frames when they have fuel
+    // data, not from the client's totals, and a score the client sends is kept
+    const changed = [];
+    if (updateData.endTime) changed.push('completed');
+    if (route.length > 0) changed.push('route');
+    if (updateData.distance !== undefined || updateData.fuelConsumed !== undefined ||
+        updateData.efficiency !== undefined) {
+      changed.push('totals');
+    }
+    if (updateData.ecoScore !== undefined) changed.push('ecoScore');
+    
+    await TripService.finalizeTrip(tripId, { changed });
+    
     sendSuccessResponse(res, { message: 'Trip updated successfully' });
     
   } catch (error) {
@@ -307,6 +476,340 @@ router.delete('/:id', asyncHandler(async (req, res) => {
   }
 }));
 
+// Re-run event detection for a user's completed trips
+router.post('/events/detect', eventDetectionValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, { 
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+  
+  const userId = req.user.id;
+  const { tripIds, since } = req.body;
+  
+  try {
+    const results = await EventDetectionService.detectForUser(userId, { tripIds, since });
+    
+    sendSuccessResponse(res, {
+      tripsProcessed: results.length,
+      eventCount: results.reduce((sum, result) => sum + result.eventCount, 0),
+      results
+    }, 'Event detection completed');
+    
+  } catch (error) {
+    console.error('Error re-running event detection:', error);
+    sendErrorResponse(res, error, 500);
+  }
+}));
+
+// Re-run elevation analysis for a user's completed trips, e.g. for trips
+// recorded before it existed
+router.post('/elevation/recompute', eventDetectionValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+  
+  const userId = req.user.id;
+  const { tripIds, since } = req.body;
+  
+  try {
+    const results = await ElevationService.applyToUser(userId, { tripIds, since });
+    
+    sendSuccessResponse(res, {
+      tripsProcessed: results.length,
+      results
+    }, 'Elevation analysis completed');
+    
+  } catch (error) {
+    console.error('Error recomputing trip elevation:', error);
+    sendErrorResponse(res, error, 500);
+  }
+}));
+
+// Import a completed trip from a GPX 1.1 document (the request body). Tracks
+// without timestamps need startTime and endTime to spread them over.
+router.post('/import/gpx', gpxParser, gpxImportValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+  
+  const userId = req.user.id;
+  const { startTime, endTime, vehicleId } = req.query;
+  
+  let gpx;
+  try {
+    gpx = parseGpx(typeof req.body === 'string' ? req.body : '');
+  } catch (error) {
+    return sendErrorResponse(res, { message: 'Request body must be a GPX document' }, 400);
+  }
+  
+  let points = gpx.points.map(toRoutePoint);
+  if (points.length > 0 && points.every(point => !point.timestamp)) {
+    if (!startTime || !endTime) {
+      return sendErrorResponse(res, {
+        message: 'This GPX file has no timestamps; provide startTime and endTime'
+      }, 400);
+    }
+    points = interpolateTimestamps(points, startTime, endTime);
+  }
+  
+  try {
+    const trip = await TripService.importTrip(userId, {
+      points,
+      vehicleId: vehicleId ? parseInt(vehicleId) : null,
+      source: 'gpx',
+      name: gpx.name
+    });
+    
+    sendSuccessResponse(res, { tripId: trip.id, trip: parseTrip(trip) }, 'Trip imported successfully', 201);
+    
+  } catch (error) {
+    console.error('Error importing GPX trip:', error);
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
+}));
+
+// Import a completed trip from an encoded polyline. Polylines carry no time,
+// so either one timestamp per point or the trip's startTime and endTime.
+router.post('/import/polyline', polylineImportValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+  
+  const userId = req.user.id;
+  const { polyline, precision = 5, timestamps, startTime, endTime, vehicleId, name } = req.body;
+  
+  let points;
+  try {
+    points = decodePolyline(polyline, parseInt(precision));
+  } catch (error) {
+    return sendErrorResponse(res, { message: `Invalid polyline: ${error.message}` }, 400);
+  }
+  
+  if (timestamps) {
+    if (timestamps.length !== points.length) {
+      return sendErrorResponse(res, {
+        message: `Expected ${points.length} timestamps, one per point, got ${timestamps.length}`
+      }, 400);
+    }
+    points = points.map((point, index) => toRoutePoint({ ...point, timestamp: timestamps[index] }));
+  } else if (startTime && endTime) {
+    points = interpolateTimestamps(points.map(toRoutePoint), startTime, endTime);
+  } else {
+    return sendErrorResponse(res, {
+      message: 'Provide timestamps or startTime and endTime'
+    }, 400);
+  }
+  
+  try {
+    const trip = await TripService.importTrip(userId, {
+      points,
+      vehicleId: vehicleId ? parseInt(vehicleId) : null,
+      source: 'polyline',
+      name: name || null
+    });
+    
+    sendSuccessResponse(res, { tripId: trip.id, trip: parseTrip(trip) }, 'Trip imported successfully', 201);
+    
+  } catch (error) {
+    console.error('Error importing polyline trip:', error);
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
+}));
+
+// Export a trip as GPX, KML, GeoJSON or CSV, optionally with its OBD data
+// aligned to the route points
+router.get('/:id/export', exportValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+  
+  const userId = req.user.id;
+  const tripId = req.params.id;
+  const { format = 'gpx', obd } = req.query;
+  
+  try {
+    const file = await TripExportService.exportTrip(userId, tripId, format, { includeObd: obd === 'true' });
+    
+    res.set({
+      'Content-Type': `${file.contentType}; charset=utf-8`,
+      'Content-Disposition': `attachment; filename="${file.fileName}"`
+    });
+    res.send(file.content);
+    
+  } catch (error) {
+    console.error('Error exporting trip:', error);
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
+}));
+
+// Re-run event detection for a single trip
+router.post('/:id/events/detect', asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const tripId = req.params.id;
+  
+  try {
+    const knex = DatabaseService.getKnex();
+    
+    const trip = await knex('trips')
+      .where({ id: tripId, userId })
+      .first();
+    
+    if (!trip) {
+      return sendErrorResponse(res, { message: 'Trip not found' }, 404);
+    }
+    
+    const result = await EventDetectionService.detectForTrip(trip.id);
+    
+    sendSuccessResponse(res, result, 'Event detection completed');
+    
+  } catch (error) {
+    console.error('Error running event detection:', error);
+    sendErrorResponse(res, error, 500);
+  }
+}));
+
+// Climb, descent and efficiency uphill, on the flat and downhill, plus the
+// trip's efficiency with the effect of elevation taken out
+router.get('/:id/elevation', asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const tripId = req.params.id;
+  
+  try {
+    const knex = DatabaseService.getKnex();
+    
+    const trip = await knex('trips')
+      .where({ id: tripId, userId })
+      .first();
+    
+    if (!trip) {
+      return sendErrorResponse(res, { message: 'Trip not found' }, 404);
+    }
+    
+    const analysis = await ElevationService.analyzeTrip(trip.id);
+    
+    sendSuccessResponse(res, analysis, 'Trip elevation analysis retrieved successfully');
+    
+  } catch (error) {
+    console.error('Error analyzing trip elevation:', error);
+    sendErrorResponse(res, error, 500);
+  }
+}));
+
+// Compare a trip with the other trips on its recurring route
+router.get('/:id/route-comparison', [
+  query('utcOffset').optional().isInt({ min: -720, max: 840 }).withMessage('UTC offset must be between -720 and 840 minutes')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, {
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+  
+  const userId = req.user.id;
+  const utcOffset = parseInt(req.query.utcOffset) || 0;
+  
+  try {
+    const comparison = await RecurringRouteService.compareTrip(userId, req.params.id, { utcOffset });
+    
+    sendSuccessResponse(res, comparison, 'Route comparison retrieved successfully');
+    
+  } catch (error) {
+    console.error('Error comparing trip to its route:', error);
+    sendErrorResponse(res, error, error.statusCode || 500);
+  }
+}));
+
+// Re-derive a trip's fuel figures from its OBD frames, e.g. after the
+// vehicle's fuel type or engine displacement was filled in
+router.post('/:id/fuel/recompute', asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const tripId = req.params.id;
+  
+  try {
+    const knex = DatabaseService.getKnex();
+    
+    const trip = await knex('trips')
+      .where({ id: tripId, userId })
+      .first();
+    
+    if (!trip) {
+      return sendErrorResponse(res, { message: 'Trip not found' }, 404);
+    }
+    
+    const result = await FuelConsumptionService.applyToTrip(trip.id, { rederive: true });
+    
+    // Efficiency feeds the eco score, the predictions' outcomes and elevation
+    if (result.applied) {
+      await TripService.finalizeTrip(trip.id, { changed: ['fuel'] });
+    }
+    
+    sendSuccessResponse(res, result, 'Trip fuel recomputed');
+    
+  } catch (error) {
+    console.error('Error recomputing trip fuel:', error);
+    sendErrorResponse(res, error, 500);
+  }
+}));
+
+// Recompute eco scores after the scoring model changes
+router.post('/eco-score/recompute', ecoScoreRecomputeValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, { 
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+  
+  const userId = req.user.id;
+  const { tripIds, since, force } = req.body;
+  
+  try {
+    const results = await EcoScoreService.recompute(userId, {
+      tripIds,
+      since,
+      force: force === true || force === 'true'
+    });
+    
+    // Rescored trips change the outcome their predictions are measured against
+    for (const result of results.filter(entry => entry.rescored)) {
+      await TripService.finalizeTrip(result.tripId, { changed: ['ecoScore'] });
+    }
+    
+    sendSuccessResponse(res, {
+      version: CURRENT_ECO_SCORE_VERSION,
+      tripsProcessed: results.length,
+      tripsRescored: results.filter(result => result.rescored).length,
+      results
+    }, 'Eco scores recomputed');
+    
+  } catch (error) {
+    console.error('Error recomputing eco scores:', error);
+    sendErrorResponse(res, error, 500);
+  }
+}));
+
 // Get trip statistics
 router.get('/stats/summary', asyncHandler(async (req, res) => {
   const userId = req.user.id;
@@ -381,4 +884,81 @@ router.get('/stats/summary', asyncHandler(async (req, res) => {
   }
 }));
 
+// Helper functions
+function parseRouteOptions(query) {
+  const options = {
+    simplify: query.simplify !== undefined ? parseFloat(query.simplify) : null,
+    maxPoints: query.maxPoints !== undefined ? parseInt(query.maxPoints) : null,
+    maxAccuracy: query.maxAccuracy !== undefined ? parseFloat(query.maxAccuracy) : null,
+    snap: query.snap === 'true'
+  };
+  options.shaped = options.simplify !== null || options.maxPoints !== null ||
+    options.maxAccuracy !== null || options.snap;
+  return options;
+}
+
+// A trip's route as { route } of { lat, lng, timestamp }. When any shaping
+// option is set, outliers are dropped first, then points are snapped to roads
+// and finally simplified, and { routeInfo } reports what was done.
+async function loadRoute(knex, tripId, options) {
+  if (!options.shaped) {
+    const route = await knex('trip_routes')
+      .where('tripId', tripId)
+      .orderBy('sequence')
+      .select('lat', 'lng', 'timestamp');
+    return { route };
+  }
+  
+  const rows = await knex('trip_routes')
+    .where('tripId', tripId)
+    .orderBy('sequence')
+    .select('lat', 'lng', 'speed', 'heading', 'accuracy', 'timestamp');
+  const stored = rows.map(row => ({
+    ...row,
+    lat: parseFloat(row.lat),
+    lng: parseFloat(row.lng),
+    speed: toNumberOrNull(row.speed),
+    heading: toNumberOrNull(row.heading),
+    accuracy: toNumberOrNull(row.accuracy)
+  }));
+  
+  const filtered = rejectOutliers(stored, { maxAccuracy: options.maxAccuracy });
+  let points = filtered.points;
+  
+  let snappedPoints = 0;
+  if (options.snap) {
+    const matched = await MapMatchingService.snapRoute(points);
+    points = matched.points;
+    snappedPoints = matched.snapped;
+  }
+  
+  const simplified = simplifyToLimit(points, {
+    tolerance: options.simplify || 0,
+    maxPoints: options.maxPoints
+  });
+  
+  return {
+    route: simplified.points.map(({ lat, lng, timestamp }) => ({ lat, lng, timestamp })),
+    routeInfo: {
+      storedPoints: stored.length,
+      outliersRemoved: filtered.removed,
+      snappedPoints,
+      tolerance: simplified.tolerance,
+      returnedPoints: simplified.points.length
+    }
+  };
+}
+
+function parseTrip(trip) {
+  return {
+    ...trip,
+    ecoScoreBreakdown: trip.ecoScoreBreakdown && typeof trip.ecoScoreBreakdown === 'string'
+      ? JSON.parse(trip.ecoScoreBreakdown)
+      : trip.ecoScoreBreakdown,
+    gradeEfficiency: trip.gradeEfficiency && typeof trip.gradeEfficiency === 'string'
+      ? JSON.parse(trip.gradeEfficiency)
+      : trip.gradeEfficiency
+  };
+}
+
 module.exports = router;
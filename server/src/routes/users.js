@@ -1,10 +1,13 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { asyncHandler, sendSuccessResponse, sendErrorResponse } = require('../middleware/errorHandler');
 const DatabaseService = require('../services/DatabaseService');
+const FuelPriceService = require('../services/FuelPriceService');
 
 const router = express.Router();
 
+const FUEL_PRICE_TYPES = ['gasoline', 'diesel', 'electric'];
+
 // Get user preferences
 router.get('/preferences', asyncHandler(async (req, res) => {
   const userId = req.user.id;
@@ -36,7 +39,12 @@ router.put('/preferences', [
   body('hapticFeedback').optional().isBoolean().withMessage('Haptic feedback must be a boolean'),
   body('voicePrompts').optional().isBoolean().withMessage('Voice prompts must be a boolean'),
   body('autoStartTrips').optional().isBoolean().withMessage('Auto start trips must be a boolean'),
-  body('units').optional().isIn(['metric', 'imperial']).withMessage('Units must be metric or imperial')
+  body('units').optional().isIn(['metric', 'imperial']).withMessage('Units must be metric or imperial'),
+  body('region').optional({ nullable: true }).isLength({ min: 1, max: 50 }).withMessage('Region must be 1-50 characters'),
+  body('currency').optional({ nullable: true }).isISO4217().withMessage('Currency must be an ISO 4217 code'),
+  body('baselineMode').optional().isIn(FuelPriceService.BASELINE_MODES).withMessage(`Baseline mode must be one of: ${FuelPriceService.BASELINE_MODES.join(', ')}`),
+  body('baselineTripCount').optional().isInt({ min: 1, max: 100 }).withMessage('Baseline trip count must be between 1 and 100'),
+  body('baselineEfficiency').optional({ nullable: true }).isFloat({ min: 0.1 }).withMessage('Baseline efficiency must be positive')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -81,6 +89,141 @@ router.put('/preferences', [
   }
 }));
 
+// Get fuel prices visible to the user (their own plus regional and global)
+router.get('/fuel-prices', [
+  query('fuelType').optional().isIn(FUEL_PRICE_TYPES).withMessage('Invalid fuel type'),
+  query('region').optional().isLength({ min: 1, max: 50 }).withMessage('Region must be 1-50 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, { 
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+  
+  const userId = req.user.id;
+  const { fuelType, region } = req.query;
+  
+  try {
+    const prices = await FuelPriceService.listPrices(userId, { fuelType, region });
+    
+    sendSuccessResponse(res, prices, 'Fuel prices retrieved successfully');
+    
+  } catch (error) {
+    console.error('Error fetching fuel prices:', error);
+    sendErrorResponse(res, error, 500);
+  }
+}));
+
+// Get the price currently in effect for a vehicle (default vehicle if omitted)
+router.get('/fuel-prices/current', [
+  query('vehicleId').optional().isInt({ min: 1 }).withMessage('Vehicle ID must be a positive integer')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, { 
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+  
+  const userId = req.user.id;
+  
+  try {
+    const vehicle = await findVehicle(userId, req.query.vehicleId);
+    if (req.query.vehicleId && !vehicle) {
+      return sendErrorResponse(res, { message: 'Vehicle not found' }, 404);
+    }
+    
+    const price = await FuelPriceService.getPriceAt(userId, vehicle);
+    const baseline = await FuelPriceService.getBaseline(userId, vehicle);
+    
+    sendSuccessResponse(res, {
+      vehicleId: vehicle ? vehicle.id : null,
+      price,
+      baseline
+    }, 'Current fuel price retrieved successfully');
+    
+  } catch (error) {
+    console.error('Error fetching current fuel price:', error);
+    sendErrorResponse(res, error, 500);
+  }
+}));
+
+// Record a fuel price. Regional and global prices are shared, so only admins can set them.
+router.post('/fuel-prices', [
+  body('fuelType').isIn(FUEL_PRICE_TYPES).withMessage(`Fuel type must be one of: ${FUEL_PRICE_TYPES.join(', ')}`),
+  body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('currency').optional().isISO4217().withMessage('Currency must be an ISO 4217 code'),
+  body('unit').optional().isIn(['liter', 'gallon', 'kWh']).withMessage('Unit must be liter, gallon or kWh'),
+  body('effectiveFrom').optional().isISO8601().withMessage('Effective from must be a valid ISO date'),
+  body('scope').optional().isIn(['user', 'region', 'global']).withMessage('Scope must be user, region or global'),
+  body('region').optional().isLength({ min: 1, max: 50 }).withMessage('Region must be 1-50 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendErrorResponse(res, { 
+      message: 'Validation failed',
+      details: errors.array()
+    }, 400);
+  }
+  
+  const { scope = 'user', fuelType, unit } = req.body;
+  
+  if (scope !== 'user' && req.user.role !== 'admin') {
+    return sendErrorResponse(res, { message: 'Admin privileges required for shared fuel prices' }, 403);
+  }
+  if (scope === 'region' && !req.body.region) {
+    return sendErrorResponse(res, { message: 'Region is required for regional fuel prices' }, 400);
+  }
+  if (unit && (fuelType === 'electric') !== (unit === 'kWh')) {
+    return sendErrorResponse(res, { message: 'Electricity is priced per kWh and fuel per liter or gallon' }, 400);
+  }
+  
+  try {
+    const price = await FuelPriceService.addPrice(scope === 'user' ? req.user.id : null, {
+      ...req.body,
+      region: scope === 'global' ? null : req.body.region
+    });
+    
+    sendSuccessResponse(res, price, 'Fuel price added successfully', 201);
+    
+  } catch (error) {
+    console.error('Error adding fuel price:', error);
+    sendErrorResponse(res, error, 500);
+  }
+}));
+
+// Delete a fuel price
+router.delete('/fuel-prices/:id', asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  
+  try {
+    const knex = DatabaseService.getKnex();
+    
+    const price = await knex('fuel_prices')
+      .where('id', req.params.id)
+      .first();
+    
+    // Shared prices can only be removed by admins
+    const allowed = price && (price.userId ? String(price.userId) === String(userId) : req.user.role === 'admin');
+    if (!allowed) {
+      return sendErrorResponse(res, { message: 'Fuel price not found' }, 404);
+    }
+    
+    await knex('fuel_prices')
+      .where('id', price.id)
+      .del();
+    
+    sendSuccessResponse(res, { message: 'Fuel price deleted successfully' });
+    
+  } catch (error) {
+    console.error('Error deleting fuel price:', error);
+    sendErrorResponse(res, error, 500);
+  }
+}));
+
 // Get user vehicles
 router.get('/vehicles', asyncHandler(async (req, res) => {
   const userId = req.user.id;
@@ -110,7 +253,8 @@ router.post('/vehicles', [
   body('fuelType').optional().isIn(['gasoline', 'diesel', 'hybrid', 'electric', 'other']).withMessage('Invalid fuel type'),
   body('fuelCapacity').optional().isFloat({ min: 0 }).withMessage('Fuel capacity must be positive'),
   body('cityMPG').optional().isFloat({ min: 0 }).withMessage('City MPG must be positive'),
-  body('highwayMPG').optional().isFloat({ min: 0 }).withMessage('Highway MPG must be positive')
+  body('highwayMPG').optional().isFloat({ min: 0 }).withMessage('Highway MPG must be positive'),
+  body('engineDisplacement').optional({ nullable: true }).isFloat({ min: 0.05, max: 20 }).withMessage('Engine displacement must be between 0.05 and 20 liters')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -169,7 +313,8 @@ router.put('/vehicles/:id', [
   body('fuelType').optional().isIn(['gasoline', 'diesel', 'hybrid', 'electric', 'other']).withMessage('Invalid fuel type'),
   body('fuelCapacity').optional().isFloat({ min: 0 }).withMessage('Fuel capacity must be positive'),
   body('cityMPG').optional().isFloat({ min: 0 }).withMessage('City MPG must be positive'),
-  body('highwayMPG').optional().isFloat({ min: 0 }).withMessage('Highway MPG must be positive')
+  body('highwayMPG').optional().isFloat({ min: 0 }).withMessage('Highway MPG must be positive'),
+  body('engineDisplacement').optional({ nullable: true }).isFloat({ min: 0.05, max: 20 }).withMessage('Engine displacement must be between 0.05 and 20 liters')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -409,4 +554,21 @@ router.get('/stats', asyncHandler(async (req, res) => {
   }
 }));
 
+// Helper functions
+async function findVehicle(userId, vehicleId) {
+  const knex = DatabaseService.getKnex();
+
+  if (vehicleId) {
+    return knex('vehicles')
+      .where({ id: vehicleId, userId })
+      .first();
+  }
+
+  return knex('vehicles')
+    .where('userId', userId)
+    .orderBy('isDefault', 'desc')
+    .orderBy('createdAt', 'desc')
+    .first();
+}
+
 module.exports = router;
@@ -0,0 +1,435 @@
+const DatabaseService = require('./DatabaseService');
+const FuelPriceService = require('./FuelPriceService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days covered by each supported timeRange; anything else falls back to 30d
+const TIME_RANGE_DAYS = {
+  '7d': 7,
+  '30d': 30,
+  '90d': 90,
+  '1y': 365
+};
+
+const TRIP_METRICS = ['ecoScore', 'efficiency', 'distance', 'fuelConsumed'];
+
+class AnalyticsService {
+  // Start of the window covered by timeRange, optionally shifted back by whole periods
+  getDateFilter(timeRange, now = new Date(), periodsBack = 1) {
+    const days = TIME_RANGE_DAYS[timeRange] || TIME_RANGE_DAYS['30d'];
+    return new Date(now.getTime() - days * periodsBack * DAY_MS);
+  }
+
+  async getOverview(userId, { timeRange = '30d' } = {}) {
+    const knex = DatabaseService.getKnex();
+    const dateFilter = this.getDateFilter(timeRange);
+
+    // Get trip analytics
+    const tripAnalytics = await knex('trips')
+      .where('userId', userId)
+      .where('startTime', '>=', dateFilter)
+      .select(
+        knex.raw('COUNT(*) as totalTrips'),
+        knex.raw('SUM(distance) as totalDistance'),
+        knex.raw('SUM(fuelConsumed) as totalFuel'),
+        knex.raw('AVG(ecoScore) as avgEcoScore'),
+        knex.raw('AVG(efficiency) as avgEfficiency'),
+        knex.raw('MIN(ecoScore) as bestEcoScore'),
+        knex.raw('MAX(ecoScore) as worstEcoScore')
+      )
+      .first();
+
+    // Duration is averaged here rather than in SQL, which has no portable
+    // timestamp difference across the supported databases
+    const avgDuration = await this.getAverageTripHours(userId, dateFilter);
+
+    // Get OBD analytics
+    const obdAnalytics = await knex('obd_data')
+      .where('userId', userId)
+      .where('timestamp', '>=', dateFilter)
+      .select(
+        knex.raw('COUNT(*) as totalRecords'),
+        knex.raw('AVG(engineRPM) as avgEngineRPM'),
+        knex.raw('AVG(vehicleSpeed) as avgVehicleSpeed'),
+        knex.raw('AVG(engineLoad) as avgEngineLoad'),
+        knex.raw('AVG(throttlePosition) as avgThrottlePosition')
+      )
+      .first();
+
+    // Get coaching analytics
+    const coachingAnalytics = await knex('coaching_tips')
+      .where('userId', userId)
+      .where('timestamp', '>=', dateFilter)
+      .select(
+        knex.raw('COUNT(*) as totalTips'),
+        knex.raw('SUM(CASE WHEN isRead THEN 1 ELSE 0 END) as readTips'),
+        knex.raw('SUM(CASE WHEN isApplied THEN 1 ELSE 0 END) as appliedTips')
+      )
+      .first();
+
+    // Savings against the user's baseline, at the price in effect for each trip
+    const savings = await FuelPriceService.calculateSavings(userId, dateFilter);
+
+    return {
+      timeRange,
+      summary: {
+        trips: {
+          total: parseInt(tripAnalytics.totalTrips) || 0,
+          distance: parseFloat(tripAnalytics.totalDistance) || 0,
+          fuel: parseFloat(tripAnalytics.totalFuel) || 0,
+          avgDuration
+        },
+        performance: {
+          avgEcoScore: Math.round(parseFloat(tripAnalytics.avgEcoScore) || 0),
+          avgEfficiency: parseFloat(tripAnalytics.avgEfficiency) || 0,
+          bestEcoScore: parseInt(tripAnalytics.bestEcoScore) || 0,
+          worstEcoScore: parseInt(tripAnalytics.worstEcoScore) || 0
+        },
+        obd: {
+          totalRecords: parseInt(obdAnalytics.totalRecords) || 0,
+          avgEngineRPM: parseFloat(obdAnalytics.avgEngineRPM) || 0,
+          avgVehicleSpeed: parseFloat(obdAnalytics.avgVehicleSpeed) || 0,
+          avgEngineLoad: parseFloat(obdAnalytics.avgEngineLoad) || 0,
+          avgThrottlePosition: parseFloat(obdAnalytics.avgThrottlePosition) || 0
+        },
+        savings: {
+          ...savings,
+          fuelEfficiency: Math.max(0, savings.fuelEfficiency),
+          costSavings: Math.max(0, savings.costSavings)
+        },
+        coaching: {
+          total: parseInt(coachingAnalytics.totalTips) || 0,
+          read: parseInt(coachingAnalytics.readTips) || 0,
+          applied: parseInt(coachingAnalytics.appliedTips) || 0,
+          readRate: coachingAnalytics.totalTips > 0 ?
+            (parseInt(coachingAnalytics.readTips) / parseInt(coachingAnalytics.totalTips)) * 100 : 0
+        }
+      }
+    };
+  }
+
+  async getTrends(userId, { metric = 'ecoScore', timeRange = '30d', interval = '1d' } = {}) {
+    const knex = DatabaseService.getKnex();
+    const dateFilter = this.getDateFilter(timeRange);
+
+    let trends;
+
+    if (TRIP_METRICS.includes(metric)) {
+      // Get trip-based trends
+      trends = await knex('trips')
+        .where('userId', userId)
+        .where('startTime', '>=', dateFilter)
+        .whereNotNull(metric)
+        .orderBy('startTime', 'asc')
+        .select('startTime', metric);
+    } else {
+      // Get OBD-based trends
+      trends = await knex('obd_data')
+        .where('userId', userId)
+        .where('timestamp', '>=', dateFilter)
+        .whereNotNull(metric)
+        .orderBy('timestamp', 'asc')
+        .select('timestamp as startTime', metric);
+    }
+
+    // Group data by intervals
+    const groupedData = groupTrendsByInterval(trends, interval, metric);
+
+    return {
+      metric,
+      timeRange,
+      interval,
+      trendDirection: calculateTrendDirection(groupedData),
+      data: groupedData
+    };
+  }
+
+  // Compare this period's stats with the one before. Efficiency is compared
+  // on avgNormalizedEfficiency, so a hillier period doesn't read as worse
+  // driving; trips without elevation data count at their raw efficiency
+  // there and are reported as tripsWithoutElevation.
+  async getComparison(userId, { compareWith = 'previous_period', timeRange = '30d' } = {}) {
+    const knex = DatabaseService.getKnex();
+
+    const now = new Date();
+    const currentPeriodStart = this.getDateFilter(timeRange, now);
+    const previousPeriodStart = this.getDateFilter(timeRange, now, 2);
+
+    const currentStats = await this.getPeriodStats(userId, currentPeriodStart);
+    const previousStats = await this.getPeriodStats(userId, previousPeriodStart, currentPeriodStart);
+
+    // Calculate percentage changes
+    const calculateChange = (current, previous) => {
+      if (!previous || previous === 0) return 0;
+      return ((current - previous) / previous) * 100;
+    };
+
+    const changes = {};
+    Object.keys(currentStats).forEach(key => {
+      changes[key] = calculateChange(currentStats[key], previousStats[key]);
+    });
+
+    return {
+      timeRange,
+      compareWith,
+      currentPeriod: {
+        start: currentPeriodStart,
+        end: now,
+        stats: roundEcoScore(currentStats)
+      },
+      previousPeriod: {
+        start: previousPeriodStart,
+        end: currentPeriodStart,
+        stats: roundEcoScore(previousStats)
+      },
+      changes,
+      efficiency: {
+        basis: 'avgNormalizedEfficiency',
+        change: changes.avgNormalizedEfficiency,
+        tripsWithoutElevation: {
+          current: currentStats.tripsWithoutElevation,
+          previous: previousStats.tripsWithoutElevation
+        }
+      }
+    };
+  }
+
+  async getInsights(userId, { timeRange = '30d' } = {}) {
+    const knex = DatabaseService.getKnex();
+    const dateFilter = this.getDateFilter(timeRange);
+
+    // Get recent trips for analysis
+    const recentTrips = await knex('trips')
+      .where('userId', userId)
+      .where('startTime', '>=', dateFilter)
+      .orderBy('startTime', 'desc')
+      .limit(20)
+      .select('*');
+
+    // Get recent OBD data for analysis
+    const recentOBD = await knex('obd_data')
+      .where('userId', userId)
+      .where('timestamp', '>=', dateFilter)
+      .orderBy('timestamp', 'desc')
+      .limit(100)
+      .select('*');
+
+    return {
+      timeRange,
+      insights: generateInsights(recentTrips, recentOBD)
+    };
+  }
+
+  // Helpers
+  async getPeriodStats(userId, start, end = null) {
+    const knex = DatabaseService.getKnex();
+
+    let query = knex('trips')
+      .where('userId', userId)
+      .where('startTime', '>=', start);
+
+    if (end) query = query.where('startTime', '<', end);
+
+    const stats = await query
+      .select(
+        knex.raw('COUNT(*) as totalTrips'),
+        knex.raw('SUM(distance) as totalDistance'),
+        knex.raw('SUM(fuelConsumed) as totalFuel'),
+        knex.raw('AVG(ecoScore) as avgEcoScore'),
+        knex.raw('AVG(efficiency) as avgEfficiency'),
+        // Trips without elevation data count at their raw efficiency
+        knex.raw('AVG(COALESCE(normalizedEfficiency, efficiency)) as avgNormalizedEfficiency'),
+        knex.raw('SUM(CASE WHEN efficiency IS NOT NULL AND normalizedEfficiency IS NULL THEN 1 ELSE 0 END) as tripsWithoutElevation'),
+        knex.raw('SUM(elevationGain) as totalElevationGain')
+      )
+      .first();
+
+    return {
+      totalTrips: parseInt(stats.totalTrips) || 0,
+      totalDistance: parseFloat(stats.totalDistance) || 0,
+      totalFuel: parseFloat(stats.totalFuel) || 0,
+      avgEcoScore: parseFloat(stats.avgEcoScore) || 0,
+      avgEfficiency: parseFloat(stats.avgEfficiency) || 0,
+      avgNormalizedEfficiency: parseFloat(stats.avgNormalizedEfficiency) || 0,
+      tripsWithoutElevation: parseInt(stats.tripsWithoutElevation) || 0,
+      totalElevationGain: parseFloat(stats.totalElevationGain) || 0
+    };
+  }
+
+  // Average duration in hours of trips that have ended
+  async getAverageTripHours(userId, since) {
+    const knex = DatabaseService.getKnex();
+
+    const trips = await knex('trips')
+      .where('userId', userId)
+      .where('startTime', '>=', since)
+      .whereNotNull('endTime')
+      .select('startTime', 'endTime');
+
+    const durations = trips
+      .map(trip => (new Date(trip.endTime) - new Date(trip.startTime)) / 3600000)
+      .filter(hours => Number.isFinite(hours) && hours >= 0);
+
+    if (durations.length === 0) return 0;
+    return durations.reduce((sum, hours) => sum + hours, 0) / durations.length;
+  }
+}
+
+function roundEcoScore(stats) {
+  return { ...stats, avgEcoScore: Math.round(stats.avgEcoScore) };
+}
+
+function groupTrendsByInterval(data, interval, metric) {
+  if (interval === 'raw') {
+    return data.map(point => ({
+      timestamp: point.startTime,
+      value: point[metric]
+    }));
+  }
+
+  const grouped = {};
+  data.forEach(point => {
+    const date = new Date(point.startTime);
+    let key;
+
+    switch (interval) {
+      case '1h':
+        key = date.toISOString().slice(0, 13) + ':00:00.000Z';
+        break;
+      case '6h':
+        const hour = Math.floor(date.getHours() / 6) * 6;
+        key = new Date(date.getFullYear(), date.getMonth(), date.getDate(), hour).toISOString();
+        break;
+      case '1d':
+        key = date.toISOString().slice(0, 10) + 'T00:00:00.000Z';
+        break;
+      case '1w':
+        const weekStart = new Date(date);
+        weekStart.setDate(date.getDate() - date.getDay());
+        key = weekStart.toISOString().slice(0, 10) + 'T00:00:00.000Z';
+        break;
+      default:
+        key = date.toISOString().slice(0, 10) + 'T00:00:00.000Z';
+    }
+
+    if (!grouped[key]) {
+      grouped[key] = [];
+    }
+    grouped[key].push(point[metric]);
+  });
+
+  return Object.entries(grouped).map(([timestamp, values]) => ({
+    timestamp,
+    value: values.reduce((sum, val) => sum + val, 0) / values.length,
+    count: values.length
+  }));
+}
+
+function calculateTrendDirection(data) {
+  if (data.length < 2) return 'stable';
+
+  const recentValues = data.slice(-5).map(d => d.value);
+  const olderValues = data.slice(0, Math.min(5, data.length - 5)).map(d => d.value);
+
+  if (recentValues.length === 0 || olderValues.length === 0) return 'stable';
+
+  const recentAvg = recentValues.reduce((sum, val) => sum + val, 0) / recentValues.length;
+  const olderAvg = olderValues.reduce((sum, val) => sum + val, 0) / olderValues.length;
+
+  const change = ((recentAvg - olderAvg) / olderAvg) * 100;
+
+  if (change > 5) return 'improving';
+  if (change < -5) return 'declining';
+  return 'stable';
+}
+
+function generateInsights(trips, obdData) {
+  const insights = [];
+
+  // Analyze eco score trends
+  if (trips.length > 0) {
+    const ecoScores = trips.map(t => t.ecoScore).filter(s => s !== null);
+    if (ecoScores.length > 0) {
+      const avgEcoScore = ecoScores.reduce((sum, score) => sum + score, 0) / ecoScores.length;
+
+      if (avgEcoScore < 60) {
+        insights.push({
+          type: 'warning',
+          title: 'Low Eco Score',
+          message: 'Your average eco score is below 60. Focus on smooth acceleration and braking to improve.',
+          priority: 'high'
+        });
+      } else if (avgEcoScore > 80) {
+        insights.push({
+          type: 'success',
+          title: 'Excellent Driving',
+          message: 'Great job! Your eco score is consistently high. Keep up the good driving habits.',
+          priority: 'low'
+        });
+      }
+    }
+  }
+
+  // Analyze efficiency trends, with the effect of elevation removed where
+  // the trip has elevation data
+  if (trips.length > 0) {
+    const efficiencies = trips
+      .map(t => (t.normalizedEfficiency !== null && t.normalizedEfficiency !== undefined ? t.normalizedEfficiency : t.efficiency))
+      .filter(e => e !== null && e !== undefined)
+      .map(Number);
+    if (efficiencies.length > 0) {
+      const avgEfficiency = efficiencies.reduce((sum, eff) => sum + eff, 0) / efficiencies.length;
+
+      if (avgEfficiency > 10) {
+        insights.push({
+          type: 'warning',
+          title: 'High Fuel Consumption',
+          message: 'Your fuel efficiency is above 10 L/100km. Consider adjusting your driving style.',
+          priority: 'medium'
+        });
+      }
+    }
+  }
+
+  // Analyze OBD data patterns
+  if (obdData.length > 0) {
+    const highRPMCount = obdData.filter(d => d.engineRPM && d.engineRPM > 3000).length;
+    const highRPMPercentage = (highRPMCount / obdData.length) * 100;
+
+    if (highRPMPercentage > 30) {
+      insights.push({
+        type: 'tip',
+        title: 'High RPM Driving',
+        message: 'You\'re frequently driving at high RPM. Shift to higher gears earlier to improve efficiency.',
+        priority: 'medium'
+      });
+    }
+
+    const aggressiveThrottleCount = obdData.filter(d => d.throttlePosition && d.throttlePosition > 80).length;
+    const aggressiveThrottlePercentage = (aggressiveThrottleCount / obdData.length) * 100;
+
+    if (aggressiveThrottlePercentage > 20) {
+      insights.push({
+        type: 'tip',
+        title: 'Aggressive Acceleration',
+        message: 'Gentle acceleration can improve fuel efficiency by up to 20%.',
+        priority: 'medium'
+      });
+    }
+  }
+
+  // Add general insights if none specific
+  if (insights.length === 0) {
+    insights.push({
+      type: 'info',
+      title: 'Good Progress',
+      message: 'Your driving patterns look good. Continue monitoring for further improvements.',
+      priority: 'low'
+    });
+  }
+
+  return insights;
+}
+
+// Export singleton instance
+module.exports = new AnalyticsService();
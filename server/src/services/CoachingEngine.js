@@ -0,0 +1,340 @@
+const DatabaseService = require('./DatabaseService');
+const { toNumberOrNull } = require('../utils/numbers');
+
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+// Rule configuration. Thresholds, cooldowns and priorities can be overridden
+// per rule id through configure() or the COACHING_RULES environment variable.
+const DEFAULT_RULES = {
+  'sustained-high-rpm': {
+    enabled: true,
+    type: 'shifting',
+    priority: 'medium',
+    rpmThreshold: 3000,
+    durationMs: 10000,
+    cooldownMs: 2 * 60 * 1000,
+    message: 'Your engine has been above {rpmThreshold} RPM for {seconds}s. Shift up earlier to keep revs low.'
+  },
+  'throttle-spike': {
+    enabled: true,
+    type: 'acceleration',
+    priority: 'high',
+    throttleThreshold: 80,
+    minRise: 40,
+    windowMs: 2000,
+    cooldownMs: 60 * 1000,
+    message: 'Throttle jumped to {throttle}%. Gentle acceleration can improve fuel efficiency by up to 20%.'
+  },
+  'harsh-deceleration': {
+    enabled: true,
+    type: 'braking',
+    priority: 'high',
+    decelerationThreshold: 3.5, // m/s²
+    minIntervalMs: 200,
+    maxIntervalMs: 5000,
+    cooldownMs: 60 * 1000,
+    message: 'Hard braking detected ({deceleration} m/s²). Anticipate stops and brake smoothly to save fuel.'
+  },
+  'long-idle': {
+    enabled: true,
+    type: 'idling',
+    priority: 'low',
+    durationMs: 60 * 1000,
+    cooldownMs: 5 * 60 * 1000,
+    message: 'You have been idling for {seconds}s. Switch the engine off if you expect to wait longer.'
+  },
+  'high-speed': {
+    enabled: true,
+    type: 'speed',
+    priority: 'medium',
+    speedThreshold: 120,
+    durationMs: 30 * 1000,
+    cooldownMs: 10 * 60 * 1000,
+    message: 'Cruising above {speedThreshold} km/h costs fuel. Reducing speed by 10 km/h can save 15% fuel.'
+  }
+};
+
+const DEFAULT_SETTINGS = {
+  minTipIntervalMs: 15 * 1000, // At most one live tip per user in this window
+  historyWindowMs: 60 * 1000, // Frames kept per user for rules that look back
+  stateTtlMs: 15 * 60 * 1000 // Forget users who stopped sending frames
+};
+
+// Static tips for explicit coaching requests when no rule has anything to say
+const TIP_LIBRARY = {
+  acceleration: 'Gentle acceleration can improve fuel efficiency by up to 20%',
+  braking: 'Anticipate stops and brake smoothly to save fuel',
+  shifting: 'Shift to higher gears early to maintain low RPM',
+  speed: 'Reducing speed by 10 km/h can save 15% fuel',
+  idling: 'Turn the engine off when waiting for more than a minute',
+  general: 'Maintain steady speed and avoid rapid acceleration/braking'
+};
+
+// Detectors return the values to report when the rule fires, or null
+const DETECTORS = {
+  'sustained-high-rpm': (state, frame, rule) => {
+    const duration = conditionDuration(state, 'sustained-high-rpm', frame, frame.engineRPM > rule.rpmThreshold);
+    if (duration < rule.durationMs) return null;
+    return { rpm: frame.engineRPM, seconds: Math.round(duration / 1000) };
+  },
+
+  'throttle-spike': (state, frame, rule) => {
+    if (frame.throttlePosition === null || frame.throttlePosition < rule.throttleThreshold) return null;
+
+    const earlier = state.frames.filter(f =>
+      frame.time - f.time <= rule.windowMs && f.throttlePosition !== null
+    );
+    if (earlier.length === 0) return null;
+
+    const lowest = Math.min(...earlier.map(f => f.throttlePosition));
+    if (frame.throttlePosition - lowest < rule.minRise) return null;
+
+    return { throttle: Math.round(frame.throttlePosition), rise: Math.round(frame.throttlePosition - lowest) };
+  },
+
+  'harsh-deceleration': (state, frame, rule) => {
+    const prev = state.frames[state.frames.length - 1];
+    if (!prev || prev.vehicleSpeed === null || frame.vehicleSpeed === null) return null;
+
+    const dtMs = frame.time - prev.time;
+    if (dtMs < rule.minIntervalMs || dtMs > rule.maxIntervalMs) return null;
+
+    const deceleration = ((prev.vehicleSpeed - frame.vehicleSpeed) / 3.6) / (dtMs / 1000);
+    if (deceleration < rule.decelerationThreshold) return null;
+
+    return {
+      deceleration: Math.round(deceleration * 10) / 10,
+      fromSpeed: prev.vehicleSpeed,
+      toSpeed: frame.vehicleSpeed
+    };
+  },
+
+  'long-idle': (state, frame, rule) => {
+    const idling = frame.vehicleSpeed === 0 && frame.engineRPM > 0;
+    const duration = conditionDuration(state, 'long-idle', frame, idling);
+    if (duration < rule.durationMs) return null;
+    return { seconds: Math.round(duration / 1000), rpm: frame.engineRPM };
+  },
+
+  'high-speed': (state, frame, rule) => {
+    const duration = conditionDuration(state, 'high-speed', frame, frame.vehicleSpeed > rule.speedThreshold);
+    if (duration < rule.durationMs) return null;
+    return { speed: frame.vehicleSpeed, seconds: Math.round(duration / 1000) };
+  }
+};
+
+class CoachingEngine {
+  constructor() {
+    this.rules = cloneRules(DEFAULT_RULES);
+    this.settings = { ...DEFAULT_SETTINGS };
+    this.states = new Map(); // userId -> rolling per-user state
+    this.lastPruneAt = Date.now();
+
+    if (process.env.COACHING_RULES) {
+      try {
+        this.configure(JSON.parse(process.env.COACHING_RULES));
+      } catch (error) {
+        console.error('Invalid COACHING_RULES configuration, using defaults:', error.message);
+      }
+    }
+  }
+
+  // Override rule fields by rule id, e.g. { 'long-idle': { durationMs: 90000 } }
+  configure(overrides = {}, settings = {}) {
+    Object.entries(overrides).forEach(([ruleId, override]) => {
+      if (!this.rules[ruleId]) {
+        console.warn(`Ignoring configuration for unknown coaching rule: ${ruleId}`);
+        return;
+      }
+      this.rules[ruleId] = { ...this.rules[ruleId], ...override };
+    });
+
+    this.settings = { ...this.settings, ...settings };
+  }
+
+  getRules() {
+    return cloneRules(this.rules);
+  }
+
+  // Run every enabled rule against a frame. Returns the tips that survive
+  // cooldown and rate limiting, highest priority first.
+  evaluate(userId, obdData, { tripId = null, timestamp } = {}) {
+    const frame = toFrame(obdData, timestamp);
+    const state = this.getState(userId, frame.time);
+
+    const candidates = [];
+    Object.entries(this.rules).forEach(([ruleId, rule]) => {
+      if (!rule.enabled || !DETECTORS[ruleId]) return;
+
+      const values = DETECTORS[ruleId](state, frame, rule);
+      if (!values) return;
+
+      candidates.push(this.buildTip(ruleId, rule, values, frame, tripId));
+    });
+
+    // Record the frame after the detectors so they can compare against history
+    state.frames.push(frame);
+    state.frames = state.frames.filter(f => frame.time - f.time <= this.settings.historyWindowMs);
+
+    this.pruneStaleStates(frame.time);
+
+    return this.selectTips(state, candidates, frame.time);
+  }
+
+  // Tip for an explicit 'request-coaching' event. Uses the live rules when the
+  // request carries a frame, then falls back to the static library.
+  tipForRequest(userId, requestType, context = {}) {
+    if (context && context.obdData) {
+      const [tip] = this.evaluate(userId, context.obdData, {
+        tripId: context.tripId || null,
+        timestamp: context.timestamp
+      });
+      if (tip) return tip;
+    }
+
+    const type = TIP_LIBRARY[requestType] ? requestType : 'general';
+    return {
+      ruleId: null,
+      type,
+      priority: 'medium',
+      message: TIP_LIBRARY[type],
+      tripId: context && context.tripId ? context.tripId : null,
+      context: { requestType, source: 'library' },
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Store an emitted tip; returns it with its database id
+  async persistTip(userId, tip) {
+    const id = await DatabaseService.insertAndGetId('coaching_tips', {
+      userId,
+      type: tip.type,
+      message: tip.message.slice(0, 500),
+      priority: tip.priority,
+      tripId: tip.tripId || null,
+      context: JSON.stringify(tip.context),
+      timestamp: new Date(tip.timestamp)
+    });
+
+    return { id, ...tip };
+  }
+
+  reset(userId) {
+    this.states.delete(userId);
+  }
+
+  // Helpers
+  buildTip(ruleId, rule, values, frame, tripId) {
+    return {
+      ruleId,
+      type: rule.type,
+      priority: rule.priority,
+      message: formatMessage(rule.message, { ...rule, ...values }),
+      tripId,
+      context: {
+        ruleId,
+        trigger: values,
+        frame: {
+          engineRPM: frame.engineRPM,
+          vehicleSpeed: frame.vehicleSpeed,
+          throttlePosition: frame.throttlePosition,
+          engineLoad: frame.engineLoad
+        },
+        tripId
+      },
+      timestamp: new Date(frame.time).toISOString()
+    };
+  }
+
+  selectTips(state, candidates, now) {
+    const allowed = candidates
+      .filter(tip => {
+        const rule = this.rules[tip.ruleId];
+        const last = state.lastTipAt[tip.ruleId];
+        return last === undefined || now - last >= rule.cooldownMs;
+      })
+      .sort((a, b) => PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority]);
+
+    if (allowed.length === 0) return [];
+
+    // Don't pile tips on a driver; high priority tips skip the global gap
+    const sinceLast = now - state.lastEmittedAt;
+    const selected = allowed.filter((tip, index) =>
+      tip.priority === 'high' || (index === 0 && sinceLast >= this.settings.minTipIntervalMs)
+    );
+
+    selected.forEach(tip => {
+      state.lastTipAt[tip.ruleId] = now;
+      // Re-arm duration rules so they need a fresh stretch before firing again
+      delete state.conditionSince[tip.ruleId];
+    });
+    if (selected.length > 0) state.lastEmittedAt = now;
+
+    return selected;
+  }
+
+  getState(userId, now) {
+    let state = this.states.get(userId);
+    if (!state) {
+      state = {
+        frames: [],
+        conditionSince: {},
+        lastTipAt: {},
+        lastEmittedAt: -Infinity,
+        lastSeenAt: now
+      };
+      this.states.set(userId, state);
+    }
+    state.lastSeenAt = now;
+    return state;
+  }
+
+  pruneStaleStates(now) {
+    if (now - this.lastPruneAt < 60 * 1000) return;
+    this.lastPruneAt = now;
+
+    for (const [userId, state] of this.states.entries()) {
+      if (now - state.lastSeenAt > this.settings.stateTtlMs) {
+        this.states.delete(userId);
+      }
+    }
+  }
+}
+
+// Track how long a condition has held continuously, in milliseconds
+function conditionDuration(state, key, frame, holds) {
+  if (!holds) {
+    delete state.conditionSince[key];
+    return 0;
+  }
+  if (state.conditionSince[key] === undefined) {
+    state.conditionSince[key] = frame.time;
+  }
+  return frame.time - state.conditionSince[key];
+}
+
+function toFrame(obdData, timestamp) {
+  const time = new Date(timestamp || obdData.timestamp || Date.now()).getTime();
+
+  return {
+    time: Number.isFinite(time) ? time : Date.now(),
+    engineRPM: toNumberOrNull(obdData.engineRPM),
+    vehicleSpeed: toNumberOrNull(obdData.vehicleSpeed),
+    throttlePosition: toNumberOrNull(obdData.throttlePosition),
+    engineLoad: toNumberOrNull(obdData.engineLoad)
+  };
+}
+
+function formatMessage(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    values[key] !== undefined ? values[key] : match
+  );
+}
+
+function cloneRules(rules) {
+  return Object.fromEntries(Object.entries(rules).map(([id, rule]) => [id, { ...rule }]));
+}
+
+// Export singleton instance
+module.exports = new CoachingEngine();
+module.exports.DEFAULT_RULES = DEFAULT_RULES;
@@ -149,6 +149,23 @@ class DatabaseService {
     return this.knex.transaction(callback);
   }
 
+  // Insert a row and return its id on every supported client. Postgres only
+  // returns ids through RETURNING; SQLite and MySQL return the last insert id.
+  async insertAndGetId(table, row, trx = null) {
+    const query = (trx || this.getKnex())(table).insert(row);
+    const [result] = this.supportsReturning() ? await query.returning('id') : await query;
+    return result !== null && typeof result === 'object' ? result.id : result;
+  }
+
+  supportsReturning() {
+    return ['pg', 'postgres', 'postgresql'].includes(this.knex.client.config.client);
+  }
+
+  // Whether a query failed on a unique constraint or index
+  isUniqueViolation(error) {
+    return Boolean(error) && (error.code === '23505' || /UNIQUE constraint failed/.test(error.message));
+  }
+
   async raw(sql, bindings) {
     if (!this.isInitialized) {
       throw new Error('Database service not initialized');
@@ -0,0 +1,178 @@
+const DatabaseService = require('./DatabaseService');
+const { NotFoundError } = require('../middleware/errorHandler');
+const { DTC_TYPES, normalizeCode, lookupCode } = require('../utils/dtcLookup');
+
+// Mode 04 clears stored and pending codes; permanent codes only go away once
+// the ECU's own monitors pass
+const CLEARABLE_TYPES = ['stored', 'pending'];
+
+class DiagnosticCodeService {
+  // Record one read of a vehicle's codes. Each type sent is a full snapshot
+  // of that mode: listed codes are (re)activated and active codes missing
+  // from it are resolved. Types not sent are left alone.
+  async recordReading(userId, vehicleId, readings, readAt = new Date()) {
+    const knex = DatabaseService.getKnex();
+    await this.getVehicle(userId, vehicleId);
+
+    const changes = { added: [], reappeared: [], resolved: [] };
+
+    await knex.transaction(async (trx) => {
+      for (const type of DTC_TYPES) {
+        if (!Array.isArray(readings[type])) continue;
+
+        const codes = [...new Set(readings[type].map(normalizeCode))];
+        const existing = await trx('vehicle_dtcs')
+          .where({ vehicleId, type })
+          .select('*');
+
+        for (const code of codes) {
+          const row = existing.find(candidate => candidate.code === code);
+
+          if (!row) {
+            await trx('vehicle_dtcs').insert({
+              userId,
+              vehicleId,
+              code,
+              type,
+              status: 'active',
+              occurrences: 1,
+              firstSeenAt: readAt,
+              lastSeenAt: readAt,
+              createdAt: new Date(),
+              updatedAt: new Date()
+            });
+            changes.added.push({ code, type });
+          } else if (row.status === 'active') {
+            await trx('vehicle_dtcs')
+              .where('id', row.id)
+              .update({ lastSeenAt: readAt, updatedAt: new Date() });
+          } else {
+            await trx('vehicle_dtcs')
+              .where('id', row.id)
+              .update({
+                status: 'active',
+                occurrences: row.occurrences + 1,
+                lastSeenAt: readAt,
+                updatedAt: new Date()
+              });
+            changes.reappeared.push({ code, type });
+          }
+        }
+
+        const gone = existing.filter(row => row.status === 'active' && !codes.includes(row.code));
+        if (gone.length > 0) {
+          await trx('vehicle_dtcs')
+            .whereIn('id', gone.map(row => row.id))
+            .update({ status: 'resolved', resolvedAt: readAt, updatedAt: new Date() });
+          gone.forEach(row => changes.resolved.push({ code: row.code, type }));
+        }
+      }
+    });
+
+    return {
+      ...changes,
+      codes: await this.listCodes(userId, vehicleId)
+    };
+  }
+
+  // Codes for a vehicle with their offline description; active ones by default
+  async listCodes(userId, vehicleId, { status = 'active', type } = {}) {
+    const knex = DatabaseService.getKnex();
+    await this.getVehicle(userId, vehicleId);
+
+    let query = knex('vehicle_dtcs').where('vehicleId', vehicleId);
+    if (status !== 'all') query = query.where('status', status);
+    if (type) query = query.where('type', type);
+
+    const rows = await query
+      .orderBy('lastSeenAt', 'desc')
+      .orderBy('code', 'asc')
+      .select('*');
+
+    return rows.map(formatCode);
+  }
+
+  // Record a Mode 04 clear sent by `userId`, with the codes it cleared. A
+  // clear the ECU rejected is logged but leaves the codes active.
+  async recordClear(userId, vehicleId, { clearedAt = new Date(), success = true, response = null } = {}) {
+    const knex = DatabaseService.getKnex();
+    await this.getVehicle(userId, vehicleId);
+
+    let clearId;
+    await knex.transaction(async (trx) => {
+      const active = await trx('vehicle_dtcs')
+        .where({ vehicleId, status: 'active' })
+        .whereIn('type', CLEARABLE_TYPES)
+        .select('id', 'code', 'type');
+
+      if (success && active.length > 0) {
+        await trx('vehicle_dtcs')
+          .whereIn('id', active.map(row => row.id))
+          .update({ status: 'cleared', clearedAt, clearedBy: userId, updatedAt: new Date() });
+      }
+
+      clearId = await DatabaseService.insertAndGetId('dtc_clears', {
+        userId,
+        vehicleId,
+        codes: JSON.stringify(active.map(row => ({ code: row.code, type: row.type }))),
+        success,
+        response,
+        clearedAt,
+        createdAt: new Date()
+      }, trx);
+    });
+
+    const clear = await knex('dtc_clears').where('id', clearId).first();
+
+    return {
+      clear: parseClear(clear),
+      codes: await this.listCodes(userId, vehicleId)
+    };
+  }
+
+  // Who cleared which codes, newest first
+  async listClears(userId, vehicleId) {
+    const knex = DatabaseService.getKnex();
+    await this.getVehicle(userId, vehicleId);
+
+    const clears = await knex('dtc_clears')
+      .where('vehicleId', vehicleId)
+      .orderBy('clearedAt', 'desc')
+      .select('*');
+
+    return clears.map(parseClear);
+  }
+
+  async getVehicle(userId, vehicleId) {
+    const knex = DatabaseService.getKnex();
+
+    const vehicle = await knex('vehicles')
+      .where({ id: vehicleId, userId })
+      .first();
+    if (!vehicle) {
+      throw new NotFoundError('Vehicle not found');
+    }
+    return vehicle;
+  }
+}
+
+function formatCode(row) {
+  const lookup = lookupCode(row.code);
+  return {
+    ...row,
+    description: lookup ? lookup.description : null,
+    system: lookup ? lookup.system : null,
+    category: lookup ? lookup.category : null
+  };
+}
+
+function parseClear(clear) {
+  const codes = clear.codes && typeof clear.codes === 'string' ? JSON.parse(clear.codes) : clear.codes;
+  return {
+    ...clear,
+    codes: (codes || []).map(entry => ({ ...entry, ...lookupCode(entry.code) }))
+  };
+}
+
+// Export singleton instance
+module.exports = new DiagnosticCodeService();
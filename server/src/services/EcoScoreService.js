@@ -0,0 +1,102 @@
+const DatabaseService = require('./DatabaseService');
+const { computeEcoScore, CURRENT_ECO_SCORE_VERSION } = require('../utils/ecoScore');
+
+class EcoScoreService {
+  // Score a trip row with the current model. `efficiency` overrides the stored
+  // value, for trips whose totals are being computed in the same step.
+  async scoreTrip(trip, { efficiency } = {}) {
+    const knex = DatabaseService.getKnex();
+
+    const frames = await knex('obd_data')
+      .where('tripId', trip.id)
+      .orderBy('timestamp', 'asc')
+      .select('timestamp', 'engineRPM', 'vehicleSpeed');
+
+    const vehicle = await this.getVehicle(trip);
+
+    return computeEcoScore({
+      frames,
+      efficiency: efficiency !== undefined ? efficiency : trip.efficiency,
+      vehicle
+    });
+  }
+
+  // Score a trip and store the result. Trips with nothing to score keep
+  // whatever score they already have.
+  async applyToTrip(trip, options = {}) {
+    const result = await this.scoreTrip(trip, options);
+    if (!result) return null;
+
+    const knex = DatabaseService.getKnex();
+    await knex('trips')
+      .where('id', trip.id)
+      .update(this.toColumns(result));
+
+    return result;
+  }
+
+  // Recompute completed trips scored with an older model (or by the client).
+  // With force, trips already on the current version are rescored as well.
+  async recompute(userId, { tripIds, since, force = false, limit = 500 } = {}) {
+    const knex = DatabaseService.getKnex();
+
+    let query = knex('trips')
+      .where('userId', userId)
+      .where('status', 'completed');
+
+    if (tripIds && tripIds.length > 0) query = query.whereIn('id', tripIds);
+    if (since) query = query.where('startTime', '>=', new Date(since));
+    if (!force) {
+      query = query.where(builder => builder
+        .whereNull('ecoScoreVersion')
+        .orWhereNot('ecoScoreVersion', CURRENT_ECO_SCORE_VERSION));
+    }
+
+    const trips = await query
+      .orderBy('startTime', 'asc')
+      .limit(limit)
+      .select('*');
+
+    const results = [];
+    for (const trip of trips) {
+      const result = await this.applyToTrip(trip);
+      results.push({
+        tripId: trip.id,
+        previousScore: trip.ecoScore,
+        previousVersion: trip.ecoScoreVersion,
+        ecoScore: result ? result.score : trip.ecoScore,
+        version: result ? result.version : trip.ecoScoreVersion,
+        rescored: Boolean(result)
+      });
+    }
+
+    return results;
+  }
+
+  toColumns(result) {
+    return {
+      ecoScore: result.score,
+      ecoScoreVersion: result.version,
+      ecoScoreBreakdown: JSON.stringify(result.breakdown)
+    };
+  }
+
+  // Helpers
+  async getVehicle(trip) {
+    const knex = DatabaseService.getKnex();
+
+    if (trip.vehicleId) {
+      return knex('vehicles').where('id', trip.vehicleId).first();
+    }
+
+    // Trips logged without a vehicle are rated against the user's default one
+    return knex('vehicles')
+      .where('userId', trip.userId)
+      .orderBy('isDefault', 'desc')
+      .orderBy('createdAt', 'desc')
+      .first();
+  }
+}
+
+// Export singleton instance
+module.exports = new EcoScoreService();
@@ -0,0 +1,87 @@
+const DatabaseService = require('./DatabaseService');
+const FuelConsumptionService = require('./FuelConsumptionService');
+const { computeElevationSummary } = require('../utils/elevation');
+
+class ElevationService {
+  // Climb, descent, per-grade efficiency and hill-normalized efficiency for
+  // a trip, from its route altitudes and OBD frames
+  async analyzeTrip(tripId) {
+    const knex = DatabaseService.getKnex();
+
+    const trip = await knex('trips').where('id', tripId).first();
+    if (!trip) return null;
+
+    const points = await knex('trip_routes')
+      .where('tripId', tripId)
+      .orderBy('sequence', 'asc')
+      .select('lat', 'lng', 'altitude', 'timestamp');
+
+    const frames = await knex('obd_data')
+      .where('tripId', tripId)
+      .orderBy('timestamp', 'asc')
+      .select('timestamp', 'vehicleSpeed', 'fuelRate', 'fuelConsumption');
+
+    const vehicle = await FuelConsumptionService.vehicleForTrip(tripId);
+
+    return {
+      tripId: trip.id,
+      ...computeElevationSummary({
+        trip,
+        points: points.map(point => ({ ...point, lat: Number(point.lat), lng: Number(point.lng) })),
+        frames,
+        vehicle
+      })
+    };
+  }
+
+  // Analyze a trip and store the results on it. Run after the trip's fuel
+  // figures are final, since the normalized efficiency starts from them.
+  async applyToTrip(tripId) {
+    const knex = DatabaseService.getKnex();
+
+    const analysis = await this.analyzeTrip(tripId);
+    if (!analysis) return null;
+
+    await knex('trips')
+      .where('id', tripId)
+      .update(toColumns(analysis));
+
+    return analysis;
+  }
+
+  // Re-run the analysis over a user's finished trips, oldest first
+  async applyToUser(userId, { tripIds, since, limit = 100 } = {}) {
+    const knex = DatabaseService.getKnex();
+
+    let query = knex('trips')
+      .where('userId', userId)
+      .where('status', 'completed');
+
+    if (tripIds && tripIds.length > 0) query = query.whereIn('id', tripIds);
+    if (since) query = query.where('startTime', '>=', new Date(since));
+
+    const trips = await query
+      .orderBy('startTime', 'asc')
+      .limit(limit)
+      .select('id');
+
+    const results = [];
+    for (const trip of trips) {
+      results.push(await this.applyToTrip(trip.id));
+    }
+
+    return results;
+  }
+}
+
+function toColumns(analysis) {
+  return {
+    elevationGain: analysis.elevationGain,
+    elevationLoss: analysis.elevationLoss,
+    normalizedEfficiency: analysis.normalizedEfficiency,
+    gradeEfficiency: analysis.gradeEfficiency ? JSON.stringify(analysis.gradeEfficiency) : null
+  };
+}
+
+// Export singleton instance
+module.exports = new ElevationService();
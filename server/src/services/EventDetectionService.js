@@ -0,0 +1,97 @@
+const DatabaseService = require('./DatabaseService');
+const { normalizePoint } = require('../utils/geo');
+const { detectTripEvents } = require('../utils/eventDetection');
+
+const EVENT_SOURCE = 'detected';
+
+class EventDetectionService {
+  // Detect events for one trip and replace its previously detected events.
+  // Events the client sent with the trip are left alone.
+  async detectForTrip(tripId) {
+    const knex = DatabaseService.getKnex();
+
+    const frames = await knex('obd_data')
+      .where('tripId', tripId)
+      .orderBy('timestamp', 'asc')
+      .select('timestamp', 'engineRPM', 'vehicleSpeed');
+
+    const routePoints = await knex('trip_routes')
+      .where('tripId', tripId)
+      .orderBy('sequence', 'asc')
+      .select('lat', 'lng', 'speed', 'heading', 'timestamp');
+
+    const points = routePoints
+      .filter(point => point.timestamp)
+      .map(normalizePoint)
+      .filter(Boolean);
+
+    const events = detectTripEvents(frames, points);
+
+    const rows = events.map(event => ({
+      tripId,
+      type: event.type,
+      severity: event.severity,
+      lat: event.lat !== undefined ? event.lat : null,
+      lng: event.lng !== undefined ? event.lng : null,
+      timestamp: new Date(event.timestamp),
+      data: JSON.stringify(event.data),
+      source: EVENT_SOURCE
+    }));
+
+    await knex.transaction(async (trx) => {
+      await trx('trip_events')
+        .where({ tripId, source: EVENT_SOURCE })
+        .del();
+
+      if (rows.length > 0) {
+        await knex.batchInsert('trip_events', rows, 200).transacting(trx);
+      }
+    });
+
+    return summarize(tripId, events);
+  }
+
+  // Re-run detection over a user's finished trips, oldest first
+  async detectForUser(userId, { tripIds, since, limit = 100 } = {}) {
+    const knex = DatabaseService.getKnex();
+
+    let query = knex('trips')
+      .where('userId', userId)
+      .where('status', 'completed');
+
+    if (tripIds && tripIds.length > 0) query = query.whereIn('id', tripIds);
+    if (since) query = query.where('startTime', '>=', new Date(since));
+
+    const trips = await query
+      .orderBy('startTime', 'asc')
+      .limit(limit)
+      .select('id');
+
+    const results = [];
+    for (const trip of trips) {
+      results.push(await this.detectForTrip(trip.id));
+    }
+
+    return results;
+  }
+}
+
+function summarize(tripId, events) {
+  const byType = {};
+  const bySeverity = { low: 0, medium: 0, high: 0 };
+
+  events.forEach(event => {
+    byType[event.type] = (byType[event.type] || 0) + 1;
+    bySeverity[event.severity]++;
+  });
+
+  return {
+    tripId,
+    eventCount: events.length,
+    byType,
+    bySeverity
+  };
+}
+
+// Export singleton instance
+module.exports = new EventDetectionService();
@@ -0,0 +1,136 @@
+const DatabaseService = require('./DatabaseService');
+const { estimateFrameFuel, reportedFuel } = require('../utils/fuelCalc');
+const { computeTripFuel } = require('../utils/tripMetrics');
+
+// Columns the estimate needs besides the fuel ones
+const ESTIMATE_COLUMNS = [
+  'id',
+  'timestamp',
+  'vehicleSpeed',
+  'engineRPM',
+  'mafRate',
+  'intakeManifoldPressure',
+  'intakeAirTemp',
+  'shortTermFuelTrim1',
+  'longTermFuelTrim1',
+  'fuelRate',
+  'fuelConsumption',
+  'fuelConsumptionSource'
+];
+
+class FuelConsumptionService {
+  // Fill in fuelRate, fuelConsumption and fuelConsumptionSource on obd_data
+  // rows about to be written, using the vehicle of each row's trip (or the
+  // user's default vehicle). Rows are updated in place; their trips must
+  // already be checked to belong to the row's user.
+  async applyToRows(rows) {
+    const vehicles = new Map();
+
+    for (const row of rows) {
+      const key = row.tripId ? `trip:${row.tripId}` : `user:${row.userId}`;
+      if (!vehicles.has(key)) {
+        vehicles.set(key, row.tripId
+          ? await this.vehicleForTrip(row.tripId)
+          : await this.defaultVehicle(row.userId));
+      }
+
+      Object.assign(row, estimateFrameFuel(reportedFuel(row), vehicles.get(key)));
+    }
+
+    return rows;
+  }
+
+  // Recompute a trip's fuelConsumed and efficiency from its frames. With
+  // `rederive`, the frames' own estimates are redone first, e.g. after the
+  // vehicle's fuel type or displacement changed. The trip keeps whatever it
+  // had when its frames carry no fuel data.
+  async applyToTrip(tripId, { rederive = false } = {}) {
+    const knex = DatabaseService.getKnex();
+
+    const trip = await knex('trips').where('id', tripId).first();
+    if (!trip) return null;
+
+    const frames = await knex('obd_data')
+      .where('tripId', tripId)
+      .orderBy('timestamp', 'asc')
+      .select(ESTIMATE_COLUMNS);
+
+    let framesUpdated = 0;
+    if (rederive) {
+      const vehicle = await this.vehicleForTrip(tripId);
+
+      for (const frame of frames) {
+        const estimate = estimateFrameFuel(reportedFuel(frame), vehicle);
+        if (!isSameEstimate(frame, estimate)) {
+          await knex('obd_data').where('id', frame.id).update(estimate);
+          Object.assign(frame, estimate);
+          framesUpdated++;
+        }
+      }
+    }
+
+    const fuel = computeTripFuel(frames);
+    if (fuel.fuelConsumed !== null) {
+      const metadata = parseJSON(trip.metadata);
+      await knex('trips')
+        .where('id', tripId)
+        .update({
+          fuelConsumed: fuel.fuelConsumed,
+          efficiency: fuel.efficiency,
+          metadata: JSON.stringify({
+            ...metadata,
+            summary: { ...(metadata.summary || {}), fuelSource: fuel.fuelSource }
+          }),
+          updatedAt: new Date()
+        });
+    }
+
+    return { ...fuel, applied: fuel.fuelConsumed !== null, frameCount: frames.length, framesUpdated };
+  }
+
+  async vehicleForTrip(tripId) {
+    const knex = DatabaseService.getKnex();
+
+    const trip = await knex('trips').where('id', tripId).first();
+    if (!trip) return null;
+
+    if (trip.vehicleId) {
+      const vehicle = await knex('vehicles').where('id', trip.vehicleId).first();
+      if (vehicle) return vehicle;
+    }
+    return this.defaultVehicle(trip.userId);
+  }
+
+  async defaultVehicle(userId) {
+    const knex = DatabaseService.getKnex();
+
+    const vehicle = await knex('vehicles')
+      .where('userId', userId)
+      .orderBy('isDefault', 'desc')
+      .orderBy('id', 'asc')
+      .first();
+    return vehicle || null;
+  }
+}
+
+function isSameEstimate(frame, estimate) {
+  return Object.keys(estimate).every(key => {
+    const current = frame[key] === null || frame[key] === undefined ? null : frame[key];
+    return key === 'fuelConsumptionSource'
+      ? current === estimate[key]
+      : (current === null ? null : Number(current)) === estimate[key];
+  });
+}
+
+function parseJSON(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return {};
+  }
+}
+
+// Export singleton instance
+module.exports = new FuelConsumptionService();
@@ -0,0 +1,329 @@
+const DatabaseService = require('./DatabaseService');
+const { toNumberOrNull } = require('../utils/numbers');
+const {
+  LITERS_PER_GALLON,
+  MPG_TO_L100KM,
+  MPGE_TO_KWH100KM,
+  KWH_PER_LITER_EQUIVALENT,
+  combinedMPG
+} = require('../utils/units');
+
+const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || 'USD';
+
+// Used when neither the user nor their region has a price on record
+const DEFAULT_PRICES = {
+  fuel: parseFloat(process.env.DEFAULT_FUEL_PRICE) || 1.50, // per liter
+  electric: parseFloat(process.env.DEFAULT_ELECTRICITY_PRICE) || 0.15 // per kWh
+};
+
+// Baseline consumption when there is no rating, trip history or fixed value
+const DEFAULT_BASELINES = {
+  fuel: 8.5, // L/100km
+  electric: 18 // kWh/100km
+};
+
+const BASELINE_MODES = ['vehicle', 'trips', 'fixed'];
+
+// Electric trips record energy in kWh and efficiency in kWh/100km; everything
+// else is fuel in liters and L/100km
+const energyTypeOf = (vehicle) => (vehicle && vehicle.fuelType === 'electric' ? 'electric' : 'fuel');
+
+// Fuel type used to look up prices; hybrids and unknown vehicles burn gasoline
+function priceFuelType(vehicle) {
+  const fuelType = vehicle && vehicle.fuelType;
+  if (fuelType === 'electric' || fuelType === 'diesel') return fuelType;
+  return 'gasoline';
+}
+
+class FuelPriceService {
+  async listPrices(userId, { fuelType, region } = {}) {
+    const knex = DatabaseService.getKnex();
+    const preferences = await this.getPreferences(userId);
+    const userRegion = region || preferences.region;
+
+    let query = visiblePrices(knex, userId, userRegion);
+
+    if (fuelType) query = query.where('fuelType', fuelType);
+
+    const prices = await query
+      .orderBy('effectiveFrom', 'desc')
+      .select('*');
+
+    return prices.map(price => ({ ...price, scope: scopeOf(price) }));
+  }
+
+  async addPrice(userId, { fuelType, price, currency, unit, region, effectiveFrom }) {
+    const knex = DatabaseService.getKnex();
+    const preferences = await this.getPreferences(userId);
+
+    const id = await DatabaseService.insertAndGetId('fuel_prices', {
+      userId,
+      region: region || null,
+      fuelType,
+      price,
+      currency: (currency || preferences.currency || DEFAULT_CURRENCY).toUpperCase(),
+      unit: unit || (fuelType === 'electric' ? 'kWh' : 'liter'),
+      effectiveFrom: effectiveFrom ? new Date(effectiveFrom) : new Date(),
+      createdAt: new Date()
+    });
+
+    return knex('fuel_prices').where('id', id).first();
+  }
+
+  // Price per liter (per kWh for electricity) in effect for a vehicle on a date
+  async getPriceAt(userId, vehicle, date = new Date()) {
+    const preferences = await this.getPreferences(userId);
+    const history = await this.loadPriceHistory(userId, priceFuelType(vehicle), preferences.region);
+    return this.resolvePrice(history, vehicle, date, preferences);
+  }
+
+  // Baseline consumption the driver is compared against, in L/100km
+  // (kWh/100km for electric vehicles)
+  async getBaseline(userId, vehicle, preferences = null) {
+    const prefs = preferences || await this.getPreferences(userId);
+    const energyType = energyTypeOf(vehicle);
+    const mode = BASELINE_MODES.includes(prefs.baselineMode) ? prefs.baselineMode : 'vehicle';
+
+    const candidates = {
+      fixed: () => this.fixedBaseline(prefs),
+      vehicle: () => this.vehicleBaseline(vehicle),
+      trips: () => this.tripsBaseline(userId, vehicle, prefs.baselineTripCount)
+    };
+
+    // Try the chosen mode first, then the others, then the default
+    const order = [mode, ...BASELINE_MODES.filter(m => m !== mode && m !== 'fixed')];
+    for (const source of order) {
+      const efficiency = await candidates[source]();
+      if (efficiency) {
+        return { efficiency, source, energyType, unit: unitOf(energyType) };
+      }
+    }
+
+    return {
+      efficiency: DEFAULT_BASELINES[energyType],
+      source: 'default',
+      energyType,
+      unit: unitOf(energyType)
+    };
+  }
+
+  // Savings for trips since a date, pricing each trip at the price in effect
+  // on the day it was driven
+  async calculateSavings(userId, since) {
+    const knex = DatabaseService.getKnex();
+    const preferences = await this.getPreferences(userId);
+
+    const trips = await knex('trips')
+      .where('userId', userId)
+      .where('startTime', '>=', since)
+      .whereNotNull('distance')
+      .whereNotNull('fuelConsumed')
+      .select('id', 'vehicleId', 'startTime', 'distance', 'fuelConsumed');
+
+    const vehicles = await knex('vehicles')
+      .where('userId', userId)
+      .orderBy('isDefault', 'desc')
+      .orderBy('createdAt', 'desc')
+      .select('*');
+    const defaultVehicle = vehicles[0] || null;
+    const vehicleById = new Map(vehicles.map(vehicle => [vehicle.id, vehicle]));
+
+    // Baselines and price histories are resolved once per vehicle
+    const contexts = new Map();
+    const contextFor = async (vehicle) => {
+      const key = vehicle ? vehicle.id : null;
+      if (!contexts.has(key)) {
+        contexts.set(key, {
+          vehicle,
+          baseline: await this.getBaseline(userId, vehicle, preferences),
+          history: await this.loadPriceHistory(userId, priceFuelType(vehicle), preferences.region)
+        });
+      }
+      return contexts.get(key);
+    };
+
+    const totals = {};
+    const energy = {
+      fuel: { consumed: 0, baseline: 0, unit: 'L' },
+      electric: { consumed: 0, baseline: 0, unit: 'kWh', fuelEquivalent: 0 }
+    };
+
+    for (const trip of trips) {
+      const vehicle = vehicleById.get(trip.vehicleId) || defaultVehicle;
+      const { baseline, history } = await contextFor(vehicle);
+      const price = this.resolvePrice(history, vehicle, trip.startTime, preferences);
+
+      const consumed = parseFloat(trip.fuelConsumed) || 0;
+      const baselineConsumed = (parseFloat(trip.distance) || 0) * baseline.efficiency / 100;
+
+      const bucket = energy[baseline.energyType];
+      bucket.consumed += consumed;
+      bucket.baseline += baselineConsumed;
+
+      if (!totals[price.currency]) {
+        totals[price.currency] = { currency: price.currency, actualCost: 0, baselineCost: 0, trips: 0 };
+      }
+      totals[price.currency].actualCost += consumed * price.price;
+      totals[price.currency].baselineCost += baselineConsumed * price.price;
+      totals[price.currency].trips++;
+    }
+
+    energy.electric.fuelEquivalent = energy.electric.consumed / KWH_PER_LITER_EQUIVALENT;
+
+    // Costs in different currencies can't be added up; report the user's
+    // currency (or the one most trips were priced in) and list the rest
+    const byCurrency = Object.values(totals).map(total => ({
+      ...total,
+      costSavings: total.baselineCost - total.actualCost
+    }));
+    const primaryCurrency = preferences.currency ||
+      (byCurrency.length > 0 ? byCurrency.sort((a, b) => b.trips - a.trips)[0].currency : DEFAULT_CURRENCY);
+    const primary = byCurrency.find(total => total.currency === primaryCurrency) ||
+      { currency: primaryCurrency, actualCost: 0, baselineCost: 0, costSavings: 0, trips: 0 };
+
+    const { baseline, history } = await contextFor(defaultVehicle);
+    const currentPrice = this.resolvePrice(history, defaultVehicle, new Date(), preferences);
+
+    return {
+      fuelEfficiency: primary.baselineCost > 0
+        ? (primary.costSavings / primary.baselineCost) * 100
+        : 0,
+      costSavings: primary.costSavings,
+      actualCost: primary.actualCost,
+      baselineCost: primary.baselineCost,
+      currency: primaryCurrency,
+      fuelPrice: currentPrice.price,
+      priceUnit: currentPrice.unit,
+      priceSource: currentPrice.source,
+      baselineEfficiency: baseline.efficiency,
+      baselineUnit: baseline.unit,
+      baselineSource: baseline.source,
+      energy,
+      otherCurrencies: byCurrency.filter(total => total.currency !== primaryCurrency)
+    };
+  }
+
+  async getPreferences(userId) {
+    const knex = DatabaseService.getKnex();
+
+    const preferences = await knex('user_preferences')
+      .where('userId', userId)
+      .first();
+
+    return preferences || {};
+  }
+
+  // Helpers
+  async loadPriceHistory(userId, fuelType, region) {
+    const knex = DatabaseService.getKnex();
+
+    const rows = await visiblePrices(knex, userId, region)
+      .where('fuelType', fuelType)
+      .orderBy('effectiveFrom', 'desc')
+      .select('*');
+
+    // Most specific first: the user's own prices, then regional, then global
+    return ['user', 'region', 'global'].map(scope => rows.filter(row => scopeOf(row) === scope));
+  }
+
+  resolvePrice(history, vehicle, date, preferences) {
+    const time = new Date(date).getTime();
+
+    for (const prices of history) {
+      const inEffect = prices.find(price => new Date(price.effectiveFrom).getTime() <= time);
+      if (inEffect) return normalizePrice(inEffect);
+    }
+
+    // Before the first recorded price, the earliest one is the best guess
+    for (const prices of history) {
+      if (prices.length > 0) return normalizePrice(prices[prices.length - 1]);
+    }
+
+    const energyType = energyTypeOf(vehicle);
+    return {
+      id: null,
+      price: DEFAULT_PRICES[energyType],
+      currency: preferences.currency || DEFAULT_CURRENCY,
+      unit: energyType === 'electric' ? 'kWh' : 'liter',
+      source: 'default',
+      effectiveFrom: null
+    };
+  }
+
+  fixedBaseline(preferences) {
+    return toNumberOrNull(preferences.baselineEfficiency);
+  }
+
+  // Rated consumption from the EPA combined MPG (MPGe for electric vehicles)
+  vehicleBaseline(vehicle) {
+    if (!vehicle) return null;
+
+    const mpg = combinedMPG(toNumberOrNull(vehicle.cityMPG), toNumberOrNull(vehicle.highwayMPG));
+    if (!mpg) return null;
+
+    const factor = energyTypeOf(vehicle) === 'electric' ? MPGE_TO_KWH100KM : MPG_TO_L100KM;
+    return factor / mpg;
+  }
+
+  // Consumption over the driver's first N completed trips in this vehicle
+  async tripsBaseline(userId, vehicle, tripCount) {
+    const knex = DatabaseService.getKnex();
+
+    let query = knex('trips')
+      .where('userId', userId)
+      .where('status', 'completed')
+      .where('distance', '>', 0)
+      .where('fuelConsumed', '>', 0);
+
+    if (vehicle) query = query.where('vehicleId', vehicle.id);
+
+    const trips = await query
+      .orderBy('startTime', 'asc')
+      .limit(parseInt(tripCount) || 10)
+      .select('distance', 'fuelConsumed');
+
+    const distance = trips.reduce((sum, trip) => sum + parseFloat(trip.distance), 0);
+    const fuel = trips.reduce((sum, trip) => sum + parseFloat(trip.fuelConsumed), 0);
+
+    return distance > 0 ? (fuel / distance) * 100 : null;
+  }
+}
+
+// The user's own prices plus shared prices for their region or everywhere
+function visiblePrices(knex, userId, region) {
+  return knex('fuel_prices').where(builder => {
+    builder.where('userId', userId).orWhere(shared => {
+      shared.whereNull('userId').where(scope => {
+        scope.whereNull('region');
+        if (region) scope.orWhere('region', region);
+      });
+    });
+  });
+}
+
+function scopeOf(price) {
+  if (price.userId) return 'user';
+  return price.region ? 'region' : 'global';
+}
+
+function unitOf(energyType) {
+  return energyType === 'electric' ? 'kWh/100km' : 'L/100km';
+}
+
+// Prices are stored as entered; calculations use price per liter or per kWh
+function normalizePrice(row) {
+  const price = parseFloat(row.price);
+
+  return {
+    id: row.id,
+    price: row.unit === 'gallon' ? price / LITERS_PER_GALLON : price,
+    currency: row.currency,
+    unit: row.unit === 'kWh' ? 'kWh' : 'liter',
+    source: scopeOf(row),
+    effectiveFrom: row.effectiveFrom
+  };
+}
+
+// Export singleton instance
+module.exports = new FuelPriceService();
+module.exports.BASELINE_MODES = BASELINE_MODES;
@@ -0,0 +1,315 @@
+const path = require('path');
+const DatabaseService = require('./DatabaseService');
+const PredictionOutcomeService = require('./PredictionOutcomeService');
+const { AppError, ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { toNumberOrNull } = require('../utils/numbers');
+const {
+  DRIVING_STYLES,
+  HEALTH_FEATURES,
+  tripFeatures,
+  windowFeatures,
+  healthFeatures,
+  normalize,
+  denormalize
+} = require('../utils/trainingFeatures');
+
+// Inputs more than this many standard deviations from the training data
+// count as out of distribution and lower the reported confidence
+const MAX_FEATURE_Z = 3;
+
+// tfjs-node loads a native TensorFlow binary, so it is only required once a
+// model is actually trained or run
+let tf = null;
+function loadTensorflow() {
+  if (!tf) {
+    try {
+      tf = require('@tensorflow/tfjs-node');
+    } catch (error) {
+      throw new AppError('AI models are unavailable: @tensorflow/tfjs-node could not be loaded', 503);
+    }
+  }
+  return tf;
+}
+
+class InferenceService {
+  constructor() {
+    this.cacheSize = parseInt(process.env.INFERENCE_CACHE_SIZE) || 10;
+    this.cache = new Map(); // modelId -> { network, training, filePath, lastUsedAt }
+  }
+
+  // Run a trained model on one of: a feature object, a list of OBD frames or
+  // a stored trip, and record the prediction
+  async predict(userId, model, { features, frames, tripId }) {
+    if (process.env.AI_SERVICE_ENABLED === 'false') {
+      throw new AppError('AI service is disabled', 503);
+    }
+
+    const { network, training } = await this.loadModel(model);
+    const inputs = await this.buildInputs(userId, training, { features, frames, tripId });
+    const output = this.run(network, training, inputs.rows);
+
+    const knex = DatabaseService.getKnex();
+    const predictionId = await DatabaseService.insertAndGetId('model_predictions', {
+      userId,
+      modelId: model.id,
+      tripId: tripId || null,
+      inputData: JSON.stringify({
+        source: inputs.source,
+        features: inputs.source === 'features' ? features : undefined,
+        frameCount: inputs.frameCount,
+        samples: inputs.rows.length
+      }),
+      prediction: JSON.stringify(output.result),
+      confidence: output.confidence,
+      metadata: JSON.stringify({
+        familyId: model.familyId,
+        modelVersion: model.version,
+        versionNumber: model.versionNumber,
+        trainingJobId: training.jobId
+      }),
+      timestamp: new Date(),
+      createdAt: new Date()
+    });
+
+    // Predictions for a trip that already finished are scored right away
+    if (tripId) {
+      await PredictionOutcomeService.resolveTrip(tripId);
+    }
+
+    const prediction = await knex('model_predictions')
+      .where('id', predictionId)
+      .first();
+
+    return {
+      prediction,
+      result: output.result,
+      confidence: output.confidence
+    };
+  }
+
+  // Cached network for a model row, reloaded when the row points at different
+  // artifacts than the cached copy (retrained or another version activated)
+  async loadModel(model) {
+    const training = parseJSON(model.metadata).training;
+    if (!model.filePath || !training) {
+      throw new ConflictError('Model has not been trained yet');
+    }
+
+    const cached = this.cache.get(model.id);
+    if (cached && cached.filePath === model.filePath && cached.training.jobId === training.jobId) {
+      cached.lastUsedAt = Date.now();
+      return cached;
+    }
+    this.evict(model.id);
+
+    const tensorflow = loadTensorflow();
+    let network;
+    try {
+      network = await tensorflow.loadLayersModel(`file://${path.join(model.filePath, 'model.json')}`);
+    } catch (error) {
+      console.error(`Could not load model ${model.id} from ${model.filePath}:`, error);
+      throw new AppError('Model artifacts could not be loaded', 500);
+    }
+
+    const entry = { network, training, filePath: model.filePath, lastUsedAt: Date.now() };
+    this.cache.set(model.id, entry);
+    this.evictLeastRecentlyUsed();
+
+    return entry;
+  }
+
+  // Drop a model from the cache, e.g. after it was retrained, replaced or deleted
+  evict(modelId) {
+    const cached = this.cache.get(modelId);
+    if (!cached) return;
+
+    cached.network.dispose();
+    this.cache.delete(modelId);
+  }
+
+  // Helpers
+  evictLeastRecentlyUsed() {
+    while (this.cache.size > this.cacheSize) {
+      const [oldest] = [...this.cache.entries()]
+        .sort(([, a], [, b]) => a.lastUsedAt - b.lastUsedAt)[0];
+      this.evict(oldest);
+    }
+  }
+
+  // Feature rows in the order the model was trained on. Trip models take one
+  // row per trip, driving_behavior one per window and maintenance one per frame.
+  async buildInputs(userId, training, { features, frames, tripId }) {
+    const given = [features, frames, tripId].filter(input => input !== undefined && input !== null);
+    if (given.length !== 1) {
+      throw new ValidationError('Provide exactly one of features, frames or tripId');
+    }
+
+    if (features) {
+      const missing = training.features.filter(name => toNumberOrNull(features[name]) === null);
+      if (missing.length > 0) {
+        throw new ValidationError(`Missing features: ${missing.join(', ')}`, { required: training.features });
+      }
+      return {
+        source: 'features',
+        frameCount: null,
+        rows: [training.features.map(name => toNumberOrNull(features[name]))]
+      };
+    }
+
+    let trip = { distance: null };
+    let tripFrames = frames;
+    if (tripId) {
+      ({ trip, frames: tripFrames } = await this.loadTrip(userId, tripId));
+    } else {
+      tripFrames = [...frames].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    const rows = rowsFromFrames(training, trip, tripFrames);
+    if (rows.length === 0) {
+      throw new ValidationError('Not enough OBD data to make a prediction');
+    }
+
+    return {
+      source: tripId ? 'trip' : 'frames',
+      frameCount: tripFrames.length,
+      rows
+    };
+  }
+
+  async loadTrip(userId, tripId) {
+    const knex = DatabaseService.getKnex();
+
+    const trip = await knex('trips')
+      .where('id', tripId)
+      .where('userId', userId)
+      .first();
+    if (!trip) {
+      throw new NotFoundError('Trip not found');
+    }
+
+    const frames = await knex('obd_data')
+      .where('tripId', tripId)
+      .orderBy('timestamp', 'asc')
+      .select('timestamp', 'vehicleSpeed', ...HEALTH_FEATURES);
+
+    return { trip, frames };
+  }
+
+  run(network, training, rows) {
+    const tensorflow = loadTensorflow();
+    const x = normalize(rows, training.normalization);
+    const outputs = tensorflow.tidy(() => network.predict(tensorflow.tensor2d(x)).arraySync());
+    const inDistribution = distributionShare(x);
+
+    if (training.task === 'regression') {
+      return regressionResult(training, outputs, inDistribution);
+    }
+    if (training.task === 'classification') {
+      return classificationResult(outputs, inDistribution);
+    }
+    return anomalyResult(training, x, outputs, inDistribution);
+  }
+}
+
+function rowsFromFrames(training, trip, frames) {
+  if (training.task === 'regression') {
+    const row = tripFeatures(trip, frames);
+    return row ? [row] : [];
+  }
+  if (training.task === 'classification') {
+    return windowFeatures(frames).map(window => window.features);
+  }
+  return frames.map(healthFeatures).filter(Boolean);
+}
+
+// Regression confidence falls as validation RMSE approaches the spread of the
+// training labels
+function regressionResult(training, outputs, inDistribution) {
+  const label = training.labels[0];
+  const [[value]] = denormalize(outputs, training.labelNormalization);
+  const labelStd = training.labelNormalization.std[0];
+  const rmse = training.metrics && training.metrics.rmse;
+  const modelConfidence = rmse !== undefined && labelStd > 0
+    ? clamp(1 - rmse / (2 * labelStd))
+    : 0.5;
+
+  const result = label === 'ecoScore'
+    ? { ecoScore: Math.round(clamp(value, 0, 100)) }
+    : { [label]: round(Math.max(0, value)) };
+
+  return {
+    result: rmse !== undefined ? { ...result, expectedError: round(rmse) } : result,
+    confidence: round(modelConfidence * inDistribution)
+  };
+}
+
+// Window probabilities are averaged into one style for the whole input
+function classificationResult(outputs, inDistribution) {
+  const averaged = DRIVING_STYLES.map((_, i) =>
+    outputs.reduce((sum, probabilities) => sum + probabilities[i], 0) / outputs.length
+  );
+  const best = averaged.indexOf(Math.max(...averaged));
+
+  return {
+    result: {
+      style: DRIVING_STYLES[best],
+      probabilities: DRIVING_STYLES.reduce((probabilities, style, i) => ({
+        ...probabilities,
+        [style]: round(averaged[i])
+      }), {}),
+      windows: outputs.length
+    },
+    confidence: round(averaged[best] * inDistribution)
+  };
+}
+
+// Frames whose reconstruction error exceeds the threshold found in training
+// are anomalous; confidence grows with the distance from that threshold
+function anomalyResult(training, x, outputs, inDistribution) {
+  const threshold = Math.max(training.metrics.anomalyThreshold, 1e-6);
+  const errors = outputs.map((row, i) =>
+    row.reduce((sum, value, j) => sum + (value - x[i][j]) ** 2, 0) / row.length
+  );
+  const meanError = errors.reduce((sum, error) => sum + error, 0) / errors.length;
+  const anomalous = errors.filter(error => error > threshold).length;
+
+  return {
+    result: {
+      isAnomalous: meanError > threshold,
+      anomalyScore: round(meanError / threshold),
+      anomalousShare: round(anomalous / errors.length),
+      threshold: round(threshold),
+      frames: errors.length
+    },
+    confidence: round(clamp(Math.abs(meanError - threshold) / threshold) * inDistribution)
+  };
+}
+
+// Share of normalized inputs within the range seen in training
+function distributionShare(rows) {
+  const values = rows.flat();
+  if (values.length === 0) return 1;
+  return values.filter(value => Math.abs(value) <= MAX_FEATURE_Z).length / values.length;
+}
+
+function clamp(value, min = 0, max = 1) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function parseJSON(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return {};
+  }
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+// Export singleton instance
+module.exports = new InferenceService();
+module.exports.loadTensorflow = loadTensorflow;
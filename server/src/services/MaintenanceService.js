@@ -0,0 +1,281 @@
+const DatabaseService = require('./DatabaseService');
+const { NotFoundError } = require('../middleware/errorHandler');
+const { SEVERITIES, runMaintenanceChecks } = require('../utils/maintenanceChecks');
+
+// Alerts still waiting on the user; a dismissed alert only comes back if the
+// problem gets worse
+const OPEN_STATUSES = ['active', 'acknowledged'];
+
+class MaintenanceService {
+  constructor() {
+    this.windowDays = parseInt(process.env.MAINTENANCE_WINDOW_DAYS) || 90;
+    this.maxTrips = parseInt(process.env.MAINTENANCE_MAX_TRIPS) || 60;
+    this.queue = new Map(); // "userId:vehicleId" -> { userId, vehicleId }
+    this.queuePromise = null;
+  }
+
+  // Run the maintenance checks over every vehicle of a user, plus trips not
+  // tied to a vehicle
+  async analyzeUser(userId) {
+    const knex = DatabaseService.getKnex();
+
+    const vehicles = await knex('vehicles')
+      .where('userId', userId)
+      .select('id');
+
+    const results = [];
+    for (const vehicleId of [...vehicles.map(vehicle => vehicle.id), null]) {
+      results.push(await this.analyzeVehicle(userId, vehicleId));
+    }
+    return results;
+  }
+
+  // Re-check the vehicle a finished trip was driven with, in the background:
+  // the checks read every frame of the vehicle's recent trips, so they stay
+  // off the request path. Trips of the same vehicle that end while checks
+  // are running share one re-check.
+  async queueTrip(tripId) {
+    const knex = DatabaseService.getKnex();
+
+    const trip = await knex('trips').where('id', tripId).first();
+    if (!trip) return false;
+
+    const vehicleId = trip.vehicleId || null;
+    this.queue.set(`${trip.userId}:${vehicleId}`, { userId: trip.userId, vehicleId });
+
+    if (!this.queuePromise) {
+      this.queuePromise = this.processQueue().finally(() => {
+        this.queuePromise = null;
+      });
+    }
+    return true;
+  }
+
+  async processQueue() {
+    while (this.queue.size > 0) {
+      const [key, { userId, vehicleId }] = this.queue.entries().next().value;
+      this.queue.delete(key);
+
+      try {
+        await this.analyzeVehicle(userId, vehicleId);
+      } catch (error) {
+        console.error(`Maintenance checks failed for user ${userId}, vehicle ${vehicleId}:`, error);
+      }
+    }
+  }
+
+  // Check a vehicle's recent trips and open, update or resolve its alerts.
+  // New alerts and escalations are pushed to the user's socket.
+  async analyzeVehicle(userId, vehicleId) {
+    const knex = DatabaseService.getKnex();
+
+    if (vehicleId) {
+      const vehicle = await knex('vehicles')
+        .where({ id: vehicleId, userId })
+        .first();
+      if (!vehicle) {
+        throw new NotFoundError('Vehicle not found');
+      }
+    }
+
+    const trips = await this.loadTrips(userId, vehicleId);
+    const checks = runMaintenanceChecks(trips);
+
+    const alerts = [];
+    for (const check of checks) {
+      if (check.status === 'alert') {
+        alerts.push(await this.raiseAlert(userId, vehicleId, check));
+      } else if (check.status === 'ok') {
+        await this.resolveAlerts(userId, vehicleId, check.type);
+      }
+    }
+
+    return {
+      vehicleId,
+      tripsAnalyzed: trips.length,
+      checks: checks.map(check => ({
+        type: check.type,
+        status: check.status,
+        severity: check.severity || null,
+        evidence: check.evidence
+      })),
+      alerts
+    };
+  }
+
+  async listAlerts(userId, { status, vehicleId, severity, type } = {}) {
+    const knex = DatabaseService.getKnex();
+
+    let query = knex('maintenance_alerts').where('userId', userId);
+
+    // Only open alerts unless a status is asked for
+    if (!status) {
+      query = query.whereIn('status', OPEN_STATUSES);
+    } else if (status !== 'all') {
+      query = query.where('status', status);
+    }
+    if (vehicleId) query = query.where('vehicleId', vehicleId);
+    if (severity) query = query.where('severity', severity);
+    if (type) query = query.where('type', type);
+
+    const alerts = await query
+      .orderByRaw("CASE severity WHEN 'high' THEN 0 WHEN 'medium' THEN 1 ELSE 2 END")
+      .orderBy('lastDetectedAt', 'desc')
+      .select('*');
+
+    return alerts.map(parseAlert);
+  }
+
+  async getAlert(userId, alertId) {
+    const knex = DatabaseService.getKnex();
+
+    const alert = await knex('maintenance_alerts')
+      .where({ id: alertId, userId })
+      .first();
+    if (!alert) {
+      throw new NotFoundError('Maintenance alert not found');
+    }
+    return parseAlert(alert);
+  }
+
+  // Move an alert to acknowledged, dismissed or resolved
+  async updateStatus(userId, alertId, status) {
+    const knex = DatabaseService.getKnex();
+    const alert = await this.getAlert(userId, alertId);
+
+    if (alert.status !== status) {
+      const now = new Date();
+      await knex('maintenance_alerts')
+        .where('id', alert.id)
+        .update({
+          status,
+          ...(status === 'acknowledged' && { acknowledgedAt: now }),
+          ...(status === 'resolved' && { resolvedAt: now }),
+          updatedAt: now
+        });
+    }
+
+    return this.getAlert(userId, alertId);
+  }
+
+  // Helpers
+
+  // The most recent completed trips in the window, oldest first, with frames
+  async loadTrips(userId, vehicleId) {
+    const knex = DatabaseService.getKnex();
+    const since = new Date(Date.now() - this.windowDays * 24 * 60 * 60 * 1000);
+
+    let query = knex('trips')
+      .where('userId', userId)
+      .where('status', 'completed')
+      .where('startTime', '>=', since);
+    query = vehicleId ? query.where('vehicleId', vehicleId) : query.whereNull('vehicleId');
+
+    const trips = (await query
+      .orderBy('startTime', 'desc')
+      .limit(this.maxTrips)
+      .select('id', 'startTime', 'efficiency'))
+      .reverse();
+
+    const frames = trips.length > 0
+      ? await knex('obd_data')
+        .whereIn('tripId', trips.map(trip => trip.id))
+        .orderBy('timestamp', 'asc')
+        .select('tripId', 'timestamp', 'engineRPM', 'vehicleSpeed', 'engineLoad', 'engineTemp', 'batteryVoltage', 'fuelConsumption')
+      : [];
+
+    const framesByTrip = new Map(trips.map(trip => [String(trip.id), []]));
+    frames.forEach(frame => framesByTrip.get(String(frame.tripId)).push(frame));
+
+    return trips.map(trip => ({ ...trip, frames: framesByTrip.get(String(trip.id)) }));
+  }
+
+  async raiseAlert(userId, vehicleId, check) {
+    const knex = DatabaseService.getKnex();
+    const now = new Date();
+
+    let query = knex('maintenance_alerts')
+      .where('userId', userId)
+      .where('type', check.type)
+      .whereIn('status', [...OPEN_STATUSES, 'dismissed']);
+    query = vehicleId ? query.where('vehicleId', vehicleId) : query.whereNull('vehicleId');
+    const existing = await query.orderBy('lastDetectedAt', 'desc').first();
+
+    const details = {
+      severity: check.severity,
+      title: check.title,
+      message: check.message,
+      evidence: JSON.stringify(check.evidence),
+      lastDetectedAt: now,
+      updatedAt: now
+    };
+
+    if (!existing) {
+      const alertId = await DatabaseService.insertAndGetId('maintenance_alerts', {
+        userId,
+        vehicleId: vehicleId || null,
+        type: check.type,
+        status: 'active',
+        ...details,
+        firstDetectedAt: now,
+        createdAt: now
+      });
+      const alert = await this.getAlert(userId, alertId);
+      this.notify(alert, 'new');
+      return alert;
+    }
+
+    // Getting worse reopens an acknowledged or dismissed alert
+    const escalated = SEVERITIES.indexOf(check.severity) > SEVERITIES.indexOf(existing.severity);
+    await knex('maintenance_alerts')
+      .where('id', existing.id)
+      .update({
+        ...details,
+        ...(escalated && { status: 'active', acknowledgedAt: null })
+      });
+
+    const alert = await this.getAlert(userId, existing.id);
+    if (escalated) this.notify(alert, 'escalated');
+    return alert;
+  }
+
+  // Close open alerts of a type once the check comes back clean
+  async resolveAlerts(userId, vehicleId, type) {
+    const knex = DatabaseService.getKnex();
+    const now = new Date();
+
+    let query = knex('maintenance_alerts')
+      .where('userId', userId)
+      .where('type', type)
+      .whereIn('status', OPEN_STATUSES);
+    query = vehicleId ? query.where('vehicleId', vehicleId) : query.whereNull('vehicleId');
+
+    return query.update({ status: 'resolved', resolvedAt: now, updatedAt: now });
+  }
+
+  notify(alert, reason) {
+    // SocketService requires TripService, which runs these checks when a trip
+    // ends, so it can only be required once everything has loaded
+    const SocketService = require('./SocketService');
+    SocketService.sendNotification(alert.userId, {
+      type: 'maintenance_alert',
+      reason,
+      alertId: alert.id,
+      vehicleId: alert.vehicleId,
+      alertType: alert.type,
+      severity: alert.severity,
+      title: alert.title,
+      message: alert.message
+    });
+  }
+}
+
+function parseAlert(alert) {
+  return {
+    ...alert,
+    evidence: alert.evidence && typeof alert.evidence === 'string' ? JSON.parse(alert.evidence) : alert.evidence
+  };
+}
+
+// Export singleton instance
+module.exports = new MaintenanceService();
@@ -0,0 +1,283 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { AppError } = require('../middleware/errorHandler');
+const { EARTH_RADIUS_KM, localProjection } = require('../utils/geo');
+const { closestPointOnSegment } = require('../utils/routeSimplify');
+
+// Snaps GPS points to the nearest plausible road from a local OpenStreetMap
+// extract (OSM_EXTRACT_PATH): either OSM XML (.osm, as written by osmium or
+// osmconvert) or GeoJSON road lines (.geojson/.json, e.g. from osmtogeojson).
+// The extract is loaded into an in-memory grid index on first use.
+
+// Fixes further than this from every road are left where they are
+const DEFAULT_SNAP_RADIUS_METERS = parseFloat(process.env.MAP_MATCH_RADIUS_M) || 30;
+
+// Grid cell size for the segment index, ~220 m north-south
+const CELL_DEGREES = 0.002;
+
+// Matches localProjection, so snapped offsets convert back exactly
+const METERS_PER_DEGREE = EARTH_RADIUS_KM * 1000 * Math.PI / 180;
+
+// Below this speed (km/h) a fix's heading is noise
+const MIN_HEADING_SPEED = 5;
+
+// OSM highway values a car can drive on
+const DRIVABLE_HIGHWAYS = new Set([
+  'motorway', 'motorway_link',
+  'trunk', 'trunk_link',
+  'primary', 'primary_link',
+  'secondary', 'secondary_link',
+  'tertiary', 'tertiary_link',
+  'unclassified', 'residential', 'living_street', 'service', 'road'
+]);
+
+function attribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}="([^"]*)"`));
+  return match ? match[1] : null;
+}
+
+function normalizeBearing(degrees) {
+  return ((degrees % 360) + 360) % 360;
+}
+
+// Smallest angle between two bearings, 0..180
+function bearingDifference(a, b) {
+  const difference = Math.abs(normalizeBearing(a) - normalizeBearing(b));
+  return difference > 180 ? 360 - difference : difference;
+}
+
+class MapMatchingService {
+  constructor() {
+    this.index = null;
+    this.loading = null;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.OSM_EXTRACT_PATH);
+  }
+
+  // Load and index the extract once; concurrent callers share the load
+  async load() {
+    if (this.index) return this.index;
+    if (!this.isConfigured()) {
+      throw new AppError('Map matching is unavailable: OSM_EXTRACT_PATH is not set', 503);
+    }
+
+    if (!this.loading) {
+      const extractPath = path.resolve(process.env.OSM_EXTRACT_PATH);
+      this.loading = this.loadExtract(extractPath)
+        .then(roads => {
+          this.index = this.buildIndex(roads);
+          console.log(`Map matching: indexed ${this.index.segmentCount} road segments from ${extractPath}`);
+          return this.index;
+        })
+        .catch(error => {
+          this.loading = null;
+          console.error('Error loading OSM extract:', error);
+          throw new AppError(`Map matching is unavailable: could not load OSM extract (${error.message})`, 503);
+        });
+    }
+
+    return this.loading;
+  }
+
+  async loadExtract(extractPath) {
+    await fs.promises.access(extractPath, fs.constants.R_OK);
+    return /\.(geo)?json$/i.test(extractPath)
+      ? this.readGeoJson(extractPath)
+      : this.readOsmXml(extractPath);
+  }
+
+  // Roads from OSM XML, streamed line by line; OSM tools write one element
+  // tag per line. Returns [{ id, name, highway, oneway, coordinates: [[lat, lng]] }].
+  async readOsmXml(extractPath) {
+    const nodes = new Map();
+    const roads = [];
+    let way = null;
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(extractPath, { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+
+    const tagPattern = /<(\/?)(node|way|nd|tag)\b([^>]*?)\/?>/g;
+
+    for await (const line of lines) {
+      tagPattern.lastIndex = 0;
+      let match;
+      while ((match = tagPattern.exec(line)) !== null) {
+        const [, closing, element, attributes] = match;
+
+        if (element === 'node' && !closing) {
+          const lat = parseFloat(attribute(attributes, 'lat'));
+          const lng = parseFloat(attribute(attributes, 'lon'));
+          if (Number.isFinite(lat) && Number.isFinite(lng)) {
+            nodes.set(attribute(attributes, 'id'), [lat, lng]);
+          }
+        } else if (element === 'way' && !closing) {
+          way = { id: attribute(attributes, 'id'), refs: [], tags: {} };
+          // A self-closing way has no nodes
+          if (match[0].endsWith('/>')) way = null;
+        } else if (element === 'way' && closing) {
+          if (way && DRIVABLE_HIGHWAYS.has(way.tags.highway)) {
+            roads.push({
+              id: way.id,
+              name: way.tags.name || null,
+              highway: way.tags.highway,
+              oneway: way.tags.oneway === 'yes' || way.tags.highway === 'motorway',
+              coordinates: way.refs.map(ref => nodes.get(ref)).filter(Boolean)
+            });
+          }
+          way = null;
+        } else if (element === 'nd' && way) {
+          way.refs.push(attribute(attributes, 'ref'));
+        } else if (element === 'tag' && way) {
+          way.tags[attribute(attributes, 'k')] = attribute(attributes, 'v');
+        }
+      }
+    }
+
+    return roads;
+  }
+
+  // Roads from GeoJSON LineString/MultiLineString features. Features with a
+  // highway property are filtered like OSM ways; features without one are
+  // taken to be roads already.
+  async readGeoJson(extractPath) {
+    const collection = JSON.parse(await fs.promises.readFile(extractPath, 'utf8'));
+    const roads = [];
+
+    (collection.features || []).forEach((feature, index) => {
+      const properties = feature.properties || {};
+      const geometry = feature.geometry || {};
+      if (properties.highway && !DRIVABLE_HIGHWAYS.has(properties.highway)) return;
+
+      const lines = geometry.type === 'LineString'
+        ? [geometry.coordinates]
+        : geometry.type === 'MultiLineString' ? geometry.coordinates : [];
+
+      lines.forEach(line => roads.push({
+        id: String(feature.id || properties['@id'] || properties.id || index),
+        name: properties.name || null,
+        highway: properties.highway || null,
+        oneway: properties.oneway === 'yes' || properties.highway === 'motorway',
+        coordinates: line.map(([lng, lat]) => [lat, lng])
+      }));
+    });
+
+    return roads;
+  }
+
+  // Grid of cell key -> segment indexes, segments stored flat as
+  // [lat1, lng1, lat2, lng2] with the road each belongs to
+  buildIndex(roads) {
+    const segments = [];
+    const segmentRoads = [];
+    const cells = new Map();
+
+    roads.forEach(road => {
+      for (let i = 1; i < road.coordinates.length; i++) {
+        const [lat1, lng1] = road.coordinates[i - 1];
+        const [lat2, lng2] = road.coordinates[i];
+        const segment = segmentRoads.length;
+        segments.push(lat1, lng1, lat2, lng2);
+        segmentRoads.push(road);
+
+        const minX = Math.floor(Math.min(lng1, lng2) / CELL_DEGREES);
+        const maxX = Math.floor(Math.max(lng1, lng2) / CELL_DEGREES);
+        const minY = Math.floor(Math.min(lat1, lat2) / CELL_DEGREES);
+        const maxY = Math.floor(Math.max(lat1, lat2) / CELL_DEGREES);
+        for (let x = minX; x <= maxX; x++) {
+          for (let y = minY; y <= maxY; y++) {
+            const key = `${x}:${y}`;
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(segment);
+          }
+        }
+      }
+    });
+
+    return {
+      segments: Float64Array.from(segments),
+      segmentRoads,
+      cells,
+      segmentCount: segmentRoads.length
+    };
+  }
+
+  // Segment indexes in the cells within `radius` meters of a point
+  candidateSegments(index, point, radius) {
+    const latRadius = radius / METERS_PER_DEGREE;
+    const lngRadius = radius / (METERS_PER_DEGREE * Math.max(Math.cos(point.lat * Math.PI / 180), 0.01));
+    const found = new Set();
+
+    for (let x = Math.floor((point.lng - lngRadius) / CELL_DEGREES); x <= Math.floor((point.lng + lngRadius) / CELL_DEGREES); x++) {
+      for (let y = Math.floor((point.lat - latRadius) / CELL_DEGREES); y <= Math.floor((point.lat + latRadius) / CELL_DEGREES); y++) {
+        const cell = index.cells.get(`${x}:${y}`);
+        if (cell) cell.forEach(segment => found.add(segment));
+      }
+    }
+
+    return found;
+  }
+
+  // Move each point onto the road that best explains it: nearest within
+  // `radius`, penalized for disagreeing with the fix's heading and for
+  // switching roads, so jitter near junctions doesn't hop between streets.
+  // Points keep their other fields. Returns { points, snapped }.
+  async snapRoute(points, { radius = DEFAULT_SNAP_RADIUS_METERS } = {}) {
+    const index = await this.load();
+    let previousRoad = null;
+    let snapped = 0;
+
+    const result = points.map(point => {
+      const project = localProjection(point);
+      const origin = { x: 0, y: 0 };
+      const useHeading = point.heading !== null && point.heading !== undefined &&
+        point.speed !== null && point.speed !== undefined && point.speed >= MIN_HEADING_SPEED;
+      let best = null;
+
+      this.candidateSegments(index, point, radius).forEach(segment => {
+        const offset = segment * 4;
+        const a = project({ lat: index.segments[offset], lng: index.segments[offset + 1] });
+        const b = project({ lat: index.segments[offset + 2], lng: index.segments[offset + 3] });
+        const closest = closestPointOnSegment(origin, a, b);
+        if (closest.distance > radius) return;
+
+        const road = index.segmentRoads[segment];
+        let cost = closest.distance;
+
+        if (useHeading && (a.x !== b.x || a.y !== b.y)) {
+          const bearing = Math.atan2(b.x - a.x, b.y - a.y) * 180 / Math.PI;
+          let difference = bearingDifference(point.heading, bearing);
+          // Two-way roads can be driven either way
+          if (!road.oneway) difference = Math.min(difference, 180 - difference);
+          cost += (difference / 180) * radius;
+        }
+        if (previousRoad && road !== previousRoad) {
+          cost += radius * 0.25;
+        }
+
+        if (!best || cost < best.cost) {
+          best = { cost, road, x: closest.x, y: closest.y };
+        }
+      });
+
+      if (!best) return point;
+
+      previousRoad = best.road;
+      snapped++;
+      return {
+        ...point,
+        lat: point.lat + best.y / METERS_PER_DEGREE,
+        lng: point.lng + best.x / (METERS_PER_DEGREE * Math.cos(point.lat * Math.PI / 180))
+      };
+    });
+
+    return { points: result, snapped };
+  }
+}
+
+// Export singleton instance
+module.exports = new MapMatchingService();
@@ -0,0 +1,419 @@
+const DatabaseService = require('./DatabaseService');
+const InferenceService = require('./InferenceService');
+const { NotFoundError, ConflictError, ValidationError } = require('../middleware/errorHandler');
+
+// Model families group the versions of one model. Each ai_models row is a
+// version; the family's active version is the one predictions run on.
+class ModelRegistryService {
+  async listFamilies(userId) {
+    const knex = DatabaseService.getKnex();
+
+    const families = await visibleFamilies(knex, userId)
+      .orderBy('updatedAt', 'desc')
+      .select('*');
+
+    const versionCounts = await knex('ai_models')
+      .whereIn('familyId', families.map(family => family.id))
+      .select('familyId')
+      .count('* as versions')
+      .max('versionNumber as latestVersionNumber')
+      .groupBy('familyId');
+
+    const activeVersions = await knex('ai_models')
+      .whereIn('id', families.map(family => family.activeModelId).filter(Boolean))
+      .select('*');
+
+    return families.map(family => {
+      const counts = versionCounts.find(row => String(row.familyId) === String(family.id));
+      const active = activeVersions.find(version => version.id === family.activeModelId);
+      return {
+        ...formatFamily(family),
+        versions: counts ? parseInt(counts.versions) : 0,
+        latestVersionNumber: counts ? parseInt(counts.latestVersionNumber) : null,
+        activeVersion: active ? formatVersion(active, family) : null
+      };
+    });
+  }
+
+  // A family the user can see; with `writable`, only one they own
+  async getFamily(userId, familyId, { writable = false } = {}) {
+    const knex = DatabaseService.getKnex();
+
+    const family = writable
+      ? await knex('model_families').where('id', familyId).where('userId', userId).first()
+      : await visibleFamilies(knex, userId).where('id', familyId).first();
+
+    if (!family) {
+      throw new NotFoundError('Model family not found');
+    }
+    return family;
+  }
+
+  async listVersions(userId, familyId) {
+    const knex = DatabaseService.getKnex();
+    const family = await this.getFamily(userId, familyId);
+
+    const versions = await knex('ai_models')
+      .where('familyId', family.id)
+      .orderBy('versionNumber', 'desc')
+      .select('*');
+
+    return {
+      family: formatFamily(family),
+      versions: versions.map(version => formatVersion(version, family))
+    };
+  }
+
+  // Create a model. A name the user already has becomes the next version of
+  // that family; `baseVersionId` records lineage and seeds hyperparameters.
+  async createModel(userId, { name, type, description, hyperparameters, trainingDataSize, version, baseVersionId }) {
+    const knex = DatabaseService.getKnex();
+
+    let family = await knex('model_families')
+      .where('userId', userId)
+      .where('name', name)
+      .first();
+
+    if (family && family.type !== type) {
+      throw new ConflictError(`Model family "${name}" already exists with type ${family.type}`);
+    }
+
+    let base = null;
+    if (baseVersionId) {
+      base = await knex('ai_models').where('id', baseVersionId).first();
+      if (!base || !family || base.familyId !== family.id) {
+        throw new ValidationError('Base version must belong to the same model family');
+      }
+    }
+
+    if (!family) {
+      const familyId = await DatabaseService.insertAndGetId('model_families', {
+        userId,
+        name,
+        type,
+        description: description || '',
+        createdAt: new Date(),
+        updatedAt: new Date()
+      });
+      family = await knex('model_families').where('id', familyId).first();
+    }
+
+    return this.addVersion(family, {
+      userId,
+      description: description !== undefined ? description : (base ? base.description : ''),
+      hyperparameters: hyperparameters || (base ? parseJSON(base.hyperparameters) : null),
+      trainingDataSize: trainingDataSize || 0,
+      version,
+      parentVersionId: base ? base.id : null
+    });
+  }
+
+  // New untrained version derived from an existing one, used when a trained
+  // version is retrained so its artifacts and predictions stay as they were
+  async deriveVersion(model) {
+    const knex = DatabaseService.getKnex();
+    const family = await knex('model_families').where('id', model.familyId).first();
+
+    return this.addVersion(family, {
+      userId: model.userId,
+      description: model.description,
+      hyperparameters: parseJSON(model.hyperparameters),
+      trainingDataSize: 0,
+      parentVersionId: model.id
+    });
+  }
+
+  // Make a version the one predictions use
+  async activate(userId, modelId, { reason = null, action = 'activate' } = {}) {
+    const knex = DatabaseService.getKnex();
+
+    const model = await knex('ai_models').where('id', modelId).first();
+    if (!model) {
+      throw new NotFoundError('Model not found');
+    }
+    const family = await this.getFamily(userId, model.familyId, { writable: true });
+
+    if (!hasArtifacts(model)) {
+      throw new ConflictError('Only trained versions can be activated');
+    }
+    if (family.activeModelId === model.id) {
+      throw new ConflictError(`Version ${model.version} is already active`);
+    }
+
+    await knex.transaction(async (trx) => {
+      await trx('ai_models')
+        .where('familyId', family.id)
+        .where('isActive', true)
+        .update({ isActive: false, updatedAt: new Date() });
+
+      // The outgoing version stays trained and can be reactivated
+      if (family.activeModelId) {
+        await trx('ai_models')
+          .where('id', family.activeModelId)
+          .where('status', 'deployed')
+          .update({ status: 'trained' });
+      }
+
+      await trx('ai_models')
+        .where('id', model.id)
+        .update({ isActive: true, status: 'deployed', updatedAt: new Date() });
+
+      await trx('model_families')
+        .where('id', family.id)
+        .update({ activeModelId: model.id, updatedAt: new Date() });
+
+      await trx('model_activations').insert({
+        familyId: family.id,
+        modelId: model.id,
+        previousModelId: family.activeModelId || null,
+        userId,
+        action,
+        reason,
+        createdAt: new Date()
+      });
+    });
+
+    // The replaced version no longer serves predictions
+    if (family.activeModelId) InferenceService.evict(family.activeModelId);
+
+    return this.listVersions(userId, family.id);
+  }
+
+  // Reactivate the version that was active before the current one, or a
+  // specific earlier version
+  async rollback(userId, familyId, { modelId = null, reason = null } = {}) {
+    const knex = DatabaseService.getKnex();
+    const family = await this.getFamily(userId, familyId, { writable: true });
+
+    let targetId = modelId;
+    if (!targetId) {
+      const history = await knex('model_activations')
+        .where('familyId', family.id)
+        .orderBy('createdAt', 'desc')
+        .orderBy('id', 'desc')
+        .select('modelId', 'previousModelId');
+
+      // Walk back past versions that were deleted or have no artifacts
+      const candidates = history
+        .filter(entry => entry.modelId === family.activeModelId && entry.previousModelId)
+        .map(entry => entry.previousModelId);
+      const versions = candidates.length > 0
+        ? await knex('ai_models').where('familyId', family.id).whereIn('id', candidates).select('*')
+        : [];
+      const target = candidates
+        .map(id => versions.find(version => version.id === id))
+        .find(version => version && hasArtifacts(version));
+
+      if (!target) {
+        throw new ConflictError('No earlier version to roll back to');
+      }
+      targetId = target.id;
+    } else {
+      const target = await knex('ai_models').where('id', targetId).where('familyId', family.id).first();
+      if (!target) {
+        throw new NotFoundError('Version not found in this model family');
+      }
+    }
+
+    return this.activate(userId, targetId, { reason, action: 'rollback' });
+  }
+
+  // Side-by-side lineage, metrics and prediction stats for versions of a family
+  async compare(userId, familyId, versionIds = []) {
+    const knex = DatabaseService.getKnex();
+    const family = await this.getFamily(userId, familyId);
+
+    let query = knex('ai_models').where('familyId', family.id);
+    if (versionIds.length > 0) query = query.whereIn('id', versionIds);
+
+    const versions = await query
+      .orderBy('versionNumber', 'asc')
+      .select('*');
+
+    if (versionIds.length > 0 && versions.length !== versionIds.length) {
+      throw new NotFoundError('Version not found in this model family');
+    }
+
+    const predictionStats = await knex('model_predictions')
+      .where('userId', userId)
+      .whereIn('modelId', versions.map(version => version.id))
+      .select('modelId')
+      .count('* as predictions')
+      .avg('confidence as avgConfidence')
+      .avg('accuracy as avgAccuracy')
+      .groupBy('modelId');
+
+    return {
+      family: formatFamily(family),
+      versions: versions.map(version => {
+        const stats = predictionStats.find(row => String(row.modelId) === String(version.id));
+        return {
+          ...formatVersion(version, family),
+          predictions: {
+            count: stats ? parseInt(stats.predictions) : 0,
+            avgConfidence: stats && stats.avgConfidence !== null ? parseFloat(stats.avgConfidence) : null,
+            avgAccuracy: stats && stats.avgAccuracy !== null ? parseFloat(stats.avgAccuracy) : null
+          }
+        };
+      })
+    };
+  }
+
+  async listActivations(userId, familyId) {
+    const knex = DatabaseService.getKnex();
+    const family = await this.getFamily(userId, familyId);
+
+    return knex('model_activations as ma')
+      .leftJoin('ai_models as am', 'ma.modelId', 'am.id')
+      .leftJoin('ai_models as prev', 'ma.previousModelId', 'prev.id')
+      .where('ma.familyId', family.id)
+      .orderBy('ma.createdAt', 'desc')
+      .orderBy('ma.id', 'desc')
+      .select('ma.*', 'am.version as version', 'prev.version as previousVersion');
+  }
+
+  // The version predictions for this model's family should use
+  async resolveActiveVersion(model) {
+    const knex = DatabaseService.getKnex();
+
+    const family = model.familyId
+      ? await knex('model_families').where('id', model.familyId).first()
+      : null;
+    if (!family || !family.activeModelId) {
+      throw new ConflictError('Model has no active version; train and activate a version first');
+    }
+    if (family.activeModelId === model.id) return model;
+
+    return knex('ai_models').where('id', family.activeModelId).first();
+  }
+
+  // The first trained version of a family becomes active on its own
+  async activateIfNone(userId, model) {
+    const knex = DatabaseService.getKnex();
+    const family = await knex('model_families').where('id', model.familyId).first();
+    if (!family || family.activeModelId) return false;
+
+    await this.activate(userId, model.id, { reason: 'First trained version' });
+    return true;
+  }
+
+  // Remove a version. The active version can only go when it's the last one.
+  async deleteVersion(model) {
+    const knex = DatabaseService.getKnex();
+    const family = await knex('model_families').where('id', model.familyId).first();
+
+    const remaining = await knex('ai_models')
+      .where('familyId', model.familyId)
+      .whereNot('id', model.id)
+      .count('* as count')
+      .first();
+
+    if (family && family.activeModelId === model.id && parseInt(remaining.count) > 0) {
+      throw new ConflictError('Activate another version before deleting the active one');
+    }
+
+    await knex.transaction(async (trx) => {
+      await trx('model_predictions').where('modelId', model.id).del();
+      await trx('ai_models').where('id', model.id).del();
+      if (family && parseInt(remaining.count) === 0) {
+        await trx('model_families').where('id', family.id).del();
+      }
+    });
+
+    InferenceService.evict(model.id);
+  }
+
+  // Helpers
+  async addVersion(family, { userId, description, hyperparameters, trainingDataSize, version, parentVersionId }) {
+    const knex = DatabaseService.getKnex();
+
+    const latest = await knex('ai_models')
+      .where('familyId', family.id)
+      .max('versionNumber as versionNumber')
+      .first();
+    const versionNumber = (parseInt(latest && latest.versionNumber) || 0) + 1;
+    const versionLabel = version || `${versionNumber}.0.0`;
+
+    const duplicate = await knex('ai_models')
+      .where('familyId', family.id)
+      .where('version', versionLabel)
+      .first();
+    if (duplicate) {
+      throw new ConflictError(`Version ${versionLabel} already exists`);
+    }
+
+    const modelId = await DatabaseService.insertAndGetId('ai_models', {
+      userId,
+      familyId: family.id,
+      name: family.name,
+      type: family.type,
+      description: description || '',
+      hyperparameters: hyperparameters ? JSON.stringify(hyperparameters) : null,
+      trainingDataSize,
+      status: 'created',
+      version: versionLabel,
+      versionNumber,
+      parentVersionId: parentVersionId || null,
+      isActive: false,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+
+    await knex('model_families')
+      .where('id', family.id)
+      .update({ updatedAt: new Date() });
+
+    return knex('ai_models').where('id', modelId).first();
+  }
+}
+
+// Families a user can see: their own plus global families (no owner)
+function visibleFamilies(knex, userId) {
+  return knex('model_families').where(builder => {
+    builder.where('userId', userId).orWhereNull('userId');
+  });
+}
+
+function hasArtifacts(model) {
+  return Boolean(model.filePath && parseJSON(model.metadata).training);
+}
+
+function formatFamily(family) {
+  return {
+    ...family,
+    scope: family.userId ? 'user' : 'global'
+  };
+}
+
+function formatVersion(version, family = null) {
+  return {
+    id: version.id,
+    version: version.version,
+    versionNumber: version.versionNumber,
+    status: version.status,
+    isActive: family ? family.activeModelId === version.id : Boolean(version.isActive),
+    parentVersionId: version.parentVersionId,
+    lineage: {
+      trainingDataFrom: version.trainingDataFrom,
+      trainingDataTo: version.trainingDataTo,
+      trainingDataSize: version.trainingDataSize,
+      hyperparameters: version.hyperparameters ? parseJSON(version.hyperparameters) : null,
+      trainedAt: version.trainedAt
+    },
+    metrics: version.metrics ? parseJSON(version.metrics) : null,
+    createdAt: version.createdAt
+  };
+}
+
+function parseJSON(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return {};
+  }
+}
+
+// Export singleton instance
+module.exports = new ModelRegistryService();
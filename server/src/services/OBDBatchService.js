@@ -0,0 +1,99 @@
+const DatabaseService = require('./DatabaseService');
+const FuelConsumptionService = require('./FuelConsumptionService');
+const OBDBufferService = require('./OBDBufferService');
+const { ValidationError } = require('../middleware/errorHandler');
+const { validateFrame } = require('../utils/obdFrames');
+
+class OBDBatchService {
+  constructor() {
+    this.maxFrames = parseInt(process.env.OBD_BATCH_MAX_FRAMES) || 10000;
+  }
+
+  // Store a batch of frames recorded offline. Invalid frames are reported by
+  // their index and skipped; frames whose device timestamp is already stored
+  // for the user (or repeated in the batch) are counted as duplicates. The
+  // rest are written in chunks inside one transaction.
+  async ingest(userId, frames, { tripId = null } = {}) {
+    if (frames.length === 0) {
+      throw new ValidationError('No frames to store');
+    }
+    if (frames.length > this.maxFrames) {
+      throw new ValidationError(`A batch can hold at most ${this.maxFrames} frames`);
+    }
+
+    const knex = DatabaseService.getKnex();
+    const errors = [];
+    const valid = [];
+
+    frames.forEach((frame, index) => {
+      const frameErrors = validateFrame(frame);
+      if (frameErrors.length > 0) {
+        errors.push({ index, errors: frameErrors });
+      } else {
+        valid.push({ index, frame });
+      }
+    });
+
+    // Frames can only be attached to the user's own trips
+    const tripIds = [...new Set(valid
+      .map(({ frame }) => parseInt(frame.tripId || tripId))
+      .filter(Boolean))];
+    const ownTrips = new Set(tripIds.length > 0
+      ? (await knex('trips').where('userId', userId).whereIn('id', tripIds).pluck('id')).map(Number)
+      : []);
+
+    const rows = [];
+    const seen = new Set();
+    let duplicates = 0;
+
+    valid.forEach(({ index, frame }) => {
+      const frameTripId = parseInt(frame.tripId || tripId) || null;
+      if (frameTripId && !ownTrips.has(frameTripId)) {
+        errors.push({ index, errors: [{ field: 'tripId', message: 'Trip not found' }] });
+        return;
+      }
+
+      const row = OBDBufferService.toRow(userId, frame, { tripId: frameTripId });
+      const key = row.timestamp.getTime();
+      if (seen.has(key)) {
+        duplicates++;
+        return;
+      }
+      seen.add(key);
+      rows.push(row);
+    });
+
+    await FuelConsumptionService.applyToRows(rows);
+
+    let inserted = 0;
+    if (rows.length > 0) {
+      await knex.transaction(async (trx) => {
+        const times = rows.map(row => row.timestamp.getTime());
+        const stored = await trx('obd_data')
+          .where('userId', userId)
+          .whereBetween('timestamp', [new Date(Math.min(...times)), new Date(Math.max(...times))])
+          .pluck('timestamp');
+        const storedTimes = new Set(stored.map(value => new Date(value).getTime()));
+
+        const fresh = rows.filter(row => !storedTimes.has(row.timestamp.getTime()));
+        duplicates += rows.length - fresh.length;
+
+        for (let i = 0; i < fresh.length; i += OBDBufferService.insertChunkSize) {
+          await trx('obd_data').insert(fresh.slice(i, i + OBDBufferService.insertChunkSize));
+        }
+        inserted = fresh.length;
+      });
+    }
+
+    return {
+      received: frames.length,
+      inserted,
+      duplicates,
+      rejected: errors.length,
+      errors: errors.sort((a, b) => a.index - b.index)
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new OBDBatchService();
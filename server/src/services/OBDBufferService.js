@@ -0,0 +1,201 @@
+const DatabaseService = require('./DatabaseService');
+const FuelConsumptionService = require('./FuelConsumptionService');
+const { PIDS, readValue } = require('../utils/pidRegistry');
+
+class OBDBufferService {
+  constructor() {
+    this.buffer = [];
+    this.batchSize = parseInt(process.env.OBD_BATCH_SIZE) || 500;
+    this.insertChunkSize = parseInt(process.env.OBD_INSERT_CHUNK_SIZE) || 200;
+    this.flushIntervalMs = parseInt(process.env.OBD_FLUSH_INTERVAL_MS) || 2000;
+    this.maxBufferSize = parseInt(process.env.OBD_MAX_BUFFER_SIZE) || 50000;
+    this.flushTimer = null;
+    this.flushPromise = null;
+    this.stats = {
+      queued: 0,
+      written: 0,
+      dropped: 0,
+      rejected: 0,
+      failedFlushes: 0,
+      lastFlushAt: null
+    };
+  }
+
+  start() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setInterval(() => {
+      this.flush().catch(error => {
+        console.error('Scheduled OBD flush failed:', error);
+      });
+    }, this.flushIntervalMs);
+
+    // Don't keep the process alive just for the flush timer
+    if (this.flushTimer.unref) {
+      this.flushTimer.unref();
+    }
+
+    console.log(`OBD buffer started (batch size ${this.batchSize}, interval ${this.flushIntervalMs}ms)`);
+  }
+
+  async stop() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    await this.drain();
+
+    if (this.buffer.length > 0) {
+      console.error(`OBD buffer stopped with ${this.buffer.length} unwritten frames`);
+    }
+  }
+
+  // Write everything queued so far, waiting out any flush already in flight;
+  // gives up after a few failed attempts if the database keeps erroring
+  async drain() {
+    let attempts = 0;
+    while ((this.buffer.length > 0 || this.flushPromise) && attempts < 3) {
+      const written = await this.flush();
+      if (written === 0 && this.buffer.length > 0) attempts++;
+    }
+    return this.buffer.length === 0;
+  }
+
+  // Queue a frame for writing. Returns false if the frame had to be rejected.
+  enqueue(userId, frame, options = {}) {
+    if (!userId || !frame) return false;
+
+    this.buffer.push(this.toRow(userId, frame, options));
+    this.stats.queued++;
+
+    // Shed the oldest frames rather than grow without bound when the
+    // database can't keep up
+    if (this.buffer.length > this.maxBufferSize) {
+      const overflow = this.buffer.length - this.maxBufferSize;
+      this.buffer.splice(0, overflow);
+      this.stats.dropped += overflow;
+      console.warn(`OBD buffer full, dropped ${overflow} oldest frames`);
+    }
+
+    if (this.buffer.length >= this.batchSize) {
+      this.flush().catch(error => {
+        console.error('OBD flush failed:', error);
+      });
+    }
+
+    return true;
+  }
+
+  // Write buffered frames. Only one flush runs at a time; concurrent callers
+  // share the in-flight promise. Resolves to the number of rows written.
+  flush() {
+    if (this.flushPromise) return this.flushPromise;
+    if (this.buffer.length === 0) return Promise.resolve(0);
+
+    this.flushPromise = this.writeBuffered()
+      .finally(() => {
+        this.flushPromise = null;
+
+        // Frames kept arriving while we were writing
+        if (this.buffer.length >= this.batchSize) {
+          setImmediate(() => {
+            this.flush().catch(error => {
+              console.error('OBD flush failed:', error);
+            });
+          });
+        }
+      });
+
+    return this.flushPromise;
+  }
+
+  async writeBuffered() {
+    let written = 0;
+
+    while (this.buffer.length > 0) {
+      const rows = this.buffer.splice(0, this.batchSize);
+
+      try {
+        const knex = DatabaseService.getKnex();
+        await FuelConsumptionService.applyToRows(rows);
+        await knex.batchInsert('obd_data', rows, this.insertChunkSize);
+        written += rows.length;
+        this.stats.written += rows.length;
+      } catch (error) {
+        console.error(`Failed to write ${rows.length} OBD frames:`, error);
+        this.stats.failedFlushes++;
+
+        // With the database down, put the rows back so the next flush
+        // retries them
+        const health = await DatabaseService.healthCheck();
+        if (health.status !== 'healthy') {
+          this.buffer.unshift(...rows);
+          break;
+        }
+
+        // Otherwise some rows are bad (e.g. a trip that no longer exists);
+        // write the rest one by one so they don't hold up later frames
+        const rowsWritten = await this.writeRowsSingly(rows);
+        written += rowsWritten;
+        this.stats.written += rowsWritten;
+      }
+    }
+
+    this.stats.lastFlushAt = new Date().toISOString();
+    return written;
+  }
+
+  // Insert rows one at a time, rejecting the ones the database refuses.
+  // Returns the number written.
+  async writeRowsSingly(rows) {
+    const knex = DatabaseService.getKnex();
+    let written = 0;
+
+    for (const row of rows) {
+      try {
+        await knex('obd_data').insert(row);
+        written++;
+      } catch (error) {
+        this.stats.rejected++;
+        console.error(`Rejected OBD frame for user ${row.userId} (trip ${row.tripId}):`, error.message);
+      }
+    }
+
+    return written;
+  }
+
+  toRow(userId, frame, { tripId, timestamp } = {}) {
+    const row = {
+      userId,
+      tripId: tripId || frame.tripId || null,
+      rawData: frame.rawData ? JSON.stringify(frame.rawData) : null,
+      timestamp: this.parseTimestamp(timestamp || frame.timestamp)
+    };
+
+    PIDS.forEach(entry => {
+      row[entry.column] = readValue(entry, frame[entry.column]);
+    });
+
+    return row;
+  }
+
+  parseTimestamp(value) {
+    if (value) {
+      const date = new Date(value);
+      if (!isNaN(date.getTime())) return date;
+    }
+    return new Date();
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      buffered: this.buffer.length,
+      flushing: !!this.flushPromise
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new OBDBufferService();
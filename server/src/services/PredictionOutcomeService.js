@@ -0,0 +1,201 @@
+const DatabaseService = require('./DatabaseService');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { DRIVING_STYLES } = require('../utils/trainingFeatures');
+const {
+  OUTCOME_TYPES,
+  scoreOutcome,
+  summarizeOutcomes,
+  dailyOutcomes
+} = require('../utils/predictionMetrics');
+
+// Trip-based model types, resolved from the trip's final eco score or
+// efficiency once it completes
+const TRIP_OUTCOME_TYPES = Object.keys(OUTCOME_TYPES)
+  .filter(type => OUTCOME_TYPES[type].kind === 'regression');
+
+class PredictionOutcomeService {
+  // Resolve the trip-linked predictions of a completed trip against its actual
+  // eco score or efficiency. Runs again when the trip is rescored.
+  async resolveTrip(tripId) {
+    const knex = DatabaseService.getKnex();
+
+    const trip = await knex('trips').where('id', tripId).first();
+    if (!trip || trip.status !== 'completed') return 0;
+
+    const predictions = await knex('model_predictions as mp')
+      .join('ai_models as am', 'mp.modelId', 'am.id')
+      .where('mp.tripId', trip.id)
+      .whereIn('am.type', TRIP_OUTCOME_TYPES)
+      .where(builder => builder.whereNull('mp.resolvedAt').orWhere('mp.outcomeSource', 'trip'))
+      .select('mp.id', 'mp.prediction', 'am.type as modelType');
+
+    let resolved = 0;
+    for (const prediction of predictions) {
+      const key = OUTCOME_TYPES[prediction.modelType].key;
+      const scored = scoreOutcome(prediction.modelType, parseJSON(prediction.prediction), trip[key]);
+      if (!scored) continue;
+
+      await this.saveOutcome(prediction.id, scored, 'trip', { tripId: trip.id, [key]: scored.actualValue });
+      resolved++;
+    }
+
+    return resolved;
+  }
+
+  // Record what actually happened for one prediction. Trip models take a
+  // `tripId` (resolved once that trip completes) or an `actualValue`,
+  // driving_behavior an `actualStyle` and maintenance_prediction
+  // `maintenanceNeeded` with optional event details.
+  async recordOutcome(userId, predictionId, { actualValue, actualStyle, maintenanceNeeded, tripId, occurredAt, notes }) {
+    const knex = DatabaseService.getKnex();
+
+    const prediction = await knex('model_predictions as mp')
+      .join('ai_models as am', 'mp.modelId', 'am.id')
+      .where('mp.id', predictionId)
+      .where('mp.userId', userId)
+      .select('mp.*', 'am.type as modelType')
+      .first();
+    if (!prediction) {
+      throw new NotFoundError('Prediction not found');
+    }
+
+    const type = OUTCOME_TYPES[prediction.modelType];
+    if (!type) {
+      throw new ValidationError(`Outcomes are not supported for ${prediction.modelType} models`);
+    }
+
+    let actual;
+    let source = 'manual';
+    let details;
+
+    if (type.kind === 'regression') {
+      if (tripId !== undefined) {
+        const trip = await knex('trips').where('id', tripId).where('userId', userId).first();
+        if (!trip) {
+          throw new NotFoundError('Trip not found');
+        }
+
+        await knex('model_predictions')
+          .where('id', prediction.id)
+          .update({ tripId: trip.id });
+        await this.resolveTrip(trip.id);
+
+        return this.getPrediction(prediction.id);
+      }
+      if (actualValue === undefined) {
+        throw new ValidationError(`Provide tripId or actualValue (${type.key}) for ${prediction.modelType} predictions`);
+      }
+      actual = actualValue;
+      details = { [type.key]: actualValue };
+    } else if (type.kind === 'classification') {
+      if (!DRIVING_STYLES.includes(actualStyle)) {
+        throw new ValidationError(`actualStyle must be one of: ${DRIVING_STYLES.join(', ')}`);
+      }
+      actual = actualStyle;
+      details = { style: actualStyle };
+    } else {
+      if (typeof maintenanceNeeded !== 'boolean') {
+        throw new ValidationError('maintenanceNeeded is required for maintenance_prediction predictions');
+      }
+      actual = maintenanceNeeded;
+      source = 'maintenance';
+      details = {
+        maintenanceNeeded,
+        occurredAt: occurredAt ? new Date(occurredAt).toISOString() : null,
+        notes: notes || null
+      };
+    }
+
+    const scored = scoreOutcome(prediction.modelType, parseJSON(prediction.prediction), actual);
+    if (!scored) {
+      throw new ValidationError('Prediction has no predicted value to compare with the outcome');
+    }
+
+    await this.saveOutcome(prediction.id, scored, source, details);
+    return this.getPrediction(prediction.id);
+  }
+
+  // Error and calibration metrics for a family, overall and per version, with
+  // daily trends by the date predictions were resolved
+  async familyAccuracy(userId, family, { since } = {}) {
+    const knex = DatabaseService.getKnex();
+
+    const versions = await knex('ai_models')
+      .where('familyId', family.id)
+      .orderBy('versionNumber', 'asc')
+      .select('id', 'version', 'versionNumber');
+
+    let query = knex('model_predictions')
+      .where('userId', userId)
+      .whereIn('modelId', versions.map(version => version.id))
+      .whereNotNull('resolvedAt');
+    if (since) query = query.where('resolvedAt', '>=', since);
+
+    const rows = await query
+      .orderBy('resolvedAt', 'asc')
+      .select('modelId', 'confidence', 'accuracy', 'absoluteError', 'isCorrect', 'resolvedAt');
+
+    const pending = await knex('model_predictions')
+      .where('userId', userId)
+      .whereIn('modelId', versions.map(version => version.id))
+      .whereNull('resolvedAt')
+      .count('* as count')
+      .first();
+
+    return {
+      familyId: family.id,
+      modelType: family.type,
+      overall: {
+        ...summarizeOutcomes(rows),
+        pending: parseInt(pending.count) || 0
+      },
+      versions: versions.map(version => {
+        const versionRows = rows.filter(row => String(row.modelId) === String(version.id));
+        return {
+          modelId: version.id,
+          version: version.version,
+          versionNumber: version.versionNumber,
+          isActive: family.activeModelId === version.id,
+          ...summarizeOutcomes(versionRows),
+          trend: dailyOutcomes(versionRows)
+        };
+      }),
+      trend: dailyOutcomes(rows)
+    };
+  }
+
+  // Helpers
+  async saveOutcome(predictionId, scored, source, details) {
+    const knex = DatabaseService.getKnex();
+
+    await knex('model_predictions')
+      .where('id', predictionId)
+      .update({
+        actualValue: scored.actualValue,
+        absoluteError: scored.absoluteError,
+        accuracy: scored.accuracy,
+        isCorrect: scored.isCorrect,
+        outcome: JSON.stringify(details),
+        outcomeSource: source,
+        resolvedAt: new Date()
+      });
+  }
+
+  async getPrediction(predictionId) {
+    const knex = DatabaseService.getKnex();
+    return knex('model_predictions').where('id', predictionId).first();
+  }
+}
+
+function parseJSON(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return {};
+  }
+}
+
+// Export singleton instance
+module.exports = new PredictionOutcomeService();
@@ -0,0 +1,408 @@
+const DatabaseService = require('./DatabaseService');
+const { NotFoundError } = require('../middleware/errorHandler');
+const { toNumberOrNull } = require('../utils/numbers');
+const { round } = require('../utils/tripMetrics');
+const {
+  MIN_ROUTE_TRIPS,
+  resamplePath,
+  routeDistance,
+  findRoute,
+  mergePath,
+  summarizeRouteTrips,
+  compareTripToRoute
+} = require('../utils/routeMatching');
+
+// One-off trips checked for a shared path when a trip fits no existing route
+const CANDIDATE_TRIPS = 100;
+
+const TRIP_COLUMNS = ['id', 'startTime', 'endTime', 'distance', 'efficiency', 'normalizedEfficiency', 'ecoScore', 'recurringRouteId'];
+
+class RecurringRouteService {
+  // Put a completed trip on the recurring route it follows. A trip that fits
+  // no route but shares its path with earlier one-off trips starts a new
+  // route with them. A trip that left another route (its route points were
+  // replaced) is taken out of that route's path. Returns { routeId, created },
+  // or null for a one-off trip.
+  async assignTrip(tripId) {
+    const knex = DatabaseService.getKnex();
+
+    const trip = await knex('trips').where('id', tripId).first();
+    if (!trip || trip.status !== 'completed') return null;
+
+    const path = await this.loadPath(trip.id);
+    const routes = path ? await this.loadRoutes(trip.userId) : [];
+    const route = path ? findRoute(path, routes) : null;
+
+    // Already counted in the route's path, e.g. when a trip is finished again
+    if (route && String(route.id) === String(trip.recurringRouteId)) {
+      return { routeId: route.id, created: false };
+    }
+
+    if (route) {
+      const [{ count }] = await knex('trips')
+        .where('recurringRouteId', route.id)
+        .whereNot('id', trip.id)
+        .count('* as count');
+      const tripCount = parseInt(count) || 0;
+
+      await knex('recurring_routes')
+        .where('id', route.id)
+        .update({
+          ...pathColumns(mergePath(route.path, tripCount, path)),
+          distance: meanDistance(route.distance, tripCount, trip.distance),
+          updatedAt: new Date()
+        });
+      await knex('trips').where('id', trip.id).update({ recurringRouteId: route.id });
+      await this.leaveRoute(trip);
+
+      return { routeId: route.id, created: false };
+    }
+
+    const matches = path ? await this.findMatchingTrips(trip, path) : [];
+    if (matches.length + 1 < MIN_ROUTE_TRIPS) {
+      if (trip.recurringRouteId) {
+        await knex('trips').where('id', trip.id).update({ recurringRouteId: null });
+        await this.leaveRoute(trip);
+      }
+      return null;
+    }
+
+    const members = [{ trip, path }, ...matches];
+    const routeId = await knex.transaction(async (trx) => {
+      const id = await DatabaseService.insertAndGetId('recurring_routes', {
+        userId: trip.userId,
+        name: defaultName(routes.length + 1, members),
+        ...routeColumns(members),
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }, trx);
+
+      await trx('trips')
+        .whereIn('id', members.map(member => member.trip.id))
+        .update({ recurringRouteId: id });
+
+      return id;
+    });
+    await this.leaveRoute(trip);
+
+    return { routeId, created: true };
+  }
+
+  // Rebuild the path and distance of the route a trip was on before it was
+  // reassigned from the trips still on it. A route left with too few trips
+  // is removed and its trips become one-off trips again, as recluster would.
+  async leaveRoute(trip) {
+    if (!trip.recurringRouteId) return;
+
+    const knex = DatabaseService.getKnex();
+    const routeId = trip.recurringRouteId;
+
+    const trips = await knex('trips')
+      .where('recurringRouteId', routeId)
+      .orderBy('startTime', 'asc')
+      .select('id', 'distance');
+
+    const members = [];
+    for (const remaining of trips) {
+      const path = await this.loadPath(remaining.id);
+      if (path) members.push({ trip: remaining, path });
+    }
+
+    if (members.length < MIN_ROUTE_TRIPS) {
+      await knex.transaction(async (trx) => {
+        await trx('trips').where('recurringRouteId', routeId).update({ recurringRouteId: null });
+        await trx('recurring_routes').where('id', routeId).del();
+      });
+      return;
+    }
+
+    await knex('recurring_routes')
+      .where('id', routeId)
+      .update({ ...routeColumns(members), updatedAt: new Date() });
+  }
+
+  // Rebuild a user's routes from all their completed trips, oldest first.
+  // Existing routes keep their IDs and names where trips still follow them.
+  async recluster(userId) {
+    const knex = DatabaseService.getKnex();
+
+    const trips = await knex('trips')
+      .where({ userId, status: 'completed' })
+      .orderBy('startTime', 'asc')
+      .select('id', 'distance');
+
+    const clusters = (await this.loadRoutes(userId)).map(route => ({ ...route, members: [] }));
+    let pending = [];
+
+    for (const trip of trips) {
+      const path = await this.loadPath(trip.id);
+      if (!path) continue;
+
+      const cluster = findRoute(path, clusters);
+      if (cluster) {
+        // An existing route's first trip replaces its old path outright
+        cluster.path = cluster.members.length > 0 ? mergePath(cluster.path, cluster.members.length, path) : path;
+        cluster.members.push({ trip, path });
+        continue;
+      }
+
+      const match = pending.find(candidate => routeDistance(path, candidate.path) !== null);
+      if (match) {
+        pending = pending.filter(candidate => candidate !== match);
+        clusters.push({ id: null, path: mergePath(match.path, 1, path), members: [match, { trip, path }] });
+      } else {
+        pending.push({ trip, path });
+      }
+    }
+
+    const kept = clusters.filter(cluster => cluster.members.length >= MIN_ROUTE_TRIPS);
+    const keptIds = new Set(kept.filter(cluster => cluster.id).map(cluster => cluster.id));
+    const removed = clusters.filter(cluster => cluster.id && !keptIds.has(cluster.id));
+
+    await knex.transaction(async (trx) => {
+      await trx('trips').where('userId', userId).update({ recurringRouteId: null });
+
+      let number = keptIds.size;
+      for (const cluster of kept) {
+        const columns = { ...routeColumns(cluster.members), updatedAt: new Date() };
+        let id = cluster.id;
+
+        if (id) {
+          await trx('recurring_routes').where('id', id).update(columns);
+        } else {
+          number++;
+          id = await DatabaseService.insertAndGetId('recurring_routes', {
+            userId,
+            name: defaultName(number, cluster.members),
+            ...columns,
+            createdAt: new Date()
+          }, trx);
+        }
+
+        await trx('trips')
+          .whereIn('id', cluster.members.map(member => member.trip.id))
+          .update({ recurringRouteId: id });
+      }
+
+      if (removed.length > 0) {
+        await trx('recurring_routes').whereIn('id', removed.map(cluster => cluster.id)).del();
+      }
+    });
+
+    return {
+      tripsProcessed: trips.length,
+      routes: kept.length,
+      tripsOnRoutes: kept.reduce((sum, cluster) => sum + cluster.members.length, 0),
+      routesRemoved: removed.length
+    };
+  }
+
+  // A user's routes with at least one trip, most driven first, each with
+  // its benchmarks
+  async listRoutes(userId, { utcOffset = 0 } = {}) {
+    const knex = DatabaseService.getKnex();
+
+    const routes = await this.loadRoutes(userId);
+    const trips = await knex('trips')
+      .where('userId', userId)
+      .whereNotNull('recurringRouteId')
+      .orderBy('startTime', 'asc')
+      .select(TRIP_COLUMNS);
+
+    return routes
+      .map(route => {
+        const routeTrips = trips.filter(trip => trip.recurringRouteId === route.id);
+        const { path, ...summary } = formatRoute(route);
+        return {
+          ...summary,
+          lastTripAt: routeTrips.length > 0 ? routeTrips[routeTrips.length - 1].startTime : null,
+          ...summarizeRouteTrips(routeTrips, { utcOffset })
+        };
+      })
+      .filter(route => route.tripCount > 0)
+      .sort((a, b) => b.tripCount - a.tripCount);
+  }
+
+  // One route with its path, benchmarks, time-of-day effects, trend and trips
+  async getRoute(userId, routeId, { utcOffset = 0 } = {}) {
+    const knex = DatabaseService.getKnex();
+
+    const route = await this.findUserRoute(userId, routeId);
+    const trips = await knex('trips')
+      .where('recurringRouteId', route.id)
+      .orderBy('startTime', 'asc')
+      .select(TRIP_COLUMNS);
+
+    return {
+      ...formatRoute(route),
+      ...summarizeRouteTrips(trips, { utcOffset }),
+      trips: trips.map(({ recurringRouteId, ...trip }) => trip)
+    };
+  }
+
+  async renameRoute(userId, routeId, name) {
+    const knex = DatabaseService.getKnex();
+
+    const route = await this.findUserRoute(userId, routeId);
+    await knex('recurring_routes')
+      .where('id', route.id)
+      .update({ name, updatedAt: new Date() });
+
+    return { ...formatRoute(route), name };
+  }
+
+  // How a trip did against the other trips on its route
+  async compareTrip(userId, tripId, { utcOffset = 0 } = {}) {
+    const knex = DatabaseService.getKnex();
+
+    const trip = await knex('trips')
+      .where({ id: tripId, userId })
+      .first();
+
+    if (!trip) {
+      throw new NotFoundError('Trip not found');
+    }
+    if (!trip.recurringRouteId) {
+      throw new NotFoundError('Trip is not on a recurring route');
+    }
+
+    const route = await this.findUserRoute(userId, trip.recurringRouteId);
+    const others = await knex('trips')
+      .where('recurringRouteId', route.id)
+      .whereNot('id', trip.id)
+      .orderBy('startTime', 'asc')
+      .select(TRIP_COLUMNS);
+
+    const { path, ...summary } = formatRoute(route);
+    return {
+      tripId: trip.id,
+      route: { ...summary, tripCount: others.length + 1 },
+      comparison: compareTripToRoute(trip, others, { utcOffset })
+    };
+  }
+
+  // Helpers
+  async findUserRoute(userId, routeId) {
+    const knex = DatabaseService.getKnex();
+
+    const route = await knex('recurring_routes')
+      .where({ id: routeId, userId })
+      .first();
+
+    if (!route) {
+      throw new NotFoundError('Route not found');
+    }
+    return { ...route, path: parseJSON(route.path) };
+  }
+
+  async loadRoutes(userId) {
+    const knex = DatabaseService.getKnex();
+
+    const routes = await knex('recurring_routes')
+      .where('userId', userId)
+      .orderBy('id', 'asc');
+
+    return routes.map(route => ({ ...route, path: parseJSON(route.path) }));
+  }
+
+  async loadPath(tripId) {
+    const knex = DatabaseService.getKnex();
+
+    const points = await knex('trip_routes')
+      .where('tripId', tripId)
+      .orderBy('sequence', 'asc')
+      .select('lat', 'lng');
+
+    return resamplePath(points);
+  }
+
+  // The user's most recent one-off trips that follow the same path
+  async findMatchingTrips(trip, path) {
+    const knex = DatabaseService.getKnex();
+
+    const candidates = await knex('trips')
+      .where({ userId: trip.userId, status: 'completed' })
+      .whereNull('recurringRouteId')
+      .whereNot('id', trip.id)
+      .orderBy('startTime', 'desc')
+      .limit(CANDIDATE_TRIPS)
+      .select('id', 'distance');
+
+    const matches = [];
+    for (const candidate of candidates) {
+      const candidatePath = await this.loadPath(candidate.id);
+      if (candidatePath && routeDistance(candidatePath, path) !== null) {
+        matches.push({ trip: candidate, path: candidatePath });
+      }
+    }
+    return matches;
+  }
+}
+
+// Columns for a route made of these trips ({ trip, path } each)
+function routeColumns(members) {
+  let path = members[0].path;
+  members.slice(1).forEach((member, index) => {
+    path = mergePath(path, index + 1, member.path);
+  });
+
+  const distances = members
+    .map(member => toNumberOrNull(member.trip.distance))
+    .filter(distance => distance !== null);
+
+  return {
+    ...pathColumns(path),
+    distance: distances.length > 0
+      ? round(distances.reduce((sum, distance) => sum + distance, 0) / distances.length, 3)
+      : null
+  };
+}
+
+function pathColumns(path) {
+  const end = path[path.length - 1];
+  return {
+    startLat: path[0].lat,
+    startLng: path[0].lng,
+    endLat: end.lat,
+    endLng: end.lng,
+    path: JSON.stringify(path)
+  };
+}
+
+function meanDistance(current, tripCount, distance) {
+  const mean = toNumberOrNull(current);
+  const added = toNumberOrNull(distance);
+  if (added === null) return mean;
+  if (mean === null || tripCount === 0) return round(added, 3);
+  return round((mean * tripCount + added) / (tripCount + 1), 3);
+}
+
+// Routes get a plain numbered name until the driver renames them
+function defaultName(number, members) {
+  const { distance } = routeColumns(members);
+  return distance !== null ? `Route ${number} (${distance.toFixed(1)} km)` : `Route ${number}`;
+}
+
+function formatRoute(route) {
+  return {
+    id: route.id,
+    name: route.name,
+    start: { lat: toNumberOrNull(route.startLat), lng: toNumberOrNull(route.startLng) },
+    end: { lat: toNumberOrNull(route.endLat), lng: toNumberOrNull(route.endLng) },
+    distance: toNumberOrNull(route.distance),
+    path: route.path
+  };
+}
+
+function parseJSON(value) {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Export singleton instance
+module.exports = new RecurringRouteService();
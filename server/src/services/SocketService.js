@@ -1,19 +1,33 @@
+const { verifyToken } = require('../middleware/auth');
+const { NotFoundError } = require('../middleware/errorHandler');
+const AnalyticsService = require('./AnalyticsService');
+const CoachingEngine = require('./CoachingEngine');
+const OBDBufferService = require('./OBDBufferService');
+const TokenService = require('./TokenService');
+const TripService = require('./TripService');
+
 class SocketService {
   constructor() {
     this.io = null;
     this.connectedUsers = new Map(); // userId -> socketId
     this.userRooms = new Map(); // userId -> roomName
+    this.activeTrips = new Map(); // userId -> tripId
+    this.frameTrips = new Map(); // userId -> last trip verified as theirs for OBD frames
   }
 
   initialize(io) {
     this.io = io;
+    this.io.use((socket, next) => this.authenticateSocket(socket, next));
     this.setupEventHandlers();
     console.log('Socket service initialized');
   }
 
   setupEventHandlers() {
     this.io.on('connection', (socket) => {
-      console.log(`Client connected: ${socket.id}`);
+      console.log(`Client connected: ${socket.id} (user ${socket.user.id})`);
+      
+      // Every authenticated socket joins its own user's room, and only that room
+      this.joinUserRoom(socket);
       
       // Handle user authentication and room joining
       socket.on('authenticate', (data) => {
@@ -22,22 +36,26 @@ class SocketService {
       
       // Handle OBD data updates
       socket.on('obd-data', (data) => {
-        this.handleOBDData(socket, data);
+        if (!this.authorizePayload(socket, data, 'obd-error')) return;
+        this.handleOBDData(socket, { ...data, userId: socket.user.id });
       });
       
       // Handle trip updates
       socket.on('trip-update', (data) => {
-        this.handleTripUpdate(socket, data);
+        if (!this.authorizePayload(socket, data, 'trip-error')) return;
+        this.handleTripUpdate(socket, { ...data, userId: socket.user.id });
       });
       
       // Handle coaching tip requests
       socket.on('request-coaching', (data) => {
-        this.handleCoachingRequest(socket, data);
+        if (!this.authorizePayload(socket, data, 'coaching-error')) return;
+        this.handleCoachingRequest(socket, { ...data, userId: socket.user.id });
       });
       
       // Handle real-time analytics
       socket.on('analytics-request', (data) => {
-        this.handleAnalyticsRequest(socket, data);
+        if (!this.authorizePayload(socket, data, 'analytics-error')) return;
+        this.handleAnalyticsRequest(socket, { ...data, userId: socket.user.id });
       });
       
       // Handle disconnection
@@ -52,34 +70,104 @@ class SocketService {
     });
   }
 
+  // Handshake middleware: reject the connection unless it carries a valid JWT
+  authenticateSocket(socket, next) {
+    const token = this.extractToken(socket);
+    
+    if (!token) {
+      return next(new Error('Authentication token required'));
+    }
+    
+    const decoded = verifyToken(token);
+    if (!decoded || !decoded.userId || !decoded.sid) {
+      return next(new Error('Invalid authentication token'));
+    }
+    
+    TokenService.isSessionActive(decoded.sid)
+      .then((isActive) => {
+        if (!isActive) {
+          return next(new Error('Session has been revoked'));
+        }
+        
+        socket.user = {
+          id: decoded.userId,
+          email: decoded.email,
+          role: decoded.role || 'user',
+          sessionId: decoded.sid
+        };
+        
+        next();
+      })
+      .catch((error) => {
+        console.error('Socket session check failed:', error);
+        next(new Error('Authentication failed'));
+      });
+  }
+
+  extractToken(socket) {
+    const { auth = {}, headers = {}, query = {} } = socket.handshake;
+    
+    if (auth.token) {
+      return auth.token;
+    }
+    
+    const authHeader = headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      return authHeader.split(' ')[1];
+    }
+    
+    return query.token || null;
+  }
+
+  joinUserRoom(socket) {
+    const userId = socket.user.id;
+    const roomName = this.getRoomName(userId);
+    
+    socket.join(roomName);
+    this.connectedUsers.set(userId, socket.id);
+    this.userRooms.set(userId, roomName);
+    
+    return roomName;
+  }
+
+  getRoomName(userId) {
+    return `user-${userId}`;
+  }
+
+  isSameUser(a, b) {
+    return a !== undefined && a !== null && b !== undefined && b !== null && String(a) === String(b);
+  }
+
+  // Events may only act on behalf of the user the socket authenticated as
+  authorizePayload(socket, data, errorEvent) {
+    if (!data || !this.isSameUser(socket.user.id, data.userId)) {
+      socket.emit(errorEvent, { message: 'Not authorized for this user' });
+      return false;
+    }
+    return true;
+  }
+
+  // Kept for clients that still send an explicit authenticate event; the
+  // handshake has already verified the token, so this only confirms identity
   handleAuthentication(socket, data) {
     try {
-      const { userId, token } = data;
+      const { userId } = data || {};
       
-      if (!userId || !token) {
-        socket.emit('auth-error', { message: 'Missing user ID or token' });
+      if (userId !== undefined && !this.isSameUser(socket.user.id, userId)) {
+        socket.emit('auth-error', { message: 'User ID does not match authentication token' });
         return;
       }
       
-      // In a real app, you'd verify the JWT token here
-      // For now, we'll just accept the userId
-      
-      // Store user connection
-      this.connectedUsers.set(userId, socket.id);
-      
-      // Join user to their personal room
-      const roomName = `user-${userId}`;
-      socket.join(roomName);
-      this.userRooms.set(userId, roomName);
+      const roomName = this.joinUserRoom(socket);
       
       // Send confirmation
       socket.emit('authenticated', { 
-        userId, 
+        userId: socket.user.id, 
         roomName,
         message: 'Successfully authenticated' 
       });
       
-      console.log(`User ${userId} authenticated and joined room ${roomName}`);
+      console.log(`User ${socket.user.id} authenticated and joined room ${roomName}`);
       
     } catch (error) {
       console.error('Authentication error:', error);
@@ -87,7 +175,7 @@ class SocketService {
     }
   }
 
-  handleOBDData(socket, data) {
+  async handleOBDData(socket, data) {
     try {
       const { userId, obdData, timestamp } = data;
       
@@ -96,11 +184,25 @@ class SocketService {
         return;
       }
       
+      // Frames belong to the trip named in the payload, else the user's active trip
+      const tripId = await this.resolveFrameTrip(userId, data.tripId || obdData.tripId);
+      if (tripId === undefined) {
+        socket.emit('obd-error', { message: 'Trip not found' });
+        return;
+      }
+      
       // Process OBD data (could include AI analysis here)
       const processedData = this.processOBDData(obdData);
       
-      // Store data in database (in a real app)
-      // await this.storeOBDData(userId, processedData);
+      // Queue for batched storage; writes happen off the event handler
+      const queued = OBDBufferService.enqueue(userId, processedData, { tripId, timestamp });
+      
+      // Evaluate coaching rules against the frame; tips are pushed as they fire
+      const tips = CoachingEngine.evaluate(userId, processedData, { tripId, timestamp });
+      if (tips.length > 0) {
+        this.emitCoachingTips(userId, tips)
+          .catch(error => console.error('Coaching tip delivery error:', error));
+      }
       
       // Broadcast to user's room
       const roomName = this.userRooms.get(userId);
@@ -115,6 +217,8 @@ class SocketService {
       // Send confirmation to sender
       socket.emit('obd-confirmed', { 
         message: 'OBD data received and processed',
+        tripId,
+        queued,
         timestamp: new Date().toISOString()
       });
       
@@ -124,7 +228,28 @@ class SocketService {
     }
   }
 
-  handleTripUpdate(socket, data) {
+  // The trip a frame is stored against: the one it names if the user owns
+  // it, else their active trip. Undefined when the named trip isn't theirs.
+  async resolveFrameTrip(userId, requestedTripId) {
+    const activeTripId = this.activeTrips.get(userId) || null;
+    if (!requestedTripId) return activeTripId;
+    
+    const knownTripIds = [activeTripId, this.frameTrips.get(userId)];
+    if (knownTripIds.some(id => id && String(id) === String(requestedTripId))) {
+      return requestedTripId;
+    }
+    
+    try {
+      const trip = await TripService.getTrip(userId, requestedTripId);
+      this.frameTrips.set(userId, trip.id);
+      return trip.id;
+    } catch (error) {
+      if (error instanceof NotFoundError) return undefined;
+      throw error;
+    }
+  }
+
+  async handleTripUpdate(socket, data) {
     try {
       const { userId, tripData, action } = data;
       
@@ -133,25 +258,31 @@ class SocketService {
         return;
       }
       
-      // Process trip update based on action
+      const tripId = tripData.tripId || tripData.id || this.activeTrips.get(userId);
+      
+      // Persist the trip based on action
       let processedData;
       switch (action) {
-        case 'start':
-          processedData = this.processTripStart(userId, tripData);
+        case 'start': {
+          const trip = await TripService.startTrip(userId, tripData);
+          this.activeTrips.set(userId, trip.id);
+          processedData = { trip };
           break;
+        }
         case 'update':
-          processedData = this.processTripUpdate(userId, tripData);
+          processedData = await TripService.updateTrip(userId, tripId, tripData);
+          this.activeTrips.set(userId, processedData.trip.id);
           break;
         case 'end':
-          processedData = this.processTripEnd(userId, tripData);
+          processedData = await TripService.endTrip(userId, tripId, tripData);
+          this.activeTrips.delete(userId);
+          CoachingEngine.reset(userId);
           break;
         default:
-          throw new Error(`Unknown trip action: ${action}`);
+          socket.emit('trip-error', { message: `Unknown trip action: ${action}` });
+          return;
       }
       
-      // Store trip data (in a real app)
-      // await this.storeTripData(userId, processedData);
-      
       // Broadcast to user's room
       const roomName = this.userRooms.get(userId);
       if (roomName) {
@@ -166,17 +297,20 @@ class SocketService {
       // Send confirmation to sender
       socket.emit('trip-confirmed', { 
         action,
+        tripId: processedData.trip.id,
         message: `Trip ${action} confirmed`,
         timestamp: new Date().toISOString()
       });
       
     } catch (error) {
       console.error('Trip update handling error:', error);
-      socket.emit('trip-error', { message: 'Failed to process trip update' });
+      socket.emit('trip-error', {
+        message: error.isOperational ? error.message : 'Failed to process trip update'
+      });
     }
   }
 
-  handleCoachingRequest(socket, data) {
+  async handleCoachingRequest(socket, data) {
     try {
       const { userId, requestType, context } = data;
       
@@ -185,22 +319,18 @@ class SocketService {
         return;
       }
       
-      // Generate coaching tip based on request type and context
-      const coachingTip = this.generateCoachingTip(requestType, context);
+      // Evaluate the supplied context, falling back to a general tip for the type
+      const coachingTip = CoachingEngine.tipForRequest(userId, requestType, {
+        tripId: this.activeTrips.get(userId) || null,
+        ...(context || {})
+      });
       
-      // Send coaching tip to user
-      const roomName = this.userRooms.get(userId);
-      if (roomName) {
-        this.io.to(roomName).emit('coaching-tip', {
-          userId,
-          tip: coachingTip,
-          timestamp: new Date().toISOString()
-        });
-      }
+      const [tip] = await this.emitCoachingTips(userId, [coachingTip]);
       
       // Send confirmation to sender
       socket.emit('coaching-confirmed', { 
         message: 'Coaching tip generated',
+        tipId: tip ? tip.id : null,
         timestamp: new Date().toISOString()
       });
       
@@ -210,17 +340,34 @@ class SocketService {
     }
   }
 
-  handleAnalyticsRequest(socket, data) {
+  async handleAnalyticsRequest(socket, data) {
     try {
-      const { userId, analyticsType, timeRange } = data;
+      const { userId, analyticsType, timeRange, metric, interval, compareWith } = data;
       
       if (!userId || !analyticsType) {
         socket.emit('analytics-error', { message: 'Invalid analytics request' });
         return;
       }
       
-      // Generate analytics data (in a real app, this would query the database)
-      const analyticsData = this.generateAnalytics(userId, analyticsType, timeRange);
+      // Same queries as the /api/analytics endpoints
+      let analyticsData;
+      switch (analyticsType) {
+        case 'overview':
+          analyticsData = await AnalyticsService.getOverview(userId, { timeRange });
+          break;
+        case 'trends':
+          analyticsData = await AnalyticsService.getTrends(userId, { metric, timeRange, interval });
+          break;
+        case 'comparison':
+          analyticsData = await AnalyticsService.getComparison(userId, { compareWith, timeRange });
+          break;
+        case 'insights':
+          analyticsData = await AnalyticsService.getInsights(userId, { timeRange });
+          break;
+        default:
+          socket.emit('analytics-error', { message: `Unknown analytics type: ${analyticsType}` });
+          return;
+      }
       
       // Send analytics to user
       const roomName = this.userRooms.get(userId);
@@ -247,21 +394,22 @@ class SocketService {
 
   handleDisconnection(socket) {
     try {
-      // Find and remove user from connected users
-      let disconnectedUserId = null;
-      for (const [userId, socketId] of this.connectedUsers.entries()) {
-        if (socketId === socket.id) {
-          disconnectedUserId = userId;
-          break;
+      const userId = socket.user && socket.user.id;
+      
+      // Only forget the user once their last socket has left the room
+      if (userId !== undefined && this.connectedUsers.get(userId) === socket.id) {
+        const room = this.io.sockets.adapter.rooms.get(this.getRoomName(userId));
+        
+        if (!room || room.size === 0) {
+          this.connectedUsers.delete(userId);
+          this.userRooms.delete(userId);
+          this.frameTrips.delete(userId);
+          console.log(`User ${userId} disconnected`);
+        } else {
+          this.connectedUsers.set(userId, room.values().next().value);
         }
       }
       
-      if (disconnectedUserId) {
-        this.connectedUsers.delete(disconnectedUserId);
-        this.userRooms.delete(disconnectedUserId);
-        console.log(`User ${disconnectedUserId} disconnected`);
-      }
-      
       console.log(`Client disconnected: ${socket.id}`);
       
     } catch (error) {
@@ -279,73 +427,31 @@ class SocketService {
     };
   }
 
-  processTripStart(userId, tripData) {
-    return {
-      ...tripData,
-      status: 'active',
-      startedAt: new Date().toISOString(),
-      userId
-    };
-  }
-
-  processTripUpdate(userId, tripData) {
-    return {
-      ...tripData,
-      lastUpdated: new Date().toISOString(),
-      userId
-    };
-  }
-
-  processTripEnd(userId, tripData) {
-    return {
-      ...tripData,
-      status: 'completed',
-      endedAt: new Date().toISOString(),
-      userId
-    };
-  }
-
-  generateCoachingTip(requestType, context) {
-    // Simple coaching tip generation
-    const tips = {
-      acceleration: 'Gentle acceleration can improve fuel efficiency by up to 20%',
-      braking: 'Anticipate stops and brake smoothly to save fuel',
-      shifting: 'Shift to higher gears early to maintain low RPM',
-      speed: 'Reducing speed by 10 km/h can save 15% fuel',
-      general: 'Maintain steady speed and avoid rapid acceleration/braking'
-    };
+  // Persist tips and push them to the user's room. Storage failures are logged
+  // so a database hiccup never interrupts live coaching.
+  async emitCoachingTips(userId, tips) {
+    const emitted = [];
     
-    return {
-      id: `tip_${Date.now()}`,
-      type: requestType,
-      message: tips[requestType] || tips.general,
-      priority: 'medium',
-      timestamp: new Date().toISOString()
-    };
-  }
-
-  generateAnalytics(userId, analyticsType, timeRange) {
-    // Mock analytics data generation
-    const mockData = {
-      fuelEfficiency: {
-        average: 7.5,
-        trend: 'improving',
-        best: 6.2,
-        worst: 9.1
-      },
-      drivingScore: {
-        current: 85,
-        average: 78,
-        trend: 'stable'
-      },
-      tripStats: {
-        totalTrips: 24,
-        totalDistance: 1250,
-        totalFuel: 95.5
+    for (const tip of tips) {
+      let storedTip = tip;
+      try {
+        storedTip = await CoachingEngine.persistTip(userId, tip);
+      } catch (error) {
+        console.error('Failed to store coaching tip:', error);
       }
-    };
+      
+      const roomName = this.userRooms.get(userId);
+      if (roomName) {
+        this.io.to(roomName).emit('coaching-tip', {
+          userId,
+          tip: storedTip,
+          timestamp: new Date().toISOString()
+        });
+      }
+      emitted.push(storedTip);
+    }
     
-    return mockData[analyticsType] || mockData.drivingScore;
+    return emitted;
   }
 
   // Public methods for external use
@@ -362,6 +468,29 @@ class SocketService {
     return false;
   }
 
+  // Drop live sockets whose session was revoked by logout
+  disconnectSession(sessionId) {
+    return this.disconnectWhere(socket => socket.user && socket.user.sessionId === sessionId);
+  }
+
+  disconnectUser(userId) {
+    return this.disconnectWhere(socket => socket.user && this.isSameUser(socket.user.id, userId));
+  }
+
+  disconnectWhere(predicate) {
+    if (!this.io) return 0;
+    
+    let disconnected = 0;
+    for (const socket of this.io.sockets.sockets.values()) {
+      if (predicate(socket)) {
+        socket.emit('auth-error', { message: 'Session has been logged out' });
+        socket.disconnect(true);
+        disconnected++;
+      }
+    }
+    return disconnected;
+  }
+
   broadcastToAll(event, data) {
     this.io.emit(event, {
       ...data,
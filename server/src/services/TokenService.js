@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const DatabaseService = require('./DatabaseService');
+const { AuthenticationError } = require('../middleware/errorHandler');
+
+class TokenService {
+  constructor() {
+    this.refreshTokenTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+  }
+
+  // Start a new session and issue its first refresh token
+  async createSession(userId, { userAgent, ipAddress } = {}) {
+    const knex = DatabaseService.getKnex();
+    const sessionId = uuidv4();
+
+    return knex.transaction(async (trx) => {
+      await trx('user_sessions').insert({
+        id: sessionId,
+        userId,
+        userAgent: userAgent ? userAgent.slice(0, 255) : null,
+        ipAddress: ipAddress || null,
+        createdAt: new Date(),
+        lastUsedAt: new Date()
+      });
+
+      const refreshToken = await this.issueRefreshToken(trx, sessionId, userId);
+
+      return { sessionId, ...refreshToken };
+    });
+  }
+
+  // Exchange a refresh token for a new one in the same session. Presenting a
+  // token that was already rotated means it leaked, so the whole session dies.
+  async rotateRefreshToken(rawToken) {
+    const knex = DatabaseService.getKnex();
+    const tokenHash = this.hashToken(rawToken);
+
+    const result = await knex.transaction(async (trx) => {
+      const stored = await trx('refresh_tokens')
+        .where('tokenHash', tokenHash)
+        .first();
+
+      if (!stored) {
+        return { error: 'Invalid refresh token' };
+      }
+
+      const session = await trx('user_sessions')
+        .where('id', stored.sessionId)
+        .first();
+
+      if (!session || session.revokedAt || stored.revokedAt) {
+        return { error: 'Session has been revoked' };
+      }
+
+      if (stored.usedAt) {
+        await this.revokeSessionWith(trx, stored.sessionId, 'token_reuse');
+        return { error: 'Refresh token reuse detected; session has been revoked' };
+      }
+
+      if (new Date(stored.expiresAt) <= new Date()) {
+        return { error: 'Refresh token expired' };
+      }
+
+      const user = await trx('users')
+        .where('id', stored.userId)
+        .select('id', 'email', 'role', 'isActive')
+        .first();
+
+      if (!user || !user.isActive) {
+        await this.revokeSessionWith(trx, stored.sessionId, 'account_inactive');
+        return { error: 'Account is deactivated' };
+      }
+
+      // Claim the token only if no concurrent refresh got to it first; under
+      // read committed both may have seen it unused above
+      const claimed = await trx('refresh_tokens')
+        .where('id', stored.id)
+        .whereNull('usedAt')
+        .update({ usedAt: new Date() });
+
+      if (claimed === 0) {
+        await this.revokeSessionWith(trx, stored.sessionId, 'token_reuse');
+        return { error: 'Refresh token reuse detected; session has been revoked' };
+      }
+
+      await trx('user_sessions')
+        .where('id', stored.sessionId)
+        .update({ lastUsedAt: new Date() });
+
+      const refreshToken = await this.issueRefreshToken(trx, stored.sessionId, stored.userId);
+
+      return { user, sessionId: stored.sessionId, ...refreshToken };
+    });
+
+    // Throw outside the transaction so reuse revocation is committed
+    if (result.error) {
+      throw new AuthenticationError(result.error);
+    }
+
+    return result;
+  }
+
+  async revokeSession(sessionId, reason = 'logout') {
+    const knex = DatabaseService.getKnex();
+    return knex.transaction(trx => this.revokeSessionWith(trx, sessionId, reason));
+  }
+
+  async revokeAllSessions(userId, reason = 'logout_all') {
+    const knex = DatabaseService.getKnex();
+    const now = new Date();
+
+    return knex.transaction(async (trx) => {
+      const revoked = await trx('user_sessions')
+        .where('userId', userId)
+        .whereNull('revokedAt')
+        .update({ revokedAt: now, revokedReason: reason });
+
+      await trx('refresh_tokens')
+        .where('userId', userId)
+        .whereNull('revokedAt')
+        .update({ revokedAt: now });
+
+      return revoked;
+    });
+  }
+
+  async isSessionActive(sessionId) {
+    if (!sessionId) return false;
+
+    const knex = DatabaseService.getKnex();
+    const session = await knex('user_sessions')
+      .where('id', sessionId)
+      .select('revokedAt')
+      .first();
+
+    return !!session && !session.revokedAt;
+  }
+
+  async listSessions(userId) {
+    const knex = DatabaseService.getKnex();
+
+    return knex('user_sessions')
+      .where('userId', userId)
+      .whereNull('revokedAt')
+      .orderBy('lastUsedAt', 'desc')
+      .select('id', 'userAgent', 'ipAddress', 'createdAt', 'lastUsedAt');
+  }
+
+  // Helpers
+  async issueRefreshToken(trx, sessionId, userId) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const refreshTokenExpiresAt = new Date(Date.now() + this.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+    await trx('refresh_tokens').insert({
+      sessionId,
+      userId,
+      tokenHash: this.hashToken(refreshToken),
+      expiresAt: refreshTokenExpiresAt,
+      createdAt: new Date()
+    });
+
+    return { refreshToken, refreshTokenExpiresAt };
+  }
+
+  async revokeSessionWith(trx, sessionId, reason) {
+    const now = new Date();
+
+    const revoked = await trx('user_sessions')
+      .where('id', sessionId)
+      .whereNull('revokedAt')
+      .update({ revokedAt: now, revokedReason: reason });
+
+    await trx('refresh_tokens')
+      .where('sessionId', sessionId)
+      .whereNull('revokedAt')
+      .update({ revokedAt: now });
+
+    return revoked;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+}
+
+// Export singleton instance
+module.exports = new TokenService();
@@ -0,0 +1,775 @@
+const path = require('path');
+const fs = require('fs').promises;
+const DatabaseService = require('./DatabaseService');
+const InferenceService = require('./InferenceService');
+const ModelRegistryService = require('./ModelRegistryService');
+const { AppError, ValidationError, ConflictError } = require('../middleware/errorHandler');
+const {
+  TRIP_FEATURES,
+  WINDOW_FEATURES,
+  HEALTH_FEATURES,
+  DRIVING_STYLES,
+  tripFeatures,
+  windowFeatures,
+  windowLabel,
+  healthFeatures,
+  fitNormalization,
+  normalize,
+  denormalize
+} = require('../utils/trainingFeatures');
+
+// What each model type learns from. `minSamples` is the smallest dataset
+// worth training on; below it a job fails instead of fitting noise.
+const MODEL_TYPES = {
+  eco_score: { task: 'regression', dataset: 'trips', label: 'ecoScore', minSamples: 10 },
+  fuel_efficiency: { task: 'regression', dataset: 'trips', label: 'efficiency', minSamples: 10 },
+  driving_behavior: { task: 'classification', dataset: 'windows', minSamples: 50 },
+  maintenance_prediction: { task: 'anomaly', dataset: 'health', minSamples: 200 }
+};
+
+const DEFAULT_HYPERPARAMETERS = {
+  epochs: 50,
+  batchSize: 32,
+  learningRate: 0.001,
+  validationSplit: 0.2,
+  hiddenUnits: [32, 16]
+};
+
+const MAX_EPOCHS = 1000;
+const MAX_TRAINING_TRIPS = 1000;
+const MAX_BEHAVIOR_TRIPS = 200;
+const MAX_HEALTH_FRAMES = 20000;
+
+// Reconstruction error percentile above which the maintenance autoencoder
+// flags a reading as anomalous
+const ANOMALY_PERCENTILE = 0.95;
+
+const ACTIVE_STATUSES = ['queued', 'running', 'stopping'];
+
+class TrainingService {
+  constructor() {
+    this.concurrency = parseInt(process.env.TRAINING_CONCURRENCY) || 1;
+    this.modelPath = process.env.TENSORFLOW_MODEL_PATH || './models';
+    this.queue = [];
+    this.jobs = new Map(); // jobId -> in-flight job state
+    this.running = 0;
+  }
+
+  // Jobs still queued or running belonged to a previous process and will
+  // never finish; mark them failed so the model can be trained again
+  async initialize() {
+    const knex = DatabaseService.getKnex();
+
+    const modelIds = await knex('training_jobs')
+      .whereIn('status', ACTIVE_STATUSES)
+      .pluck('modelId');
+
+    const interrupted = await knex('training_jobs')
+      .whereIn('status', ACTIVE_STATUSES)
+      .update({
+        status: 'failed',
+        error: 'Interrupted by a server restart',
+        finishedAt: new Date(),
+        updatedAt: new Date()
+      });
+
+    if (interrupted > 0) {
+      console.warn(`Marked ${interrupted} interrupted training job(s) as failed`);
+    }
+
+    // Their models go back to trained if earlier artifacts exist
+    await knex('ai_models')
+      .whereIn('id', modelIds)
+      .where('status', 'training')
+      .update({
+        status: knex.raw('CASE WHEN ?? IS NULL THEN ? ELSE ? END', ['filePath', 'created', 'trained']),
+        trainingStoppedAt: new Date(),
+        updatedAt: new Date()
+      });
+  }
+
+  // Queue a training job for a model row. Hyperparameters come from the model,
+  // overridden by the request. Retraining a trained version trains a new
+  // version derived from it, leaving the original untouched.
+  async startTraining(userId, model, overrides = {}) {
+    if (process.env.AI_SERVICE_ENABLED === 'false') {
+      throw new AppError('AI service is disabled', 503);
+    }
+
+    const definition = MODEL_TYPES[model.type];
+    if (!definition) {
+      throw new ValidationError(`Training is not supported for model type: ${model.type}`);
+    }
+
+    InferenceService.loadTensorflow();
+
+    const knex = DatabaseService.getKnex();
+
+    const active = await knex('training_jobs as tj')
+      .join('ai_models as am', 'tj.modelId', 'am.id')
+      .where('am.familyId', model.familyId)
+      .whereIn('tj.status', ACTIVE_STATUSES)
+      .first('tj.id');
+    if (active) {
+      throw new ConflictError('Model is already training');
+    }
+
+    const hyperparameters = resolveHyperparameters(parseJSON(model.hyperparameters), overrides);
+
+    // The check above is only a fast path: the unique index on active jobs
+    // per family is what stops a concurrent start from also getting in
+    let jobId;
+    try {
+      jobId = await DatabaseService.insertAndGetId('training_jobs', {
+        userId,
+        modelId: model.id,
+        familyId: model.familyId,
+        modelType: model.type,
+        status: 'queued',
+        hyperparameters: JSON.stringify(hyperparameters),
+        epochs: hyperparameters.epochs,
+        currentEpoch: 0,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      });
+    } catch (error) {
+      if (DatabaseService.isUniqueViolation(error)) {
+        throw new ConflictError('Model is already training');
+      }
+      throw error;
+    }
+
+    // Derived only once the job holds the family, so a rejected start
+    // leaves no empty version behind
+    if (model.filePath && parseJSON(model.metadata).training) {
+      try {
+        model = await ModelRegistryService.deriveVersion(model);
+      } catch (error) {
+        await knex('training_jobs').where('id', jobId).del();
+        throw error;
+      }
+      await knex('training_jobs').where('id', jobId).update({ modelId: model.id });
+    }
+
+    const job = {
+      id: jobId,
+      userId,
+      model,
+      definition,
+      hyperparameters,
+      previousStatus: model.status === 'training' ? 'created' : (model.status || 'created'),
+      stopRequested: false,
+      network: null
+    };
+    await this.updateModel(model.id, {
+      status: 'training',
+      trainingStartedAt: new Date(),
+      trainingStoppedAt: null
+    });
+
+    this.jobs.set(jobId, job);
+    this.queue.push(job);
+    this.drainQueue();
+
+    return this.getJob(userId, jobId);
+  }
+
+  // Stop the active job for a model, or for a version being trained from it.
+  // Queued jobs are dropped right away; a running job stops at the end of the
+  // current batch and keeps no artifact.
+  async stopTraining(userId, modelId) {
+    const job = [...this.jobs.values()].find(candidate =>
+      candidate.userId === userId &&
+      [candidate.model.id, candidate.model.parentVersionId].map(String).includes(String(modelId))
+    );
+    if (!job) return null;
+
+    job.stopRequested = true;
+
+    const queuedIndex = this.queue.indexOf(job);
+    if (queuedIndex !== -1) {
+      this.queue.splice(queuedIndex, 1);
+      this.jobs.delete(job.id);
+      await this.finishStopped(job);
+    } else {
+      if (job.network) job.network.stopTraining = true;
+
+      // The job may already have wound down while this request was handled
+      const knex = DatabaseService.getKnex();
+      await knex('training_jobs')
+        .where('id', job.id)
+        .where('status', 'running')
+        .update({ status: 'stopping', updatedAt: new Date() });
+    }
+
+    return this.getJob(userId, job.id);
+  }
+
+  async getJob(userId, jobId) {
+    const knex = DatabaseService.getKnex();
+
+    const job = await knex('training_jobs')
+      .where('id', jobId)
+      .where('userId', userId)
+      .first();
+
+    return job ? formatJob(job) : null;
+  }
+
+  async listJobs(userId, { modelId, activeOnly = false, limit = 20 } = {}) {
+    const knex = DatabaseService.getKnex();
+
+    let query = knex('training_jobs as tj')
+      .join('ai_models as am', 'tj.modelId', 'am.id')
+      .where('tj.userId', userId);
+
+    if (modelId) query = query.where('tj.modelId', modelId);
+    if (activeOnly) query = query.whereIn('tj.status', ACTIVE_STATUSES);
+
+    const jobs = await query
+      .orderBy('tj.createdAt', 'desc')
+      .orderBy('tj.id', 'desc')
+      .limit(limit)
+      .select('tj.*', 'am.name as modelName');
+
+    return jobs.map(formatJob);
+  }
+
+  // Helpers
+  drainQueue() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.running++;
+
+      this.runJob(job)
+        .catch(error => {
+          console.error(`Training job ${job.id} failed:`, error);
+        })
+        .finally(() => {
+          this.running--;
+          this.jobs.delete(job.id);
+          this.drainQueue();
+        });
+    }
+  }
+
+  async runJob(job) {
+    const tensorflow = InferenceService.loadTensorflow();
+    const { definition, hyperparameters } = job;
+    const startedAt = new Date();
+    const tensors = [];
+
+    await this.updateJob(job.id, { status: 'running', startedAt });
+
+    try {
+      const dataset = await this.buildDataset(job.userId, job.model.type);
+
+      if (dataset.features.length < definition.minSamples) {
+        throw new ValidationError(
+          `Not enough data to train: ${dataset.features.length} samples, at least ${definition.minSamples} needed`
+        );
+      }
+      await this.updateJob(job.id, { datasetSize: dataset.features.length });
+
+      if (job.stopRequested) {
+        await this.finishStopped(job);
+        return;
+      }
+
+      const prepared = prepareData(dataset, definition, hyperparameters.validationSplit);
+      const [xTrain, yTrain, xVal, yVal] = [
+        prepared.train.x, prepared.train.y, prepared.validation.x, prepared.validation.y
+      ].map(rows => rows.length > 0 ? tensorflow.tensor2d(rows) : null);
+      tensors.push(xTrain, yTrain, xVal, yVal);
+
+      const network = buildNetwork(tensorflow, definition.task, prepared.inputSize, prepared.outputSize, hyperparameters);
+      job.network = network;
+
+      const history = [];
+      await network.fit(xTrain, yTrain, {
+        epochs: hyperparameters.epochs,
+        batchSize: hyperparameters.batchSize,
+        shuffle: true,
+        validationData: xVal ? [xVal, yVal] : undefined,
+        verbose: 0,
+        callbacks: {
+          onBatchEnd: async () => {
+            if (job.stopRequested) network.stopTraining = true;
+          },
+          onEpochEnd: async (epoch, logs) => {
+            const entry = { epoch: epoch + 1, ...roundLogs(logs) };
+            history.push(entry);
+
+            await this.updateJob(job.id, {
+              currentEpoch: entry.epoch,
+              loss: entry.loss,
+              valLoss: entry.val_loss !== undefined ? entry.val_loss : null,
+              history: JSON.stringify(history)
+            });
+
+            if (job.stopRequested) network.stopTraining = true;
+          }
+        }
+      });
+
+      if (job.stopRequested) {
+        await this.finishStopped(job);
+        return;
+      }
+
+      const metrics = evaluate(tensorflow, network, definition.task, prepared);
+      const filePath = await this.saveArtifacts(job, network, dataset, prepared, metrics, startedAt);
+
+      await this.updateJob(job.id, {
+        status: 'completed',
+        metrics: JSON.stringify(metrics),
+        finishedAt: new Date()
+      });
+
+      await ModelRegistryService.activateIfNone(job.userId, job.model);
+
+      console.log(`Training job ${job.id} completed, model saved to ${filePath}`);
+    } catch (error) {
+      await this.updateJob(job.id, {
+        status: 'failed',
+        error: error.message,
+        finishedAt: new Date()
+      });
+      await this.updateModel(job.model.id, { status: job.previousStatus });
+      if (!error.isOperational) throw error;
+    } finally {
+      tensors.forEach(tensor => tensor && tensor.dispose());
+      if (job.network) job.network.dispose();
+      job.network = null;
+    }
+  }
+
+  // Write the model under its filePath (or a per-user directory when it has
+  // none yet) and record how inputs are built and scaled in its metadata
+  async saveArtifacts(job, network, dataset, prepared, metrics, startedAt) {
+    const { model } = job;
+
+    const filePath = model.filePath ||
+      path.resolve(this.modelPath, `user_${job.userId}`, `model_${model.id}`);
+
+    await fs.mkdir(filePath, { recursive: true });
+    await network.save(`file://${filePath}`);
+
+    const metadata = {
+      ...parseJSON(model.metadata),
+      training: {
+        jobId: job.id,
+        task: job.definition.task,
+        features: dataset.featureNames,
+        labels: dataset.labelNames,
+        normalization: prepared.normalization,
+        labelNormalization: prepared.labelNormalization,
+        hyperparameters: job.hyperparameters,
+        datasetSize: dataset.features.length,
+        dataRange: dataset.dataRange,
+        metrics,
+        startedAt,
+        trainedAt: new Date()
+      }
+    };
+
+    await this.updateModel(model.id, {
+      filePath,
+      metadata: JSON.stringify(metadata),
+      status: 'trained',
+      accuracy: metrics.accuracy !== undefined ? metrics.accuracy : null,
+      hyperparameters: JSON.stringify(job.hyperparameters),
+      metrics: JSON.stringify(metrics),
+      trainingDataSize: dataset.features.length,
+      trainingDataFrom: dataset.dataRange ? new Date(dataset.dataRange.from) : null,
+      trainingDataTo: dataset.dataRange ? new Date(dataset.dataRange.to) : null,
+      trainedAt: new Date()
+    });
+
+    // Predictions pick up the new weights on their next request
+    InferenceService.evict(model.id);
+
+    return filePath;
+  }
+
+  async buildDataset(userId, type) {
+    const { dataset, label } = MODEL_TYPES[type];
+
+    if (dataset === 'trips') return this.buildTripDataset(userId, label);
+    if (dataset === 'windows') return this.buildBehaviorDataset(userId);
+    return this.buildHealthDataset(userId);
+  }
+
+  // One sample per completed trip, labelled with its stored eco score or
+  // efficiency
+  async buildTripDataset(userId, label) {
+    const knex = DatabaseService.getKnex();
+
+    const trips = await knex('trips')
+      .where('userId', userId)
+      .where('status', 'completed')
+      .whereNotNull(label)
+      .where(label, '>', 0)
+      .orderBy('startTime', 'desc')
+      .limit(MAX_TRAINING_TRIPS)
+      .select('id', 'startTime', 'distance', 'ecoScore', 'efficiency');
+
+    const framesByTrip = await this.loadTripFrames(trips.map(trip => trip.id));
+
+    const features = [];
+    const labels = [];
+    const used = [];
+    trips.forEach(trip => {
+      const row = tripFeatures(trip, framesByTrip.get(trip.id) || []);
+      if (!row) return;
+      features.push(row);
+      labels.push([parseFloat(trip[label])]);
+      used.push(trip);
+    });
+
+    return {
+      features,
+      labels,
+      featureNames: TRIP_FEATURES,
+      labelNames: [label],
+      dataRange: dataRange(used.map(trip => trip.startTime))
+    };
+  }
+
+  // Fixed-size windows of recent trips, labelled from detected harsh events
+  async buildBehaviorDataset(userId) {
+    const knex = DatabaseService.getKnex();
+
+    const trips = await knex('trips')
+      .where('userId', userId)
+      .where('status', 'completed')
+      .orderBy('startTime', 'desc')
+      .limit(MAX_BEHAVIOR_TRIPS)
+      .select('id', 'startTime');
+    const tripIds = trips.map(trip => trip.id);
+
+    const framesByTrip = await this.loadTripFrames(tripIds);
+    const events = tripIds.length > 0
+      ? await knex('trip_events')
+        .whereIn('tripId', tripIds)
+        .select('tripId', 'type', 'severity', 'timestamp')
+      : [];
+
+    const features = [];
+    const labels = [];
+    const used = [];
+    trips.forEach(trip => {
+      const windows = windowFeatures(framesByTrip.get(trip.id) || []);
+      if (windows.length === 0) return;
+
+      const tripEvents = events.filter(event => event.tripId === trip.id);
+      windows.forEach(window => {
+        features.push(window.features);
+        labels.push(oneHot(windowLabel(window, tripEvents), DRIVING_STYLES.length));
+      });
+      used.push(trip);
+    });
+
+    return {
+      features,
+      labels,
+      featureNames: WINDOW_FEATURES,
+      labelNames: DRIVING_STYLES,
+      dataRange: dataRange(used.map(trip => trip.startTime))
+    };
+  }
+
+  // Recent engine-running frames; the autoencoder learns to reproduce them
+  async buildHealthDataset(userId) {
+    const knex = DatabaseService.getKnex();
+
+    const frames = await knex('obd_data')
+      .where('userId', userId)
+      .where('engineRPM', '>', 0)
+      .whereNotNull('engineTemp')
+      .whereNotNull('batteryVoltage')
+      .orderBy('timestamp', 'desc')
+      .limit(MAX_HEALTH_FRAMES)
+      .select('timestamp', ...HEALTH_FEATURES);
+
+    const features = [];
+    const used = [];
+    frames.forEach(frame => {
+      const row = healthFeatures(frame);
+      if (!row) return;
+      features.push(row);
+      used.push(frame);
+    });
+
+    return {
+      features,
+      labels: features,
+      featureNames: HEALTH_FEATURES,
+      labelNames: HEALTH_FEATURES,
+      dataRange: dataRange(used.map(frame => frame.timestamp))
+    };
+  }
+
+  async loadTripFrames(tripIds) {
+    const knex = DatabaseService.getKnex();
+    const framesByTrip = new Map();
+
+    // Chunked to stay under bound-parameter limits
+    for (let i = 0; i < tripIds.length; i += 100) {
+      const frames = await knex('obd_data')
+        .whereIn('tripId', tripIds.slice(i, i + 100))
+        .orderBy('timestamp', 'asc')
+        .select('tripId', 'timestamp', 'engineRPM', 'vehicleSpeed', 'engineLoad', 'throttlePosition');
+
+      frames.forEach(frame => {
+        if (!framesByTrip.has(frame.tripId)) framesByTrip.set(frame.tripId, []);
+        framesByTrip.get(frame.tripId).push(frame);
+      });
+    }
+
+    return framesByTrip;
+  }
+
+  async finishStopped(job) {
+    await this.updateJob(job.id, { status: 'stopped', finishedAt: new Date() });
+    await this.updateModel(job.model.id, {
+      status: job.previousStatus,
+      trainingStoppedAt: new Date()
+    });
+  }
+
+  async updateModel(modelId, changes) {
+    const knex = DatabaseService.getKnex();
+
+    await knex('ai_models')
+      .where('id', modelId)
+      .update({ ...changes, updatedAt: new Date() });
+  }
+
+  async updateJob(jobId, changes) {
+    const knex = DatabaseService.getKnex();
+
+    await knex('training_jobs')
+      .where('id', jobId)
+      .update({ ...changes, updatedAt: new Date() });
+  }
+}
+
+function resolveHyperparameters(stored, overrides) {
+  const merged = { ...DEFAULT_HYPERPARAMETERS, ...stored, ...overrides };
+
+  const hiddenUnits = Array.isArray(merged.hiddenUnits)
+    ? merged.hiddenUnits.map(units => parseInt(units)).filter(units => units > 0)
+    : [];
+
+  return {
+    ...merged,
+    epochs: Math.min(Math.max(parseInt(merged.epochs) || DEFAULT_HYPERPARAMETERS.epochs, 1), MAX_EPOCHS),
+    batchSize: Math.max(parseInt(merged.batchSize) || DEFAULT_HYPERPARAMETERS.batchSize, 1),
+    learningRate: parseFloat(merged.learningRate) > 0 ? parseFloat(merged.learningRate) : DEFAULT_HYPERPARAMETERS.learningRate,
+    validationSplit: Math.min(Math.max(parseFloat(merged.validationSplit) || 0, 0), 0.5),
+    hiddenUnits: hiddenUnits.length > 0 ? hiddenUnits : DEFAULT_HYPERPARAMETERS.hiddenUnits
+  };
+}
+
+// Shuffle, split off the validation rows and scale. Scaling is fitted on the
+// training rows only; regression labels are scaled too and stored so
+// predictions can be mapped back.
+function prepareData(dataset, definition, validationSplit) {
+  const order = dataset.features.map((_, i) => i);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  const features = order.map(i => dataset.features[i]);
+  const labels = order.map(i => dataset.labels[i]);
+  const trainSize = Math.max(1, Math.round(features.length * (1 - validationSplit)));
+
+  const normalization = fitNormalization(features.slice(0, trainSize));
+  const x = normalize(features, normalization);
+
+  let labelNormalization = null;
+  let y = labels;
+  if (definition.task === 'regression') {
+    labelNormalization = fitNormalization(labels.slice(0, trainSize));
+    y = normalize(labels, labelNormalization);
+  } else if (definition.task === 'anomaly') {
+    y = x;
+  }
+
+  return {
+    normalization,
+    labelNormalization,
+    inputSize: x[0].length,
+    outputSize: y[0].length,
+    train: { x: x.slice(0, trainSize), y: y.slice(0, trainSize) },
+    validation: { x: x.slice(trainSize), y: y.slice(trainSize) }
+  };
+}
+
+function buildNetwork(tensorflow, task, inputSize, outputSize, hyperparameters) {
+  const network = tensorflow.sequential();
+  const { hiddenUnits, learningRate } = hyperparameters;
+
+  if (task === 'anomaly') {
+    // Encoder narrows to a bottleneck smaller than the input, decoder mirrors it
+    const bottleneck = Math.max(2, Math.floor(inputSize / 2));
+    const layers = [...hiddenUnits, bottleneck, ...[...hiddenUnits].reverse()];
+    layers.forEach((units, i) => {
+      network.add(tensorflow.layers.dense({
+        units,
+        activation: 'relu',
+        ...(i === 0 && { inputShape: [inputSize] })
+      }));
+    });
+    network.add(tensorflow.layers.dense({ units: outputSize }));
+  } else {
+    hiddenUnits.forEach((units, i) => {
+      network.add(tensorflow.layers.dense({
+        units,
+        activation: 'relu',
+        ...(i === 0 && { inputShape: [inputSize] })
+      }));
+    });
+    network.add(tensorflow.layers.dense({
+      units: outputSize,
+      activation: task === 'classification' ? 'softmax' : 'linear'
+    }));
+  }
+
+  network.compile({
+    optimizer: tensorflow.train.adam(learningRate),
+    loss: task === 'classification' ? 'categoricalCrossentropy' : 'meanSquaredError',
+    metrics: task === 'classification' ? ['accuracy'] : ['mae']
+  });
+
+  return network;
+}
+
+// Metrics on the validation rows (the training rows when there are none),
+// in the label's own units for regression
+function evaluate(tensorflow, network, task, prepared) {
+  const split = prepared.validation.x.length > 0 ? 'validation' : 'train';
+  const { x, y } = prepared[split];
+
+  const predicted = tensorflow.tidy(() => network.predict(tensorflow.tensor2d(x)).arraySync());
+
+  if (task === 'regression') {
+    const actual = denormalize(y, prepared.labelNormalization).map(row => row[0]);
+    const estimates = denormalize(predicted, prepared.labelNormalization).map(row => row[0]);
+    const errors = estimates.map((value, i) => value - actual[i]);
+
+    return {
+      evaluatedOn: split,
+      samples: x.length,
+      mae: round(errors.reduce((sum, e) => sum + Math.abs(e), 0) / errors.length),
+      rmse: round(Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / errors.length))
+    };
+  }
+
+  if (task === 'classification') {
+    const correct = predicted.filter((probabilities, i) => argMax(probabilities) === argMax(y[i])).length;
+
+    return {
+      evaluatedOn: split,
+      samples: x.length,
+      accuracy: round(correct / x.length),
+      classCounts: DRIVING_STYLES.reduce((counts, style, index) => ({
+        ...counts,
+        [style]: y.filter(row => argMax(row) === index).length
+      }), {})
+    };
+  }
+
+  // Anomaly threshold from reconstruction errors on the training rows, which
+  // are assumed to be mostly healthy driving
+  const trainErrors = reconstructionErrors(tensorflow, network, prepared.train.x).sort((a, b) => a - b);
+  const errors = predicted.map((row, i) => meanSquaredError(row, y[i]));
+
+  return {
+    evaluatedOn: split,
+    samples: x.length,
+    meanReconstructionError: round(errors.reduce((sum, e) => sum + e, 0) / errors.length),
+    anomalyThreshold: round(trainErrors[Math.min(trainErrors.length - 1, Math.floor(trainErrors.length * ANOMALY_PERCENTILE))]),
+    anomalyPercentile: ANOMALY_PERCENTILE
+  };
+}
+
+function reconstructionErrors(tensorflow, network, rows) {
+  const reconstructed = tensorflow.tidy(() => network.predict(tensorflow.tensor2d(rows)).arraySync());
+  return reconstructed.map((row, i) => meanSquaredError(row, rows[i]));
+}
+
+function meanSquaredError(a, b) {
+  return a.reduce((sum, value, i) => sum + (value - b[i]) ** 2, 0) / a.length;
+}
+
+function argMax(values) {
+  return values.reduce((best, value, i) => (value > values[best] ? i : best), 0);
+}
+
+function oneHot(index, size) {
+  return Array.from({ length: size }, (_, i) => (i === index ? 1 : 0));
+}
+
+function dataRange(timestamps) {
+  if (timestamps.length === 0) return null;
+  const times = timestamps.map(timestamp => new Date(timestamp).getTime());
+  return {
+    from: new Date(Math.min(...times)).toISOString(),
+    to: new Date(Math.max(...times)).toISOString()
+  };
+}
+
+// Losses can diverge to NaN or Infinity, which the database won't store
+function roundLogs(logs) {
+  return Object.entries(logs || {}).reduce((rounded, [key, value]) => ({
+    ...rounded,
+    [key]: Number.isFinite(value) ? round(value) : null
+  }), {});
+}
+
+function formatJob(job) {
+  const history = parseJSON(job.history);
+  const epochs = parseInt(job.epochs) || 0;
+  const currentEpoch = parseInt(job.currentEpoch) || 0;
+
+  // Estimate from the average epoch time so far
+  let estimatedCompletion = null;
+  if (job.status === 'running' && job.startedAt && currentEpoch > 0) {
+    const startedAt = new Date(job.startedAt).getTime();
+    const perEpochMs = (Date.now() - startedAt) / currentEpoch;
+    estimatedCompletion = new Date(Date.now() + perEpochMs * (epochs - currentEpoch));
+  }
+
+  return {
+    ...job,
+    hyperparameters: parseJSON(job.hyperparameters),
+    history: Array.isArray(history) ? history : [],
+    metrics: job.metrics ? parseJSON(job.metrics) : null,
+    loss: job.loss !== null && job.loss !== undefined ? parseFloat(job.loss) : null,
+    valLoss: job.valLoss !== null && job.valLoss !== undefined ? parseFloat(job.valLoss) : null,
+    progress: epochs > 0 ? Math.round((currentEpoch / epochs) * 100) : 0,
+    estimatedCompletion
+  };
+}
+
+function parseJSON(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return {};
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+// Export singleton instance
+module.exports = new TrainingService();
+module.exports.MODEL_TYPES = MODEL_TYPES;
+module.exports.DEFAULT_HYPERPARAMETERS = DEFAULT_HYPERPARAMETERS;
@@ -0,0 +1,153 @@
+const DatabaseService = require('./DatabaseService');
+const TripService = require('./TripService');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { PID_COLUMNS } = require('../utils/pidRegistry');
+const { toNumberOrNull } = require('../utils/numbers');
+const { EXPORT_FORMATS } = require('../utils/tripExport');
+const { ZipWriter } = require('../utils/zip');
+
+// Upper bound on trips per archive; each trip is rendered in memory in turn
+const MAX_EXPORT_TRIPS = parseInt(process.env.TRIP_EXPORT_MAX_TRIPS) || 100;
+
+const ROUTE_COLUMNS = ['lat', 'lng', 'altitude', 'speed', 'heading', 'accuracy'];
+
+class TripExportService {
+  getFormat(format) {
+    const definition = EXPORT_FORMATS[format];
+    if (!definition) {
+      throw new ValidationError(`Unsupported export format: ${format}`);
+    }
+    return definition;
+  }
+
+  fileName(trip, format) {
+    const date = new Date(trip.startTime).toISOString().slice(0, 10);
+    return `trip-${trip.id}-${date}.${this.getFormat(format).extension}`;
+  }
+
+  // Render one of the user's trips. Returns { fileName, contentType, content }.
+  async exportTrip(userId, tripId, format, { includeObd = false } = {}) {
+    const definition = this.getFormat(format);
+    const trip = await TripService.getTrip(userId, tripId);
+    const data = await this.loadTripData(trip, { includeObd });
+
+    return {
+      fileName: this.fileName(trip, format),
+      contentType: definition.contentType,
+      content: definition.render(data)
+    };
+  }
+
+  // The user's trips selected for a multi-trip export, oldest first: the
+  // given IDs (all of which must be theirs) or their completed trips in a
+  // date range
+  async findTrips(userId, { tripIds, since, until } = {}) {
+    const knex = DatabaseService.getKnex();
+
+    let query = knex('trips').where('userId', userId);
+    if (tripIds && tripIds.length > 0) {
+      query = query.whereIn('id', tripIds);
+    } else {
+      query = query.where('status', 'completed');
+    }
+    if (since) query = query.where('startTime', '>=', new Date(since));
+    if (until) query = query.where('startTime', '<=', new Date(until));
+
+    const trips = await query.orderBy('startTime', 'asc').limit(MAX_EXPORT_TRIPS + 1);
+
+    if (tripIds && tripIds.length > 0) {
+      const found = new Set(trips.map(trip => trip.id));
+      const missing = tripIds.filter(id => !found.has(id));
+      if (missing.length > 0) {
+        throw new NotFoundError(`Trips not found: ${missing.join(', ')}`);
+      }
+    }
+    if (trips.length > MAX_EXPORT_TRIPS) {
+      throw new ValidationError(`Too many trips to export at once (max ${MAX_EXPORT_TRIPS}); narrow the selection`);
+    }
+
+    return trips;
+  }
+
+  // Write a zip with one file per trip to `stream` (typically the response).
+  // Trips are loaded and rendered one at a time so memory stays flat.
+  async streamArchive(stream, trips, format, { includeObd = false } = {}) {
+    this.getFormat(format);
+    const zip = new ZipWriter(stream);
+
+    for (const trip of trips) {
+      if (stream.destroyed) return;
+      const data = await this.loadTripData(trip, { includeObd });
+      await zip.addFile(
+        this.fileName(trip, format),
+        EXPORT_FORMATS[format].render(data),
+        new Date(trip.endTime || trip.startTime)
+      );
+    }
+
+    await zip.finish();
+  }
+
+  // Route points, events and (optionally) OBD frames for a trip, with
+  // numbers and JSON columns normalized across databases
+  async loadTripData(trip, { includeObd = false } = {}) {
+    const knex = DatabaseService.getKnex();
+
+    const route = await knex('trip_routes')
+      .where('tripId', trip.id)
+      .orderBy('sequence')
+      .select([...ROUTE_COLUMNS, 'timestamp']);
+
+    const events = await knex('trip_events')
+      .where('tripId', trip.id)
+      .orderBy('timestamp')
+      .select('type', 'severity', 'lat', 'lng', 'timestamp', 'source', 'data');
+
+    let frames = null;
+    if (includeObd) {
+      const rows = await knex('obd_data')
+        .where('tripId', trip.id)
+        .orderBy('timestamp')
+        .select(['timestamp', ...PID_COLUMNS]);
+      frames = rows.map(row => normalizeRow(row, PID_COLUMNS));
+    }
+
+    return {
+      trip: {
+        ...trip,
+        distance: toNumberOrNull(trip.distance),
+        fuelConsumed: toNumberOrNull(trip.fuelConsumed),
+        efficiency: toNumberOrNull(trip.efficiency),
+        ecoScore: toNumberOrNull(trip.ecoScore),
+        metadata: parseJSON(trip.metadata)
+      },
+      points: route.map(row => normalizeRow(row, ROUTE_COLUMNS)),
+      events: events.map(event => ({
+        ...normalizeRow(event, ['lat', 'lng']),
+        data: event.data ? parseJSON(event.data) : null
+      })),
+      frames
+    };
+  }
+}
+
+function normalizeRow(row, columns) {
+  const normalized = { ...row, timestamp: new Date(row.timestamp) };
+  columns.forEach(column => {
+    normalized[column] = toNumberOrNull(row[column]);
+  });
+  return normalized;
+}
+
+function parseJSON(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return {};
+  }
+}
+
+// Export singleton instance
+module.exports = new TripExportService();
@@ -0,0 +1,351 @@
+const DatabaseService = require('./DatabaseService');
+const EcoScoreService = require('./EcoScoreService');
+const ElevationService = require('./ElevationService');
+const EventDetectionService = require('./EventDetectionService');
+const FuelConsumptionService = require('./FuelConsumptionService');
+const MaintenanceService = require('./MaintenanceService');
+const OBDBufferService = require('./OBDBufferService');
+const PredictionOutcomeService = require('./PredictionOutcomeService');
+const RecurringRouteService = require('./RecurringRouteService');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { normalizePoint } = require('../utils/geo');
+const {
+  toRoutePoint,
+  validateRoutePoints,
+  keepValidRoutePoints,
+  describeRouteErrors,
+  toRouteRow
+} = require('../utils/routePoints');
+const { computeTripSummary } = require('../utils/tripMetrics');
+
+// What happens after a trip is saved, in order. Each step runs when the trip
+// changed in one of the ways it lists:
+//   completed  the trip was just finished (or created/imported finished)
+//   route      its route points were replaced
+//   totals     distance, fuelConsumed or efficiency were set by the client
+//   fuel       its fuel figures were re-derived from its frames
+//   ecoScore   its eco score was set or recomputed
+// Fuel comes first since the eco score, prediction outcomes and elevation
+// normalization all start from the trip's efficiency.
+const FINALIZE_STEPS = [
+  {
+    name: 'fuel',
+    on: ['completed'],
+    run: tripId => FuelConsumptionService.applyToTrip(tripId)
+  },
+  {
+    name: 'ecoScore',
+    on: ['completed', 'totals', 'fuel'],
+    // A score the client just sent wins over the server's
+    skipOn: ['ecoScore'],
+    run: async tripId => {
+      const trip = await DatabaseService.getKnex()('trips').where('id', tripId).first();
+      return trip ? EcoScoreService.applyToTrip(trip) : null;
+    }
+  },
+  {
+    name: 'predictions',
+    on: ['completed', 'totals', 'fuel', 'ecoScore'],
+    run: tripId => PredictionOutcomeService.resolveTrip(tripId)
+  },
+  {
+    name: 'elevation',
+    on: ['completed', 'route', 'totals', 'fuel'],
+    run: tripId => ElevationService.applyToTrip(tripId)
+  },
+  {
+    name: 'events',
+    on: ['completed', 'route'],
+    run: tripId => EventDetectionService.detectForTrip(tripId)
+  },
+  {
+    name: 'maintenance',
+    on: ['completed'],
+    run: tripId => MaintenanceService.queueTrip(tripId)
+  },
+  {
+    name: 'routes',
+    on: ['completed', 'route'],
+    run: tripId => RecurringRouteService.assignTrip(tripId)
+  }
+];
+
+class TripService {
+  // Create an active trip row for a live drive
+  async startTrip(userId, tripData = {}) {
+    const vehicleId = await this.resolveVehicleId(userId, tripData.vehicleId);
+    const startTime = tripData.startTime ? new Date(tripData.startTime) : new Date();
+
+    const tripId = await DatabaseService.insertAndGetId('trips', {
+      userId,
+      vehicleId,
+      startTime,
+      status: 'active',
+      metadata: tripData.metadata ? JSON.stringify(tripData.metadata) : null,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+
+    const trip = await this.getTrip(userId, tripId);
+
+    if (tripData.route || tripData.location) {
+      await this.appendRoutePoints(tripId, this.extractPoints(tripData));
+    }
+
+    return trip;
+  }
+
+  // Append route points (and merge metadata) while the trip is running
+  async updateTrip(userId, tripId, tripData = {}) {
+    const knex = DatabaseService.getKnex();
+    const trip = await this.getActiveTrip(userId, tripId);
+
+    const { added, rejected } = await this.appendRoutePoints(trip.id, this.extractPoints(tripData));
+
+    const updates = { updatedAt: new Date() };
+    if (tripData.metadata) {
+      updates.metadata = JSON.stringify({
+        ...parseJSON(trip.metadata),
+        ...tripData.metadata
+      });
+    }
+
+    await knex('trips')
+      .where('id', trip.id)
+      .update(updates);
+
+    return { trip: await this.getTrip(userId, trip.id), pointsAdded: added, pointsRejected: rejected };
+  }
+
+  // Close the trip and compute its totals from the data collected on the server
+  async endTrip(userId, tripId, tripData = {}) {
+    const knex = DatabaseService.getKnex();
+    const trip = await this.getActiveTrip(userId, tripId);
+
+    await this.appendRoutePoints(trip.id, this.extractPoints(tripData));
+
+    // Make sure buffered socket frames for this trip are on disk
+    await OBDBufferService.drain();
+
+    const summary = await this.summarizeTrip(trip.id);
+    const endTime = tripData.endTime ? new Date(tripData.endTime) : new Date();
+
+    await knex('trips')
+      .where('id', trip.id)
+      .update({
+        endTime,
+        distance: summary.distance,
+        fuelConsumed: summary.fuelConsumed,
+        efficiency: summary.efficiency,
+        status: 'completed',
+        metadata: JSON.stringify({
+          ...parseJSON(trip.metadata),
+          ...(tripData.metadata || {}),
+          summary: {
+            distanceSource: summary.distanceSource,
+            fuelSource: summary.fuelSource,
+            frameCount: summary.frameCount,
+            routePointCount: summary.routePointCount
+          }
+        }),
+        updatedAt: new Date()
+      });
+
+    const { ecoScore, events } = await this.finalizeTrip(trip.id, { changed: ['completed'] });
+
+    return { trip: await this.getTrip(userId, trip.id), summary, ecoScore, events };
+  }
+
+  // Create a completed trip from a recorded track (GPX file, encoded
+  // polyline). Points must already carry timestamps; the trip's span and
+  // distance come from them.
+  async importTrip(userId, { points, vehicleId, source, name = null }) {
+    if (points.length < 2) {
+      throw new ValidationError('A route needs at least 2 points');
+    }
+
+    const errors = validateRoutePoints(points);
+    if (errors.length > 0) {
+      throw new ValidationError(describeRouteErrors(errors), errors.slice(0, 100));
+    }
+
+    const knex = DatabaseService.getKnex();
+    const resolvedVehicleId = await this.resolveVehicleId(userId, vehicleId);
+    const summary = computeTripSummary([], points);
+
+    const tripId = await knex.transaction(async (trx) => {
+      const id = await DatabaseService.insertAndGetId('trips', {
+        userId,
+        vehicleId: resolvedVehicleId,
+        startTime: points[0].timestamp,
+        endTime: points[points.length - 1].timestamp,
+        distance: summary.distance,
+        fuelConsumed: null,
+        efficiency: null,
+        status: 'completed',
+        metadata: JSON.stringify({
+          import: { source, name, pointCount: points.length },
+          summary: {
+            distanceSource: summary.distanceSource,
+            frameCount: 0,
+            routePointCount: points.length
+          }
+        }),
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }, trx);
+
+      const rows = points.map((point, index) => toRouteRow(id, index, point));
+      await knex.batchInsert('trip_routes', rows, 200).transacting(trx);
+
+      return id;
+    });
+
+    // Without frames there's no fuel to derive, but the track still gives
+    // elevation, GPS-only events (hard braking, sharp turns) and routes
+    await this.finalizeTrip(tripId, { changed: ['completed'] });
+
+    return this.getTrip(userId, tripId);
+  }
+
+  // Bring everything derived from a saved trip up to date: fuel, eco score,
+  // prediction outcomes, elevation, events, maintenance checks and recurring
+  // routes, as far as `changed` calls for (see FINALIZE_STEPS). The trip is
+  // already stored, so a failing step is logged and the rest still run; each
+  // can be re-run on its own. Returns each step's result, null if it failed
+  // or didn't run.
+  async finalizeTrip(tripId, { changed = ['completed'] } = {}) {
+    const results = {};
+
+    for (const step of FINALIZE_STEPS) {
+      results[step.name] = null;
+
+      const due = step.on.some(change => changed.includes(change)) &&
+        !(step.skipOn || []).some(change => changed.includes(change));
+      if (!due) continue;
+
+      try {
+        results[step.name] = await step.run(tripId);
+      } catch (error) {
+        console.error(`Trip ${tripId}: ${step.name} step failed:`, error);
+      }
+    }
+
+    return results;
+  }
+
+  async summarizeTrip(tripId) {
+    const knex = DatabaseService.getKnex();
+
+    const frames = await knex('obd_data')
+      .where('tripId', tripId)
+      .orderBy('timestamp', 'asc')
+      .select('timestamp', 'vehicleSpeed', 'fuelRate', 'fuelConsumption', 'fuelConsumptionSource');
+
+    const routePoints = await knex('trip_routes')
+      .where('tripId', tripId)
+      .orderBy('sequence', 'asc')
+      .select('lat', 'lng', 'timestamp');
+
+    return computeTripSummary(frames, routePoints.map(normalizePoint).filter(Boolean));
+  }
+
+  // Store the points streamed during a live trip after the ones already
+  // stored. Points that fail validation (see keepValidRoutePoints) are
+  // dropped and logged rather than failing the whole update.
+  async appendRoutePoints(tripId, points) {
+    if (points.length === 0) return { added: 0, rejected: 0 };
+
+    const knex = DatabaseService.getKnex();
+
+    const last = await knex('trip_routes')
+      .where('tripId', tripId)
+      .orderBy('sequence', 'desc')
+      .select('sequence', 'timestamp')
+      .first();
+
+    const { points: kept, errors } = keepValidRoutePoints(points, {
+      after: last ? last.timestamp : null
+    });
+    const rejected = points.length - kept.length;
+    if (rejected > 0) {
+      console.warn(`Trip ${tripId}: dropped ${rejected} of ${points.length} route points: ${describeRouteErrors(errors)}`);
+    }
+
+    const start = last ? parseInt(last.sequence) + 1 : 0;
+    const rows = kept.map((point, index) => toRouteRow(tripId, start + index, point));
+
+    if (rows.length > 0) {
+      await knex.batchInsert('trip_routes', rows, 200);
+    }
+    return { added: rows.length, rejected };
+  }
+
+  // Helpers
+  extractPoints(tripData) {
+    const raw = Array.isArray(tripData.route) ? [...tripData.route] : [];
+    if (tripData.location) raw.push(tripData.location);
+    return raw.map(toRoutePoint);
+  }
+
+  async resolveVehicleId(userId, vehicleId) {
+    const knex = DatabaseService.getKnex();
+
+    if (vehicleId) {
+      const vehicle = await knex('vehicles')
+        .where({ id: vehicleId, userId })
+        .first();
+
+      if (!vehicle) {
+        throw new ValidationError('Vehicle not found');
+      }
+      return vehicle.id;
+    }
+
+    const defaultVehicle = await knex('vehicles')
+      .where('userId', userId)
+      .orderBy('isDefault', 'desc')
+      .orderBy('createdAt', 'desc')
+      .first();
+
+    return defaultVehicle ? defaultVehicle.id : null;
+  }
+
+  async getTrip(userId, tripId) {
+    const knex = DatabaseService.getKnex();
+
+    const trip = await knex('trips')
+      .where({ id: tripId, userId })
+      .first();
+
+    if (!trip) {
+      throw new NotFoundError('Trip not found');
+    }
+    return trip;
+  }
+
+  async getActiveTrip(userId, tripId) {
+    if (!tripId) {
+      throw new ValidationError('Trip ID is required');
+    }
+
+    const trip = await this.getTrip(userId, tripId);
+    if (trip.status !== 'active') {
+      throw new ValidationError(`Trip is already ${trip.status}`);
+    }
+    return trip;
+  }
+}
+
+function parseJSON(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return {};
+  }
+}
+
+// Export singleton instance
+module.exports = new TripService();
@@ -0,0 +1,207 @@
+// Generic (SAE J2012 / ISO 15031-6) diagnostic trouble code descriptions.
+// Manufacturer-specific codes (P1xxx, P3xxx, C1/C2, B1/B2, U1/U2) differ per
+// make and are described by their system only.
+const DTC_DESCRIPTIONS = {
+  // Fuel and air metering
+  P0010: 'Intake camshaft position actuator circuit (bank 1)',
+  P0011: 'Intake camshaft position timing over-advanced or system performance (bank 1)',
+  P0012: 'Intake camshaft position timing over-retarded (bank 1)',
+  P0013: 'Exhaust camshaft position actuator circuit (bank 1)',
+  P0014: 'Exhaust camshaft position timing over-advanced or system performance (bank 1)',
+  P0016: 'Crankshaft/camshaft position correlation (bank 1 sensor A)',
+  P0017: 'Crankshaft/camshaft position correlation (bank 1 sensor B)',
+  P0020: 'Intake camshaft position actuator circuit (bank 2)',
+  P0021: 'Intake camshaft position timing over-advanced or system performance (bank 2)',
+  P0030: 'HO2S heater control circuit (bank 1 sensor 1)',
+  P0036: 'HO2S heater control circuit (bank 1 sensor 2)',
+  P0068: 'MAP/MAF - throttle position correlation',
+  P0087: 'Fuel rail/system pressure too low',
+  P0088: 'Fuel rail/system pressure too high',
+  P0100: 'Mass or volume air flow circuit malfunction',
+  P0101: 'Mass or volume air flow circuit range/performance',
+  P0102: 'Mass or volume air flow circuit low input',
+  P0103: 'Mass or volume air flow circuit high input',
+  P0105: 'Manifold absolute pressure/barometric pressure circuit malfunction',
+  P0106: 'Manifold absolute pressure/barometric pressure circuit range/performance',
+  P0107: 'Manifold absolute pressure/barometric pressure circuit low input',
+  P0108: 'Manifold absolute pressure/barometric pressure circuit high input',
+  P0110: 'Intake air temperature circuit malfunction',
+  P0111: 'Intake air temperature circuit range/performance',
+  P0112: 'Intake air temperature circuit low input',
+  P0113: 'Intake air temperature circuit high input',
+  P0115: 'Engine coolant temperature circuit malfunction',
+  P0116: 'Engine coolant temperature circuit range/performance',
+  P0117: 'Engine coolant temperature circuit low input',
+  P0118: 'Engine coolant temperature circuit high input',
+  P0120: 'Throttle/pedal position sensor/switch A circuit malfunction',
+  P0121: 'Throttle/pedal position sensor/switch A circuit range/performance',
+  P0122: 'Throttle/pedal position sensor/switch A circuit low input',
+  P0123: 'Throttle/pedal position sensor/switch A circuit high input',
+  P0125: 'Insufficient coolant temperature for closed loop fuel control',
+  P0128: 'Coolant thermostat (coolant temperature below thermostat regulating temperature)',
+  P0130: 'O2 sensor circuit malfunction (bank 1 sensor 1)',
+  P0131: 'O2 sensor circuit low voltage (bank 1 sensor 1)',
+  P0132: 'O2 sensor circuit high voltage (bank 1 sensor 1)',
+  P0133: 'O2 sensor circuit slow response (bank 1 sensor 1)',
+  P0134: 'O2 sensor circuit no activity detected (bank 1 sensor 1)',
+  P0135: 'O2 sensor heater circuit malfunction (bank 1 sensor 1)',
+  P0136: 'O2 sensor circuit malfunction (bank 1 sensor 2)',
+  P0137: 'O2 sensor circuit low voltage (bank 1 sensor 2)',
+  P0138: 'O2 sensor circuit high voltage (bank 1 sensor 2)',
+  P0139: 'O2 sensor circuit slow response (bank 1 sensor 2)',
+  P0140: 'O2 sensor circuit no activity detected (bank 1 sensor 2)',
+  P0141: 'O2 sensor heater circuit malfunction (bank 1 sensor 2)',
+  P0150: 'O2 sensor circuit malfunction (bank 2 sensor 1)',
+  P0151: 'O2 sensor circuit low voltage (bank 2 sensor 1)',
+  P0155: 'O2 sensor heater circuit malfunction (bank 2 sensor 1)',
+  P0171: 'System too lean (bank 1)',
+  P0172: 'System too rich (bank 1)',
+  P0174: 'System too lean (bank 2)',
+  P0175: 'System too rich (bank 2)',
+  P0181: 'Fuel temperature sensor A circuit range/performance',
+  P0190: 'Fuel rail pressure sensor circuit malfunction',
+  P0191: 'Fuel rail pressure sensor circuit range/performance',
+  P0193: 'Fuel rail pressure sensor circuit high input',
+
+  // Fuel and air metering (injector circuit)
+  P0200: 'Injector circuit malfunction',
+  P0201: 'Injector circuit malfunction - cylinder 1',
+  P0202: 'Injector circuit malfunction - cylinder 2',
+  P0203: 'Injector circuit malfunction - cylinder 3',
+  P0204: 'Injector circuit malfunction - cylinder 4',
+  P0205: 'Injector circuit malfunction - cylinder 5',
+  P0206: 'Injector circuit malfunction - cylinder 6',
+  P0217: 'Engine overtemperature condition',
+  P0219: 'Engine overspeed condition',
+  P0220: 'Throttle/pedal position sensor/switch B circuit malfunction',
+  P0230: 'Fuel pump primary circuit malfunction',
+  P0234: 'Turbocharger/supercharger overboost condition',
+  P0299: 'Turbocharger/supercharger underboost',
+
+  // Ignition system or misfire
+  P0300: 'Random/multiple cylinder misfire detected',
+  P0301: 'Cylinder 1 misfire detected',
+  P0302: 'Cylinder 2 misfire detected',
+  P0303: 'Cylinder 3 misfire detected',
+  P0304: 'Cylinder 4 misfire detected',
+  P0305: 'Cylinder 5 misfire detected',
+  P0306: 'Cylinder 6 misfire detected',
+  P0307: 'Cylinder 7 misfire detected',
+  P0308: 'Cylinder 8 misfire detected',
+  P0316: 'Misfire detected on startup (first 1000 revolutions)',
+  P0325: 'Knock sensor 1 circuit malfunction (bank 1 or single sensor)',
+  P0327: 'Knock sensor 1 circuit low input (bank 1 or single sensor)',
+  P0328: 'Knock sensor 1 circuit high input (bank 1 or single sensor)',
+  P0335: 'Crankshaft position sensor A circuit malfunction',
+  P0336: 'Crankshaft position sensor A circuit range/performance',
+  P0340: 'Camshaft position sensor circuit malfunction',
+  P0341: 'Camshaft position sensor circuit range/performance',
+  P0351: 'Ignition coil A primary/secondary circuit malfunction',
+  P0352: 'Ignition coil B primary/secondary circuit malfunction',
+  P0353: 'Ignition coil C primary/secondary circuit malfunction',
+  P0354: 'Ignition coil D primary/secondary circuit malfunction',
+
+  // Auxiliary emission controls
+  P0400: 'Exhaust gas recirculation flow malfunction',
+  P0401: 'Exhaust gas recirculation flow insufficient detected',
+  P0402: 'Exhaust gas recirculation flow excessive detected',
+  P0403: 'Exhaust gas recirculation circuit malfunction',
+  P0404: 'Exhaust gas recirculation circuit range/performance',
+  P0405: 'Exhaust gas recirculation sensor A circuit low',
+  P0410: 'Secondary air injection system malfunction',
+  P0411: 'Secondary air injection system incorrect flow detected',
+  P0420: 'Catalyst system efficiency below threshold (bank 1)',
+  P0421: 'Warm up catalyst efficiency below threshold (bank 1)',
+  P0430: 'Catalyst system efficiency below threshold (bank 2)',
+  P0440: 'Evaporative emission control system malfunction',
+  P0441: 'Evaporative emission control system incorrect purge flow',
+  P0442: 'Evaporative emission control system leak detected (small leak)',
+  P0443: 'Evaporative emission control system purge control valve circuit malfunction',
+  P0446: 'Evaporative emission control system vent control circuit malfunction',
+  P0449: 'Evaporative emission control system vent valve/solenoid circuit malfunction',
+  P0451: 'Evaporative emission control system pressure sensor range/performance',
+  P0455: 'Evaporative emission control system leak detected (gross leak)',
+  P0456: 'Evaporative emission control system leak detected (very small leak)',
+  P0457: 'Evaporative emission control system leak detected (fuel cap loose/off)',
+  P0461: 'Fuel level sensor circuit range/performance',
+  P0480: 'Cooling fan 1 control circuit malfunction',
+  P0491: 'Secondary air injection system (bank 1)',
+
+  // Vehicle speed, idle control and auxiliary inputs
+  P0500: 'Vehicle speed sensor malfunction',
+  P0501: 'Vehicle speed sensor range/performance',
+  P0505: 'Idle control system malfunction',
+  P0506: 'Idle control system RPM lower than expected',
+  P0507: 'Idle control system RPM higher than expected',
+  P0520: 'Engine oil pressure sensor/switch circuit malfunction',
+  P0521: 'Engine oil pressure sensor/switch circuit range/performance',
+  P0530: 'A/C refrigerant pressure sensor circuit malfunction',
+  P0560: 'System voltage malfunction',
+  P0562: 'System voltage low',
+  P0563: 'System voltage high',
+  P0571: 'Cruise control/brake switch A circuit malfunction',
+
+  // Computer and auxiliary outputs
+  P0600: 'Serial communication link malfunction',
+  P0601: 'Internal control module memory checksum error',
+  P0602: 'Control module programming error',
+  P0603: 'Internal control module keep alive memory (KAM) error',
+  P0604: 'Internal control module random access memory (RAM) error',
+  P0605: 'Internal control module read only memory (ROM) error',
+  P0606: 'PCM processor fault',
+  P0620: 'Generator control circuit malfunction',
+  P0621: 'Generator lamp L control circuit malfunction',
+  P0622: 'Generator field F control circuit malfunction',
+  P0641: 'Sensor reference voltage A circuit open',
+  P0650: 'Malfunction indicator lamp (MIL) control circuit malfunction',
+
+  // Transmission
+  P0700: 'Transmission control system malfunction',
+  P0705: 'Transmission range sensor circuit malfunction (PRNDL input)',
+  P0710: 'Transmission fluid temperature sensor circuit malfunction',
+  P0715: 'Input/turbine speed sensor circuit malfunction',
+  P0720: 'Output speed sensor circuit malfunction',
+  P0730: 'Incorrect gear ratio',
+  P0740: 'Torque converter clutch circuit malfunction',
+  P0741: 'Torque converter clutch circuit performance or stuck off',
+  P0750: 'Shift solenoid A malfunction',
+  P0755: 'Shift solenoid B malfunction',
+
+  // Network
+  U0001: 'High speed CAN communication bus',
+  U0073: 'Control module communication bus off',
+  U0100: 'Lost communication with ECM/PCM A',
+  U0101: 'Lost communication with TCM',
+  U0121: 'Lost communication with anti-lock brake system (ABS) control module',
+  U0140: 'Lost communication with body control module',
+  U0155: 'Lost communication with instrument panel cluster (IPC) control module',
+
+  // Chassis and body
+  C0035: 'Left front wheel speed sensor circuit',
+  C0040: 'Right front wheel speed sensor circuit',
+  C0045: 'Left rear wheel speed sensor circuit',
+  C0050: 'Right rear wheel speed sensor circuit',
+  B0001: 'Driver frontal stage 1 deployment control',
+  B0100: 'Electronic frontal sensor 1'
+};
+
+// Systems by code prefix, most specific first
+const SYSTEMS = [
+  [/^P0[0-1]/, 'Fuel and air metering'],
+  [/^P02/, 'Fuel and air metering (injector circuit)'],
+  [/^P03/, 'Ignition system or misfire'],
+  [/^P04/, 'Auxiliary emission controls'],
+  [/^P05/, 'Vehicle speed, idle control and auxiliary inputs'],
+  [/^P06/, 'Computer and auxiliary outputs'],
+  [/^P0[7-9]/, 'Transmission'],
+  [/^P0A/, 'Hybrid propulsion'],
+  [/^P/, 'Powertrain'],
+  [/^C/, 'Chassis'],
+  [/^B/, 'Body'],
+  [/^U/, 'Network and vehicle integration']
+];
+
+module.exports = {
+  DTC_DESCRIPTIONS,
+  SYSTEMS
+};
@@ -0,0 +1,49 @@
+const { DTC_DESCRIPTIONS, SYSTEMS } = require('./dtcCodes');
+
+// P/C/B/U, then 0-3 (0 generic, 1 manufacturer; 2 and 3 depend on the letter),
+// then three hex digits
+const DTC_PATTERN = /^[PCBU][0-3][0-9A-F]{3}$/;
+
+// Modes the codes were read with
+const DTC_TYPES = ['stored', 'pending', 'permanent']; // Mode 03, 07, 0A
+
+function normalizeCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+function isValidCode(code) {
+  return DTC_PATTERN.test(normalizeCode(code));
+}
+
+// Whether the code's meaning is defined by SAE rather than the manufacturer.
+// P2 is generic, P3 mostly manufacturer; C/B/U 2 is manufacturer, 3 reserved.
+function isGeneric(code) {
+  const [letter, digit] = code;
+  if (letter === 'P') return digit === '0' || digit === '2';
+  return digit === '0';
+}
+
+// Offline description of a code. Unknown generic codes and manufacturer codes
+// still get their system from the code's prefix.
+function lookupCode(rawCode) {
+  const code = normalizeCode(rawCode);
+  if (!DTC_PATTERN.test(code)) return null;
+
+  const system = SYSTEMS.find(([pattern]) => pattern.test(code));
+  const description = DTC_DESCRIPTIONS[code] || null;
+
+  return {
+    code,
+    description,
+    system: system ? system[1] : null,
+    category: isGeneric(code) ? 'generic' : 'manufacturer',
+    known: description !== null
+  };
+}
+
+module.exports = {
+  DTC_TYPES,
+  normalizeCode,
+  isValidCode,
+  lookupCode
+};
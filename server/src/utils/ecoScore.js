@@ -0,0 +1,236 @@
+const { forEachInterval } = require('./tripMetrics');
+const { toNumberOrNull } = require('./numbers');
+const { MPG_TO_L100KM, MPGE_TO_KWH100KM } = require('./units');
+
+// Scoring models by version. Trips record the version they were scored with,
+// so any change to weights or parameters goes into a new version rather than
+// editing an existing one.
+const ECO_SCORE_MODELS = {
+  1: {
+    weights: {
+      acceleration: 0.2,
+      braking: 0.2,
+      speedConsistency: 0.15,
+      idle: 0.15,
+      rpmBand: 0.15,
+      efficiency: 0.15
+    },
+    params: {
+      movingSpeed: 5, // km/h; slower counts as stopped
+      gentleAcceleration: 1.5, // m/s²; above this is aggressive
+      harshAcceleration: 2.5,
+      gentleBraking: 2.0,
+      harshBraking: 3.5,
+      maxSpeedVariation: 0.6, // coefficient of variation scored as 0
+      maxIdleShare: 0.3, // share of engine-on time scored as 0
+      rpmBand: [1200, 2500], // efficient RPM band while moving
+      rpmCeiling: 3000, // above the band but below this earns half credit
+      highwaySpeed: 70, // km/h; faster driving is rated against highwayMPG
+      bestEfficiencyRatio: 0.85, // actual/rated at or below this scores 100
+      worstEfficiencyRatio: 1.5 // actual/rated at or above this scores 0
+    }
+  }
+};
+
+// Rates electric vehicles in kWh/100km from their MPGe figures; version 1
+// rated them in L/100km as if the figures were MPG
+ECO_SCORE_MODELS[2] = {
+  ...ECO_SCORE_MODELS[1],
+  params: { ...ECO_SCORE_MODELS[1].params, electricMPGe: true }
+};
+
+const CURRENT_ECO_SCORE_VERSION = 2;
+
+const clampScore = (value) => Math.round(Math.max(0, Math.min(100, value)));
+
+const share = (count, total) => (total > 0 ? count / total : 0);
+
+// Longitudinal acceleration in m/s² for each usable interval
+function accelerations(frames) {
+  const values = [];
+  forEachInterval(frames, (prev, curr, hours) => {
+    const v1 = toNumberOrNull(prev.vehicleSpeed);
+    const v2 = toNumberOrNull(curr.vehicleSpeed);
+    if (v1 === null || v2 === null) return;
+    values.push(((v2 - v1) / 3.6) / (hours * 3600));
+  });
+  return values;
+}
+
+// Penalize the share of intervals above the gentle and harsh thresholds
+function smoothnessComponent(values, gentle, harsh) {
+  if (values.length === 0) return null;
+
+  const aggressive = values.filter(a => a > gentle).length;
+  const severe = values.filter(a => a > harsh).length;
+  const aggressiveShare = share(aggressive, values.length);
+  const harshShare = share(severe, values.length);
+
+  return {
+    score: clampScore(100 - aggressiveShare * 200 - harshShare * 400),
+    detail: {
+      intervals: values.length,
+      aggressiveShare: round(aggressiveShare),
+      harshShare: round(harshShare)
+    }
+  };
+}
+
+function speedConsistencyComponent(frames, params) {
+  const speeds = frames
+    .map(f => toNumberOrNull(f.vehicleSpeed))
+    .filter(v => v !== null && v >= params.movingSpeed);
+  if (speeds.length < 2) return null;
+
+  const mean = speeds.reduce((sum, v) => sum + v, 0) / speeds.length;
+  const variance = speeds.reduce((sum, v) => sum + (v - mean) ** 2, 0) / speeds.length;
+  const variation = mean > 0 ? Math.sqrt(variance) / mean : 0;
+
+  return {
+    score: clampScore(100 * (1 - variation / params.maxSpeedVariation)),
+    detail: { meanSpeed: round(mean), coefficientOfVariation: round(variation) }
+  };
+}
+
+function idleComponent(frames, params) {
+  const engineOn = frames.filter(f => toNumberOrNull(f.engineRPM) > 0);
+  if (engineOn.length === 0) return null;
+
+  const idling = engineOn.filter(f => toNumberOrNull(f.vehicleSpeed) === 0).length;
+  const idleShare = share(idling, engineOn.length);
+
+  return {
+    score: clampScore(100 * (1 - idleShare / params.maxIdleShare)),
+    detail: { idleShare: round(idleShare) }
+  };
+}
+
+function rpmBandComponent(frames, params) {
+  const moving = frames.filter(f =>
+    toNumberOrNull(f.engineRPM) !== null && toNumberOrNull(f.vehicleSpeed) >= params.movingSpeed
+  );
+  if (moving.length === 0) return null;
+
+  const [low, high] = params.rpmBand;
+  const inBand = moving.filter(f => f.engineRPM >= low && f.engineRPM <= high).length;
+  const nearBand = moving.filter(f => f.engineRPM > high && f.engineRPM <= params.rpmCeiling).length;
+
+  return {
+    score: clampScore(100 * (share(inBand, moving.length) + 0.5 * share(nearBand, moving.length))),
+    detail: {
+      band: params.rpmBand,
+      inBandShare: round(share(inBand, moving.length)),
+      nearBandShare: round(share(nearBand, moving.length))
+    }
+  };
+}
+
+// Rated L/100km (kWh/100km from MPGe for electric vehicles, where the model
+// supports it) for this trip, blending city and highway ratings by the share
+// of moving time at highway speed
+function ratedEfficiency(frames, vehicle, params) {
+  if (!vehicle) return null;
+
+  const city = toNumberOrNull(vehicle.cityMPG);
+  const highway = toNumberOrNull(vehicle.highwayMPG);
+  if (!city && !highway) return null;
+
+  const factor = params.electricMPGe && vehicle.fuelType === 'electric' ? MPGE_TO_KWH100KM : MPG_TO_L100KM;
+  const cityL100 = factor / (city || highway);
+  const highwayL100 = factor / (highway || city);
+
+  const moving = frames
+    .map(f => toNumberOrNull(f.vehicleSpeed))
+    .filter(v => v !== null && v >= params.movingSpeed);
+  const highwayShare = moving.length > 0
+    ? share(moving.filter(v => v >= params.highwaySpeed).length, moving.length)
+    : 0;
+
+  return {
+    rated: cityL100 * (1 - highwayShare) + highwayL100 * highwayShare,
+    highwayShare
+  };
+}
+
+function efficiencyComponent(frames, efficiency, vehicle, params) {
+  const actual = toNumberOrNull(efficiency);
+  if (!actual || actual <= 0) return null;
+
+  const rating = ratedEfficiency(frames, vehicle, params);
+  if (!rating) return null;
+
+  const ratio = actual / rating.rated;
+  const span = params.worstEfficiencyRatio - params.bestEfficiencyRatio;
+
+  return {
+    score: clampScore(100 * (1 - (ratio - params.bestEfficiencyRatio) / span)),
+    detail: {
+      actual: round(actual),
+      rated: round(rating.rated),
+      ratio: round(ratio),
+      highwayShare: round(rating.highwayShare)
+    }
+  };
+}
+
+// Score a trip from its OBD frames (ordered by time), measured efficiency in
+// L/100km (kWh/100km for electric vehicles) and vehicle ratings. Components
+// without data are left out and the remaining weights rescaled. Returns null
+// when nothing could be scored.
+function computeEcoScore({ frames = [], efficiency = null, vehicle = null }, version = CURRENT_ECO_SCORE_VERSION) {
+  const model = ECO_SCORE_MODELS[version];
+  if (!model) {
+    throw new Error(`Unknown eco-score version: ${version}`);
+  }
+
+  const { params, weights } = model;
+  const accel = accelerations(frames);
+
+  const components = {
+    acceleration: smoothnessComponent(accel.filter(a => a > 0), params.gentleAcceleration, params.harshAcceleration),
+    braking: smoothnessComponent(accel.filter(a => a < 0).map(a => -a), params.gentleBraking, params.harshBraking),
+    speedConsistency: speedConsistencyComponent(frames, params),
+    idle: idleComponent(frames, params),
+    rpmBand: rpmBandComponent(frames, params),
+    efficiency: efficiencyComponent(frames, efficiency, vehicle, params)
+  };
+
+  const scored = Object.keys(components).filter(name => components[name]);
+  if (scored.length === 0) return null;
+
+  const totalWeight = scored.reduce((sum, name) => sum + weights[name], 0);
+
+  const breakdown = {};
+  let score = 0;
+  Object.entries(components).forEach(([name, component]) => {
+    if (!component) {
+      breakdown[name] = { score: null, weight: weights[name], appliedWeight: 0 };
+      return;
+    }
+
+    const appliedWeight = weights[name] / totalWeight;
+    score += component.score * appliedWeight;
+    breakdown[name] = {
+      score: component.score,
+      weight: weights[name],
+      appliedWeight: round(appliedWeight),
+      ...component.detail
+    };
+  });
+
+  return {
+    score: clampScore(score),
+    version,
+    breakdown
+  };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+  ECO_SCORE_MODELS,
+  CURRENT_ECO_SCORE_VERSION,
+  computeEcoScore
+};
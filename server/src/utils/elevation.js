@@ -0,0 +1,211 @@
+const { haversineKm } = require('./geo');
+const { toNumberOrNull } = require('./numbers');
+const { forEachInterval, round } = require('./tripMetrics');
+
+// GPS altitude wanders by a few meters at rest; changes smaller than this
+// from the last counted altitude aren't climb or descent
+const ELEVATION_NOISE_M = 3;
+
+// Grades are measured over this much road around each point, so altitude
+// noise between close fixes doesn't read as a wall
+const GRADE_WINDOW_M = 100;
+
+// Shorter spans (the car is stopped) keep the previous grade
+const MIN_GRADE_SPAN_M = 20;
+
+// Beyond ±this percent a stretch counts as uphill or downhill
+const GRADE_THRESHOLD_PERCENT = 2;
+
+const GRADE_BANDS = ['uphill', 'flat', 'downhill'];
+
+// OBD frames further than this from a route fix aren't given a grade
+const MAX_ALIGN_GAP_MS = 10 * 1000;
+
+// Vehicles have no mass on record; a mid-size car with a driver
+const DEFAULT_VEHICLE_MASS_KG = parseFloat(process.env.ELEVATION_VEHICLE_MASS_KG) || 1500;
+
+const GRAVITY = 9.81; // m/s²
+
+// Energy per unit of fuel (MJ per L, per kWh for electric), the share of it
+// that reaches the wheels, and the share of potential energy won back going
+// downhill (coasting on fuel cut, regenerative braking)
+const CLIMB_ENERGY = {
+  gasoline: { energyPerUnit: 32.0, drivetrainEfficiency: 0.25, descentRecovery: 0.3 },
+  diesel: { energyPerUnit: 35.8, drivetrainEfficiency: 0.3, descentRecovery: 0.3 },
+  hybrid: { energyPerUnit: 32.0, drivetrainEfficiency: 0.3, descentRecovery: 0.5 },
+  electric: { energyPerUnit: 3.6, drivetrainEfficiency: 0.85, descentRecovery: 0.6 }
+};
+
+// The hill correction never moves efficiency by more than this factor either
+// way, so a wrong mass or a bad altitude track can't produce absurd figures
+const MAX_NORMALIZATION_FACTOR = 1.5;
+
+function withAltitude(points) {
+  return points
+    .map(point => ({ ...point, altitude: toNumberOrNull(point.altitude) }))
+    .filter(point => point.altitude !== null);
+}
+
+// Total climb and descent in meters with ELEVATION_NOISE_M of hysteresis,
+// plus the altitude range. Null when the route has no altitudes.
+function elevationChanges(points) {
+  const profile = withAltitude(points);
+  if (profile.length === 0) return null;
+
+  let anchor = profile[0].altitude;
+  let climb = 0;
+  let descent = 0;
+  let min = anchor;
+  let max = anchor;
+
+  profile.forEach(({ altitude }) => {
+    const change = altitude - anchor;
+    if (change >= ELEVATION_NOISE_M) {
+      climb += change;
+      anchor = altitude;
+    } else if (change <= -ELEVATION_NOISE_M) {
+      descent -= change;
+      anchor = altitude;
+    }
+    min = Math.min(min, altitude);
+    max = Math.max(max, altitude);
+  });
+
+  return { climb, descent, minAltitude: min, maxAltitude: max };
+}
+
+// Grade in percent at each point with an altitude, measured over
+// GRADE_WINDOW_M of road centered on it. Returns [{ timestamp, grade }].
+function pointGrades(points) {
+  const profile = withAltitude(points);
+  const distance = [0];
+  for (let i = 1; i < profile.length; i++) {
+    distance.push(distance[i - 1] + haversineKm(profile[i - 1], profile[i]) * 1000);
+  }
+
+  const half = GRADE_WINDOW_M / 2;
+  let back = 0;
+  let ahead = 0;
+  let grade = 0;
+
+  const last = profile.length - 1;
+
+  // The window always reaches the neighboring fixes, however sparse they are
+  return profile.map((point, i) => {
+    while (back < i - 1 && distance[i] - distance[back] > half) back++;
+    ahead = Math.max(ahead, Math.min(i + 1, last));
+    while (ahead < last && distance[ahead + 1] - distance[i] <= half) ahead++;
+
+    const span = distance[ahead] - distance[back];
+    if (span >= MIN_GRADE_SPAN_M) {
+      grade = ((profile[ahead].altitude - profile[back].altitude) / span) * 100;
+    }
+    return { timestamp: new Date(point.timestamp).getTime(), grade };
+  });
+}
+
+function gradeBand(grade) {
+  if (grade > GRADE_THRESHOLD_PERCENT) return 'uphill';
+  if (grade < -GRADE_THRESHOLD_PERCENT) return 'downhill';
+  return 'flat';
+}
+
+// Fuel and distance per grade band from OBD frames, each interval taking the
+// grade of the route fix nearest its midpoint. Uses fuel rates when the
+// frames have them and L/100km readings otherwise, like computeTripFuel.
+// Returns { uphill, flat, downhill } of { distance, fuelConsumed, efficiency }.
+function gradeEfficiency(frames, points) {
+  const grades = pointGrades(points);
+  const useRate = frames.some(frame => toNumberOrNull(frame.fuelRate) !== null);
+  const totals = {};
+  GRADE_BANDS.forEach(band => { totals[band] = { liters: 0, distanceKm: 0, samples: 0 }; });
+
+  let cursor = 0;
+  forEachInterval(frames, (prev, curr, hours) => {
+    const v1 = toNumberOrNull(prev.vehicleSpeed);
+    const v2 = toNumberOrNull(curr.vehicleSpeed);
+    const fuel = toNumberOrNull(useRate ? prev.fuelRate : prev.fuelConsumption);
+    if (v1 === null || v2 === null || fuel === null || grades.length === 0) return;
+
+    const midpoint = (new Date(prev.timestamp).getTime() + new Date(curr.timestamp).getTime()) / 2;
+    while (cursor < grades.length - 1 &&
+      Math.abs(grades[cursor + 1].timestamp - midpoint) <= Math.abs(grades[cursor].timestamp - midpoint)) {
+      cursor++;
+    }
+    if (Math.abs(grades[cursor].timestamp - midpoint) > MAX_ALIGN_GAP_MS) return;
+
+    const segmentKm = ((v1 + v2) / 2) * hours;
+    const band = totals[gradeBand(grades[cursor].grade)];
+    band.liters += useRate ? fuel * hours : fuel * segmentKm / 100;
+    band.distanceKm += segmentKm;
+    band.samples++;
+  });
+
+  const result = {};
+  GRADE_BANDS.forEach(name => {
+    const band = totals[name];
+    result[name] = {
+      distance: round(band.distanceKm, 3),
+      fuelConsumed: band.samples > 0 ? round(band.liters, 3) : null,
+      efficiency: band.distanceKm > 0 ? round((band.liters / band.distanceKm) * 100, 2) : null
+    };
+  });
+  return result;
+}
+
+// Fuel (L, or kWh for electric vehicles) spent lifting the vehicle, net of
+// what's won back on the way down. Negative for a trip that ends lower than
+// it started.
+function climbFuel({ climb, descent }, vehicle, massKg = DEFAULT_VEHICLE_MASS_KG) {
+  const fuelType = vehicle && CLIMB_ENERGY[vehicle.fuelType] ? vehicle.fuelType : 'gasoline';
+  const { energyPerUnit, drivetrainEfficiency, descentRecovery } = CLIMB_ENERGY[fuelType];
+
+  const joules = massKg * GRAVITY * (climb - descentRecovery * descent);
+  return joules / (energyPerUnit * 1e6 * drivetrainEfficiency);
+}
+
+// The trip's L/100km with the fuel spent on (or saved by) elevation change
+// taken out, so hilly and flat trips compare on driving alone
+function normalizedEfficiency(trip, changes, vehicle) {
+  const fuelConsumed = toNumberOrNull(trip.fuelConsumed);
+  const distance = toNumberOrNull(trip.distance);
+  const efficiency = toNumberOrNull(trip.efficiency);
+
+  const base = efficiency > 0
+    ? efficiency
+    : (fuelConsumed > 0 && distance > 0 ? (fuelConsumed / distance) * 100 : null);
+  if (base === null) return null;
+  if (!changes || !(fuelConsumed > 0)) return round(base, 2);
+
+  const factor = (fuelConsumed - climbFuel(changes, vehicle)) / fuelConsumed;
+  const bounded = Math.min(MAX_NORMALIZATION_FACTOR, Math.max(1 / MAX_NORMALIZATION_FACTOR, factor));
+  return round(base * bounded, 2);
+}
+
+// Everything elevation-related for a finished trip
+function computeElevationSummary({ trip, points, frames, vehicle }) {
+  const changes = elevationChanges(points);
+
+  return {
+    elevationGain: changes ? round(changes.climb, 1) : null,
+    elevationLoss: changes ? round(changes.descent, 1) : null,
+    minAltitude: changes ? round(changes.minAltitude, 1) : null,
+    maxAltitude: changes ? round(changes.maxAltitude, 1) : null,
+    gradeEfficiency: changes && frames.length > 0 ? gradeEfficiency(frames, points) : null,
+    normalizedEfficiency: normalizedEfficiency(trip, changes, vehicle)
+  };
+}
+
+module.exports = {
+  ELEVATION_NOISE_M,
+  GRADE_THRESHOLD_PERCENT,
+  GRADE_BANDS,
+  DEFAULT_VEHICLE_MASS_KG,
+  elevationChanges,
+  pointGrades,
+  gradeBand,
+  gradeEfficiency,
+  climbFuel,
+  normalizedEfficiency,
+  computeElevationSummary
+};
@@ -0,0 +1,254 @@
+const { haversineKm, toRadians } = require('./geo');
+const { toNumberOrNull } = require('./numbers');
+
+// Severity thresholds as [low, medium, high]; values below low are not events
+const DEFAULT_THRESHOLDS = {
+  acceleration: [2.5, 3.5, 4.5], // m/s²
+  braking: [3.0, 4.5, 6.0], // m/s² of deceleration
+  cornering: [3.0, 4.0, 5.0], // m/s² of lateral acceleration
+  overRev: [4000, 4500, 5500], // RPM
+  idling: [60, 180, 300] // seconds stationary with the engine running
+};
+
+// Consecutive samples further apart than this are not differentiated
+const MAX_DELTA_MS = 5000;
+const MIN_DELTA_MS = 200;
+
+// Below this speed heading changes are GPS noise rather than cornering
+const MIN_CORNERING_SPEED_MS = 5;
+
+const SEVERITIES = ['low', 'medium', 'high'];
+
+function classify(value, thresholds) {
+  let severity = null;
+  thresholds.forEach((threshold, index) => {
+    if (value >= threshold) severity = SEVERITIES[index];
+  });
+  return severity;
+}
+
+const timeOf = (sample) => new Date(sample.timestamp).getTime();
+
+// Group consecutive samples that satisfy a condition into episodes, so one
+// long hard stop is reported once rather than once per frame
+function collectEpisodes(samples, valueOf, thresholds) {
+  const episodes = [];
+  let current = null;
+
+  samples.forEach(sample => {
+    const value = valueOf(sample);
+    const exceeds = value !== null && value >= thresholds[0];
+
+    if (!exceeds) {
+      current = null;
+      return;
+    }
+
+    if (!current) {
+      current = { start: sample, peakSample: sample, peak: value, end: sample };
+      episodes.push(current);
+    } else {
+      current.end = sample;
+      if (value > current.peak) {
+        current.peak = value;
+        current.peakSample = sample;
+      }
+    }
+  });
+
+  return episodes;
+}
+
+// Longitudinal acceleration (m/s²) between consecutive frames from vehicleSpeed
+function speedDeltas(frames) {
+  const deltas = [];
+
+  for (let i = 1; i < frames.length; i++) {
+    const v1 = toNumberOrNull(frames[i - 1].vehicleSpeed);
+    const v2 = toNumberOrNull(frames[i].vehicleSpeed);
+    const dtMs = timeOf(frames[i]) - timeOf(frames[i - 1]);
+
+    if (v1 === null || v2 === null || dtMs < MIN_DELTA_MS || dtMs > MAX_DELTA_MS) {
+      deltas.push({ timestamp: frames[i].timestamp, accel: null, from: v1, to: v2 });
+      continue;
+    }
+
+    deltas.push({
+      timestamp: frames[i].timestamp,
+      accel: ((v2 - v1) / 3.6) / (dtMs / 1000),
+      from: v1,
+      to: v2
+    });
+  }
+
+  return deltas;
+}
+
+function detectLongitudinal(frames, thresholds) {
+  const deltas = speedDeltas(frames);
+  const events = [];
+
+  collectEpisodes(deltas, d => d.accel, thresholds.acceleration).forEach(episode => {
+    events.push(buildEpisodeEvent('acceleration', episode, thresholds.acceleration, {
+      peakAcceleration: round(episode.peak),
+      fromSpeed: episode.start.from,
+      toSpeed: episode.end.to
+    }));
+  });
+
+  collectEpisodes(deltas, d => (d.accel === null ? null : -d.accel), thresholds.braking).forEach(episode => {
+    events.push(buildEpisodeEvent('braking', episode, thresholds.braking, {
+      peakDeceleration: round(episode.peak),
+      fromSpeed: episode.start.from,
+      toSpeed: episode.end.to
+    }));
+  });
+
+  return events;
+}
+
+function detectOverRev(frames, thresholds) {
+  return collectEpisodes(frames, f => toNumberOrNull(f.engineRPM), thresholds.overRev).map(episode =>
+    buildEpisodeEvent('over_rev', episode, thresholds.overRev, {
+      peakRPM: episode.peak,
+      durationSeconds: round((timeOf(episode.end) - timeOf(episode.start)) / 1000)
+    })
+  );
+}
+
+function detectIdling(frames, thresholds) {
+  const events = [];
+  let start = null;
+  let last = null;
+
+  const close = () => {
+    if (!start) return;
+    const seconds = (timeOf(last) - timeOf(start)) / 1000;
+    const severity = classify(seconds, thresholds.idling);
+    if (severity) {
+      events.push({
+        type: 'idling',
+        severity,
+        timestamp: start.timestamp,
+        data: { durationSeconds: round(seconds), endedAt: new Date(last.timestamp).toISOString() }
+      });
+    }
+    start = null;
+  };
+
+  frames.forEach(frame => {
+    const speed = toNumberOrNull(frame.vehicleSpeed);
+    const rpm = toNumberOrNull(frame.engineRPM);
+    const idling = speed === 0 && rpm !== null && rpm > 0;
+
+    // A gap in the data ends the idle period as well
+    if (!idling || (last && timeOf(frame) - timeOf(last) > MAX_DELTA_MS * 6)) close();
+
+    if (idling) {
+      if (!start) start = frame;
+      last = frame;
+    }
+  });
+  close();
+
+  return events;
+}
+
+// Lateral acceleration from heading change rate and speed (v * yaw rate).
+// Route speed is in km/h; when it is missing it is derived from the positions.
+function detectCornering(routePoints, thresholds) {
+  const samples = [];
+
+  for (let i = 1; i < routePoints.length; i++) {
+    const prev = routePoints[i - 1];
+    const curr = routePoints[i];
+    const dtMs = timeOf(curr) - timeOf(prev);
+
+    if (prev.heading === null || curr.heading === null || dtMs < MIN_DELTA_MS || dtMs > MAX_DELTA_MS) {
+      samples.push({ ...curr, lateral: null });
+      continue;
+    }
+
+    let headingChange = Math.abs(curr.heading - prev.heading) % 360;
+    if (headingChange > 180) headingChange = 360 - headingChange;
+
+    const speed = curr.speed !== null
+      ? curr.speed / 3.6
+      : (haversineKm(prev, curr) * 1000) / (dtMs / 1000);
+
+    const lateral = speed >= MIN_CORNERING_SPEED_MS
+      ? speed * (toRadians(headingChange) / (dtMs / 1000))
+      : null;
+
+    samples.push({ ...curr, lateral, headingChange, speed });
+  }
+
+  return collectEpisodes(samples, s => s.lateral, thresholds.cornering).map(episode => ({
+    ...buildEpisodeEvent('cornering', episode, thresholds.cornering, {
+      peakLateralAcceleration: round(episode.peak),
+      speed: round(episode.peakSample.speed * 3.6)
+    }),
+    lat: episode.peakSample.lat,
+    lng: episode.peakSample.lng
+  }));
+}
+
+function buildEpisodeEvent(type, episode, thresholds, data) {
+  return {
+    type,
+    severity: classify(episode.peak, thresholds),
+    timestamp: episode.peakSample.timestamp,
+    data
+  };
+}
+
+// Attach the position of the route point closest in time to each event
+function locateEvents(events, routePoints) {
+  if (routePoints.length === 0) return events;
+
+  const times = routePoints.map(timeOf);
+
+  return events.map(event => {
+    if (event.lat !== undefined && event.lng !== undefined) return event;
+
+    const t = timeOf(event);
+    let lo = 0;
+    let hi = times.length - 1;
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (times[mid] < t) lo = mid + 1;
+      else hi = mid;
+    }
+
+    const nearest = lo > 0 && Math.abs(times[lo - 1] - t) < Math.abs(times[lo] - t) ? lo - 1 : lo;
+    if (Math.abs(times[nearest] - t) > MAX_DELTA_MS * 6) return event;
+
+    return { ...event, lat: routePoints[nearest].lat, lng: routePoints[nearest].lng };
+  });
+}
+
+// Detect driving events from a trip's OBD frames and route points, both
+// ordered by time. Returns events sorted by timestamp.
+function detectTripEvents(frames, routePoints, overrides = {}) {
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...overrides };
+
+  const events = [
+    ...detectLongitudinal(frames, thresholds),
+    ...detectOverRev(frames, thresholds),
+    ...detectIdling(frames, thresholds),
+    ...detectCornering(routePoints, thresholds)
+  ];
+
+  return locateEvents(events, routePoints)
+    .sort((a, b) => timeOf(a) - timeOf(b));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  classify,
+  detectTripEvents
+};
@@ -0,0 +1,166 @@
+const { toNumberOrNull } = require('./numbers');
+
+// Stoichiometric air-fuel ratio (by mass) and density (g/L) per fuel type.
+// Diesel runs lean of stoichiometric, so MAF-based figures overestimate its
+// consumption; there's no PID for the actual ratio on most cars.
+const FUEL_PROPERTIES = {
+  gasoline: { airFuelRatio: 14.7, density: 745 },
+  diesel: { airFuelRatio: 14.5, density: 832 },
+  hybrid: { airFuelRatio: 14.7, density: 745 }
+};
+
+// Used when a vehicle's fuel type is unknown or 'other'
+const DEFAULT_FUEL = 'gasoline';
+
+// Speed-density: share of the displacement actually filled each intake
+// stroke. Typical for a naturally aspirated engine at part throttle.
+const DEFAULT_VOLUMETRIC_EFFICIENCY = parseFloat(process.env.FUEL_VOLUMETRIC_EFFICIENCY) || 0.85;
+
+const AIR_MOLAR_MASS = 28.97; // g/mol
+const GAS_CONSTANT = 8.314; // J/(mol K)
+
+// Below this speed L/100km runs off to infinity, so only the rate is kept
+const MIN_CONSUMPTION_SPEED = 5; // km/h
+
+// Where a frame's fuel figures came from, most trusted first
+const FUEL_SOURCES = ['fuel_rate', 'reported', 'maf', 'speed_density'];
+
+// Fuel properties for a vehicle; null for electric vehicles, which burn none
+function fuelPropertiesFor(vehicle) {
+  const fuelType = vehicle && vehicle.fuelType;
+  if (fuelType === 'electric') return null;
+  return FUEL_PROPERTIES[fuelType] || FUEL_PROPERTIES[DEFAULT_FUEL];
+}
+
+// Air mass flow (g/s) estimated from manifold pressure (kPa), intake air
+// temperature (°C), RPM and displacement (L) with the ideal gas law. A
+// four-stroke engine takes in its displacement every two revolutions.
+function speedDensityAirflow({ rpm, map, iat, displacement, volumetricEfficiency = DEFAULT_VOLUMETRIC_EFFICIENCY }) {
+  if (!(rpm > 0) || !(map > 0) || iat === null || iat === undefined || !(displacement > 0)) return null;
+
+  const intakeKelvin = iat + 273.15;
+  if (intakeKelvin <= 0) return null;
+
+  const litersPerSecond = (rpm / 120) * displacement * volumetricEfficiency;
+  return (litersPerSecond * map * AIR_MOLAR_MASS) / (GAS_CONSTANT * intakeKelvin);
+}
+
+// Fuel flow (L/h) for an air mass flow (g/s). Positive fuel trims mean the
+// ECU is adding fuel on top of stoichiometric, so they're applied as well.
+function fuelRateFromAirflow(airflow, fuel, trimPercent = 0) {
+  if (!(airflow >= 0) || !fuel) return null;
+
+  const fuelGramsPerSecond = (airflow / fuel.airFuelRatio) * (1 + trimPercent / 100);
+  return Math.max(0, (fuelGramsPerSecond / fuel.density) * 3600);
+}
+
+// Instantaneous L/100km from a fuel rate (L/h) and speed (km/h)
+function consumptionFromRate(fuelRate, speed) {
+  if (fuelRate === null || speed === null || speed < MIN_CONSUMPTION_SPEED) return null;
+  return (fuelRate / speed) * 100;
+}
+
+// Fuel rate (L/h) from an L/100km reading and speed (km/h)
+function rateFromConsumption(consumption, speed) {
+  if (consumption === null || speed === null) return null;
+  return (consumption * speed) / 100;
+}
+
+// Combined bank 1 fuel trim in percent; null parts count as no correction
+function totalFuelTrim(frame) {
+  const shortTerm = toNumberOrNull(frame.shortTermFuelTrim1);
+  const longTerm = toNumberOrNull(frame.longTermFuelTrim1);
+  return (shortTerm || 0) + (longTerm || 0);
+}
+
+// Fuel figures for one OBD frame: { fuelRate (L/h), fuelConsumption (L/100km),
+// fuelConsumptionSource }. Values the car reports win; otherwise they're
+// derived from MAF, then from MAP/IAT/RPM and the engine displacement.
+// Returns nulls when there's nothing to derive from.
+function estimateFrameFuel(frame, vehicle) {
+  const speed = toNumberOrNull(frame.vehicleSpeed);
+  const reportedRate = toNumberOrNull(frame.fuelRate);
+  const reportedConsumption = toNumberOrNull(frame.fuelConsumption);
+
+  if (reportedRate !== null) {
+    return {
+      fuelRate: reportedRate,
+      fuelConsumption: reportedConsumption !== null
+        ? reportedConsumption
+        : roundOrNull(consumptionFromRate(reportedRate, speed), 3),
+      fuelConsumptionSource: 'fuel_rate'
+    };
+  }
+
+  if (reportedConsumption !== null) {
+    return {
+      fuelRate: roundOrNull(rateFromConsumption(reportedConsumption, speed), 3),
+      fuelConsumption: reportedConsumption,
+      fuelConsumptionSource: 'reported'
+    };
+  }
+
+  const fuel = fuelPropertiesFor(vehicle);
+  const none = { fuelRate: null, fuelConsumption: null, fuelConsumptionSource: null };
+  if (!fuel) return none;
+
+  let airflow = toNumberOrNull(frame.mafRate);
+  let source = 'maf';
+
+  if (airflow === null) {
+    airflow = speedDensityAirflow({
+      rpm: toNumberOrNull(frame.engineRPM),
+      map: toNumberOrNull(frame.intakeManifoldPressure),
+      iat: toNumberOrNull(frame.intakeAirTemp),
+      displacement: toNumberOrNull(vehicle && vehicle.engineDisplacement)
+    });
+    source = 'speed_density';
+  }
+
+  if (airflow === null) return none;
+
+  const fuelRate = fuelRateFromAirflow(airflow, fuel, totalFuelTrim(frame));
+  return {
+    fuelRate: round(fuelRate, 3),
+    fuelConsumption: roundOrNull(consumptionFromRate(fuelRate, speed), 3),
+    fuelConsumptionSource: source
+  };
+}
+
+// Drop the fuel figures an earlier estimate derived, keeping only what the
+// car reported, so a frame can be estimated again (e.g. once the vehicle's
+// displacement is known)
+function reportedFuel(frame) {
+  switch (frame.fuelConsumptionSource) {
+    case 'fuel_rate':
+      return { ...frame, fuelConsumption: null };
+    case 'reported':
+      return { ...frame, fuelRate: null };
+    case 'maf':
+    case 'speed_density':
+      return { ...frame, fuelRate: null, fuelConsumption: null };
+    default:
+      return frame;
+  }
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function roundOrNull(value, decimals) {
+  return value === null ? null : round(value, decimals);
+}
+
+module.exports = {
+  FUEL_PROPERTIES,
+  FUEL_SOURCES,
+  MIN_CONSUMPTION_SPEED,
+  fuelPropertiesFor,
+  speedDensityAirflow,
+  fuelRateFromAirflow,
+  consumptionFromRate,
+  estimateFrameFuel,
+  reportedFuel
+};
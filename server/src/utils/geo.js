@@ -0,0 +1,68 @@
+const { toNumberOrNull } = require('./numbers');
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two { lat, lng } points in kilometers
+function haversineKm(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const lat1 = toRadians(a.lat);
+  const lat2 = toRadians(b.lat);
+
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Total length of an ordered list of points in kilometers
+function pathLengthKm(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += haversineKm(points[i - 1], points[i]);
+  }
+  return total;
+}
+
+// Equirectangular projection around `origin`: { lat, lng } to { x, y } in
+// meters (x east, y north). Good to well under a meter within a few
+// kilometers of the origin and to a few percent across a long trip.
+function localProjection(origin) {
+  const metersPerDegree = EARTH_RADIUS_KM * 1000 * Math.PI / 180;
+  const cosLat = Math.cos(toRadians(origin.lat));
+  return (point) => ({
+    x: (point.lng - origin.lng) * metersPerDegree * cosLat,
+    y: (point.lat - origin.lat) * metersPerDegree
+  });
+}
+
+// Normalize the point shapes clients send ({ lat, lng } or { latitude, longitude })
+function normalizePoint(point) {
+  if (!point) return null;
+
+  const lat = Number(point.lat !== undefined ? point.lat : point.latitude);
+  const lng = Number(point.lng !== undefined ? point.lng : point.longitude);
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+  return {
+    lat,
+    lng,
+    altitude: toNumberOrNull(point.altitude),
+    speed: toNumberOrNull(point.speed),
+    heading: toNumberOrNull(point.heading),
+    accuracy: toNumberOrNull(point.accuracy),
+    timestamp: point.timestamp ? new Date(point.timestamp) : new Date()
+  };
+}
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  toRadians,
+  haversineKm,
+  pathLengthKm,
+  localProjection,
+  normalizePoint
+};
@@ -0,0 +1,93 @@
+// Minimal GPX 1.1 reader: track points (or route points when a file has no
+// track) with their elevation, time and the speed/course extensions Garmin
+// and most phone apps write. Everything else in the file is ignored.
+
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'"
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : match;
+  });
+}
+
+// Text of the first <name> element (any namespace prefix) inside `xml`
+function elementText(xml, name) {
+  const match = xml.match(new RegExp(`<(?:[\\w-]+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`, 'i'));
+  if (!match) return null;
+  return decodeEntities(match[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')).trim();
+}
+
+function attribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+  if (!match) return null;
+  return match[2] !== undefined ? match[2] : match[3];
+}
+
+function numberOrNull(text) {
+  if (text === null || text === '') return null;
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+}
+
+function readPoints(xml, tag) {
+  const points = [];
+  const pattern = new RegExp(`<${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${tag}>)`, 'gi');
+  let match;
+
+  while ((match = pattern.exec(xml)) !== null) {
+    const [, attributes, body = ''] = match;
+    const time = elementText(body, 'time');
+    const speed = numberOrNull(elementText(body, 'speed'));
+
+    points.push({
+      lat: numberOrNull(attribute(attributes, 'lat')),
+      lng: numberOrNull(attribute(attributes, 'lon')),
+      altitude: numberOrNull(elementText(body, 'ele')),
+      speed: speed !== null ? speed * 3.6 : null, // m/s in GPX, km/h in trip_routes
+      heading: numberOrNull(elementText(body, 'course')),
+      accuracy: null,
+      timestamp: time
+    });
+  }
+
+  return points;
+}
+
+// Parse a GPX document into { name, points }. Points keep the document's
+// order; timestamps are left as the strings found (or null) for the caller
+// to validate. Throws when the document isn't GPX.
+function parseGpx(xml) {
+  if (typeof xml !== 'string' || !/<gpx\b/i.test(xml)) {
+    throw new Error('Not a GPX document');
+  }
+
+  // Strip comments so commented-out points don't count
+  const content = xml.replace(/<!--[\s\S]*?-->/g, '');
+
+  let points = readPoints(content, 'trkpt');
+  if (points.length === 0) points = readPoints(content, 'rtept');
+
+  const track = content.match(/<trk\b[\s\S]*?<\/trk>/i) || content.match(/<rte\b[\s\S]*?<\/rte>/i);
+  const metadata = content.match(/<metadata\b[\s\S]*?<\/metadata>/i);
+  const name = (track && elementText(track[0].replace(/<(trkseg|rtept)\b[\s\S]*/i, ''), 'name')) ||
+    (metadata && elementText(metadata[0], 'name')) ||
+    null;
+
+  return { name, points };
+}
+
+module.exports = {
+  parseGpx
+};
@@ -0,0 +1,372 @@
+const { toNumberOrNull } = require('./numbers');
+
+// Each check looks at a vehicle's recent trips, oldest first, each with its
+// OBD frames ({ timestamp, engineRPM, vehicleSpeed, engineLoad, engineTemp,
+// batteryVoltage, fuelConsumption }). A check returns status 'ok', 'alert' or
+// 'insufficient_data'; alerts carry a severity and the evidence behind them.
+
+const SEVERITIES = ['low', 'medium', 'high'];
+
+// A start counts as cold when the coolant is below this or, without a
+// temperature reading, when the vehicle sat for longer than COLD_SOAK_MS
+const COLD_ENGINE_TEMP = 40; // °C
+const COLD_SOAK_MS = 4 * 60 * 60 * 1000;
+
+// Lowest battery voltage in the first seconds of a cold start, as [low, medium, high]
+// severity thresholds (lower is worse). A healthy battery stays above ~10V cranking.
+const START_WINDOW_MS = 30 * 1000;
+const COLD_START_VOLTAGE = [10.5, 10.0, 9.6];
+// Drop between the first and last few cold starts that suggests a failing battery
+const COLD_START_DECLINE = 0.5; // V
+const MIN_COLD_STARTS = 3;
+
+// Alternator output with the engine running
+const RUNNING_RPM = 600;
+const CHARGING_RANGE = [13.2, 14.8]; // V
+const CHARGING_LIMITS = [12.8, 15.2]; // V, beyond these the alert is high
+
+// Coolant temperature a warmed-up engine should sit under, and the point
+// where overheating becomes serious
+const WARM_ENGINE_TEMP = 70; // °C
+const OVERHEAT_TEMP = 105; // °C
+const SEVERE_OVERHEAT_TEMP = 115; // °C
+// Share of warm frames above OVERHEAT_TEMP as [low, medium, high]
+const OVERHEAT_SHARE = [0.002, 0.01, 0.05];
+// Trips this long that never warm up point to a thermostat stuck open
+const WARMUP_TRIP_MS = 15 * 60 * 1000;
+// Rise of the typical warm temperature between baseline and recent trips
+const WARM_TEMP_DRIFT = 8; // °C
+
+// Cruise band where fuel consumption is comparable between trips
+const CRUISE_SPEED = [50, 110]; // km/h
+const MIN_CRUISE_FRAMES = 10;
+const RECENT_TRIPS = 5;
+const MIN_EFFICIENCY_TRIPS = 10;
+// Increase of recent consumption over the baseline as [low, medium, high]
+const EFFICIENCY_DECAY = [0.1, 0.2, 0.35];
+
+const timeOf = (frame) => new Date(frame.timestamp).getTime();
+
+// Cold start voltage sag: weak batteries dip further when cranking a cold
+// engine, and the dip deepens as they age
+function checkBattery(trips) {
+  const coldStarts = [];
+
+  trips.forEach((trip, index) => {
+    if (trip.frames.length === 0) return;
+
+    const firstTime = timeOf(trip.frames[0]);
+    const startTemp = toNumberOrNull(trip.frames[0].engineTemp);
+    const previous = trips[index - 1];
+    const soakMs = previous && previous.frames.length > 0
+      ? firstTime - timeOf(previous.frames[previous.frames.length - 1])
+      : Infinity;
+    const isCold = startTemp !== null ? startTemp < COLD_ENGINE_TEMP : soakMs >= COLD_SOAK_MS;
+    if (!isCold) return;
+
+    const voltages = trip.frames
+      .filter(frame => timeOf(frame) - firstTime <= START_WINDOW_MS)
+      .map(frame => toNumberOrNull(frame.batteryVoltage))
+      .filter(value => value !== null && value > 0);
+    if (voltages.length === 0) return;
+
+    coldStarts.push({
+      tripId: trip.id,
+      startedAt: new Date(firstTime).toISOString(),
+      engineTemp: startTemp,
+      minVoltage: round(Math.min(...voltages))
+    });
+  });
+
+  if (coldStarts.length < MIN_COLD_STARTS) {
+    return insufficient('weak_battery', `Needs ${MIN_COLD_STARTS} cold starts with battery voltage, found ${coldStarts.length}`);
+  }
+
+  const recent = coldStarts.slice(-MIN_COLD_STARTS);
+  const recentMin = median(recent.map(start => start.minVoltage));
+  const baselineMin = median(coldStarts.slice(0, MIN_COLD_STARTS).map(start => start.minVoltage));
+  const decline = round(baselineMin - recentMin);
+
+  let severity = classifyBelow(recentMin, COLD_START_VOLTAGE);
+  if (!severity && coldStarts.length >= 2 * MIN_COLD_STARTS && decline >= COLD_START_DECLINE) {
+    severity = 'low';
+  }
+
+  const evidence = {
+    coldStarts: coldStarts.length,
+    recentMinVoltage: recentMin,
+    baselineMinVoltage: baselineMin,
+    decline,
+    thresholds: { low: COLD_START_VOLTAGE[0], medium: COLD_START_VOLTAGE[1], high: COLD_START_VOLTAGE[2] },
+    recentStarts: recent
+  };
+
+  if (!severity) return ok('weak_battery', evidence);
+
+  return alert('weak_battery', severity, {
+    title: 'Weak battery',
+    message: `Battery voltage drops to ${recentMin}V on recent cold starts` +
+      (decline >= COLD_START_DECLINE ? `, ${decline}V lower than earlier starts` : '') +
+      '. Have the battery load-tested.',
+    evidence
+  });
+}
+
+// Alternator output: with the engine running the battery should see roughly
+// 13.2-14.8V; lower means it isn't charging, higher that it's overcharging
+function checkCharging(trips) {
+  const voltages = [];
+
+  trips.forEach(trip => {
+    if (trip.frames.length === 0) return;
+    const firstTime = timeOf(trip.frames[0]);
+
+    trip.frames.forEach(frame => {
+      const rpm = toNumberOrNull(frame.engineRPM);
+      const voltage = toNumberOrNull(frame.batteryVoltage);
+      if (rpm === null || rpm < RUNNING_RPM || voltage === null || voltage <= 0) return;
+      if (timeOf(frame) - firstTime <= 2 * START_WINDOW_MS) return;
+      voltages.push(voltage);
+    });
+  });
+
+  if (voltages.length < MIN_CRUISE_FRAMES) {
+    return insufficient('charging_system', 'Not enough battery voltage readings with the engine running');
+  }
+
+  const runningVoltage = round(median(voltages));
+  const evidence = {
+    samples: voltages.length,
+    runningVoltage,
+    expectedRange: CHARGING_RANGE
+  };
+
+  if (runningVoltage >= CHARGING_RANGE[0] && runningVoltage <= CHARGING_RANGE[1]) {
+    return ok('charging_system', evidence);
+  }
+
+  const undercharging = runningVoltage < CHARGING_RANGE[0];
+  const severe = undercharging ? runningVoltage < CHARGING_LIMITS[0] : runningVoltage > CHARGING_LIMITS[1];
+
+  return alert('charging_system', severe ? 'high' : 'medium', {
+    title: undercharging ? 'Battery not charging' : 'Battery overcharging',
+    message: `Battery voltage with the engine running is ${runningVoltage}V, ` +
+      `outside the normal ${CHARGING_RANGE[0]}-${CHARGING_RANGE[1]}V. Have the alternator and regulator checked.`,
+    evidence
+  });
+}
+
+// Cooling system anomalies: overheating, an engine that never warms up
+// (thermostat stuck open) and a creeping warm-engine temperature
+function checkCooling(trips) {
+  const warmTemps = [];
+  const loadsWhenHot = [];
+  const coldTrips = [];
+  const tripMedians = [];
+  let maxTemp = null;
+
+  trips.forEach(trip => {
+    const temps = trip.frames
+      .map(frame => ({ temp: toNumberOrNull(frame.engineTemp), load: toNumberOrNull(frame.engineLoad) }))
+      .filter(reading => reading.temp !== null);
+    if (temps.length === 0) return;
+
+    const tripMax = Math.max(...temps.map(reading => reading.temp));
+    maxTemp = maxTemp === null ? tripMax : Math.max(maxTemp, tripMax);
+
+    const durationMs = timeOf(trip.frames[trip.frames.length - 1]) - timeOf(trip.frames[0]);
+    if (durationMs >= WARMUP_TRIP_MS && tripMax < WARM_ENGINE_TEMP) {
+      coldTrips.push({ tripId: trip.id, durationMinutes: Math.round(durationMs / 60000), maxTemp: tripMax });
+    }
+
+    const warm = temps.filter(reading => reading.temp >= WARM_ENGINE_TEMP);
+    warm.forEach(reading => {
+      warmTemps.push(reading.temp);
+      if (reading.temp > OVERHEAT_TEMP && reading.load !== null) loadsWhenHot.push(reading.load);
+    });
+    if (warm.length > 0) tripMedians.push(median(warm.map(reading => reading.temp)));
+  });
+
+  if (warmTemps.length < MIN_CRUISE_FRAMES && coldTrips.length === 0) {
+    return insufficient('cooling_system', 'Not enough engine temperature readings');
+  }
+
+  const findings = [];
+
+  const overheatShare = warmTemps.length > 0
+    ? warmTemps.filter(temp => temp > OVERHEAT_TEMP).length / warmTemps.length
+    : 0;
+  let overheatSeverity = classifyAbove(overheatShare, OVERHEAT_SHARE);
+  if (maxTemp !== null && maxTemp >= SEVERE_OVERHEAT_TEMP) overheatSeverity = 'high';
+  if (overheatSeverity) {
+    findings.push({
+      finding: 'overheating',
+      severity: overheatSeverity,
+      detail: `Coolant reached ${round(maxTemp)}°C and was above ${OVERHEAT_TEMP}°C for ${round(overheatShare * 100)}% of warm running` +
+        (loadsWhenHot.length > 0 ? ` at ${round(mean(loadsWhenHot))}% average engine load` : '')
+    });
+  }
+
+  if (coldTrips.length >= 2) {
+    findings.push({
+      finding: 'not_warming_up',
+      severity: 'medium',
+      detail: `${coldTrips.length} trips of ${WARMUP_TRIP_MS / 60000}+ minutes never reached ${WARM_ENGINE_TEMP}°C; the thermostat may be stuck open`
+    });
+  }
+
+  let drift = null;
+  if (tripMedians.length >= 2 * RECENT_TRIPS) {
+    drift = round(median(tripMedians.slice(-RECENT_TRIPS)) - median(tripMedians.slice(0, -RECENT_TRIPS)));
+    if (drift >= WARM_TEMP_DRIFT) {
+      findings.push({
+        finding: 'rising_temperature',
+        severity: 'low',
+        detail: `Typical warm engine temperature rose by ${drift}°C over recent trips`
+      });
+    }
+  }
+
+  const evidence = {
+    warmSamples: warmTemps.length,
+    typicalWarmTemp: warmTemps.length > 0 ? round(median(warmTemps)) : null,
+    maxTemp: maxTemp !== null ? round(maxTemp) : null,
+    overheatShare: round(overheatShare),
+    warmTempDrift: drift,
+    tripsNotWarmingUp: coldTrips,
+    findings
+  };
+
+  if (findings.length === 0) return ok('cooling_system', evidence);
+
+  return alert('cooling_system', highestSeverity(findings.map(finding => finding.severity)), {
+    title: 'Cooling system anomaly',
+    message: `${findings.map(finding => finding.detail).join('. ')}. Check coolant level, thermostat, fan and radiator.`,
+    evidence
+  });
+}
+
+// Gradual efficiency decay: cruise fuel consumption of recent trips against
+// the vehicle's earlier trips. Cruise frames keep city/highway mix out of it;
+// trips without enough of them fall back to the trip's overall efficiency.
+function checkEfficiency(trips) {
+  const perTrip = trips
+    .map(trip => {
+      const cruise = trip.frames
+        .filter(frame => {
+          const speed = toNumberOrNull(frame.vehicleSpeed);
+          return speed !== null && speed >= CRUISE_SPEED[0] && speed <= CRUISE_SPEED[1];
+        })
+        .map(frame => toNumberOrNull(frame.fuelConsumption))
+        .filter(value => value !== null && value > 0);
+
+      if (cruise.length >= MIN_CRUISE_FRAMES) {
+        return { tripId: trip.id, consumption: median(cruise), source: 'cruise' };
+      }
+      const efficiency = toNumberOrNull(trip.efficiency);
+      return efficiency !== null && efficiency > 0
+        ? { tripId: trip.id, consumption: efficiency, source: 'trip' }
+        : null;
+    })
+    .filter(Boolean);
+
+  // Compare like with like when most trips have cruise data
+  const cruiseTrips = perTrip.filter(entry => entry.source === 'cruise');
+  const series = cruiseTrips.length >= MIN_EFFICIENCY_TRIPS ? cruiseTrips : perTrip;
+
+  if (series.length < MIN_EFFICIENCY_TRIPS) {
+    return insufficient('efficiency_decay', `Needs ${MIN_EFFICIENCY_TRIPS} trips with fuel consumption, found ${series.length}`);
+  }
+
+  const baseline = median(series.slice(0, -RECENT_TRIPS).map(entry => entry.consumption));
+  const recent = median(series.slice(-RECENT_TRIPS).map(entry => entry.consumption));
+  const increase = baseline > 0 ? (recent - baseline) / baseline : 0;
+
+  const evidence = {
+    trips: series.length,
+    basis: series === cruiseTrips ? 'cruise' : 'trip',
+    baselineConsumption: round(baseline), // L/100km
+    recentConsumption: round(recent),
+    increase: round(increase),
+    recentTrips: series.slice(-RECENT_TRIPS).map(entry => ({ tripId: entry.tripId, consumption: round(entry.consumption) }))
+  };
+
+  const severity = classifyAbove(increase, EFFICIENCY_DECAY);
+  if (!severity) return ok('efficiency_decay', evidence);
+
+  return alert('efficiency_decay', severity, {
+    title: 'Fuel efficiency declining',
+    message: `Recent ${evidence.basis === 'cruise' ? 'cruising ' : ''}consumption is ${round(recent)} L/100km, ` +
+      `${Math.round(increase * 100)}% above the earlier ${round(baseline)} L/100km. ` +
+      'Check tyre pressure, air filter, spark plugs and oxygen sensors.',
+    evidence
+  });
+}
+
+const CHECKS = {
+  weak_battery: checkBattery,
+  charging_system: checkCharging,
+  cooling_system: checkCooling,
+  efficiency_decay: checkEfficiency
+};
+
+function runMaintenanceChecks(trips) {
+  return Object.values(CHECKS).map(check => check(trips));
+}
+
+// Helpers
+function ok(type, evidence) {
+  return { type, status: 'ok', evidence };
+}
+
+function insufficient(type, reason) {
+  return { type, status: 'insufficient_data', evidence: { reason } };
+}
+
+function alert(type, severity, { title, message, evidence }) {
+  return { type, status: 'alert', severity, title, message, evidence };
+}
+
+// Thresholds are [low, medium, high]; returns the highest one crossed
+function classifyAbove(value, thresholds) {
+  let severity = null;
+  thresholds.forEach((threshold, index) => {
+    if (value >= threshold) severity = SEVERITIES[index];
+  });
+  return severity;
+}
+
+function classifyBelow(value, thresholds) {
+  let severity = null;
+  thresholds.forEach((threshold, index) => {
+    if (value <= threshold) severity = SEVERITIES[index];
+  });
+  return severity;
+}
+
+function highestSeverity(severities) {
+  return severities.reduce((highest, severity) =>
+    SEVERITIES.indexOf(severity) > SEVERITIES.indexOf(highest) ? severity : highest
+  , 'low');
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  SEVERITIES,
+  CHECKS,
+  runMaintenanceChecks,
+  highestSeverity
+};
@@ -0,0 +1,11 @@
+// Coerce a loosely typed value (string from JSON, decimal from Postgres) to a
+// finite number, keeping zero and mapping blanks/garbage to null
+function toNumberOrNull(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+module.exports = {
+  toNumberOrNull
+};
@@ -0,0 +1,76 @@
+const { PIDS, isInRange, describeRange } = require('./pidRegistry');
+
+// Frames uploaded in bulk must say when they were recorded: that's what
+// duplicates are detected by. ISO 8601 string or epoch milliseconds.
+function parseFrameTimestamp(value) {
+  if (typeof value === 'number') {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+  return null;
+}
+
+// Check one frame with the rules obdDataValidation applies to POST /data,
+// plus the timestamp. Returns [{ field, message }], empty when it's valid.
+function validateFrame(frame) {
+  if (frame instanceof SyntaxError) {
+    return [{ field: null, message: `Invalid JSON: ${frame.message}` }];
+  }
+  if (!frame || typeof frame !== 'object' || Array.isArray(frame)) {
+    return [{ field: null, message: 'Frame must be an object' }];
+  }
+
+  const errors = [];
+
+  PIDS.forEach(entry => {
+    const value = frame[entry.column];
+    if (value === undefined || value === null) return;
+
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number) || !isInRange(entry, number)) {
+      errors.push({ field: entry.column, message: describeRange(entry) });
+    }
+  });
+
+  if (frame.tripId !== undefined && frame.tripId !== null) {
+    const tripId = Number(frame.tripId);
+    if (!Number.isInteger(tripId) || tripId < 1) {
+      errors.push({ field: 'tripId', message: 'Trip ID must be a positive integer' });
+    }
+  }
+
+  if (frame.rawData !== undefined && (typeof frame.rawData !== 'object' || frame.rawData === null || Array.isArray(frame.rawData))) {
+    errors.push({ field: 'rawData', message: 'Raw data must be an object' });
+  }
+
+  if (!parseFrameTimestamp(frame.timestamp)) {
+    errors.push({ field: 'timestamp', message: 'Timestamp must be an ISO 8601 date or epoch milliseconds' });
+  }
+
+  return errors;
+}
+
+// Split an NDJSON body into frames. Lines that aren't JSON come back as their
+// SyntaxError so they're reported at their index instead of failing the batch.
+function parseNdjson(text) {
+  return text
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== '')
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return error;
+      }
+    });
+}
+
+module.exports = {
+  parseFrameTimestamp,
+  validateFrame,
+  parseNdjson
+};
@@ -0,0 +1,100 @@
+const { toNumberOrNull } = require('./numbers');
+
+// OBD-II values stored as their own obd_data columns. Validation, the buffer
+// writer and the stats/trends endpoints are all driven from this list, so a
+// new PID needs an entry here plus a migration adding its column.
+//
+//   pid       Mode 01 PID it's read with; null for values the app derives
+//   unit      Unit the value is stored in
+//   min, max  Accepted range; readings outside it are rejected or dropped.
+//             A null max leaves the value unbounded.
+//   stats     Aggregates reported by GET /api/obd/stats
+const PIDS = [
+  // Engine
+  { column: 'engineRPM', pid: '0C', label: 'Engine RPM', unit: 'rpm', category: 'engine', min: 0, max: 16383.75, stats: ['average', 'maximum'] },
+  { column: 'vehicleSpeed', pid: '0D', label: 'Vehicle speed', unit: 'km/h', category: 'engine', min: 0, max: 255, stats: ['average', 'maximum'] },
+  { column: 'engineLoad', pid: '04', label: 'Engine load', unit: '%', category: 'engine', min: 0, max: 100, stats: ['average', 'maximum'] },
+  { column: 'throttlePosition', pid: '11', label: 'Throttle position', unit: '%', category: 'engine', min: 0, max: 100, stats: ['average', 'maximum'] },
+  { column: 'engineTemp', pid: '05', label: 'Engine temperature', unit: '°C', category: 'engine', min: -40, max: 150, stats: ['average', 'maximum'] },
+
+  // Fuel
+  { column: 'fuelLevel', pid: '2F', label: 'Fuel level', unit: '%', category: 'fuel', min: 0, max: 100, stats: ['average', 'minimum'] },
+  { column: 'fuelRate', pid: '5E', label: 'Engine fuel rate', unit: 'L/h', category: 'fuel', min: 0, max: 3276.75, stats: ['average', 'maximum'] },
+  { column: 'fuelConsumption', pid: null, label: 'Fuel consumption', unit: 'L/100km', category: 'fuel', min: 0, max: null, stats: ['average', 'minimum'] },
+  { column: 'shortTermFuelTrim1', pid: '06', label: 'Short term fuel trim (bank 1)', unit: '%', category: 'fuel', min: -100, max: 99.2, stats: ['average', 'minimum', 'maximum'] },
+  { column: 'longTermFuelTrim1', pid: '07', label: 'Long term fuel trim (bank 1)', unit: '%', category: 'fuel', min: -100, max: 99.2, stats: ['average', 'minimum', 'maximum'] },
+  { column: 'shortTermFuelTrim2', pid: '08', label: 'Short term fuel trim (bank 2)', unit: '%', category: 'fuel', min: -100, max: 99.2, stats: ['average', 'minimum', 'maximum'] },
+  { column: 'longTermFuelTrim2', pid: '09', label: 'Long term fuel trim (bank 2)', unit: '%', category: 'fuel', min: -100, max: 99.2, stats: ['average', 'minimum', 'maximum'] },
+
+  // Air intake
+  { column: 'mafRate', pid: '10', label: 'Mass air flow rate', unit: 'g/s', category: 'air', min: 0, max: 655.35, stats: ['average', 'maximum'] },
+  { column: 'intakeAirTemp', pid: '0F', label: 'Intake air temperature', unit: '°C', category: 'air', min: -40, max: 215, stats: ['average', 'maximum'] },
+  { column: 'intakeManifoldPressure', pid: '0B', label: 'Intake manifold pressure', unit: 'kPa', category: 'air', min: 0, max: 255, stats: ['average', 'maximum'] },
+  { column: 'barometricPressure', pid: '33', label: 'Barometric pressure', unit: 'kPa', category: 'air', min: 0, max: 255, stats: ['average', 'minimum', 'maximum'] },
+
+  // Oxygen sensors (narrowband voltage, bank 1)
+  { column: 'o2Sensor1Voltage', pid: '14', label: 'O2 sensor voltage (bank 1 sensor 1)', unit: 'V', category: 'emissions', min: 0, max: 1.275, stats: ['average', 'minimum', 'maximum'] },
+  { column: 'o2Sensor2Voltage', pid: '15', label: 'O2 sensor voltage (bank 1 sensor 2)', unit: 'V', category: 'emissions', min: 0, max: 1.275, stats: ['average', 'minimum', 'maximum'] },
+
+  // Environment and vehicle
+  { column: 'ambientAirTemp', pid: '46', label: 'Ambient air temperature', unit: '°C', category: 'environment', min: -40, max: 215, stats: ['average', 'minimum', 'maximum'] },
+  { column: 'odometer', pid: 'A6', label: 'Odometer', unit: 'km', category: 'vehicle', min: 0, max: 429496729.5, stats: ['minimum', 'maximum'] },
+  { column: 'batteryVoltage', pid: '42', label: 'Battery voltage', unit: 'V', category: 'electrical', min: 0, max: 20, stats: ['average', 'minimum'] },
+
+  // Hybrid/EV traction battery; PID 9A carries both voltage and current
+  { column: 'stateOfCharge', pid: '5B', label: 'State of charge', unit: '%', category: 'ev', min: 0, max: 100, stats: ['average', 'minimum', 'maximum'] },
+  { column: 'packVoltage', pid: '9A', label: 'Battery pack voltage', unit: 'V', category: 'ev', min: 0, max: 1000, stats: ['average', 'minimum', 'maximum'] },
+  { column: 'packCurrent', pid: '9A', label: 'Battery pack current', unit: 'A', category: 'ev', min: -1000, max: 1000, stats: ['average', 'minimum', 'maximum'] }
+];
+
+const PID_COLUMNS = PIDS.map(entry => entry.column);
+
+const PIDS_BY_COLUMN = PIDS.reduce((byColumn, entry) => {
+  byColumn[entry.column] = entry;
+  return byColumn;
+}, {});
+
+// SQL aggregate per stats key
+const AGGREGATES = {
+  average: 'AVG',
+  minimum: 'MIN',
+  maximum: 'MAX'
+};
+
+function getPid(column) {
+  return PIDS_BY_COLUMN[column] || null;
+}
+
+function isInRange(entry, value) {
+  return value >= entry.min && (entry.max === null || value <= entry.max);
+}
+
+// A frame's value for a PID as a number, or null when it's missing or
+// outside the PID's range (a misread, not a measurement)
+function readValue(entry, value) {
+  const number = toNumberOrNull(value);
+  return number !== null && isInRange(entry, number) ? number : null;
+}
+
+// Human readable accepted range, used in validation messages
+function describeRange(entry) {
+  return entry.max === null
+    ? `${entry.label} must be at least ${entry.min} ${entry.unit}`
+    : `${entry.label} must be between ${entry.min} and ${entry.max} ${entry.unit}`;
+}
+
+// Alias of the aggregate column in the stats query, e.g. avg_engineRPM
+function aggregateAlias(column, stat) {
+  return `${AGGREGATES[stat].toLowerCase()}_${column}`;
+}
+
+module.exports = {
+  PIDS,
+  PID_COLUMNS,
+  AGGREGATES,
+  getPid,
+  isInRange,
+  readValue,
+  describeRange,
+  aggregateAlias
+};
@@ -0,0 +1,74 @@
+// Google encoded polyline algorithm. Precision 5 is the Google Maps default;
+// some services (OSRM, Valhalla) use 6.
+const DEFAULT_PRECISION = 5;
+
+// Decode an encoded polyline into [{ lat, lng }]. Throws on truncated input.
+function decodePolyline(encoded, precision = DEFAULT_PRECISION) {
+  const factor = 10 ** precision;
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+
+    do {
+      if (index >= encoded.length) {
+        throw new Error('Polyline ends in the middle of a coordinate');
+      }
+      byte = encoded.charCodeAt(index++) - 63;
+      if (byte < 0 || byte > 63) {
+        throw new Error(`Invalid polyline character at position ${index - 1}`);
+      }
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += nextValue();
+    lng += nextValue();
+    points.push({ lat: lat / factor, lng: lng / factor });
+  }
+
+  return points;
+}
+
+// Encode [{ lat, lng }] as a polyline
+function encodePolyline(points, precision = DEFAULT_PRECISION) {
+  const factor = 10 ** precision;
+  let previousLat = 0;
+  let previousLng = 0;
+  let encoded = '';
+
+  const encodeValue = (value) => {
+    let remaining = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = '';
+    while (remaining >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+      remaining >>= 5;
+    }
+    return chunk + String.fromCharCode(remaining + 63);
+  };
+
+  points.forEach(point => {
+    const lat = Math.round(point.lat * factor);
+    const lng = Math.round(point.lng * factor);
+    encoded += encodeValue(lat - previousLat) + encodeValue(lng - previousLng);
+    previousLat = lat;
+    previousLng = lng;
+  });
+
+  return encoded;
+}
+
+module.exports = {
+  DEFAULT_PRECISION,
+  decodePolyline,
+  encodePolyline
+};
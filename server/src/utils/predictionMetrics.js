@@ -0,0 +1,147 @@
+const { toNumberOrNull } = require('./numbers');
+
+// A regression prediction counts as correct when it lands within this share
+// of the label's scale (10 eco score points, or 10% of the actual efficiency)
+const REGRESSION_TOLERANCE = 0.1;
+
+// Confidence buckets for calibration: [0, 0.2), [0.2, 0.4) ... [0.8, 1]
+const CALIBRATION_BINS = 5;
+
+// Predicted value and how errors are scaled for each model type
+const OUTCOME_TYPES = {
+  eco_score: { kind: 'regression', key: 'ecoScore', scale: () => 100 },
+  fuel_efficiency: { kind: 'regression', key: 'efficiency', scale: actual => Math.abs(actual) },
+  driving_behavior: { kind: 'classification', key: 'style' },
+  maintenance_prediction: { kind: 'anomaly', key: 'isAnomalous' }
+};
+
+// Compare a stored prediction with what actually happened. `actual` is a
+// number for regression models, a style for driving_behavior and a boolean
+// (maintenance was needed) for maintenance_prediction. Returns null when the
+// prediction has no value to compare.
+function scoreOutcome(modelType, prediction, actual) {
+  const type = OUTCOME_TYPES[modelType];
+  if (!type || !prediction) return null;
+
+  if (type.kind === 'regression') {
+    const predicted = toNumberOrNull(prediction[type.key]);
+    const actualValue = toNumberOrNull(actual);
+    if (predicted === null || actualValue === null) return null;
+
+    const absoluteError = Math.abs(predicted - actualValue);
+    const scale = type.scale(actualValue);
+    const relativeError = scale > 0 ? absoluteError / scale : (absoluteError === 0 ? 0 : 1);
+
+    return {
+      actualValue,
+      absoluteError: round(absoluteError),
+      accuracy: round(Math.max(0, 1 - relativeError)),
+      isCorrect: relativeError <= REGRESSION_TOLERANCE
+    };
+  }
+
+  if (type.kind === 'classification') {
+    if (prediction.style === undefined || typeof actual !== 'string') return null;
+    const isCorrect = prediction.style === actual;
+    return { actualValue: null, absoluteError: null, accuracy: isCorrect ? 1 : 0, isCorrect };
+  }
+
+  if (typeof prediction.isAnomalous !== 'boolean' || typeof actual !== 'boolean') return null;
+  const isCorrect = prediction.isAnomalous === actual;
+  return { actualValue: actual ? 1 : 0, absoluteError: null, accuracy: isCorrect ? 1 : 0, isCorrect };
+}
+
+// Error and calibration metrics over resolved predictions (rows with
+// absoluteError, accuracy, isCorrect and confidence)
+function summarizeOutcomes(rows) {
+  const errors = rows.map(row => toNumberOrNull(row.absoluteError)).filter(value => value !== null);
+  const accuracies = rows.map(row => toNumberOrNull(row.accuracy)).filter(value => value !== null);
+  const confident = rows.filter(row => toNumberOrNull(row.confidence) !== null && row.isCorrect !== null);
+
+  const calibration = calibrationBins(confident);
+
+  return {
+    resolved: rows.length,
+    mae: errors.length > 0 ? round(average(errors)) : null,
+    rmse: errors.length > 0 ? round(Math.sqrt(average(errors.map(error => error ** 2)))) : null,
+    avgAccuracy: accuracies.length > 0 ? round(average(accuracies)) : null,
+    hitRate: rows.length > 0
+      ? round(rows.filter(row => isTrue(row.isCorrect)).length / rows.length)
+      : null,
+    avgConfidence: confident.length > 0
+      ? round(average(confident.map(row => toNumberOrNull(row.confidence))))
+      : null,
+    // Expected calibration error: how far stated confidence is from the
+    // observed hit rate, weighted by how many predictions fall in each bin
+    calibrationError: confident.length > 0
+      ? round(calibration.reduce((sum, bin) =>
+        sum + (bin.count / confident.length) * Math.abs(bin.avgConfidence - bin.hitRate), 0))
+      : null,
+    calibration
+  };
+}
+
+function calibrationBins(rows) {
+  const bins = Array.from({ length: CALIBRATION_BINS }, (_, i) => ({
+    from: i / CALIBRATION_BINS,
+    to: (i + 1) / CALIBRATION_BINS,
+    confidence: [],
+    correct: 0
+  }));
+
+  rows.forEach(row => {
+    const confidence = Math.min(Math.max(toNumberOrNull(row.confidence), 0), 1);
+    const bin = bins[Math.min(Math.floor(confidence * CALIBRATION_BINS), CALIBRATION_BINS - 1)];
+    bin.confidence.push(confidence);
+    if (isTrue(row.isCorrect)) bin.correct++;
+  });
+
+  return bins
+    .filter(bin => bin.confidence.length > 0)
+    .map(bin => ({
+      from: round(bin.from),
+      to: round(bin.to),
+      count: bin.confidence.length,
+      avgConfidence: round(average(bin.confidence)),
+      hitRate: round(bin.correct / bin.confidence.length)
+    }));
+}
+
+// Per-day metrics by resolution date, oldest first
+function dailyOutcomes(rows) {
+  const days = new Map();
+
+  rows.forEach(row => {
+    const date = new Date(row.resolvedAt).toISOString().slice(0, 10);
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push(row);
+  });
+
+  return [...days.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, dayRows]) => {
+      const { calibration, ...summary } = summarizeOutcomes(dayRows);
+      return { date, ...summary };
+    });
+}
+
+// SQLite and MySQL return booleans as 0/1
+function isTrue(value) {
+  return value === true || value === 1 || value === '1';
+}
+
+function average(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+module.exports = {
+  OUTCOME_TYPES,
+  REGRESSION_TOLERANCE,
+  scoreOutcome,
+  summarizeOutcomes,
+  dailyOutcomes
+};
@@ -0,0 +1,283 @@
+const { haversineKm, pathLengthKm } = require('./geo');
+const { toNumberOrNull } = require('./numbers');
+const { round } = require('./tripMetrics');
+
+// Paths are compared as this many points evenly spaced along their length
+const PATH_SAMPLES = 24;
+
+// Trips on the same route start and end within this of each other
+const ENDPOINT_RADIUS_M = parseFloat(process.env.ROUTE_ENDPOINT_RADIUS_M) || 300;
+
+// ...and their paths are this close on average, so a commute with a
+// different middle (motorway vs. back roads) is a different route
+const PATH_SIMILARITY_M = parseFloat(process.env.ROUTE_PATH_SIMILARITY_M) || 200;
+
+// Trips needed before a path counts as a recurring route
+const MIN_ROUTE_TRIPS = 2;
+
+// Shorter trips (moving the car around the block) aren't clustered
+const MIN_ROUTE_KM = 0.5;
+
+// Local time of day, hours [from, to)
+const TIME_OF_DAY_PERIODS = [
+  { name: 'night', from: 0, to: 5 },
+  { name: 'morning', from: 5, to: 10 },
+  { name: 'midday', from: 10, to: 15 },
+  { name: 'afternoon', from: 15, to: 19 },
+  { name: 'evening', from: 19, to: 24 }
+];
+
+// Relative change across a route's trips that counts as a trend, as in
+// AnalyticsService's trend direction
+const TREND_THRESHOLD_PERCENT = 5;
+
+// `samples` points evenly spaced along a route, or null when it's too short
+function resamplePath(points, samples = PATH_SAMPLES) {
+  const path = points
+    .map(point => ({ lat: toNumberOrNull(point.lat), lng: toNumberOrNull(point.lng) }))
+    .filter(point => point.lat !== null && point.lng !== null);
+  if (path.length < 2 || pathLengthKm(path) < MIN_ROUTE_KM) return null;
+
+  const cumulative = [0];
+  for (let i = 1; i < path.length; i++) {
+    cumulative.push(cumulative[i - 1] + haversineKm(path[i - 1], path[i]));
+  }
+  const total = cumulative[cumulative.length - 1];
+
+  const resampled = [];
+  let segment = 1;
+  for (let s = 0; s < samples; s++) {
+    const target = (total * s) / (samples - 1);
+    while (segment < path.length - 1 && cumulative[segment] < target) segment++;
+
+    const span = cumulative[segment] - cumulative[segment - 1];
+    const t = span > 0 ? Math.min(1, Math.max(0, (target - cumulative[segment - 1]) / span)) : 0;
+    const a = path[segment - 1];
+    const b = path[segment];
+    resampled.push({
+      lat: a.lat + (b.lat - a.lat) * t,
+      lng: a.lng + (b.lng - a.lng) * t
+    });
+  }
+  return resampled;
+}
+
+// Mean distance in meters between corresponding points of two resampled paths
+function pathDistanceMeters(a, b) {
+  let total = 0;
+  for (let i = 0; i < a.length; i++) {
+    total += haversineKm(a[i], b[i]);
+  }
+  return (total / a.length) * 1000;
+}
+
+// How far a path is from a route's path in meters, or null when it isn't a
+// trip on that route
+function routeDistance(path, routePath) {
+  if (!path || !routePath || path.length !== routePath.length) return null;
+
+  const last = path.length - 1;
+  if (haversineKm(path[0], routePath[0]) * 1000 > ENDPOINT_RADIUS_M) return null;
+  if (haversineKm(path[last], routePath[last]) * 1000 > ENDPOINT_RADIUS_M) return null;
+
+  const distance = pathDistanceMeters(path, routePath);
+  return distance <= PATH_SIMILARITY_M ? distance : null;
+}
+
+// The closest route ({ path } each) a path belongs to, or null
+function findRoute(path, routes) {
+  let best = null;
+  routes.forEach(route => {
+    const distance = routeDistance(path, route.path);
+    if (distance !== null && (!best || distance < best.distance)) {
+      best = { route, distance };
+    }
+  });
+  return best ? best.route : null;
+}
+
+// A route's path after one more trip: the running mean of its trips' paths
+function mergePath(routePath, tripCount, path) {
+  return routePath.map((point, i) => ({
+    lat: round((point.lat * tripCount + path[i].lat) / (tripCount + 1), 6),
+    lng: round((point.lng * tripCount + path[i].lng) / (tripCount + 1), 6)
+  }));
+}
+
+function timeOfDay(date, utcOffsetMinutes = 0) {
+  const local = new Date(new Date(date).getTime() + utcOffsetMinutes * 60000);
+  const hour = local.getUTCHours();
+  return TIME_OF_DAY_PERIODS.find(period => hour >= period.from && hour < period.to).name;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function durationMinutes(trip) {
+  if (!trip.startTime || !trip.endTime) return null;
+  const minutes = (new Date(trip.endTime) - new Date(trip.startTime)) / 60000;
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : null;
+}
+
+// The figures benchmarked per route, and which direction is better
+const METRICS = {
+  efficiency: {
+    value: trip => {
+      const efficiency = toNumberOrNull(trip.efficiency);
+      return efficiency > 0 ? efficiency : null;
+    },
+    lowerIsBetter: true
+  },
+  ecoScore: { value: trip => toNumberOrNull(trip.ecoScore), lowerIsBetter: false },
+  duration: { value: durationMinutes, lowerIsBetter: true }
+};
+
+function metricValues(trips, metric) {
+  return trips.map(METRICS[metric].value).filter(value => value !== null);
+}
+
+function rounded(value) {
+  return value === null ? null : round(value, 2);
+}
+
+// Best, median and worst of a metric over trips
+function benchmark(trips, metric) {
+  const values = metricValues(trips, metric);
+  if (values.length === 0) return { best: null, median: null, worst: null, count: 0 };
+
+  const lowest = Math.min(...values);
+  const highest = Math.max(...values);
+  const { lowerIsBetter } = METRICS[metric];
+  return {
+    best: rounded(lowerIsBetter ? lowest : highest),
+    median: rounded(median(values)),
+    worst: rounded(lowerIsBetter ? highest : lowest),
+    count: values.length
+  };
+}
+
+// Least-squares slope of a metric across trips in order, as the relative
+// change from first to last trip. Positive `changePercent` means the value
+// went up; `direction` accounts for whether up is better.
+function trend(trips, metric) {
+  const values = metricValues(trips, metric);
+  if (values.length < 3) return { direction: 'stable', changePercent: 0, count: values.length };
+
+  const n = values.length;
+  const meanX = (n - 1) / 2;
+  const meanY = average(values);
+  let numerator = 0;
+  let denominator = 0;
+  values.forEach((value, x) => {
+    numerator += (x - meanX) * (value - meanY);
+    denominator += (x - meanX) ** 2;
+  });
+
+  const slope = numerator / denominator;
+  const changePercent = meanY !== 0 ? (slope * (n - 1) / meanY) * 100 : 0;
+  const better = METRICS[metric].lowerIsBetter ? changePercent < 0 : changePercent > 0;
+
+  let direction = 'stable';
+  if (Math.abs(changePercent) > TREND_THRESHOLD_PERCENT) direction = better ? 'improving' : 'declining';
+
+  return { direction, changePercent: round(changePercent, 1), count: n };
+}
+
+// Trip count and averages per time of day, for the periods with trips
+function timeOfDayBreakdown(trips, utcOffsetMinutes = 0) {
+  const breakdown = {};
+
+  TIME_OF_DAY_PERIODS.forEach(({ name }) => {
+    const inPeriod = trips.filter(trip => timeOfDay(trip.startTime, utcOffsetMinutes) === name);
+    if (inPeriod.length === 0) return;
+
+    breakdown[name] = {
+      tripCount: inPeriod.length,
+      avgEfficiency: rounded(average(metricValues(inPeriod, 'efficiency'))),
+      avgEcoScore: rounded(average(metricValues(inPeriod, 'ecoScore'))),
+      avgDurationMinutes: rounded(average(metricValues(inPeriod, 'duration')))
+    };
+  });
+
+  return breakdown;
+}
+
+// Benchmarks, time-of-day effects and trends for a route's trips (oldest first)
+function summarizeRouteTrips(trips, { utcOffset = 0 } = {}) {
+  return {
+    tripCount: trips.length,
+    efficiency: benchmark(trips, 'efficiency'),
+    ecoScore: benchmark(trips, 'ecoScore'),
+    duration: benchmark(trips, 'duration'),
+    timeOfDay: timeOfDayBreakdown(trips, utcOffset),
+    trend: {
+      efficiency: trend(trips, 'efficiency'),
+      ecoScore: trend(trips, 'ecoScore')
+    }
+  };
+}
+
+// Where one of a metric's values ranks among the route's other trips
+function compareValue(value, others, metric) {
+  if (value === null) return null;
+
+  const values = metricValues(others, metric);
+  const typical = median(values);
+  const { lowerIsBetter } = METRICS[metric];
+  const beaten = values.filter(other => (lowerIsBetter ? value < other : value > other)).length;
+
+  return {
+    value: rounded(value),
+    median: rounded(typical),
+    delta: typical === null ? null : rounded(value - typical),
+    deltaPercent: typical ? round(((value - typical) / typical) * 100, 1) : null,
+    // Share of the route's other trips this one did better than
+    percentile: values.length > 0 ? Math.round((beaten / values.length) * 100) : null,
+    personalBest: values.length > 0 && beaten === values.length
+  };
+}
+
+// A trip against the other trips on its route, overall and at the same time of day
+function compareTripToRoute(trip, others, { utcOffset = 0 } = {}) {
+  const period = timeOfDay(trip.startTime, utcOffset);
+  const samePeriod = others.filter(other => timeOfDay(other.startTime, utcOffset) === period);
+
+  const comparison = {};
+  Object.keys(METRICS).forEach(metric => {
+    comparison[metric] = compareValue(METRICS[metric].value(trip), others, metric);
+  });
+
+  return {
+    ...comparison,
+    timeOfDay: {
+      period,
+      tripCount: samePeriod.length,
+      efficiency: compareValue(METRICS.efficiency.value(trip), samePeriod, 'efficiency'),
+      ecoScore: compareValue(METRICS.ecoScore.value(trip), samePeriod, 'ecoScore')
+    }
+  };
+}
+
+module.exports = {
+  PATH_SAMPLES,
+  ENDPOINT_RADIUS_M,
+  PATH_SIMILARITY_M,
+  MIN_ROUTE_TRIPS,
+  TIME_OF_DAY_PERIODS,
+  resamplePath,
+  pathDistanceMeters,
+  routeDistance,
+  findRoute,
+  mergePath,
+  timeOfDay,
+  summarizeRouteTrips,
+  compareTripToRoute
+};
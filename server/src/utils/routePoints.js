@@ -0,0 +1,152 @@
+const { haversineKm } = require('./geo');
+const { toNumberOrNull } = require('./numbers');
+
+// Device clocks drift; a point this far in the future is a bad timestamp
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Optional per-point telemetry and its accepted range, matching trip_routes
+const TELEMETRY_RANGES = {
+  altitude: { min: -500, max: 9000, message: 'Altitude must be between -500 and 9000 meters' },
+  speed: { min: 0, max: 500, message: 'Speed must be between 0 and 500 km/h' },
+  heading: { min: 0, max: 360, message: 'Heading must be between 0 and 360 degrees' },
+  accuracy: { min: 0, max: 9999.99, message: 'Accuracy must be between 0 and 9999.99 meters' }
+};
+
+function parseTimestamp(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Normalize points from an upload ({ lat, lng } or { latitude, longitude },
+// telemetry optional) without defaulting missing timestamps to now, so the
+// validation below can reject them
+function toRoutePoint(point) {
+  const source = point && typeof point === 'object' ? point : {};
+  return {
+    lat: toNumberOrNull(source.lat !== undefined ? source.lat : source.latitude),
+    lng: toNumberOrNull(source.lng !== undefined ? source.lng : source.longitude),
+    altitude: toNumberOrNull(source.altitude),
+    speed: toNumberOrNull(source.speed),
+    heading: toNumberOrNull(source.heading),
+    accuracy: toNumberOrNull(source.accuracy),
+    timestamp: parseTimestamp(source.timestamp)
+  };
+}
+
+// Check an ordered route: coordinates and telemetry in range, every point
+// timestamped, none in the future and none earlier than the point before it.
+// Returns [{ index, field, message }], empty when the route is valid.
+function validateRoutePoints(points, { now = new Date() } = {}) {
+  const errors = [];
+  let previous = null;
+
+  points.forEach((point, index) => {
+    if (point.lat === null || point.lat < -90 || point.lat > 90) {
+      errors.push({ index, field: 'lat', message: 'Invalid latitude' });
+    }
+    if (point.lng === null || point.lng < -180 || point.lng > 180) {
+      errors.push({ index, field: 'lng', message: 'Invalid longitude' });
+    }
+
+    Object.entries(TELEMETRY_RANGES).forEach(([field, range]) => {
+      const value = point[field];
+      if (value !== null && (value < range.min || value > range.max)) {
+        errors.push({ index, field, message: range.message });
+      }
+    });
+
+    if (!point.timestamp) {
+      errors.push({ index, field: 'timestamp', message: 'Route timestamp must be a valid date' });
+      return;
+    }
+    if (point.timestamp.getTime() > now.getTime() + MAX_CLOCK_SKEW_MS) {
+      errors.push({ index, field: 'timestamp', message: 'Route timestamp is in the future' });
+    }
+    if (previous && point.timestamp < previous) {
+      errors.push({ index, field: 'timestamp', message: 'Route points must be in chronological order' });
+    }
+    previous = point.timestamp;
+  });
+
+  return errors;
+}
+
+// Split points streamed during a live trip into the ones to keep and the
+// errors of the rest. Each point is checked as validateRoutePoints would and
+// must not be earlier than the last point kept (or `after`, the latest time
+// already stored), so one bad fix doesn't cost the whole update.
+function keepValidRoutePoints(points, { after = null, now = new Date() } = {}) {
+  const kept = [];
+  const errors = [];
+  let previous = after ? new Date(after) : null;
+
+  points.forEach((point, index) => {
+    const pointErrors = validateRoutePoints([point], { now }).map(error => ({ ...error, index }));
+    if (pointErrors.length === 0 && previous && point.timestamp < previous) {
+      pointErrors.push({ index, field: 'timestamp', message: 'Route points must be in chronological order' });
+    }
+
+    if (pointErrors.length > 0) {
+      errors.push(...pointErrors);
+      return;
+    }
+    kept.push(point);
+    previous = point.timestamp;
+  });
+
+  return { points: kept, errors };
+}
+
+// One-line summary of validateRoutePoints errors for an error message
+function describeRouteErrors(errors) {
+  const [first] = errors;
+  return `Invalid route: point ${first.index} ${first.field}: ${first.message}` +
+    (errors.length > 1 ? ` (and ${errors.length - 1} more)` : '');
+}
+
+// Spread timestamps over [startTime, endTime] in proportion to the distance
+// covered, for formats (encoded polylines, GPX routes) that carry none
+function interpolateTimestamps(points, startTime, endTime) {
+  const start = new Date(startTime).getTime();
+  const span = new Date(endTime).getTime() - start;
+
+  const cumulative = [0];
+  for (let i = 1; i < points.length; i++) {
+    cumulative.push(cumulative[i - 1] + haversineKm(points[i - 1], points[i]));
+  }
+  const total = cumulative[cumulative.length - 1];
+
+  return points.map((point, index) => {
+    const fraction = total > 0
+      ? cumulative[index] / total
+      : (points.length > 1 ? index / (points.length - 1) : 0);
+    return { ...point, timestamp: new Date(start + Math.round(fraction * span)) };
+  });
+}
+
+// trip_routes row for a normalized point
+function toRouteRow(tripId, sequence, point) {
+  return {
+    tripId,
+    sequence,
+    lat: point.lat,
+    lng: point.lng,
+    altitude: point.altitude !== undefined ? point.altitude : null,
+    speed: point.speed !== undefined ? point.speed : null,
+    heading: point.heading !== undefined ? point.heading : null,
+    accuracy: point.accuracy !== undefined ? point.accuracy : null,
+    timestamp: point.timestamp
+  };
+}
+
+module.exports = {
+  MAX_CLOCK_SKEW_MS,
+  TELEMETRY_RANGES,
+  toRoutePoint,
+  validateRoutePoints,
+  keepValidRoutePoints,
+  describeRouteErrors,
+  interpolateTimestamps,
+  toRouteRow
+};
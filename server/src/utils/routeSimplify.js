@@ -0,0 +1,120 @@
+const { haversineKm, localProjection } = require('./geo');
+
+// A fix implying more than this from the point before it is a GPS spike
+const MAX_IMPLIED_SPEED_KMH = 300;
+
+// simplifyToLimit gives up doubling the tolerance past this (~1000 km)
+const MAX_TOLERANCE_METERS = 1e6;
+
+function impliedSpeedKmh(from, to) {
+  // Fixes sharing a timestamp still have to be plausible over a second
+  const hours = Math.max(new Date(to.timestamp) - new Date(from.timestamp), 1000) / 3600000;
+  return haversineKm(from, to) / hours;
+}
+
+// Drop fixes whose reported accuracy is worse than `maxAccuracy` meters, and
+// isolated spikes: a point that can't be reached from the previous kept
+// point at `maxSpeed` when the point after it can. A genuine jump (e.g.
+// after a tunnel) moves both and is kept.
+// Returns { points, removed }.
+function rejectOutliers(points, { maxAccuracy = null, maxSpeed = MAX_IMPLIED_SPEED_KMH } = {}) {
+  const accurate = maxAccuracy === null
+    ? points
+    : points.filter(point => point.accuracy === null || point.accuracy === undefined || point.accuracy <= maxAccuracy);
+
+  const kept = [];
+  accurate.forEach((point, index) => {
+    const previous = kept[kept.length - 1];
+    const next = accurate[index + 1];
+
+    if (previous && next &&
+      impliedSpeedKmh(previous, point) > maxSpeed &&
+      impliedSpeedKmh(previous, next) <= maxSpeed) {
+      return;
+    }
+    // A bad first fix: the second point is far from it but close to the third
+    if (!previous && next && accurate[index + 2] &&
+      impliedSpeedKmh(point, next) > maxSpeed &&
+      impliedSpeedKmh(next, accurate[index + 2]) <= maxSpeed &&
+      impliedSpeedKmh(point, accurate[index + 2]) > maxSpeed) {
+      return;
+    }
+    kept.push(point);
+  });
+
+  return { points: kept, removed: points.length - kept.length };
+}
+
+// Closest point to p on the segment a-b, all projected: { x, y, t, distance }
+// with t the fraction along the segment
+function closestPointOnSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+  const x = a.x + t * dx;
+  const y = a.y + t * dy;
+  return { x, y, t, distance: Math.hypot(p.x - x, p.y - y) };
+}
+
+// Douglas–Peucker: keep the fewest points such that no dropped point is more
+// than `tolerance` meters from the simplified line. The first and last
+// points are always kept; points keep their other fields.
+function simplifyRoute(points, tolerance) {
+  if (points.length <= 2 || !(tolerance > 0)) return points.slice();
+
+  const project = localProjection(points[0]);
+  const projected = points.map(project);
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+
+  // Explicit stack rather than recursion; routes run to tens of thousands of points
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [start, end] = stack.pop();
+    let farthest = -1;
+    let maxDistance = tolerance;
+
+    for (let i = start + 1; i < end; i++) {
+      const { distance } = closestPointOnSegment(projected[i], projected[start], projected[end]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        farthest = i;
+      }
+    }
+
+    if (farthest !== -1) {
+      keep[farthest] = 1;
+      stack.push([start, farthest], [farthest, end]);
+    }
+  }
+
+  return points.filter((point, index) => keep[index] === 1);
+}
+
+// Simplify at `tolerance`, then keep doubling the tolerance until the route
+// fits in `maxPoints`. Returns { points, tolerance } with the tolerance used.
+function simplifyToLimit(points, { tolerance = 0, maxPoints = null } = {}) {
+  let used = tolerance;
+  let simplified = simplifyRoute(points, used);
+
+  if (maxPoints !== null) {
+    while (simplified.length > maxPoints && used < MAX_TOLERANCE_METERS) {
+      used = used > 0 ? used * 2 : 1;
+      simplified = simplifyRoute(points, used);
+    }
+  }
+
+  return { points: simplified, tolerance: used };
+}
+
+module.exports = {
+  MAX_IMPLIED_SPEED_KMH,
+  rejectOutliers,
+  closestPointOnSegment,
+  simplifyRoute,
+  simplifyToLimit
+};
@@ -0,0 +1,233 @@
+const { forEachInterval } = require('./tripMetrics');
+const { toNumberOrNull } = require('./numbers');
+
+// Feature vectors used to train and run the AI models. The names are stored
+// with each trained model so inference builds inputs in the same order.
+
+// Whole-trip aggregates for eco_score and fuel_efficiency models. Fuel
+// consumption is left out so efficiency can't be read straight off an input.
+const TRIP_FEATURES = [
+  'avgSpeed',
+  'speedStdDev',
+  'avgRPM',
+  'rpmStdDev',
+  'avgThrottle',
+  'maxThrottle',
+  'avgEngineLoad',
+  'idleShare',
+  'highRpmShare',
+  'avgAcceleration',
+  'avgDeceleration',
+  'harshShare',
+  'distance',
+  'durationMinutes'
+];
+
+// Short stretches of driving for the driving_behavior classifier
+const WINDOW_FEATURES = [
+  'avgSpeed',
+  'speedStdDev',
+  'maxAcceleration',
+  'maxDeceleration',
+  'avgRPM',
+  'maxRPM',
+  'avgThrottle',
+  'maxThrottle',
+  'avgEngineLoad'
+];
+
+const DRIVING_STYLES = ['eco', 'normal', 'aggressive'];
+
+// Single frames with the engine running for the maintenance autoencoder
+const HEALTH_FEATURES = [
+  'engineTemp',
+  'batteryVoltage',
+  'engineLoad',
+  'engineRPM',
+  'throttlePosition'
+];
+
+const MIN_TRIP_FRAMES = 10;
+const WINDOW_SIZE = 20; // frames per driving_behavior sample
+
+const HIGH_RPM = 3000;
+const HARSH_ACCELERATION = 2.5; // m/s²
+const HARSH_DECELERATION = 3.0;
+
+// Windows this gentle (and without detected events) are labelled eco
+const ECO_WINDOW = {
+  maxAcceleration: 1.5,
+  maxDeceleration: 2.0,
+  maxRPM: 2500
+};
+
+const AGGRESSIVE_EVENT_TYPES = ['acceleration', 'braking', 'cornering', 'over_rev'];
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+const max = (values) => (values.length > 0 ? Math.max(...values) : 0);
+
+function stdDev(values) {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / values.length);
+}
+
+function column(frames, name) {
+  return frames
+    .map(frame => toNumberOrNull(frame[name]))
+    .filter(value => value !== null);
+}
+
+// Longitudinal acceleration in m/s² for each usable interval
+function accelerations(frames) {
+  const values = [];
+  forEachInterval(frames, (prev, curr, hours) => {
+    const v1 = toNumberOrNull(prev.vehicleSpeed);
+    const v2 = toNumberOrNull(curr.vehicleSpeed);
+    if (v1 === null || v2 === null) return;
+    values.push(((v2 - v1) / 3.6) / (hours * 3600));
+  });
+  return values;
+}
+
+// Aggregate features for a trip from its frames (ordered by time), or null
+// when there are too few frames to describe it
+function tripFeatures(trip, frames) {
+  if (frames.length < MIN_TRIP_FRAMES) return null;
+
+  const speeds = column(frames, 'vehicleSpeed');
+  const rpms = column(frames, 'engineRPM');
+  const throttles = column(frames, 'throttlePosition');
+  const accel = accelerations(frames);
+  const positive = accel.filter(a => a > 0);
+  const negative = accel.filter(a => a < 0).map(a => -a);
+
+  const engineOn = frames.filter(frame => toNumberOrNull(frame.engineRPM) > 0);
+  const idling = engineOn.filter(frame => toNumberOrNull(frame.vehicleSpeed) === 0);
+  const harsh = accel.filter(a => a > HARSH_ACCELERATION || a < -HARSH_DECELERATION);
+
+  const durationMs = new Date(frames[frames.length - 1].timestamp) - new Date(frames[0].timestamp);
+
+  const features = {
+    avgSpeed: mean(speeds),
+    speedStdDev: stdDev(speeds),
+    avgRPM: mean(rpms),
+    rpmStdDev: stdDev(rpms),
+    avgThrottle: mean(throttles),
+    maxThrottle: max(throttles),
+    avgEngineLoad: mean(column(frames, 'engineLoad')),
+    idleShare: engineOn.length > 0 ? idling.length / engineOn.length : 0,
+    highRpmShare: rpms.length > 0 ? rpms.filter(rpm => rpm > HIGH_RPM).length / rpms.length : 0,
+    avgAcceleration: mean(positive),
+    avgDeceleration: mean(negative),
+    harshShare: accel.length > 0 ? harsh.length / accel.length : 0,
+    distance: toNumberOrNull(trip.distance) || 0,
+    durationMinutes: Math.max(0, durationMs / 60000)
+  };
+
+  return TRIP_FEATURES.map(name => features[name]);
+}
+
+// Split a trip's frames into consecutive windows, each with its feature
+// vector and time span. A trailing partial window is dropped.
+function windowFeatures(frames, size = WINDOW_SIZE) {
+  const windows = [];
+
+  for (let start = 0; start + size <= frames.length; start += size) {
+    const slice = frames.slice(start, start + size);
+    const speeds = column(slice, 'vehicleSpeed');
+    const rpms = column(slice, 'engineRPM');
+    const throttles = column(slice, 'throttlePosition');
+    const accel = accelerations(slice);
+
+    const features = {
+      avgSpeed: mean(speeds),
+      speedStdDev: stdDev(speeds),
+      maxAcceleration: max(accel.filter(a => a > 0)),
+      maxDeceleration: max(accel.filter(a => a < 0).map(a => -a)),
+      avgRPM: mean(rpms),
+      maxRPM: max(rpms),
+      avgThrottle: mean(throttles),
+      maxThrottle: max(throttles),
+      avgEngineLoad: mean(column(slice, 'engineLoad'))
+    };
+
+    windows.push({
+      startTime: new Date(slice[0].timestamp),
+      endTime: new Date(slice[slice.length - 1].timestamp),
+      values: features,
+      features: WINDOW_FEATURES.map(name => features[name])
+    });
+  }
+
+  return windows;
+}
+
+// Label a window from the harsh events detected on its trip: any medium or
+// high event inside it makes it aggressive, otherwise it is eco when it stays
+// within the gentle limits and normal when it doesn't
+function windowLabel(window, events) {
+  const aggressive = events.some(event => {
+    if (!AGGRESSIVE_EVENT_TYPES.includes(event.type) || event.severity === 'low') return false;
+    const time = new Date(event.timestamp);
+    return time >= window.startTime && time <= window.endTime;
+  });
+  if (aggressive) return DRIVING_STYLES.indexOf('aggressive');
+
+  const { maxAcceleration, maxDeceleration, maxRPM } = window.values;
+  const gentle = maxAcceleration <= ECO_WINDOW.maxAcceleration &&
+    maxDeceleration <= ECO_WINDOW.maxDeceleration &&
+    maxRPM <= ECO_WINDOW.maxRPM;
+
+  return DRIVING_STYLES.indexOf(gentle ? 'eco' : 'normal');
+}
+
+// Feature vector for a single frame, or null unless the engine is running
+// and every health reading is present
+function healthFeatures(frame) {
+  if (!(toNumberOrNull(frame.engineRPM) > 0)) return null;
+
+  const values = HEALTH_FEATURES.map(name => toNumberOrNull(frame[name]));
+  return values.every(value => value !== null) ? values : null;
+}
+
+// Per-column mean and standard deviation for z-score scaling. Constant
+// columns get a scale of 1 so they normalize to zero instead of dividing by 0.
+function fitNormalization(rows) {
+  const width = rows[0].length;
+  const means = [];
+  const stds = [];
+
+  for (let i = 0; i < width; i++) {
+    const values = rows.map(row => row[i]);
+    const std = stdDev(values);
+    means.push(mean(values));
+    stds.push(std > 1e-6 ? std : 1);
+  }
+
+  return { mean: means, std: stds };
+}
+
+function normalize(rows, { mean: means, std: stds }) {
+  return rows.map(row => row.map((value, i) => (value - means[i]) / stds[i]));
+}
+
+function denormalize(rows, { mean: means, std: stds }) {
+  return rows.map(row => row.map((value, i) => value * stds[i] + means[i]));
+}
+
+module.exports = {
+  TRIP_FEATURES,
+  WINDOW_FEATURES,
+  HEALTH_FEATURES,
+  DRIVING_STYLES,
+  WINDOW_SIZE,
+  tripFeatures,
+  windowFeatures,
+  windowLabel,
+  healthFeatures,
+  fitNormalization,
+  normalize,
+  denormalize
+};
@@ -0,0 +1,310 @@
+const { PID_COLUMNS } = require('./pidRegistry');
+
+// OBD frames further than this from a route point aren't attached to it
+const ALIGN_TOLERANCE_MS = 5000;
+
+const GPX_NAMESPACES = [
+  'xmlns="http://www.topografix.com/GPX/1/1"',
+  'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+  'xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2"',
+  'xmlns:glidewise="https://glidewise.app/xmlschemas/obd/v1"',
+  'xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd"'
+].join(' ');
+
+// KML colors are aabbggrr
+const KML_EVENT_COLORS = {
+  low: 'ff00d7ff',
+  medium: 'ff008cff',
+  high: 'ff0000ff'
+};
+
+const ROUTE_COLUMNS = ['lat', 'lng', 'altitude', 'speed', 'heading', 'accuracy'];
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function isoTime(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function hasValue(value) {
+  return value !== null && value !== undefined;
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function tripName(trip) {
+  const metadata = trip.metadata || {};
+  if (metadata.import && metadata.import.name) return metadata.import.name;
+  return `Trip ${trip.id} - ${new Date(trip.startTime).toISOString().slice(0, 10)}`;
+}
+
+// Attach to each route point the OBD frame closest in time, within
+// ALIGN_TOLERANCE_MS. Both lists are sorted by timestamp.
+function alignFrames(points, frames, toleranceMs = ALIGN_TOLERANCE_MS) {
+  let cursor = 0;
+
+  return points.map(point => {
+    const time = new Date(point.timestamp).getTime();
+
+    while (cursor < frames.length - 1 &&
+      Math.abs(new Date(frames[cursor + 1].timestamp).getTime() - time) <=
+      Math.abs(new Date(frames[cursor].timestamp).getTime() - time)) {
+      cursor++;
+    }
+
+    const frame = frames[cursor];
+    if (!frame || Math.abs(new Date(frame.timestamp).getTime() - time) > toleranceMs) return null;
+    return frame;
+  });
+}
+
+// PID columns with at least one value in the frames, in registry order
+function presentColumns(frames) {
+  return PID_COLUMNS.filter(column => frames.some(frame => frame && hasValue(frame[column])));
+}
+
+// GPX 1.1: the route as a track with speed and course in Garmin's
+// TrackPointExtension and aligned OBD values in our own namespace; events as
+// waypoints
+function toGpx({ trip, points, events, frames }) {
+  const aligned = frames ? alignFrames(points, frames) : [];
+  const columns = presentColumns(aligned);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="GlideWise" ${GPX_NAMESPACES}>`,
+    '  <metadata>',
+    `    <name>${escapeXml(tripName(trip))}</name>`,
+    `    <time>${isoTime(trip.startTime)}</time>`,
+    '  </metadata>'
+  ];
+
+  events.filter(event => hasValue(event.lat) && hasValue(event.lng)).forEach(event => {
+    lines.push(
+      `  <wpt lat="${event.lat}" lon="${event.lng}">`,
+      `    <time>${isoTime(event.timestamp)}</time>`,
+      `    <name>${escapeXml(event.type)}</name>`,
+      `    <type>${escapeXml(event.severity)}</type>`,
+      '  </wpt>'
+    );
+  });
+
+  lines.push('  <trk>', `    <name>${escapeXml(tripName(trip))}</name>`, '    <type>driving</type>', '    <trkseg>');
+
+  points.forEach((point, index) => {
+    lines.push(`      <trkpt lat="${point.lat}" lon="${point.lng}">`);
+    if (hasValue(point.altitude)) lines.push(`        <ele>${point.altitude}</ele>`);
+    lines.push(`        <time>${isoTime(point.timestamp)}</time>`);
+
+    const frame = aligned[index];
+    const obd = frame ? columns.filter(column => hasValue(frame[column])) : [];
+    const hasMotion = hasValue(point.speed) || hasValue(point.heading);
+
+    if (hasMotion || obd.length > 0) {
+      lines.push('        <extensions>');
+      if (hasMotion) {
+        lines.push('          <gpxtpx:TrackPointExtension>');
+        // GPX speeds are m/s
+        if (hasValue(point.speed)) lines.push(`            <gpxtpx:speed>${round(point.speed / 3.6, 3)}</gpxtpx:speed>`);
+        if (hasValue(point.heading)) lines.push(`            <gpxtpx:course>${point.heading}</gpxtpx:course>`);
+        lines.push('          </gpxtpx:TrackPointExtension>');
+      }
+      if (obd.length > 0) {
+        lines.push('          <glidewise:obd>');
+        obd.forEach(column => lines.push(`            <glidewise:${column}>${frame[column]}</glidewise:${column}>`));
+        lines.push('          </glidewise:obd>');
+      }
+      lines.push('        </extensions>');
+    }
+
+    lines.push('      </trkpt>');
+  });
+
+  lines.push('    </trkseg>', '  </trk>', '</gpx>', '');
+  return lines.join('\n');
+}
+
+// KML 2.2: the route as a line with the trip's time span, events as
+// placemarks colored by severity
+function toKml({ trip, points, events }) {
+  const summary = [
+    hasValue(trip.distance) ? `Distance: ${trip.distance} km` : null,
+    hasValue(trip.efficiency) ? `Efficiency: ${trip.efficiency} L/100km` : null,
+    hasValue(trip.ecoScore) ? `Eco score: ${trip.ecoScore}` : null
+  ].filter(Boolean).join('\n');
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(tripName(trip))}</name>`,
+    '    <Style id="route"><LineStyle><color>ff32a852</color><width>4</width></LineStyle></Style>'
+  ];
+
+  Object.entries(KML_EVENT_COLORS).forEach(([severity, color]) => {
+    lines.push(`    <Style id="event-${severity}"><IconStyle><color>${color}</color></IconStyle></Style>`);
+  });
+
+  if (points.length > 0) {
+    const coordinates = points
+      .map(point => [point.lng, point.lat, hasValue(point.altitude) ? point.altitude : 0].join(','))
+      .join(' ');
+
+    lines.push(
+      '    <Placemark>',
+      '      <name>Route</name>',
+      `      <description>${escapeXml(summary)}</description>`,
+      `      <TimeSpan><begin>${isoTime(points[0].timestamp)}</begin><end>${isoTime(points[points.length - 1].timestamp)}</end></TimeSpan>`,
+      '      <styleUrl>#route</styleUrl>',
+      '      <LineString>',
+      '        <tessellate>1</tessellate>',
+      `        <coordinates>${coordinates}</coordinates>`,
+      '      </LineString>',
+      '    </Placemark>'
+    );
+  }
+
+  const placed = events.filter(event => hasValue(event.lat) && hasValue(event.lng));
+  if (placed.length > 0) {
+    lines.push('    <Folder>', '      <name>Events</name>');
+    placed.forEach(event => {
+      const style = KML_EVENT_COLORS[event.severity] ? `event-${event.severity}` : 'event-medium';
+      lines.push(
+        '      <Placemark>',
+        `        <name>${escapeXml(event.type)}</name>`,
+        `        <description>${escapeXml(`Severity: ${event.severity}`)}</description>`,
+        `        <TimeStamp><when>${isoTime(event.timestamp)}</when></TimeStamp>`,
+        `        <styleUrl>#${style}</styleUrl>`,
+        `        <Point><coordinates>${event.lng},${event.lat}</coordinates></Point>`,
+        '      </Placemark>'
+      );
+    });
+    lines.push('    </Folder>');
+  }
+
+  lines.push('  </Document>', '</kml>', '');
+  return lines.join('\n');
+}
+
+// GeoJSON FeatureCollection: a LineString for the route with per-point times
+// and telemetry as parallel arrays, and a Point feature per event
+function toGeoJson({ trip, points, events, frames }) {
+  const withAltitude = points.length > 0 && points.every(point => hasValue(point.altitude));
+  const features = [];
+
+  if (points.length > 0) {
+    const properties = {
+      kind: 'route',
+      tripId: trip.id,
+      name: tripName(trip),
+      startTime: isoTime(trip.startTime),
+      endTime: isoTime(trip.endTime),
+      distance: trip.distance,
+      fuelConsumed: trip.fuelConsumed,
+      efficiency: trip.efficiency,
+      ecoScore: trip.ecoScore,
+      coordTimes: points.map(point => isoTime(point.timestamp)),
+      speeds: points.map(point => (hasValue(point.speed) ? point.speed : null)),
+      headings: points.map(point => (hasValue(point.heading) ? point.heading : null))
+    };
+
+    if (frames) {
+      const aligned = alignFrames(points, frames);
+      properties.obd = {};
+      presentColumns(aligned).forEach(column => {
+        properties.obd[column] = aligned.map(frame => (frame && hasValue(frame[column]) ? frame[column] : null));
+      });
+    }
+
+    features.push({
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: points.map(point => (withAltitude
+          ? [point.lng, point.lat, point.altitude]
+          : [point.lng, point.lat]))
+      },
+      properties
+    });
+  }
+
+  events.forEach(event => {
+    features.push({
+      type: 'Feature',
+      geometry: hasValue(event.lat) && hasValue(event.lng)
+        ? { type: 'Point', coordinates: [event.lng, event.lat] }
+        : null,
+      properties: {
+        kind: 'event',
+        tripId: trip.id,
+        type: event.type,
+        severity: event.severity,
+        source: event.source || null,
+        timestamp: isoTime(event.timestamp),
+        data: event.data || null
+      }
+    });
+  });
+
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+function csvField(value) {
+  if (!hasValue(value)) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV time series, one row per route point with the aligned OBD values. A
+// trip with OBD data but no GPS track gets one row per frame instead.
+function toCsv({ points, frames }) {
+  let rows;
+  let columns;
+
+  if (points.length > 0) {
+    const aligned = frames ? alignFrames(points, frames) : [];
+    columns = presentColumns(aligned);
+    rows = points.map((point, index) => [
+      isoTime(point.timestamp),
+      ...ROUTE_COLUMNS.map(column => point[column]),
+      ...columns.map(column => (aligned[index] ? aligned[index][column] : null))
+    ]);
+  } else {
+    const obdFrames = frames || [];
+    columns = presentColumns(obdFrames);
+    rows = obdFrames.map(frame => [
+      isoTime(frame.timestamp),
+      ...ROUTE_COLUMNS.map(() => null),
+      ...columns.map(column => frame[column])
+    ]);
+  }
+
+  const header = ['timestamp', ...ROUTE_COLUMNS, ...columns];
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+const EXPORT_FORMATS = {
+  gpx: { extension: 'gpx', contentType: 'application/gpx+xml', render: toGpx },
+  kml: { extension: 'kml', contentType: 'application/vnd.google-earth.kml+xml', render: toKml },
+  geojson: { extension: 'geojson', contentType: 'application/geo+json', render: toGeoJson },
+  csv: { extension: 'csv', contentType: 'text/csv', render: toCsv }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  ALIGN_TOLERANCE_MS,
+  alignFrames,
+  toGpx,
+  toKml,
+  toGeoJson,
+  toCsv
+};
@@ -0,0 +1,137 @@
+const { pathLengthKm } = require('./geo');
+const { toNumberOrNull } = require('./numbers');
+
+// Samples further apart than this are treated as a gap (e.g. lost connection)
+// rather than interpolated across
+const MAX_SAMPLE_GAP_MS = 30 * 1000;
+
+// Walk consecutive OBD frames, calling fn(prev, curr, hours) for each usable interval
+function forEachInterval(frames, fn) {
+  for (let i = 1; i < frames.length; i++) {
+    const prev = frames[i - 1];
+    const curr = frames[i];
+    const dtMs = new Date(curr.timestamp) - new Date(prev.timestamp);
+
+    if (dtMs <= 0 || dtMs > MAX_SAMPLE_GAP_MS) continue;
+    fn(prev, curr, dtMs / 3600000);
+  }
+}
+
+// Distance from integrating vehicleSpeed (km/h) over time, in kilometers
+function speedDistanceKm(frames) {
+  let distance = 0;
+
+  forEachInterval(frames, (prev, curr, hours) => {
+    const v1 = toNumberOrNull(prev.vehicleSpeed);
+    const v2 = toNumberOrNull(curr.vehicleSpeed);
+    if (v1 === null || v2 === null) return;
+    distance += ((v1 + v2) / 2) * hours;
+  });
+
+  return distance;
+}
+
+// Fuel burned from the instantaneous L/100km readings. Returns the liters and
+// the distance those readings cover, so efficiency isn't skewed by gaps.
+function fuelFromConsumption(frames) {
+  let liters = 0;
+  let distanceKm = 0;
+  let samples = 0;
+
+  forEachInterval(frames, (prev, curr, hours) => {
+    const consumption = toNumberOrNull(prev.fuelConsumption);
+    const v1 = toNumberOrNull(prev.vehicleSpeed);
+    const v2 = toNumberOrNull(curr.vehicleSpeed);
+    if (consumption === null || v1 === null || v2 === null) return;
+
+    const segmentKm = ((v1 + v2) / 2) * hours;
+    liters += consumption * segmentKm / 100;
+    distanceKm += segmentKm;
+    samples++;
+  });
+
+  return samples > 0 ? { liters, distanceKm } : null;
+}
+
+// Fuel burned from fuel rates (L/h), reported or derived from airflow.
+// Unlike L/100km readings this also counts fuel burned while idling.
+function fuelFromRate(frames) {
+  let liters = 0;
+  let distanceKm = 0;
+  let samples = 0;
+
+  forEachInterval(frames, (prev, curr, hours) => {
+    const rate = toNumberOrNull(prev.fuelRate);
+    const v1 = toNumberOrNull(prev.vehicleSpeed);
+    const v2 = toNumberOrNull(curr.vehicleSpeed);
+    if (rate === null || v1 === null || v2 === null) return;
+
+    liters += rate * hours;
+    distanceKm += ((v1 + v2) / 2) * hours;
+    samples++;
+  });
+
+  return samples > 0 ? { liters, distanceKm } : null;
+}
+
+// Fuel used over a trip and its L/100km, from rates when the frames have
+// them and from L/100km readings otherwise. `fuelSource` is where most of
+// the frames' figures came from (see utils/fuelCalc).
+function computeTripFuel(frames) {
+  const fuel = fuelFromRate(frames) || fuelFromConsumption(frames);
+
+  return {
+    fuelConsumed: fuel ? round(fuel.liters, 3) : null,
+    efficiency: fuel && fuel.distanceKm > 0 ? round((fuel.liters / fuel.distanceKm) * 100, 2) : null,
+    fuelSource: fuel ? dominantFuelSource(frames) : null
+  };
+}
+
+function dominantFuelSource(frames) {
+  const counts = {};
+  frames.forEach(frame => {
+    if (frame.fuelConsumptionSource) {
+      counts[frame.fuelConsumptionSource] = (counts[frame.fuelConsumptionSource] || 0) + 1;
+    }
+  });
+
+  const sources = Object.keys(counts);
+  if (sources.length === 0) return 'reported';
+  return sources.reduce((best, source) => (counts[source] > counts[best] ? source : best));
+}
+
+// Summarize a finished trip from its OBD frames and route points. Route
+// distance wins when there is a usable GPS track; otherwise speed is integrated.
+function computeTripSummary(frames, routePoints) {
+  const routeKm = routePoints.length >= 2 ? pathLengthKm(routePoints) : 0;
+  const obdKm = speedDistanceKm(frames);
+  const distance = routeKm > 0 ? routeKm : obdKm;
+
+  const fuel = computeTripFuel(frames);
+
+  return {
+    distance: round(distance, 3),
+    distanceSource: routeKm > 0 ? 'route' : 'obd',
+    fuelConsumed: fuel.fuelConsumed,
+    efficiency: fuel.efficiency,
+    fuelSource: fuel.fuelSource,
+    frameCount: frames.length,
+    routePointCount: routePoints.length
+  };
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  MAX_SAMPLE_GAP_MS,
+  forEachInterval,
+  speedDistanceKm,
+  fuelFromConsumption,
+  fuelFromRate,
+  computeTripFuel,
+  computeTripSummary,
+  round
+};
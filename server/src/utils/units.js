@@ -0,0 +1,27 @@
+const LITERS_PER_GALLON = 3.78541;
+
+// Liters per 100km for 1 US MPG
+const MPG_TO_L100KM = 235.215;
+
+// EPA energy content of a gallon of gasoline, used for MPGe ratings
+const KWH_PER_GALLON_EQUIVALENT = 33.705;
+const KWH_PER_LITER_EQUIVALENT = KWH_PER_GALLON_EQUIVALENT / LITERS_PER_GALLON;
+
+// kWh per 100km for 1 MPGe
+const MPGE_TO_KWH100KM = (MPG_TO_L100KM / LITERS_PER_GALLON) * KWH_PER_GALLON_EQUIVALENT;
+
+// EPA combined rating: 55% city, 45% highway, averaged over fuel used
+function combinedMPG(city, highway) {
+  if (!city && !highway) return null;
+  if (!city || !highway) return city || highway;
+  return 1 / (0.55 / city + 0.45 / highway);
+}
+
+module.exports = {
+  LITERS_PER_GALLON,
+  MPG_TO_L100KM,
+  KWH_PER_GALLON_EQUIVALENT,
+  KWH_PER_LITER_EQUIVALENT,
+  MPGE_TO_KWH100KM,
+  combinedMPG
+};
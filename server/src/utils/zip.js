@@ -0,0 +1,133 @@
+const zlib = require('zlib');
+
+// Minimal streaming ZIP writer: each file is deflated and written as soon as
+// it's added, and the central directory goes out on finish(). Enough for
+// exports; no ZIP64, so entries and the archive stay under 4 GB.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields, in local time as unzip tools expect
+function dosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+const UTF8_NAMES = 0x0800;
+const DEFLATE = 8;
+
+class ZipWriter {
+  constructor(stream) {
+    this.stream = stream;
+    this.entries = [];
+    this.offset = 0;
+  }
+
+  async addFile(name, content, modifiedAt = new Date()) {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const fileName = Buffer.from(name, 'utf8');
+    const { time, date } = dosDateTime(modifiedAt);
+    const crc = crc32(data);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // Version needed to extract
+    header.writeUInt16LE(UTF8_NAMES, 6);
+    header.writeUInt16LE(DEFLATE, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(compressed.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(fileName.length, 26);
+    header.writeUInt16LE(0, 28); // Extra field length
+
+    this.entries.push({
+      fileName,
+      time,
+      date,
+      crc,
+      compressedSize: compressed.length,
+      size: data.length,
+      offset: this.offset
+    });
+
+    await this.write(Buffer.concat([header, fileName]));
+    await this.write(compressed);
+  }
+
+  async finish() {
+    const start = this.offset;
+
+    for (const entry of this.entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4); // Version made by
+      header.writeUInt16LE(20, 6); // Version needed to extract
+      header.writeUInt16LE(UTF8_NAMES, 8);
+      header.writeUInt16LE(DEFLATE, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.fileName.length, 28);
+      // Extra field, comment, disk number, attributes: all zero
+      header.writeUInt32LE(entry.offset, 42);
+
+      await this.write(Buffer.concat([header, entry.fileName]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - start, 12);
+    end.writeUInt32LE(start, 16);
+
+    await this.write(end);
+    this.stream.end();
+  }
+
+  // Write with backpressure, so a slow client doesn't pile the archive up in memory
+  write(buffer) {
+    this.offset += buffer.length;
+    if (this.stream.write(buffer)) return Promise.resolve();
+    return new Promise(resolve => {
+      // A closed connection never drains
+      const done = () => {
+        this.stream.off('drain', done);
+        this.stream.off('close', done);
+        resolve();
+      };
+      this.stream.once('drain', done);
+      this.stream.once('close', done);
+    });
+  }
+}
+
+module.exports = {
+  ZipWriter,
+  crc32
+};
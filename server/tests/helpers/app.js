@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+// Each test file gets its own SQLite database, migrated from scratch
+const dbFile = path.join(os.tmpdir(), `glidewise-test-${process.pid}-${process.env.JEST_WORKER_ID || 0}.db`);
+
+process.env.NODE_ENV = 'test';
+process.env.DB_CLIENT = 'sqlite3';
+process.env.DB_FILE = dbFile;
+
+const DatabaseService = require('../../src/services/DatabaseService');
+const { authenticateToken } = require('../../src/middleware/auth');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+async function setupDatabase() {
+  removeDatabase();
+  await DatabaseService.initialize();
+  return DatabaseService.getKnex();
+}
+
+async function teardownDatabase() {
+  await DatabaseService.close();
+  removeDatabase();
+}
+
+function removeDatabase() {
+  fs.rmSync(dbFile, { force: true });
+}
+
+// An app with /api/auth plus the given routers behind authentication,
+// e.g. buildApp({ '/api/obd': require('../../src/routes/obd') })
+function buildApp(routers = {}) {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../../src/routes/auth'));
+
+  Object.entries(routers).forEach(([mountPath, router]) => {
+    app.use(mountPath, authenticateToken, router);
+  });
+
+  app.use(errorHandler);
+  return app;
+}
+
+// Register a user and return { user, token, refreshToken }
+async function registerUser(app, email) {
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email, password: 'correct-horse-1' });
+
+  if (res.status !== 201) {
+    throw new Error(`Registration failed with ${res.status}: ${JSON.stringify(res.body)}`);
+  }
+  return res.body.data;
+}
+
+module.exports = {
+  setupDatabase,
+  teardownDatabase,
+  buildApp,
+  registerUser
+};
@@ -0,0 +1,70 @@
+const request = require('supertest');
+const { setupDatabase, teardownDatabase, buildApp, registerUser } = require('../helpers/app');
+
+describe('POST /api/auth/refresh', () => {
+  let app;
+  let knex;
+
+  beforeAll(async () => {
+    knex = await setupDatabase();
+    app = buildApp();
+  });
+
+  afterAll(async () => {
+    await teardownDatabase();
+  });
+
+  const refresh = refreshToken => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+  it('rotates the refresh token', async () => {
+    const { refreshToken } = await registerUser(app, 'rotate@example.com');
+
+    const res = await refresh(refreshToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.token).toEqual(expect.any(String));
+    expect(res.body.data.refreshToken).toEqual(expect.any(String));
+    expect(res.body.data.refreshToken).not.toBe(refreshToken);
+
+    // The new token works once in turn
+    const next = await refresh(res.body.data.refreshToken);
+    expect(next.status).toBe(200);
+  });
+
+  it('revokes the session when a used refresh token comes back', async () => {
+    const { refreshToken, token } = await registerUser(app, 'reuse@example.com');
+
+    const first = await refresh(refreshToken);
+    expect(first.status).toBe(200);
+
+    const replay = await refresh(refreshToken);
+    expect(replay.status).toBe(401);
+    expect(replay.body.error.message).toMatch(/reuse detected/);
+
+    // Every token of the session is dead now, including the rotated one
+    const rotated = await refresh(first.body.data.refreshToken);
+    expect(rotated.status).toBe(401);
+
+    const sessions = await request(app).get('/api/auth/sessions').set('Authorization', `Bearer ${token}`);
+    expect(sessions.status).toBe(401);
+  });
+
+  it('lets only one of two concurrent refreshes with the same token through', async () => {
+    const { user, refreshToken } = await registerUser(app, 'race@example.com');
+
+    const results = await Promise.all([refresh(refreshToken), refresh(refreshToken)]);
+
+    // The loser is refused as reuse, or on SQLite may fail on the write lock;
+    // either way only one new token is issued
+    expect(results.filter(res => res.status === 200)).toHaveLength(1);
+
+    const [{ count }] = await knex('refresh_tokens').where('userId', user.id).count('* as count');
+    expect(parseInt(count)).toBe(2);
+  });
+
+  it('rejects an unknown refresh token', async () => {
+    const res = await refresh('not-a-token');
+
+    expect(res.status).toBe(401);
+  });
+});
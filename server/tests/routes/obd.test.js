@@ -0,0 +1,79 @@
+const request = require('supertest');
+const { setupDatabase, teardownDatabase, buildApp, registerUser } = require('../helpers/app');
+
+describe('OBD frames and trip ownership', () => {
+  let app;
+  let knex;
+  let owner;
+  let other;
+  let tripId;
+
+  beforeAll(async () => {
+    knex = await setupDatabase();
+    app = buildApp({ '/api/obd': require('../../src/routes/obd') });
+
+    owner = await registerUser(app, 'owner@example.com');
+    other = await registerUser(app, 'other@example.com');
+
+    [tripId] = await knex('trips').insert({ userId: owner.user.id, startTime: new Date(), status: 'active' });
+  });
+
+  afterAll(async () => {
+    await teardownDatabase();
+  });
+
+  const post = (path, user) => request(app).post(path).set('Authorization', `Bearer ${user.token}`);
+
+  describe('POST /api/obd/data', () => {
+    it('stores a frame for the user\'s own trip', async () => {
+      const res = await post('/api/obd/data', owner).send({ tripId, vehicleSpeed: 50, engineRPM: 2000 });
+
+      expect(res.status).toBe(201);
+
+      const row = await knex('obd_data').where('id', res.body.data.obdId).first();
+      expect(row).toMatchObject({ userId: owner.user.id, tripId });
+    });
+
+    it('rejects a frame for another user\'s trip', async () => {
+      const before = await knex('obd_data').count('* as count').first();
+
+      const res = await post('/api/obd/data', other).send({ tripId, vehicleSpeed: 50 });
+
+      expect(res.status).toBe(404);
+      expect(res.body.error.message).toBe('Trip not found');
+
+      const after = await knex('obd_data').count('* as count').first();
+      expect(after.count).toBe(before.count);
+    });
+  });
+
+  describe('POST /api/obd/data/batch', () => {
+    const frame = (seconds, extra = {}) => ({
+      timestamp: new Date(Date.now() - 60000 + seconds * 1000).toISOString(),
+      vehicleSpeed: 40,
+      ...extra
+    });
+
+    it('rejects frames for another user\'s trip by index and stores the rest', async () => {
+      const res = await post('/api/obd/data/batch', other).send([
+        frame(0),
+        frame(1, { tripId })
+      ]);
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ received: 2, inserted: 1 });
+      expect(res.body.data.errors).toEqual([
+        { index: 1, errors: [{ field: 'tripId', message: 'Trip not found' }] }
+      ]);
+
+      const foreign = await knex('obd_data').where({ userId: other.user.id, tripId }).first();
+      expect(foreign).toBeUndefined();
+    });
+
+    it('rejects a whole batch sent for another user\'s trip', async () => {
+      const res = await post('/api/obd/data/batch', other).send({ tripId, frames: [frame(2), frame(3)] });
+
+      expect(res.body.data).toMatchObject({ received: 2, inserted: 0 });
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const { CURRENT_ECO_SCORE_VERSION, computeEcoScore } = require('../../src/utils/ecoScore');
+const { MPG_TO_L100KM, MPGE_TO_KWH100KM } = require('../../src/utils/units');
+
+const START = Date.parse('2026-03-02T08:00:00Z');
+
+// One frame per second with the given speeds (km/h)
+const framesFrom = (speeds, rpm = 2000) => speeds.map((vehicleSpeed, i) => ({
+  timestamp: new Date(START + i * 1000).toISOString(),
+  vehicleSpeed,
+  engineRPM: rpm
+}));
+
+const cruise = framesFrom(new Array(10).fill(50));
+const gasoline = { fuelType: 'gasoline', cityMPG: 30, highwayMPG: 40 };
+
+describe('computeEcoScore', () => {
+  it('returns null when nothing can be scored', () => {
+    expect(computeEcoScore({})).toBeNull();
+  });
+
+  it('scores steady driving in the RPM band at 100 and rescales the weights it used', () => {
+    const result = computeEcoScore({ frames: cruise });
+
+    expect(result.score).toBe(100);
+    expect(result.version).toBe(CURRENT_ECO_SCORE_VERSION);
+
+    // Steady speed has no acceleration or braking to rate, and no vehicle
+    // leaves efficiency out
+    expect(result.breakdown.acceleration).toEqual({ score: null, weight: 0.2, appliedWeight: 0 });
+    expect(result.breakdown.efficiency.score).toBeNull();
+    expect(result.breakdown.speedConsistency).toMatchObject({ score: 100, appliedWeight: 0.333 });
+    expect(result.breakdown.idle).toMatchObject({ score: 100, idleShare: 0 });
+    expect(result.breakdown.rpmBand).toMatchObject({ score: 100, inBandShare: 1 });
+  });
+
+  it('penalizes harsh acceleration and braking', () => {
+    const result = computeEcoScore({ frames: framesFrom([30, 50, 30, 50, 30, 50]) });
+
+    expect(result.breakdown.acceleration).toMatchObject({ score: 0, harshShare: 1 });
+    expect(result.breakdown.braking).toMatchObject({ score: 0, harshShare: 1 });
+    expect(result.score).toBeLessThan(60);
+  });
+
+  it('penalizes idling with the engine running', () => {
+    const frames = framesFrom([50, 50, 0, 0, 0, 50, 50, 50, 50, 50]);
+
+    const { breakdown } = computeEcoScore({ frames });
+
+    expect(breakdown.idle).toMatchObject({ idleShare: 0.3, score: 0 });
+  });
+
+  it('rates efficiency against the vehicle rating for the trip\'s speeds', () => {
+    const rated = MPG_TO_L100KM / gasoline.cityMPG;
+
+    const best = computeEcoScore({ frames: cruise, efficiency: rated * 0.85, vehicle: gasoline });
+    const worst = computeEcoScore({ frames: cruise, efficiency: rated * 1.5, vehicle: gasoline });
+
+    expect(best.breakdown.efficiency).toMatchObject({ score: 100, rated: 7.841, highwayShare: 0 });
+    expect(worst.breakdown.efficiency.score).toBe(0);
+  });
+
+  it('rates electric vehicles in kWh/100km from MPGe from version 2 on', () => {
+    const electric = { fuelType: 'electric', cityMPG: 120, highwayMPG: 100 };
+    const trip = { frames: cruise, efficiency: 17, vehicle: electric };
+
+    const current = computeEcoScore(trip, 2).breakdown.efficiency;
+    expect(current.rated).toBeCloseTo(MPGE_TO_KWH100KM / 120, 2);
+    expect(current.score).toBe(81);
+
+    // Version 1 keeps rating the MPGe figure as if it were MPG
+    const original = computeEcoScore(trip, 1).breakdown.efficiency;
+    expect(original.rated).toBeCloseTo(MPG_TO_L100KM / 120, 2);
+    expect(original.score).toBe(0);
+  });
+
+  it('scores with the version asked for and rejects unknown ones', () => {
+    expect(computeEcoScore({ frames: cruise }, 1).version).toBe(1);
+    expect(() => computeEcoScore({ frames: cruise }, 99)).toThrow('Unknown eco-score version: 99');
+  });
+});
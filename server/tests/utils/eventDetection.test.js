@@ -0,0 +1,117 @@
+const { DEFAULT_THRESHOLDS, classify, detectTripEvents } = require('../../src/utils/eventDetection');
+
+const START = Date.parse('2026-03-02T08:00:00Z');
+const at = seconds => new Date(START + seconds * 1000).toISOString();
+
+// One frame per second with the given speeds (km/h) and RPM
+const framesFrom = (speeds, rpm = 2000) => speeds.map((vehicleSpeed, i) => ({
+  timestamp: at(i),
+  vehicleSpeed,
+  engineRPM: rpm
+}));
+
+describe('classify', () => {
+  it('picks the highest threshold reached', () => {
+    expect(classify(2.4, DEFAULT_THRESHOLDS.acceleration)).toBeNull();
+    expect(classify(2.5, DEFAULT_THRESHOLDS.acceleration)).toBe('low');
+    expect(classify(4.0, DEFAULT_THRESHOLDS.acceleration)).toBe('medium');
+    expect(classify(9.0, DEFAULT_THRESHOLDS.acceleration)).toBe('high');
+  });
+});
+
+describe('detectTripEvents', () => {
+  it('reports one hard stop as a single braking event at its peak', () => {
+    const events = detectTripEvents(framesFrom([60, 60, 40, 20, 20]), []);
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      type: 'braking',
+      severity: 'medium',
+      timestamp: at(2),
+      data: { peakDeceleration: 5.56, fromSpeed: 60, toSpeed: 20 }
+    });
+  });
+
+  it('reports hard acceleration', () => {
+    const events = detectTripEvents(framesFrom([0, 15, 30]), []);
+
+    expect(events.map(event => [event.type, event.severity])).toEqual([['acceleration', 'medium']]);
+    expect(events[0].data).toMatchObject({ fromSpeed: 0, toSpeed: 30 });
+  });
+
+  it('ignores gentle driving and frames too far apart to differentiate', () => {
+    expect(detectTripEvents(framesFrom([50, 52, 55, 53, 50]), [])).toEqual([]);
+
+    const gap = [
+      { timestamp: at(0), vehicleSpeed: 80, engineRPM: 2000 },
+      { timestamp: at(10), vehicleSpeed: 0, engineRPM: 2000 }
+    ];
+    expect(detectTripEvents(gap, [])).toEqual([]);
+  });
+
+  it('reports over-revving with its duration', () => {
+    const frames = framesFrom([50, 50, 50, 50]).map((frame, i) => ({ ...frame, engineRPM: i < 3 ? 4600 : 3000 }));
+
+    const [event] = detectTripEvents(frames, []);
+
+    expect(event).toMatchObject({ type: 'over_rev', severity: 'medium', data: { peakRPM: 4600, durationSeconds: 2 } });
+  });
+
+  it('reports idling from the time stationary with the engine running', () => {
+    const frames = [];
+    for (let seconds = 0; seconds <= 200; seconds += 5) {
+      frames.push({ timestamp: at(seconds), vehicleSpeed: 0, engineRPM: 800 });
+    }
+
+    const [event] = detectTripEvents(frames, []);
+
+    expect(event).toMatchObject({ type: 'idling', severity: 'medium', timestamp: at(0), data: { durationSeconds: 200 } });
+  });
+
+  it('reports sharp cornering from heading changes at speed', () => {
+    const route = [0, 30, 60, 90].map((heading, i) => ({
+      lat: 52 + i * 0.0001,
+      lng: 13,
+      heading,
+      speed: 36,
+      timestamp: at(i)
+    }));
+
+    const events = detectTripEvents([], route);
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      type: 'cornering',
+      severity: 'high',
+      lat: route[1].lat,
+      lng: 13,
+      data: { peakLateralAcceleration: 5.24, speed: 36 }
+    });
+  });
+
+  it('treats heading changes at walking pace as GPS noise', () => {
+    const route = [0, 90, 180].map((heading, i) => ({ lat: 52, lng: 13, heading, speed: 5, timestamp: at(i) }));
+
+    expect(detectTripEvents([], route)).toEqual([]);
+  });
+
+  it('places frame events at the route point closest in time, in time order', () => {
+    const frames = [
+      ...framesFrom([60, 60, 40, 20, 20]),
+      { timestamp: at(5), vehicleSpeed: 20, engineRPM: 5600 }
+    ];
+    const route = [0, 2, 4].map(seconds => ({ lat: 52 + seconds / 1000, lng: 13, heading: null, speed: null, timestamp: at(seconds) }));
+
+    const events = detectTripEvents(frames, route);
+
+    expect(events.map(event => event.type)).toEqual(['braking', 'over_rev']);
+    expect(events[0]).toMatchObject({ lat: 52.002, lng: 13 });
+    expect(events[1]).toMatchObject({ lat: 52.004, lng: 13 });
+  });
+
+  it('takes threshold overrides', () => {
+    const events = detectTripEvents(framesFrom([60, 60, 40, 20, 20]), [], { braking: [6, 7, 8] });
+
+    expect(events).toEqual([]);
+  });
+});
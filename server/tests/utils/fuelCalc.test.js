@@ -0,0 +1,120 @@
+const {
+  FUEL_PROPERTIES,
+  fuelPropertiesFor,
+  speedDensityAirflow,
+  fuelRateFromAirflow,
+  consumptionFromRate,
+  estimateFrameFuel,
+  reportedFuel
+} = require('../../src/utils/fuelCalc');
+
+const gasoline = { fuelType: 'gasoline', engineDisplacement: 2.0 };
+
+describe('fuelPropertiesFor', () => {
+  it('picks the vehicle\'s fuel, falling back to gasoline', () => {
+    expect(fuelPropertiesFor({ fuelType: 'diesel' })).toBe(FUEL_PROPERTIES.diesel);
+    expect(fuelPropertiesFor({ fuelType: 'other' })).toBe(FUEL_PROPERTIES.gasoline);
+    expect(fuelPropertiesFor(null)).toBe(FUEL_PROPERTIES.gasoline);
+  });
+
+  it('has none for electric vehicles', () => {
+    expect(fuelPropertiesFor({ fuelType: 'electric' })).toBeNull();
+  });
+});
+
+describe('speedDensityAirflow', () => {
+  it('estimates air mass flow with the ideal gas law', () => {
+    // 2.0 L at 2400 RPM and 85% VE takes in 34 L/s of air at 50 kPa and 25 °C
+    const airflow = speedDensityAirflow({ rpm: 2400, map: 50, iat: 25, displacement: 2.0, volumetricEfficiency: 0.85 });
+
+    expect(airflow).toBeCloseTo(19.87, 2);
+  });
+
+  it('needs RPM, manifold pressure, intake temperature and displacement', () => {
+    const inputs = { rpm: 2400, map: 50, iat: 25, displacement: 2.0 };
+
+    expect(speedDensityAirflow({ ...inputs, rpm: 0 })).toBeNull();
+    expect(speedDensityAirflow({ ...inputs, map: null })).toBeNull();
+    expect(speedDensityAirflow({ ...inputs, iat: null })).toBeNull();
+    expect(speedDensityAirflow({ ...inputs, displacement: undefined })).toBeNull();
+  });
+});
+
+describe('fuelRateFromAirflow', () => {
+  it('converts stoichiometric air flow to liters per hour, adding positive trims', () => {
+    // 14.7 g/s of air burns 1 g/s of gasoline
+    expect(fuelRateFromAirflow(14.7, FUEL_PROPERTIES.gasoline)).toBeCloseTo(3600 / 745, 6);
+    expect(fuelRateFromAirflow(14.7, FUEL_PROPERTIES.gasoline, 10)).toBeCloseTo(1.1 * 3600 / 745, 6);
+  });
+
+  it('has no rate without fuel', () => {
+    expect(fuelRateFromAirflow(14.7, null)).toBeNull();
+  });
+});
+
+describe('consumptionFromRate', () => {
+  it('divides the rate by speed', () => {
+    expect(consumptionFromRate(6, 60)).toBe(10);
+  });
+
+  it('leaves consumption out when nearly stopped', () => {
+    expect(consumptionFromRate(0.8, 3)).toBeNull();
+  });
+});
+
+describe('estimateFrameFuel', () => {
+  it('prefers a fuel rate the car reports', () => {
+    expect(estimateFrameFuel({ vehicleSpeed: 60, fuelRate: 6, mafRate: 20 }, gasoline)).toEqual({
+      fuelRate: 6,
+      fuelConsumption: 10,
+      fuelConsumptionSource: 'fuel_rate'
+    });
+  });
+
+  it('derives the rate from reported consumption', () => {
+    expect(estimateFrameFuel({ vehicleSpeed: 50, fuelConsumption: 8 }, gasoline)).toEqual({
+      fuelRate: 4,
+      fuelConsumption: 8,
+      fuelConsumptionSource: 'reported'
+    });
+  });
+
+  it('derives from MAF, then from speed-density', () => {
+    const maf = estimateFrameFuel({ vehicleSpeed: 50, mafRate: 14.7 }, gasoline);
+    expect(maf).toEqual({ fuelRate: 4.832, fuelConsumption: 9.664, fuelConsumptionSource: 'maf' });
+
+    const speedDensity = estimateFrameFuel({
+      vehicleSpeed: 50,
+      engineRPM: 2400,
+      intakeManifoldPressure: 50,
+      intakeAirTemp: 25
+    }, gasoline);
+    expect(speedDensity.fuelConsumptionSource).toBe('speed_density');
+    expect(speedDensity.fuelRate).toBeGreaterThan(0);
+  });
+
+  it('returns nulls when there is nothing to derive from', () => {
+    const none = { fuelRate: null, fuelConsumption: null, fuelConsumptionSource: null };
+
+    expect(estimateFrameFuel({ vehicleSpeed: 50, mafRate: 14.7 }, { fuelType: 'electric' })).toEqual(none);
+    expect(estimateFrameFuel({ vehicleSpeed: 50, engineRPM: 2400, intakeManifoldPressure: 50, intakeAirTemp: 25 }, { fuelType: 'gasoline' })).toEqual(none);
+  });
+});
+
+describe('reportedFuel', () => {
+  it('drops derived figures so a frame can be estimated again', () => {
+    const frame = { vehicleSpeed: 50, mafRate: 14.7 };
+    const estimated = { ...frame, ...estimateFrameFuel(frame, gasoline) };
+
+    const diesel = estimateFrameFuel(reportedFuel(estimated), { fuelType: 'diesel' });
+
+    expect(diesel.fuelConsumptionSource).toBe('maf');
+    expect(diesel.fuelRate).not.toBe(estimated.fuelRate);
+  });
+
+  it('keeps what the car reported', () => {
+    const frame = { vehicleSpeed: 50, fuelConsumption: 8, fuelRate: 4, fuelConsumptionSource: 'reported' };
+
+    expect(reportedFuel(frame)).toMatchObject({ fuelConsumption: 8, fuelRate: null });
+  });
+});
@@ -0,0 +1,65 @@
+const { parseGpx } = require('../../src/utils/gpx');
+
+const track = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1"
+     xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2">
+  <metadata><name>Metadata name</name></metadata>
+  <trk>
+    <name>Morning commute &amp; errands</name>
+    <trkseg>
+      <trkpt lat="52.5200" lon="13.4050">
+        <ele>34.5</ele>
+        <time>2026-03-02T08:00:00Z</time>
+        <extensions><gpxtpx:TrackPointExtension><gpxtpx:speed>10</gpxtpx:speed><gpxtpx:course>90</gpxtpx:course></gpxtpx:TrackPointExtension></extensions>
+      </trkpt>
+      <!-- <trkpt lat="0" lon="0"><time>2026-03-02T08:00:01Z</time></trkpt> -->
+      <trkpt lat='52.5210' lon='13.4070'><time>2026-03-02T08:00:05Z</time></trkpt>
+      <trkpt lat="52.5220" lon="13.4090"/>
+    </trkseg>
+  </trk>
+</gpx>`;
+
+describe('parseGpx', () => {
+  it('reads track points with elevation, time, speed and course', () => {
+    const { name, points } = parseGpx(track);
+
+    expect(name).toBe('Morning commute & errands');
+    expect(points).toHaveLength(3);
+    expect(points[0]).toEqual({
+      lat: 52.52,
+      lng: 13.405,
+      altitude: 34.5,
+      speed: 36, // 10 m/s
+      heading: 90,
+      accuracy: null,
+      timestamp: '2026-03-02T08:00:00Z'
+    });
+  });
+
+  it('skips commented-out points and keeps missing values as null', () => {
+    const { points } = parseGpx(track);
+
+    expect(points.map(point => point.lat)).toEqual([52.52, 52.521, 52.522]);
+    expect(points[2]).toMatchObject({ altitude: null, speed: null, timestamp: null });
+  });
+
+  it('falls back to route points and the metadata name', () => {
+    const route = `<gpx version="1.1">
+      <metadata><name>Planned</name></metadata>
+      <rte>
+        <rtept lat="48.1" lon="11.5"></rtept>
+        <rtept lat="48.2" lon="11.6"></rtept>
+      </rte>
+    </gpx>`;
+
+    const { name, points } = parseGpx(route);
+
+    expect(name).toBe('Planned');
+    expect(points.map(point => [point.lat, point.lng])).toEqual([[48.1, 11.5], [48.2, 11.6]]);
+  });
+
+  it('throws for anything that isn\'t GPX', () => {
+    expect(() => parseGpx('<kml></kml>')).toThrow('Not a GPX document');
+    expect(() => parseGpx(null)).toThrow('Not a GPX document');
+  });
+});
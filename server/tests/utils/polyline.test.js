@@ -0,0 +1,48 @@
+const { decodePolyline, encodePolyline } = require('../../src/utils/polyline');
+
+// The example from Google's polyline algorithm documentation
+const EXAMPLE = '_p~iF~ps|U_ulLnnqC_mqNvxq`@';
+const EXAMPLE_POINTS = [
+  { lat: 38.5, lng: -120.2 },
+  { lat: 40.7, lng: -120.95 },
+  { lat: 43.252, lng: -126.453 }
+];
+
+describe('decodePolyline', () => {
+  it('decodes a precision 5 polyline', () => {
+    expect(decodePolyline(EXAMPLE)).toEqual(EXAMPLE_POINTS);
+  });
+
+  it('decodes at precision 6', () => {
+    const encoded = encodePolyline([{ lat: 52.520008, lng: 13.404954 }], 6);
+
+    expect(decodePolyline(encoded, 6)).toEqual([{ lat: 52.520008, lng: 13.404954 }]);
+  });
+
+  it('decodes an empty polyline to no points', () => {
+    expect(decodePolyline('')).toEqual([]);
+  });
+
+  it('rejects truncated input and characters outside the alphabet', () => {
+    expect(() => decodePolyline(EXAMPLE.slice(0, -1))).toThrow('Polyline ends in the middle of a coordinate');
+    expect(() => decodePolyline('_p~iF ')).toThrow('Invalid polyline character at position 5');
+  });
+});
+
+describe('encodePolyline', () => {
+  it('encodes the documented example', () => {
+    expect(encodePolyline(EXAMPLE_POINTS)).toBe(EXAMPLE);
+  });
+
+  it('round-trips to the precision used', () => {
+    const points = [
+      { lat: 52.5200081, lng: 13.4049542 },
+      { lat: -33.8688197, lng: 151.2092955 }
+    ];
+
+    expect(decodePolyline(encodePolyline(points))).toEqual([
+      { lat: 52.52001, lng: 13.40495 },
+      { lat: -33.86882, lng: 151.2093 }
+    ]);
+  });
+});
@@ -0,0 +1,145 @@
+const {
+  PATH_SAMPLES,
+  resamplePath,
+  routeDistance,
+  findRoute,
+  mergePath,
+  timeOfDay,
+  summarizeRouteTrips,
+  compareTripToRoute
+} = require('../../src/utils/routeMatching');
+
+// About 2.2 km north from (52, 13), bending east by `detour` degrees midway
+const commute = (detour = 0) => Array.from({ length: 21 }, (_, i) => ({
+  lat: 52 + 0.001 * i,
+  lng: 13 + detour * Math.sin((Math.PI * i) / 20)
+}));
+
+const trip = (startTime, minutes, extra = {}) => ({
+  startTime: new Date(startTime),
+  endTime: new Date(Date.parse(startTime) + minutes * 60000),
+  ...extra
+});
+
+describe('resamplePath', () => {
+  it('spaces points evenly along the route, keeping its ends', () => {
+    const path = resamplePath(commute());
+
+    expect(path).toHaveLength(PATH_SAMPLES);
+    expect(path[0]).toEqual({ lat: 52, lng: 13 });
+    expect(path[PATH_SAMPLES - 1].lat).toBeCloseTo(52.02, 9);
+  });
+
+  it('skips routes too short to cluster and points without coordinates', () => {
+    expect(resamplePath([{ lat: 52, lng: 13 }, { lat: 52.001, lng: 13 }])).toBeNull();
+    expect(resamplePath([{ lat: null, lng: 13 }, { lat: 52, lng: 13 }])).toBeNull();
+  });
+});
+
+describe('routeDistance and findRoute', () => {
+  const route = { id: 1, path: resamplePath(commute()) };
+
+  it('matches a trip along the same path', () => {
+    const distance = routeDistance(resamplePath(commute(0.0005)), route.path);
+
+    expect(distance).not.toBeNull();
+    expect(distance).toBeLessThan(50);
+  });
+
+  it('does not match a different middle or a different destination', () => {
+    expect(routeDistance(resamplePath(commute(0.02)), route.path)).toBeNull();
+
+    const further = commute().map(point => ({ ...point, lat: 52 + (point.lat - 52) * 1.5 }));
+    expect(routeDistance(resamplePath(further), route.path)).toBeNull();
+  });
+
+  it('picks the closest matching route', () => {
+    const nearby = { id: 2, path: resamplePath(commute(0.001)) };
+    const path = resamplePath(commute(0.0009));
+
+    expect(findRoute(path, [route, nearby])).toBe(nearby);
+    expect(findRoute(resamplePath(commute(0.05)), [route, nearby])).toBeNull();
+  });
+});
+
+describe('mergePath', () => {
+  it('keeps the running mean of the trips\' paths', () => {
+    const merged = mergePath([{ lat: 52, lng: 13 }], 3, [{ lat: 52.004, lng: 13.004 }]);
+
+    expect(merged).toEqual([{ lat: 52.001, lng: 13.001 }]);
+  });
+});
+
+describe('timeOfDay', () => {
+  it('uses the driver\'s local time', () => {
+    expect(timeOfDay('2026-03-02T07:30:00Z')).toBe('morning');
+    expect(timeOfDay('2026-03-02T07:30:00Z', 240)).toBe('midday');
+    expect(timeOfDay('2026-03-02T03:00:00Z', -240)).toBe('evening');
+  });
+});
+
+describe('summarizeRouteTrips', () => {
+  const trips = [
+    trip('2026-03-02T07:30:00Z', 20, { efficiency: 8, ecoScore: 70 }),
+    trip('2026-03-03T07:30:00Z', 22, { efficiency: 7, ecoScore: 75 }),
+    trip('2026-03-04T17:00:00Z', 30, { efficiency: 6, ecoScore: 80 }),
+    trip('2026-03-05T07:30:00Z', 18, { efficiency: null, ecoScore: 85 })
+  ];
+
+  it('benchmarks efficiency, eco score and duration with the better direction first', () => {
+    const summary = summarizeRouteTrips(trips);
+
+    expect(summary.tripCount).toBe(4);
+    expect(summary.efficiency).toEqual({ best: 6, median: 7, worst: 8, count: 3 });
+    expect(summary.ecoScore).toEqual({ best: 85, median: 77.5, worst: 70, count: 4 });
+    expect(summary.duration).toEqual({ best: 18, median: 21, worst: 30, count: 4 });
+  });
+
+  it('breaks trips down by time of day and spots trends', () => {
+    const summary = summarizeRouteTrips(trips);
+
+    expect(Object.keys(summary.timeOfDay)).toEqual(['morning', 'afternoon']);
+    expect(summary.timeOfDay.morning).toMatchObject({ tripCount: 3, avgEfficiency: 7.5, avgEcoScore: 76.67 });
+    expect(summary.trend.efficiency).toEqual({ direction: 'improving', changePercent: -28.6, count: 3 });
+    expect(summary.trend.ecoScore.direction).toBe('improving');
+  });
+
+  it('calls fewer than three trips stable', () => {
+    expect(summarizeRouteTrips(trips.slice(0, 2)).trend.efficiency).toEqual({ direction: 'stable', changePercent: 0, count: 2 });
+  });
+});
+
+describe('compareTripToRoute', () => {
+  const others = [
+    trip('2026-03-02T07:30:00Z', 20, { efficiency: 8, ecoScore: 70 }),
+    trip('2026-03-03T07:30:00Z', 22, { efficiency: 7, ecoScore: 75 }),
+    trip('2026-03-04T17:00:00Z', 30, { efficiency: 6, ecoScore: 80 })
+  ];
+
+  it('ranks the trip against the route\'s other trips', () => {
+    const comparison = compareTripToRoute(trip('2026-03-06T07:45:00Z', 21, { efficiency: 6.5, ecoScore: 90 }), others);
+
+    expect(comparison.efficiency).toEqual({
+      value: 6.5,
+      median: 7,
+      delta: -0.5,
+      deltaPercent: -7.1,
+      percentile: 67,
+      personalBest: false
+    });
+    expect(comparison.ecoScore).toMatchObject({ percentile: 100, personalBest: true });
+  });
+
+  it('compares at the same time of day as well', () => {
+    const comparison = compareTripToRoute(trip('2026-03-06T07:45:00Z', 21, { efficiency: 6.5, ecoScore: 90 }), others);
+
+    expect(comparison.timeOfDay).toMatchObject({ period: 'morning', tripCount: 2 });
+    expect(comparison.timeOfDay.efficiency).toMatchObject({ median: 7.5, personalBest: true });
+  });
+
+  it('leaves out metrics the trip has no value for', () => {
+    const comparison = compareTripToRoute(trip('2026-03-06T07:45:00Z', 21, { efficiency: null, ecoScore: 90 }), others);
+
+    expect(comparison.efficiency).toBeNull();
+  });
+});
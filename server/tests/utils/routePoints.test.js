@@ -0,0 +1,96 @@
+const {
+  toRoutePoint,
+  validateRoutePoints,
+  keepValidRoutePoints,
+  describeRouteErrors,
+  interpolateTimestamps
+} = require('../../src/utils/routePoints');
+
+const NOW = new Date('2026-03-02T09:00:00Z');
+const at = minutes => new Date(Date.parse('2026-03-02T08:00:00Z') + minutes * 60000).toISOString();
+
+const route = (...overrides) => overrides.map((extra, i) => toRoutePoint({
+  lat: 52 + i * 0.001,
+  lng: 13,
+  timestamp: at(i),
+  ...extra
+}));
+
+describe('toRoutePoint', () => {
+  it('accepts latitude/longitude and leaves missing values null', () => {
+    expect(toRoutePoint({ latitude: '52.5', longitude: 13.4, speed: 40 })).toEqual({
+      lat: 52.5,
+      lng: 13.4,
+      altitude: null,
+      speed: 40,
+      heading: null,
+      accuracy: null,
+      timestamp: null
+    });
+  });
+});
+
+describe('validateRoutePoints', () => {
+  it('accepts an ordered, timestamped route', () => {
+    expect(validateRoutePoints(route({}, {}, {}), { now: NOW })).toEqual([]);
+  });
+
+  it('rejects coordinates and telemetry out of range', () => {
+    const errors = validateRoutePoints(route({ lat: 91 }, { lng: -181 }, { speed: -1 }, { accuracy: 10000 }), { now: NOW });
+
+    expect(errors).toEqual([
+      { index: 0, field: 'lat', message: 'Invalid latitude' },
+      { index: 1, field: 'lng', message: 'Invalid longitude' },
+      expect.objectContaining({ index: 2, field: 'speed' }),
+      { index: 3, field: 'accuracy', message: 'Accuracy must be between 0 and 9999.99 meters' }
+    ]);
+  });
+
+  it('rejects missing, future and out-of-order timestamps', () => {
+    const errors = validateRoutePoints(route({}, { timestamp: null }, { timestamp: at(-1) }, { timestamp: at(120) }), { now: NOW });
+
+    expect(errors).toEqual([
+      { index: 1, field: 'timestamp', message: 'Route timestamp must be a valid date' },
+      { index: 2, field: 'timestamp', message: 'Route points must be in chronological order' },
+      { index: 3, field: 'timestamp', message: 'Route timestamp is in the future' }
+    ]);
+  });
+});
+
+describe('keepValidRoutePoints', () => {
+  it('drops invalid points and keeps the rest', () => {
+    const points = route({}, { timestamp: null }, { lat: 95 }, {});
+
+    const { points: kept, errors } = keepValidRoutePoints(points, { now: NOW });
+
+    expect(kept).toEqual([points[0], points[3]]);
+    expect(errors.map(error => [error.index, error.field])).toEqual([[1, 'timestamp'], [2, 'lat']]);
+  });
+
+  it('drops points earlier than the last one stored or kept', () => {
+    const points = route({ timestamp: at(5) }, { timestamp: at(10) }, { timestamp: at(7) });
+
+    const { points: kept, errors } = keepValidRoutePoints(points, { after: at(6), now: NOW });
+
+    expect(kept).toEqual([points[1]]);
+    expect(errors.map(error => error.index)).toEqual([0, 2]);
+  });
+});
+
+describe('describeRouteErrors', () => {
+  it('summarizes the first error and counts the rest', () => {
+    const errors = validateRoutePoints(route({ lat: 91 }, { lng: 181 }), { now: NOW });
+
+    expect(describeRouteErrors(errors)).toBe('Invalid route: point 0 lat: Invalid latitude (and 1 more)');
+  });
+});
+
+describe('interpolateTimestamps', () => {
+  it('spreads timestamps by distance covered', () => {
+    const points = [{ lat: 52, lng: 13 }, { lat: 52.001, lng: 13 }, { lat: 52.004, lng: 13 }];
+
+    const timed = interpolateTimestamps(points, at(0), at(4));
+
+    expect(timed.map(point => point.timestamp.toISOString())).toEqual([at(0), at(1), at(4)]);
+  });
+});
@@ -0,0 +1,112 @@
+const {
+  rejectOutliers,
+  closestPointOnSegment,
+  simplifyRoute,
+  simplifyToLimit
+} = require('../../src/utils/routeSimplify');
+
+const START = Date.parse('2026-03-02T08:00:00Z');
+
+// Points 10 s apart heading north about 33 m at a time (~12 km/h)
+const drive = count => Array.from({ length: count }, (_, i) => ({
+  lat: 52 + i * 0.0003,
+  lng: 13,
+  accuracy: 5,
+  timestamp: new Date(START + i * 10000).toISOString()
+}));
+
+describe('rejectOutliers', () => {
+  it('drops an isolated GPS spike', () => {
+    const points = drive(6);
+    points[2] = { ...points[2], lat: 52.1 };
+
+    const result = rejectOutliers(points);
+
+    expect(result.removed).toBe(1);
+    expect(result.points).not.toContain(points[2]);
+  });
+
+  it('keeps a genuine jump that the following points confirm', () => {
+    const points = drive(6).map((point, i) => (i >= 3 ? { ...point, lng: 13.05 } : point));
+
+    expect(rejectOutliers(points).removed).toBe(0);
+  });
+
+  it('drops a bad first fix', () => {
+    const points = drive(5);
+    points[0] = { ...points[0], lat: 51.5 };
+
+    const result = rejectOutliers(points);
+
+    expect(result.points[0]).toBe(points[1]);
+    expect(result.removed).toBe(1);
+  });
+
+  it('drops fixes less accurate than asked for, keeping ones without accuracy', () => {
+    const points = drive(4);
+    points[1] = { ...points[1], accuracy: 80 };
+    points[2] = { ...points[2], accuracy: null };
+
+    const result = rejectOutliers(points, { maxAccuracy: 50 });
+
+    expect(result.points).toEqual([points[0], points[2], points[3]]);
+    expect(result.removed).toBe(1);
+  });
+});
+
+describe('closestPointOnSegment', () => {
+  it('projects onto the segment and clamps to its ends', () => {
+    const a = { x: 0, y: 0 };
+    const b = { x: 10, y: 0 };
+
+    expect(closestPointOnSegment({ x: 4, y: 3 }, a, b)).toEqual({ x: 4, y: 0, t: 0.4, distance: 3 });
+    expect(closestPointOnSegment({ x: -3, y: 4 }, a, b)).toEqual({ x: 0, y: 0, t: 0, distance: 5 });
+  });
+});
+
+describe('simplifyRoute', () => {
+  it('reduces a straight line to its ends', () => {
+    const points = drive(50).map((point, i) => ({ ...point, lng: 13 + (i % 2) * 0.00001 }));
+
+    const simplified = simplifyRoute(points, 5);
+
+    expect(simplified).toEqual([points[0], points[49]]);
+  });
+
+  it('keeps corners further than the tolerance from the line', () => {
+    const north = drive(10);
+    const corner = north[9];
+    const east = Array.from({ length: 10 }, (_, i) => ({ ...corner, lng: 13 + (i + 1) * 0.0005 }));
+    const points = [...north, ...east];
+
+    expect(simplifyRoute(points, 5)).toEqual([points[0], corner, points[19]]);
+  });
+
+  it('returns a copy when there is nothing to simplify', () => {
+    const points = drive(5);
+
+    const simplified = simplifyRoute(points, 0);
+
+    expect(simplified).toEqual(points);
+    expect(simplified).not.toBe(points);
+  });
+});
+
+describe('simplifyToLimit', () => {
+  it('raises the tolerance until the route fits', () => {
+    const zigzag = drive(200).map((point, i) => ({ ...point, lng: 13 + (i % 2) * 0.0002 * (1 + (i % 7)) }));
+
+    const result = simplifyToLimit(zigzag, { tolerance: 1, maxPoints: 20 });
+
+    expect(result.points.length).toBeLessThanOrEqual(20);
+    expect(result.tolerance).toBeGreaterThan(1);
+    expect(result.points[0]).toBe(zigzag[0]);
+    expect(result.points[result.points.length - 1]).toBe(zigzag[199]);
+  });
+
+  it('keeps the tolerance asked for when the route already fits', () => {
+    const result = simplifyToLimit(drive(10), { tolerance: 5, maxPoints: 20 });
+
+    expect(result).toEqual({ points: expect.any(Array), tolerance: 5 });
+  });
+});
@@ -0,0 +1,88 @@
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const { ZipWriter, crc32 } = require('../../src/utils/zip');
+
+// Write files into an archive and collect its bytes
+async function buildArchive(files) {
+  const stream = new PassThrough({ highWaterMark: 16 });
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  const ended = new Promise(resolve => stream.on('end', resolve));
+
+  const zip = new ZipWriter(stream);
+  for (const [name, content, modifiedAt] of files) {
+    await zip.addFile(name, content, modifiedAt);
+  }
+  await zip.finish();
+  await ended;
+
+  return Buffer.concat(chunks);
+}
+
+// Read the entries back through the central directory, as unzip tools do
+function readArchive(archive) {
+  const end = archive.length - 22;
+  expect(archive.readUInt32LE(end)).toBe(0x06054b50);
+
+  const count = archive.readUInt16LE(end + 10);
+  let position = archive.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    expect(archive.readUInt32LE(position)).toBe(0x02014b50);
+    const crc = archive.readUInt32LE(position + 16);
+    const compressedSize = archive.readUInt32LE(position + 20);
+    const nameLength = archive.readUInt16LE(position + 28);
+    const offset = archive.readUInt32LE(position + 42);
+    const name = archive.toString('utf8', position + 46, position + 46 + nameLength);
+
+    expect(archive.readUInt32LE(offset)).toBe(0x04034b50);
+    const dataStart = offset + 30 + archive.readUInt16LE(offset + 26);
+    const content = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize));
+
+    entries.push({ name, content: content.toString('utf8'), crc, time: archive.readUInt16LE(position + 12), date: archive.readUInt16LE(position + 14) });
+    position += 46 + nameLength;
+  }
+
+  return entries;
+}
+
+describe('crc32', () => {
+  it('matches the standard check value', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+  });
+});
+
+describe('ZipWriter', () => {
+  it('writes an archive whose entries read back intact', async () => {
+    const csv = 'id,distance\n1,12.5\n'.repeat(200);
+    const archive = await buildArchive([
+      ['trips.csv', csv],
+      ['trip-1.gpx', Buffer.from('<gpx></gpx>')],
+      ['Überlandfahrt.geojson', '{}']
+    ]);
+
+    const entries = readArchive(archive);
+
+    expect(entries.map(entry => entry.name)).toEqual(['trips.csv', 'trip-1.gpx', 'Überlandfahrt.geojson']);
+    expect(entries[0].content).toBe(csv);
+    expect(entries[1].content).toBe('<gpx></gpx>');
+    expect(entries[0].crc).toBe(crc32(Buffer.from(csv)));
+  });
+
+  it('stores modification times as MS-DOS local date and time', async () => {
+    const modifiedAt = new Date(2026, 2, 2, 8, 30, 14);
+
+    const [entry] = readArchive(await buildArchive([['a.txt', 'a', modifiedAt]]));
+
+    expect(entry.time).toBe((8 << 11) | (30 << 5) | 7);
+    expect(entry.date).toBe(((2026 - 1980) << 9) | (3 << 5) | 2);
+  });
+
+  it('writes an empty archive', async () => {
+    const archive = await buildArchive([]);
+
+    expect(archive).toHaveLength(22);
+    expect(readArchive(archive)).toEqual([]);
+  });
+});